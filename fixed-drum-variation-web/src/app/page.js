@@ -5,6 +5,60 @@ import useHybridAudioProcessor from '../hooks/useHybridAudioProcessor';
 import DragAndDropHandler from '../components/DragAndDropHandler';
 import VariationExporter from '../components/VariationExporter';
 import WaveformDisplay from '../components/WaveformDisplay';
+import SliceList from '../components/SliceList';
+import LayerBuilder from '../components/LayerBuilder';
+import BatchQueue from '../components/BatchQueue';
+import { isAudioFile } from '../lib/audioFiles';
+
+// Display names of the saturation curves
+const CURVE_NAMES = {
+  soft: 'Soft clip',
+  hard: 'Hard clip',
+  tube: 'Tube (asymmetric)',
+  fold: 'Wavefolder',
+  tape: 'Tape (hysteresis)'
+};
+
+// Display names of the grain envelopes
+const ENVELOPE_NAMES = {
+  hann: 'Smooth (Hann)',
+  triangle: 'Triangle',
+  tukey: 'Flat top',
+  expodec: 'Percussive',
+  rexpodec: 'Reverse swell'
+};
+
+// Sliders of the granular section as [setting, label, min, max, step, unit]
+const GRANULAR_SLIDERS = [
+  ['grainSize', 'Size', 10, 200, 5, 'ms'],
+  ['density', 'Density', 5, 100, 1, '/s'],
+  ['positionJitter', 'Scatter', 0, 100, 1, 'ms'],
+  ['pitchJitter', 'Pitch', 0, 12, 0.5, 'st'],
+  ['transientTime', 'Dry attack', 0, 50, 1, 'ms']
+];
+
+// Synth layers as [name, label, longest decay in ms, tuning range in semitones]
+const SYNTH_LAYER_CONTROLS = [
+  ['sub', 'Sub', 2000, 12],
+  ['noise', 'Noise', 1000, 24],
+  ['click', 'Click', 30, 24]
+];
+
+// Target slider range (min, max) of each loudness normalization mode
+const NORMALIZE_TARGET_RANGES = {
+  peak: [-12, 0],
+  rms: [-30, -6],
+  lufs: [-30, -6]
+};
+
+/**
+ * Format a level in dB for display
+ * @param {number} value - Level in dB (-Infinity for silence)
+ * @returns {string} - Level with one decimal
+ */
+function formatLevel(value) {
+  return Number.isFinite(value) ? value.toFixed(1) : '-∞';
+}
 
 export default function DrumVariationApp() {
   const [isDragging, setIsDragging] = useState(false);
@@ -13,37 +67,163 @@ export default function DrumVariationApp() {
   const {
     originalSample,
     variations,
+    variationDetails,
+    variationFiles,
+    batch,
+    slices,
     isProcessing,
     currentlyPlaying,
     error,
     mlBalance,
+    isLoop,
+    drumType,
+    detectedDrumType,
+    drumTypes,
+    bpm,
+    bpmSource,
+    reverbType,
+    reverbTypes,
+    shuffleDrift,
+    shuffleRegion,
+    grooveTemplate,
+    grooveTemplates,
+    grooveSteps,
+    humanizeTime,
+    velocityVariation,
+    extractedGroove,
+    loFiPreset,
+    loFiPresets,
+    loFiFilters,
+    loFiDither,
+    distortionCurve,
+    distortionCurves,
+    stereoWidth,
+    decorrelation,
+    haasTime,
+    autoPanDivision,
+    correlations,
+    normalizeMode,
+    normalizeModes,
+    normalizeTarget,
+    matchLoudness,
+    originalLoudness,
+    loudness,
+    exportOptions,
+    exportFormats,
+    bitDepths,
+    packOptions,
+    packNameTokens,
+    glitchEffect,
+    glitchEffects,
+    glitchDivision,
+    granularOptions,
+    grainEnvelopes,
+    sampleFeatures,
+    synthLayers,
+    subWaveforms,
+    layers,
+    alignLayers,
+    layerAlignments,
     loadAudioFile,
+    loadImpulseResponse,
+    setReverbType,
+    setBpm,
+    setDrumTypeOverride,
     generateVariations,
+    generateBeatShuffle,
+    setShuffleDrift,
+    setShuffleRegion,
+    generateGroove,
+    loadGrooveFile,
+    setGrooveTemplate,
+    setGrooveSteps,
+    setHumanizeTime,
+    setVelocityVariation,
+    setLoFiPreset,
+    setLoFiFilters,
+    setLoFiDither,
+    setDistortionCurve,
+    setStereoWidth,
+    setDecorrelation,
+    setHaasTime,
+    setAutoPanDivision,
+    setNormalizeMode,
+    setNormalizeTarget,
+    setMatchLoudness,
+    updateExportOptions,
+    updatePackOptions,
+    generateGlitch,
+    setGlitchEffect,
+    setGlitchDivision,
+    updateGranularOptions,
+    generateGranular,
+    updateSynthLayer,
+    generateSynthLayers,
+    addLayer,
+    updateLayer,
+    removeLayer,
+    setAlignLayers,
+    renderLayers,
     playOriginal,
     playVariation,
     stopPlayback,
     exportVariation,
+    sliceLoop,
+    playSlice,
+    exportSlice,
+    exportAll,
+    queueFiles,
+    clearBatch,
+    openBatchItem,
+    exportBatch,
     setProcessingBalance
   } = useHybridAudioProcessor();
 
-  // Handle file drop
-  const handleFileDrop = async (file) => {
-    if (file && file.type.startsWith('audio/')) {
-      setFileName(file.name);
-      await loadAudioFile(file);
+  // Handle dropped or picked files: one file becomes the current sample, several go to the batch queue
+  const handleFilesDrop = async (files) => {
+    if (files.length === 1) {
+      setFileName(files[0].file.name);
+      await loadAudioFile(files[0].file);
+    } else if (files.length > 1) {
+      queueFiles(files);
     }
   };
 
-  // Handle file input change
+  // Handle file and folder input change
   const handleFileInputChange = async (e) => {
+    const files = Array.from(e.target.files || [])
+      .filter(file => isAudioFile(file))
+      .map(file => ({ file, path: file.webkitRelativePath || file.name }))
+      .sort((a, b) => a.path.localeCompare(b.path, undefined, { numeric: true }));
+    await handleFilesDrop(files);
+    // Allow picking the same files again
+    e.target.value = '';
+  };
+
+  // Open a processed batch file as the current sample
+  const handleOpenBatchItem = async (item) => {
+    setFileName(item.path);
+    await openBatchItem(item.id);
+  };
+
+  // Handle impulse response file input change
+  const handleImpulseInputChange = async (e) => {
     const files = e.target.files;
     if (files && files.length > 0) {
-      const file = files[0];
-      if (file.type.startsWith('audio/')) {
-        setFileName(file.name);
-        await loadAudioFile(file);
-      }
+      await loadImpulseResponse(files[0]);
     }
+    // Allow loading the same file again
+    e.target.value = '';
+  };
+
+  // Handle groove source file input change
+  const handleGrooveInputChange = async (e) => {
+    const files = e.target.files;
+    if (files && files.length > 0) {
+      await loadGrooveFile(files[0]);
+    }
+    // Allow loading the same file again
+    e.target.value = '';
   };
 
   // Handle ML balance slider change
@@ -87,7 +267,7 @@ export default function DrumVariationApp() {
               {/* Left panel - Sample input */}
               <div className="md:col-span-1 flex flex-col gap-4">
                 <DragAndDropHandler 
-                  onFileDrop={handleFileDrop}
+                  onFilesDrop={handleFilesDrop}
                   className={`border-2 border-dashed rounded-lg p-6 flex flex-col items-center justify-center h-64 cursor-pointer transition-colors ${
                     isDragging ? 'border-blue-500 bg-blue-50' : 'border-gray-300 hover:border-blue-400'
                   }`}
@@ -99,8 +279,17 @@ export default function DrumVariationApp() {
                     id="fileInput"
                     className="hidden" 
                     accept="audio/*" 
+                    multiple
                     onChange={handleFileInputChange} 
                   />
+                  <input
+                    type="file"
+                    id="folderInput"
+                    className="hidden"
+                    webkitdirectory=""
+                    multiple
+                    onChange={handleFileInputChange}
+                  />
                   <svg 
                     className="w-12 h-12 text-gray-400 mb-2" 
                     fill="none" 
@@ -121,6 +310,13 @@ export default function DrumVariationApp() {
                       browse to upload
                     </label>
                   </p>
+                  <p className="text-xs text-gray-500 mt-1 text-center">
+                    Several files or a
+                    <label htmlFor="folderInput" className="text-blue-600 hover:text-blue-800 cursor-pointer ml-1">
+                      whole folder
+                    </label>
+                    {' '}go to the batch queue
+                  </p>
                   {fileName && (
                     <p className="mt-2 text-sm font-medium text-blue-600">{fileName}</p>
                   ) }
@@ -155,7 +351,14 @@ export default function DrumVariationApp() {
                 </div>
                 
                 <div className="mt-4">
-                  <h3 className="text-lg font-semibold mb-2">Original Sample</h3>
+                  <div className="flex justify-between items-center mb-2">
+                    <h3 className="text-lg font-semibold">Original Sample</h3>
+                    {originalSample && (
+                      <span className="text-xs font-medium px-2 py-1 rounded-full bg-gray-100 text-gray-600">
+                        {drumTypes.find(type => type.id === drumType)?.name || (isLoop ? 'Loop' : 'One-shot')}
+                      </span>
+                    ) }
+                  </div>
                   <div className="border rounded-md p-2 bg-gray-50">
                     <WaveformDisplay 
                       audioBuffer={originalSample}
@@ -163,6 +366,52 @@ export default function DrumVariationApp() {
                       onPlaybackComplete={stopPlayback}
                     />
                   </div>
+                  {originalSample && (
+                    <div className="flex items-center gap-2 mt-2">
+                      <label htmlFor="bpmInput" className="text-sm text-gray-600">Tempo</label>
+                      <input
+                        id="bpmInput"
+                        type="number"
+                        min="20"
+                        max="400"
+                        step="0.1"
+                        value={bpm ?? ''}
+                        placeholder="unknown"
+                        onChange={(e) => setBpm(e.target.value)}
+                        className="w-24 border rounded-md px-2 py-1 text-sm"
+                      />
+                      <span className="text-sm text-gray-600">BPM</span>
+                      {bpmSource && (
+                        <span className="text-xs text-gray-400">
+                          {bpmSource === 'filename' ? 'from filename' : bpmSource === 'detected' ? 'detected' : 'set manually'}
+                        </span>
+                      ) }
+                    </div>
+                  ) }
+                  {originalSample && detectedDrumType && (
+                    <div className="flex items-center gap-2 mt-2">
+                      <label htmlFor="drumTypeSelect" className="text-sm text-gray-600">Type</label>
+                      <select
+                        id="drumTypeSelect"
+                        value={drumType === detectedDrumType.type ? 'auto' : drumType}
+                        onChange={(e) => setDrumTypeOverride(e.target.value === 'auto' ? null : e.target.value)}
+                        className="flex-1 border rounded-md px-2 py-1 text-sm bg-white"
+                      >
+                        <option value="auto">
+                          Detected: {drumTypes.find(type => type.id === detectedDrumType.type)?.name} ({Math.round(detectedDrumType.confidence * 100)}%)
+                        </option>
+                        {drumTypes.filter(type => type.id !== detectedDrumType.type).map((type) => (
+                          <option key={type.id} value={type.id}>{type.name}</option>
+                        ))}
+                      </select>
+                    </div>
+                  ) }
+                  {originalLoudness && (
+                    <p className="text-xs text-gray-500 mt-2">
+                      Peak {formatLevel(originalLoudness.peak)} dBFS · True peak {formatLevel(originalLoudness.truePeak)} dBTP ·
+                      RMS {formatLevel(originalLoudness.rms)} dBFS · {formatLevel(originalLoudness.lufs)} LUFS
+                    </p>
+                  ) }
                 </div>
                 
                 {/* ML/DSP Balance Slider */}
@@ -185,11 +434,606 @@ export default function DrumVariationApp() {
                     Adjust the balance between traditional DSP and ML-inspired processing
                   </p>
                 </div>
+                
+                {/* Reverb type (impulse response library) */}
+                <div className="mt-4">
+                  <h3 className="text-lg font-semibold mb-2">Reverb Type</h3>
+                  <div className="flex items-center gap-2">
+                    <select
+                      value={reverbType}
+                      onChange={(e) => setReverbType(e.target.value)}
+                      className="flex-1 border rounded-md px-2 py-1 text-sm bg-white"
+                    >
+                      {reverbTypes.map((type) => (
+                        <option key={type.id} value={type.id}>
+                          {type.duration ? `${type.name} (${type.duration.toFixed(2)}s)` : type.name}
+                        </option>
+                      ))}
+                    </select>
+                    <input 
+                      type="file" 
+                      id="impulseInput"
+                      className="hidden" 
+                      accept="audio/*" 
+                      onChange={handleImpulseInputChange} 
+                    />
+                    <label
+                      htmlFor="impulseInput"
+                      className="py-1 px-3 rounded-md text-sm font-medium bg-gray-200 hover:bg-gray-300 text-gray-700 cursor-pointer"
+                    >
+                      Load IR
+                    </label>
+                  </div>
+                  <p className="text-xs text-gray-500 mt-1 text-center">
+                    Load your own room, plate or spring impulse responses (WAV)
+                  </p>
+                </div>
+                
+                {/* Lo-fi sampler emulation */}
+                <div className="mt-4">
+                  <h3 className="text-lg font-semibold mb-2">Lo-fi Sampler</h3>
+                  <select
+                    value={loFiPreset}
+                    onChange={(e) => setLoFiPreset(e.target.value)}
+                    className="w-full border rounded-md px-2 py-1 text-sm bg-white"
+                  >
+                    {Object.entries(loFiPresets).map(([id, preset]) => (
+                      <option key={id} value={id}>
+                        {`${preset.name} (${(preset.rate / 1000).toFixed(1)}kHz, ${preset.bits}-bit)`}
+                      </option>
+                    ))}
+                  </select>
+                  <div className="flex items-center gap-4 mt-2">
+                    <label className="flex items-center gap-1 text-sm text-gray-600">
+                      <input
+                        type="checkbox"
+                        checked={loFiFilters}
+                        onChange={(e) => setLoFiFilters(e.target.checked)}
+                      />
+                      Converter filters
+                    </label>
+                    <label className="flex items-center gap-1 text-sm text-gray-600">
+                      <input
+                        type="checkbox"
+                        checked={loFiDither}
+                        onChange={(e) => setLoFiDither(e.target.checked)}
+                      />
+                      Dither + noise shaping
+                    </label>
+                  </div>
+                  <p className="text-xs text-gray-500 mt-1 text-center">
+                    Used by the tone variation; turn the filters off for raw aliasing
+                  </p>
+                </div>
+                
+                {/* Saturation curve */}
+                <div className="mt-4">
+                  <h3 className="text-lg font-semibold mb-2">Saturation</h3>
+                  <select
+                    value={distortionCurve}
+                    onChange={(e) => setDistortionCurve(e.target.value)}
+                    className="w-full border rounded-md px-2 py-1 text-sm bg-white"
+                  >
+                    {distortionCurves.map((curve) => (
+                      <option key={curve} value={curve}>
+                        {CURVE_NAMES[curve] || curve}
+                      </option>
+                    ))}
+                  </select>
+                  <p className="text-xs text-gray-500 mt-1 text-center">
+                    Curve used by the extreme variation
+                  </p>
+                </div>
+                
+                {/* Stereo imaging */}
+                <div className="mt-4">
+                  <h3 className="text-lg font-semibold mb-2">Stereo</h3>
+                  <div className="flex items-center">
+                    <span className="text-sm text-gray-500 w-24">Width</span>
+                    <input
+                      type="range"
+                      min="0"
+                      max="2"
+                      step="0.05"
+                      value={stereoWidth}
+                      onChange={(e) => setStereoWidth(parseFloat(e.target.value))}
+                      className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
+                    />
+                    <span className="text-xs text-gray-500 ml-2 w-12 text-right">{Math.round(stereoWidth * 100)}%</span>
+                  </div>
+                  <div className="flex items-center mt-2">
+                    <span className="text-sm text-gray-500 w-24">Mono → stereo</span>
+                    <input
+                      type="range"
+                      min="0"
+                      max="1"
+                      step="0.05"
+                      value={decorrelation}
+                      onChange={(e) => setDecorrelation(parseFloat(e.target.value))}
+                      className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
+                    />
+                    <span className="text-xs text-gray-500 ml-2 w-12 text-right">{Math.round(decorrelation * 100)}%</span>
+                  </div>
+                  <div className="flex items-center mt-2">
+                    <span className="text-sm text-gray-500 w-24">Haas</span>
+                    <input
+                      type="range"
+                      min="0"
+                      max="30"
+                      step="1"
+                      value={haasTime}
+                      onChange={(e) => setHaasTime(parseFloat(e.target.value))}
+                      className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
+                    />
+                    <span className="text-xs text-gray-500 ml-2 w-12 text-right">{haasTime ? `${haasTime}ms` : 'off'}</span>
+                  </div>
+                  <div className="flex items-center gap-2 mt-2">
+                    <label htmlFor="autoPanSelect" className="text-sm text-gray-500 w-24">Auto-pan</label>
+                    <select
+                      id="autoPanSelect"
+                      value={autoPanDivision}
+                      onChange={(e) => setAutoPanDivision(e.target.value)}
+                      disabled={!bpm}
+                      className="flex-1 border rounded-md px-2 py-1 text-sm bg-white"
+                    >
+                      <option value="off">Off</option>
+                      <option value="1/8">1/8</option>
+                      <option value="1/4">1/4</option>
+                      <option value="1/2">1/2</option>
+                      <option value="1/1">1 bar</option>
+                    </select>
+                  </div>
+                  <p className="text-xs text-gray-500 mt-1 text-center">
+                    Used by the stereo variation; auto-pan syncs to the tempo
+                  </p>
+                </div>
+                
+                {/* Loudness normalization */}
+                <div className="mt-4">
+                  <h3 className="text-lg font-semibold mb-2">Loudness</h3>
+                  <select
+                    value={normalizeMode}
+                    onChange={(e) => setNormalizeMode(e.target.value)}
+                    className="w-full border rounded-md px-2 py-1 text-sm bg-white"
+                  >
+                    {normalizeModes.map((mode) => (
+                      <option key={mode.id} value={mode.id}>
+                        {mode.id === 'off' ? 'No normalization' : `Normalize ${mode.name} (${mode.unit})`}
+                      </option>
+                    ))}
+                  </select>
+                  {normalizeMode !== 'off' && !matchLoudness && (
+                    <div className="flex items-center mt-2">
+                      <span className="text-sm text-gray-500 w-24">Target</span>
+                      <input
+                        type="range"
+                        min={NORMALIZE_TARGET_RANGES[normalizeMode][0]}
+                        max={NORMALIZE_TARGET_RANGES[normalizeMode][1]}
+                        step="0.5"
+                        value={normalizeTarget}
+                        onChange={(e) => setNormalizeTarget(parseFloat(e.target.value))}
+                        className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
+                      />
+                      <span className="text-xs text-gray-500 ml-2 w-12 text-right">{normalizeTarget}</span>
+                    </div>
+                  ) }
+                  <label className="flex items-center gap-1 text-sm text-gray-600 mt-2">
+                    <input
+                      type="checkbox"
+                      checked={matchLoudness}
+                      onChange={(e) => setMatchLoudness(e.target.checked)}
+                    />
+                    Match variations to the original
+                  </label>
+                  <p className="text-xs text-gray-500 mt-1 text-center">
+                    Applied when playing and exporting; matching uses the mode above (LUFS when off)
+                  </p>
+                </div>
+                
+                {/* Export format */}
+                <div className="mt-4">
+                  <h3 className="text-lg font-semibold mb-2">Export</h3>
+                  <div className="flex items-center gap-2">
+                    <select
+                      value={exportOptions.format}
+                      onChange={(e) => updateExportOptions({ format: e.target.value })}
+                      className="flex-1 border rounded-md px-2 py-1 text-sm bg-white"
+                    >
+                      {exportFormats.map((format) => (
+                        <option key={format.id} value={format.id}>{format.name}</option>
+                      ))}
+                    </select>
+                    <select
+                      value={exportOptions.bitDepth}
+                      onChange={(e) => updateExportOptions({ bitDepth: parseInt(e.target.value, 10) })}
+                      className="flex-1 border rounded-md px-2 py-1 text-sm bg-white"
+                    >
+                      {bitDepths.map((depth) => (
+                        <option
+                          key={depth.id}
+                          value={depth.id}
+                          disabled={!exportFormats.find(format => format.id === exportOptions.format).bitDepths.includes(depth.id)}
+                        >
+                          {depth.name}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                  <label className="flex items-center gap-1 text-sm text-gray-600 mt-2">
+                    <input
+                      type="checkbox"
+                      checked={exportOptions.dither}
+                      disabled={exportOptions.bitDepth === 32}
+                      onChange={(e) => updateExportOptions({ dither: e.target.checked })}
+                    />
+                    Dither
+                  </label>
+                  <p className="text-xs text-gray-500 mt-1 text-center">
+                    Remembered for later exports; FLAC stores 16 or 24-bit only
+                  </p>
+                  <div className="flex items-center gap-2 mt-2">
+                    <label htmlFor="packFolderInput" className="w-16 text-sm text-gray-600">Folder</label>
+                    <input
+                      id="packFolderInput"
+                      type="text"
+                      value={packOptions.folder}
+                      onChange={(e) => updatePackOptions({ folder: e.target.value })}
+                      className="flex-1 border rounded-md px-2 py-1 text-sm"
+                    />
+                  </div>
+                  <div className="flex items-center gap-2 mt-2">
+                    <label htmlFor="packFilenameInput" className="w-16 text-sm text-gray-600">Files</label>
+                    <input
+                      id="packFilenameInput"
+                      type="text"
+                      value={packOptions.filename}
+                      onChange={(e) => updatePackOptions({ filename: e.target.value })}
+                      className="flex-1 border rounded-md px-2 py-1 text-sm"
+                    />
+                  </div>
+                  <p className="text-xs text-gray-500 mt-1 text-center">
+                    Export all names: {packNameTokens.map(token => `{${token}}`).join(' ')}
+                  </p>
+                </div>
+                
+                {/* Glitch effects */}
+                {originalSample && (
+                  <div className="mt-4">
+                    <h3 className="text-lg font-semibold mb-2">Glitch</h3>
+                    <div className="flex items-center gap-2">
+                      <select
+                        value={glitchEffect}
+                        onChange={(e) => setGlitchEffect(e.target.value)}
+                        className="flex-1 border rounded-md px-2 py-1 text-sm bg-white"
+                      >
+                        {glitchEffects.map((effect) => (
+                          <option key={effect.id} value={effect.id}>{effect.name}</option>
+                        ))}
+                      </select>
+                      <select
+                        value={glitchDivision}
+                        onChange={(e) => setGlitchDivision(e.target.value)}
+                        disabled={glitchEffect === 'reverse' || glitchEffect === 'reverseReverb'}
+                        className="border rounded-md px-2 py-1 text-sm bg-white"
+                      >
+                        <option value="1/32">1/32</option>
+                        <option value="1/16">1/16</option>
+                        <option value="1/8">1/8</option>
+                        <option value="1/4">1/4</option>
+                        <option value="1/2">1/2</option>
+                      </select>
+                      <button
+                        className={`py-1 px-3 rounded-md text-sm font-medium ${
+                          !isProcessing
+                            ? 'bg-gray-200 hover:bg-gray-300 text-gray-700'
+                            : 'bg-gray-100 text-gray-400 cursor-not-allowed'
+                        }`}
+                        disabled={isProcessing}
+                        onClick={generateGlitch}
+                      >
+                        Glitch
+                      </button>
+                    </div>
+                    <p className="text-xs text-gray-500 mt-1 text-center">
+                      Lengths follow the tempo{bpm ? ` (${Math.round(bpm)} BPM)` : ' (120 BPM when unknown)'}
+                    </p>
+                  </div>
+                ) }
+                
+                {/* Granular resynthesis */}
+                {originalSample && (
+                  <div className="mt-4">
+                    <h3 className="text-lg font-semibold mb-2">Granular</h3>
+                    {GRANULAR_SLIDERS.map(([setting, label, min, max, step, unit]) => (
+                      <div key={setting} className="flex items-center mt-2">
+                        <span className="text-sm text-gray-500 w-24">{label}</span>
+                        <input
+                          type="range"
+                          min={min}
+                          max={max}
+                          step={step}
+                          value={granularOptions[setting]}
+                          onChange={(e) => updateGranularOptions({ [setting]: parseFloat(e.target.value) })}
+                          className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
+                        />
+                        <span className="text-xs text-gray-500 ml-2 w-12 text-right">
+                          {setting === 'transientTime' && !granularOptions[setting] ? 'off' : `${granularOptions[setting]}${unit}`}
+                        </span>
+                      </div>
+                    ))}
+                    <div className="flex items-center gap-2 mt-2">
+                      <select
+                        value={granularOptions.envelope}
+                        onChange={(e) => updateGranularOptions({ envelope: e.target.value })}
+                        className="flex-1 border rounded-md px-2 py-1 text-sm bg-white"
+                      >
+                        {grainEnvelopes.map((envelope) => (
+                          <option key={envelope} value={envelope}>{ENVELOPE_NAMES[envelope]}</option>
+                        ))}
+                      </select>
+                      <button
+                        className={`py-1 px-3 rounded-md text-sm font-medium ${
+                          !isProcessing
+                            ? 'bg-gray-200 hover:bg-gray-300 text-gray-700'
+                            : 'bg-gray-100 text-gray-400 cursor-not-allowed'
+                        }`}
+                        disabled={isProcessing}
+                        onClick={generateGranular}
+                      >
+                        Granulate
+                      </button>
+                    </div>
+                    <p className="text-xs text-gray-500 mt-1 text-center">
+                      Textures and ghost notes; dry attack keeps the hits punchy
+                    </p>
+                  </div>
+                ) }
+                
+                {/* Synth layers (one-shots only) */}
+                {originalSample && !isLoop && (
+                  <div className="mt-4">
+                    <h3 className="text-lg font-semibold mb-2">Synth Layers</h3>
+                    <p className="text-xs text-gray-500 mb-2">
+                      {sampleFeatures && sampleFeatures.pitch
+                        ? `Detected pitch ${sampleFeatures.pitch.toFixed(1)} Hz, sub at ${synthLayers.sub.frequency.toFixed(1)} Hz`
+                        : `No clear pitch, sub at ${synthLayers.sub.frequency} Hz`}
+                    </p>
+                    {SYNTH_LAYER_CONTROLS.map(([name, label, maxDecay, tuneRange]) => (
+                      <div key={name} className="mt-2">
+                        <div className="flex items-center justify-between">
+                          <label className="flex items-center text-sm font-medium text-gray-700">
+                            <input
+                              type="checkbox"
+                              checked={synthLayers[name].enabled}
+                              onChange={(e) => updateSynthLayer(name, { enabled: e.target.checked })}
+                              className="mr-2"
+                            />
+                            {label}
+                          </label>
+                          {name === 'sub' && (
+                            <select
+                              value={synthLayers.sub.waveform}
+                              onChange={(e) => updateSynthLayer('sub', { waveform: e.target.value })}
+                              className="border rounded-md px-2 py-1 text-sm bg-white"
+                            >
+                              {subWaveforms.map((waveform) => (
+                                <option key={waveform} value={waveform}>
+                                  {waveform.charAt(0).toUpperCase() + waveform.slice(1)}
+                                </option>
+                              ))}
+                            </select>
+                          ) }
+                        </div>
+                        {synthLayers[name].enabled && (
+                          <div>
+                            <div className="flex items-center mt-1">
+                              <span className="text-sm text-gray-500 w-20">Level</span>
+                              <input
+                                type="range"
+                                min="0"
+                                max="1"
+                                step="0.05"
+                                value={synthLayers[name].level}
+                                onChange={(e) => updateSynthLayer(name, { level: parseFloat(e.target.value) })}
+                                className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
+                              />
+                              <span className="text-xs text-gray-500 ml-2 w-12 text-right">{Math.round(synthLayers[name].level * 100)}%</span>
+                            </div>
+                            <div className="flex items-center mt-1">
+                              <span className="text-sm text-gray-500 w-20">Decay</span>
+                              <input
+                                type="range"
+                                min="1"
+                                max={maxDecay}
+                                step="1"
+                                value={synthLayers[name].decay}
+                                onChange={(e) => updateSynthLayer(name, { decay: parseFloat(e.target.value) })}
+                                className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
+                              />
+                              <span className="text-xs text-gray-500 ml-2 w-12 text-right">{synthLayers[name].decay}ms</span>
+                            </div>
+                            <div className="flex items-center mt-1">
+                              <span className="text-sm text-gray-500 w-20">Tune</span>
+                              <input
+                                type="range"
+                                min={-tuneRange}
+                                max={tuneRange}
+                                step="1"
+                                value={synthLayers[name].tune}
+                                onChange={(e) => updateSynthLayer(name, { tune: parseFloat(e.target.value) })}
+                                className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
+                              />
+                              <span className="text-xs text-gray-500 ml-2 w-12 text-right">
+                                {synthLayers[name].tune > 0 ? '+' : ''}{synthLayers[name].tune}st
+                              </span>
+                            </div>
+                          </div>
+                        ) }
+                      </div>
+                    ))}
+                    <button
+                      className={`w-full mt-2 py-1 px-3 rounded-md text-sm font-medium ${
+                        !isProcessing
+                          ? 'bg-gray-200 hover:bg-gray-300 text-gray-700'
+                          : 'bg-gray-100 text-gray-400 cursor-not-allowed'
+                      }`}
+                      disabled={isProcessing}
+                      onClick={generateSynthLayers}
+                    >
+                      Add Layers
+                    </button>
+                    <p className="text-xs text-gray-500 mt-1 text-center">
+                      Tuned sub for kicks, noise burst for snares, click for attack
+                    </p>
+                  </div>
+                ) }
+                
+                {/* Beat shuffle (loops only) */}
+                {originalSample && isLoop && (
+                  <div className="mt-4">
+                    <h3 className="text-lg font-semibold mb-2">Beat Shuffle</h3>
+                    <div className="flex items-center">
+                      <span className="text-sm text-gray-500 mr-2">Tight</span>
+                      <input
+                        type="range"
+                        min="0"
+                        max="1"
+                        step="0.05"
+                        value={shuffleDrift}
+                        onChange={(e) => setShuffleDrift(parseFloat(e.target.value))}
+                        className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
+                      />
+                      <span className="text-sm text-gray-500 ml-2">Wild</span>
+                    </div>
+                    <div className="flex items-center gap-2 mt-2">
+                      <select
+                        value={shuffleRegion}
+                        onChange={(e) => setShuffleRegion(e.target.value)}
+                        className="flex-1 border rounded-md px-2 py-1 text-sm bg-white"
+                      >
+                        <option value="all">Whole loop (B-section)</option>
+                        <option value="lastBar">Last bar only (fill)</option>
+                      </select>
+                      <button
+                        className={`py-1 px-3 rounded-md text-sm font-medium ${
+                          !isProcessing
+                            ? 'bg-gray-200 hover:bg-gray-300 text-gray-700'
+                            : 'bg-gray-100 text-gray-400 cursor-not-allowed'
+                        }`}
+                        disabled={isProcessing}
+                        onClick={generateBeatShuffle}
+                      >
+                        Shuffle
+                      </button>
+                    </div>
+                    <p className="text-xs text-gray-500 mt-1 text-center">
+                      Reorder, repeat, drop and reverse steps on the beat grid
+                    </p>
+                  </div>
+                ) }
+                
+                {/* Groove and humanize (loops only) */}
+                {originalSample && isLoop && (
+                  <div className="mt-4">
+                    <h3 className="text-lg font-semibold mb-2">Groove</h3>
+                    <div className="flex items-center gap-2">
+                      <select
+                        value={grooveTemplate}
+                        onChange={(e) => setGrooveTemplate(e.target.value)}
+                        className="flex-1 border rounded-md px-2 py-1 text-sm bg-white"
+                      >
+                        {grooveTemplates.map((template) => (
+                          <option key={template.id} value={template.id}>{template.name}</option>
+                        ))}
+                        {extractedGroove && (
+                          <option value="extracted">From {extractedGroove.name}</option>
+                        ) }
+                      </select>
+                      <select
+                        value={grooveSteps}
+                        onChange={(e) => setGrooveSteps(parseInt(e.target.value, 10))}
+                        className="border rounded-md px-2 py-1 text-sm bg-white"
+                      >
+                        <option value={4}>1/16</option>
+                        <option value={2}>1/8</option>
+                      </select>
+                      <input 
+                        type="file" 
+                        id="grooveInput"
+                        className="hidden" 
+                        accept="audio/*" 
+                        onChange={handleGrooveInputChange} 
+                      />
+                      <label
+                        htmlFor="grooveInput"
+                        className="py-1 px-3 rounded-md text-sm font-medium bg-gray-200 hover:bg-gray-300 text-gray-700 cursor-pointer"
+                      >
+                        Load
+                      </label>
+                    </div>
+                    <div className="flex items-center mt-2">
+                      <span className="text-sm text-gray-500 w-20">Timing</span>
+                      <input
+                        type="range"
+                        min="0"
+                        max="30"
+                        step="1"
+                        value={humanizeTime}
+                        onChange={(e) => setHumanizeTime(parseFloat(e.target.value))}
+                        className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
+                      />
+                      <span className="text-xs text-gray-500 ml-2 w-12 text-right">{humanizeTime}ms</span>
+                    </div>
+                    <div className="flex items-center mt-2">
+                      <span className="text-sm text-gray-500 w-20">Velocity</span>
+                      <input
+                        type="range"
+                        min="0"
+                        max="0.5"
+                        step="0.01"
+                        value={velocityVariation}
+                        onChange={(e) => setVelocityVariation(parseFloat(e.target.value))}
+                        className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
+                      />
+                      <span className="text-xs text-gray-500 ml-2 w-12 text-right">{Math.round(velocityVariation * 100)}%</span>
+                    </div>
+                    <button
+                      className={`w-full mt-2 py-1 px-3 rounded-md text-sm font-medium ${
+                        !isProcessing
+                          ? 'bg-gray-200 hover:bg-gray-300 text-gray-700'
+                          : 'bg-gray-100 text-gray-400 cursor-not-allowed'
+                      }`}
+                      disabled={isProcessing}
+                      onClick={generateGroove}
+                    >
+                      Apply Groove
+                    </button>
+                    <p className="text-xs text-gray-500 mt-1 text-center">
+                      MPC-style swing, or load another loop to copy its groove
+                    </p>
+                  </div>
+                ) }
               </div>
               
               {/* Right panel - Variations grid */}
               <div className="md:col-span-2">
-                <h2 className="text-xl font-semibold mb-4">Variations</h2>
+                <div className="flex justify-between items-center mb-4">
+                  <h2 className="text-xl font-semibold">Variations</h2>
+                  {originalSample && (
+                    <button
+                      className={`py-1 px-3 rounded-md text-sm font-medium ${
+                        !isProcessing
+                          ? 'bg-blue-600 hover:bg-blue-700 text-white'
+                          : 'bg-gray-300 text-gray-500 cursor-not-allowed'
+                      }`}
+                      disabled={isProcessing}
+                      onClick={exportAll}
+                      title="Download the original and every variation as a ZIP with a manifest"
+                    >
+                      Export all
+                    </button>
+                  ) }
+                </div>
                 
                 {variations.length === 0 ? (
                   <div className="border rounded-lg p-8 bg-gray-50 flex flex-col items-center justify-center h-96">
@@ -204,12 +1048,17 @@ export default function DrumVariationApp() {
                     {variations.map((variation, index) => (
                       <VariationExporter
                         key={index}
-                        variation={variation}
-                        index={index}
+                        file={variationFiles[index]}
+                        buffer={variation}
                         className={`border rounded-md p-3 ${currentlyPlaying === `variation-${index}` ? 'border-green-500 bg-green-50' : 'hover:border-blue-300'}`}
                       >
                         <div className="flex justify-between items-center mb-2">
-                          <h3 className="text-sm font-medium">Variation {index + 1}</h3>
+                          <h3 className="text-sm font-medium">
+                            Variation {index + 1}
+                            {variationDetails[index] && (
+                              <span className="ml-1 text-xs font-normal text-gray-500">{variationDetails[index].recipe}</span>
+                            ) }
+                          </h3>
                           <div className="flex gap-1">
                             <button
                               className={`p-1 rounded-full ${currentlyPlaying === `variation-${index}` ? 'bg-red-500 text-white' : 'bg-green-500 text-white'}`}
@@ -246,11 +1095,79 @@ export default function DrumVariationApp() {
                             onPlaybackComplete={stopPlayback}
                           />
                         </div>
-                        <p className="text-xs text-gray-500 mt-1 text-center">Drag to export</p>
+                        <div className="flex justify-between items-center mt-1">
+                          <p className="text-xs text-gray-500">{variationFiles[index] ? 'Drag to export' : 'Preparing...'}</p>
+                          <div className="flex items-center gap-2">
+                            {loudness[index] && (
+                              <span className="text-xs text-gray-400" title="Integrated loudness (before normalization)">
+                                {formatLevel(loudness[index].lufs)} LUFS
+                              </span>
+                            ) }
+                            {correlations[index] && (
+                              <span
+                                className={`text-xs ${correlations[index].minCorrelation < 0 ? 'text-red-600' : 'text-gray-400'}`}
+                                title="Phase correlation (1 = mono, below 0 = parts cancel when summed to mono)"
+                              >
+                                {correlations[index].minCorrelation < 0 ? 'Mono risk ' : 'Corr '}
+                                {correlations[index].correlation.toFixed(2)}
+                              </span>
+                            ) }
+                          </div>
+                        </div>
                       </VariationExporter>
                     ))}
                   </div>
                 )}
+                
+                {/* Layer mixer */}
+                {originalSample && variations.length > 0 && (
+                  <div className="mt-8">
+                    <h2 className="text-xl font-semibold mb-4">Layers</h2>
+                    <LayerBuilder
+                      layers={layers}
+                      variationCount={variations.length}
+                      align={alignLayers}
+                      alignments={layerAlignments}
+                      disabled={isProcessing}
+                      onAdd={addLayer}
+                      onUpdate={updateLayer}
+                      onRemove={removeLayer}
+                      onAlignChange={setAlignLayers}
+                      onRender={renderLayers}
+                    />
+                  </div>
+                ) }
+                
+                {/* Batch queue */}
+                {batch.length > 0 && (
+                  <div className="mt-8">
+                    <h2 className="text-xl font-semibold mb-4">Batch</h2>
+                    <BatchQueue
+                      items={batch}
+                      drumTypes={drumTypes}
+                      disabled={isProcessing}
+                      onOpen={handleOpenBatchItem}
+                      onClear={clearBatch}
+                      onExport={exportBatch}
+                    />
+                  </div>
+                ) }
+                
+                {/* Loop slicer */}
+                {originalSample && isLoop && (
+                  <div className="mt-8">
+                    <h2 className="text-xl font-semibold mb-4">Slices</h2>
+                    <SliceList
+                      slices={slices}
+                      currentlyPlaying={currentlyPlaying}
+                      disabled={isProcessing}
+                      onSlice={sliceLoop}
+                      onPlay={playSlice}
+                      onStop={stopPlayback}
+                      onExport={exportSlice}
+                    />
+                  </div>
+                ) }
               </div>
             </div>
           </div>
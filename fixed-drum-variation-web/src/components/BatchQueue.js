@@ -0,0 +1,81 @@
+'use client';
+
+import React from 'react';
+
+// Display text of each batch status
+const STATUS_LABELS = {
+  queued: 'Queued',
+  processing: 'Generating',
+  done: 'Done',
+  error: 'Failed'
+};
+
+export default function BatchQueue({ items, drumTypes, disabled, onOpen, onClear, onExport }) {
+  const processed = items.filter(item => item.status === 'done').length;
+  const finished = items.every(item => item.status === 'done' || item.status === 'error');
+  const typeName = (type) => (drumTypes.find(entry => entry.id === type) || { name: type }).name;
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-4 mb-4">
+        <button
+          className={`py-2 px-4 rounded-md font-medium ${
+            processed > 0 && !disabled
+              ? 'bg-blue-600 hover:bg-blue-700 text-white'
+              : 'bg-gray-300 text-gray-500 cursor-not-allowed'
+          }`}
+          disabled={processed === 0 || disabled}
+          onClick={onExport}
+          title="Download every processed file's original and variations as a ZIP, in their folders"
+        >
+          Export batch
+        </button>
+        <button
+          className="py-2 px-4 rounded-md font-medium bg-gray-100 hover:bg-gray-200 text-gray-700"
+          onClick={onClear}
+        >
+          {finished ? 'Clear' : 'Cancel queued'}
+        </button>
+        <span className="text-sm text-gray-500">
+          {processed} of {items.length} files processed
+        </span>
+      </div>
+
+      <div className="space-y-2">
+        {items.map((item) => (
+          <div key={item.id} className="border rounded-md p-2">
+            <div className="flex justify-between items-center gap-2">
+              <span className="text-sm font-medium truncate" title={item.path}>{item.path}</span>
+              <div className="flex items-center gap-2 flex-shrink-0">
+                <span className={`text-xs ${item.status === 'error' ? 'text-red-600' : 'text-gray-500'}`}>
+                  {STATUS_LABELS[item.status]}
+                  {item.status === 'done' && ` · ${typeName(item.drumType)} · ${item.recipes.length} variations`}
+                </span>
+                {item.status === 'done' && (
+                  <button
+                    className="text-xs text-blue-600 hover:text-blue-800"
+                    disabled={disabled}
+                    onClick={() => onOpen(item)}
+                  >
+                    Open
+                  </button>
+                ) }
+              </div>
+            </div>
+            {item.status === 'processing' && (
+              <div className="w-full h-1 bg-gray-200 rounded mt-2">
+                <div
+                  className="h-1 bg-blue-500 rounded transition-all"
+                  style={{ width: `${Math.round(item.progress * 100)}%` }}
+                />
+              </div>
+            ) }
+            {item.error && (
+              <p className="text-xs text-red-600 mt-1">{item.error}</p>
+            ) }
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
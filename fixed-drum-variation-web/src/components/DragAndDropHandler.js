@@ -1,8 +1,37 @@
 'use client';
 
 import React, { useRef, useEffect } from 'react';
+import { isAudioFile } from '../lib/audioFiles';
 
-export default function DragAndDropHandler({ onFileDrop, children, className }) {
+/**
+ * Read a dropped file or folder (recursively)
+ * @param {FileSystemEntry} entry - Entry from DataTransferItem.webkitGetAsEntry
+ * @returns {Promise<Array>} - Files as { file, path } (path relative to the drop, e.g. 'Kit/Kicks/Kick 1.wav')
+ */
+async function readEntry(entry) {
+  if (entry.isFile) {
+    const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+    return [{ file, path: entry.fullPath.replace(/^\//, '') }];
+  }
+
+  if (entry.isDirectory) {
+    // readEntries hands out a folder in chunks until it returns an empty one
+    const reader = entry.createReader();
+    const children = [];
+    let chunk;
+    do {
+      chunk = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+      children.push(...chunk);
+    } while (chunk.length > 0);
+
+    const nested = await Promise.all(children.map(readEntry));
+    return nested.flat();
+  }
+
+  return [];
+}
+
+export default function DragAndDropHandler({ onFilesDrop, children, className }) {
   const dropZoneRef = useRef(null);
 
   useEffect(() => {
@@ -15,18 +44,31 @@ export default function DragAndDropHandler({ onFileDrop, children, className })
       e.stopPropagation();
     };
 
-    // Handle the drop event
-    const handleDrop = (e) => {
+    // Handle the drop event: every audio file, including those inside dropped folders
+    const handleDrop = async (e) => {
       preventDefault(e);
-      
-      if (e.dataTransfer.files && e.dataTransfer.files.length > 0) {
-        const files = Array.from(e.dataTransfer.files);
-        // Filter for audio files
-        const audioFiles = files.filter(file => file.type.startsWith('audio/'));
-        
+
+      // The entries have to be taken before the first await (the drop data is cleared after the event)
+      const entries = Array.from(e.dataTransfer.items || [])
+        .map(item => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null))
+        .filter(entry => entry);
+      const looseFiles = Array.from(e.dataTransfer.files || []).map(file => ({ file, path: file.name }));
+
+      try {
+        const dropped = entries.length > 0
+          ? (await Promise.all(entries.map(readEntry))).flat()
+          : looseFiles;
+
+        // Filter for audio files, in folder order
+        const audioFiles = dropped
+          .filter(({ file }) => isAudioFile(file))
+          .sort((a, b) => a.path.localeCompare(b.path, undefined, { numeric: true }));
+
         if (audioFiles.length > 0) {
-          onFileDrop(audioFiles[0]); // Pass the first audio file to the handler
+          onFilesDrop(audioFiles);
         }
+      } catch (err) {
+        console.error('Error reading dropped files:', err);
       }
     };
 
@@ -43,7 +85,7 @@ export default function DragAndDropHandler({ onFileDrop, children, className })
       dropZone.removeEventListener('dragleave', preventDefault);
       dropZone.removeEventListener('drop', handleDrop);
     };
-  }, [onFileDrop]);
+  }, [onFilesDrop]);
 
   return (
     <div ref={dropZoneRef} className={className}>
@@ -51,4 +93,3 @@ export default function DragAndDropHandler({ onFileDrop, children, className })
     </div>
   );
 }
-
@@ -0,0 +1,133 @@
+'use client';
+
+import React from 'react';
+
+// Display name of a layer source
+const sourceName = (source) => (source === 'original' ? 'Original' : `Variation ${source + 1}`);
+
+// Display text of a pan position
+const panLabel = (pan) => {
+  if (Math.abs(pan) < 0.01) return 'C';
+  return `${pan < 0 ? 'L' : 'R'}${Math.round(Math.abs(pan) * 100)}`;
+};
+
+export default function LayerBuilder({
+  layers,
+  variationCount,
+  align,
+  alignments,
+  disabled,
+  onAdd,
+  onUpdate,
+  onRemove,
+  onAlignChange,
+  onRender
+}) {
+  const sources = ['original', ...Array.from({ length: variationCount }, (_, i) => i)];
+
+  return (
+    <div>
+      <div className="space-y-2">
+        {layers.map((layer, index) => (
+          <div key={index} className="border rounded-md p-2 flex flex-wrap items-center gap-4">
+            <select
+              value={layer.source}
+              onChange={(e) => onUpdate(index, {
+                source: e.target.value === 'original' ? 'original' : parseInt(e.target.value, 10)
+              })}
+              className="border rounded-md px-2 py-1 text-sm bg-white"
+            >
+              {sources.map((source) => (
+                <option key={source} value={source}>{sourceName(source)}</option>
+              ))}
+            </select>
+            <div className="flex items-center flex-1 min-w-[140px]">
+              <span className="text-sm text-gray-500 mr-2">Gain</span>
+              <input
+                type="range"
+                min="0"
+                max="2"
+                step="0.05"
+                value={layer.gain}
+                onChange={(e) => onUpdate(index, { gain: parseFloat(e.target.value) })}
+                className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
+              />
+              <span className="text-xs text-gray-500 ml-2 w-12 text-right">{Math.round(layer.gain * 100)}%</span>
+            </div>
+            <div className="flex items-center flex-1 min-w-[140px]">
+              <span className="text-sm text-gray-500 mr-2">Pan</span>
+              <input
+                type="range"
+                min="-1"
+                max="1"
+                step="0.05"
+                value={layer.pan}
+                onChange={(e) => onUpdate(index, { pan: parseFloat(e.target.value) })}
+                className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
+              />
+              <span className="text-xs text-gray-500 ml-2 w-12 text-right">{panLabel(layer.pan)}</span>
+            </div>
+            <div className="flex items-center">
+              <span className="text-sm text-gray-500 mr-2">Offset</span>
+              <input
+                type="number"
+                step="0.5"
+                value={layer.offset}
+                onChange={(e) => onUpdate(index, { offset: parseFloat(e.target.value) || 0 })}
+                className="w-16 border rounded-md px-2 py-1 text-sm"
+              />
+              <span className="text-xs text-gray-500 ml-1">ms</span>
+            </div>
+            <button
+              className="p-1 rounded-full bg-gray-200 hover:bg-gray-300 text-gray-700"
+              onClick={() => onRemove(index)}
+              title="Remove layer"
+            >
+              <svg className="w-3 h-3" fill="currentColor" viewBox="0 0 24 24">
+                <path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z" />
+              </svg>
+            </button>
+          </div>
+        ))}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-4 mt-4">
+        <button
+          className="py-2 px-4 rounded-md font-medium bg-gray-200 hover:bg-gray-300 text-gray-700"
+          onClick={() => onAdd(variationCount > 0 ? 0 : 'original')}
+        >
+          Add Layer
+        </button>
+        <label className="flex items-center text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={align}
+            onChange={(e) => onAlignChange(e.target.checked)}
+            className="mr-2"
+          />
+          Align transients and polarity
+        </label>
+        <button
+          className={`py-2 px-4 rounded-md font-medium ml-auto ${
+            !disabled && layers.length > 1
+              ? 'bg-blue-600 hover:bg-blue-700 text-white'
+              : 'bg-gray-300 text-gray-500 cursor-not-allowed'
+          }`}
+          disabled={disabled || layers.length < 2}
+          onClick={onRender}
+        >
+          Render Layers
+        </button>
+      </div>
+
+      {align && alignments.length > 1 && (
+        <p className="text-xs text-gray-500 mt-2">
+          Last mix: {alignments.slice(1).map((alignment) => (
+            `${sourceName(alignment.source)} ${alignment.offset >= 0 ? '+' : ''}${alignment.offset.toFixed(1)}ms` +
+            `${alignment.inverted ? ' (polarity flipped)' : ''}`
+          )).join(', ')}
+        </p>
+      ) }
+    </div>
+  );
+}
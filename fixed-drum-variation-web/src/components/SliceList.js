@@ -0,0 +1,100 @@
+'use client';
+
+import React, { useState } from 'react';
+import WaveformDisplay from './WaveformDisplay';
+
+export default function SliceList({ slices, currentlyPlaying, disabled, onSlice, onPlay, onStop, onExport }) {
+  const [sensitivity, setSensitivity] = useState(0.5);
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-4 mb-4">
+        <button
+          className={`py-2 px-4 rounded-md font-medium ${
+            !disabled
+              ? 'bg-blue-600 hover:bg-blue-700 text-white'
+              : 'bg-gray-300 text-gray-500 cursor-not-allowed'
+          }`}
+          disabled={disabled}
+          onClick={() => onSlice(sensitivity)}
+        >
+          Slice Loop
+        </button>
+        <div className="flex items-center flex-1 min-w-[200px]">
+          <span className="text-sm text-gray-500 mr-2">Fewer hits</span>
+          <input
+            type="range"
+            min="0"
+            max="1"
+            step="0.05"
+            value={sensitivity}
+            onChange={(e) => setSensitivity(parseFloat(e.target.value))}
+            className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
+          />
+          <span className="text-sm text-gray-500 ml-2">More hits</span>
+        </div>
+      </div>
+
+      {slices.length > 0 && (
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+          {slices.map((slice, index) => {
+            const id = `slice-${index}`;
+            const isPlaying = currentlyPlaying === id;
+
+            return (
+              <div
+                key={`${slice.start}-${slice.end}`}
+                className={`border rounded-md p-2 ${isPlaying ? 'border-green-500 bg-green-50' : 'hover:border-blue-300'}`}
+              >
+                <div className="flex justify-between items-center mb-1">
+                  <h4 className="text-xs font-medium">
+                    Slice {index + 1}
+                    <span className="text-gray-400 ml-1">
+                      {slice.time.toFixed(2)}s · {Math.round(slice.duration * 1000)}ms
+                    </span>
+                  </h4>
+                  <div className="flex gap-1">
+                    <button
+                      className={`p-1 rounded-full ${isPlaying ? 'bg-red-500 text-white' : 'bg-green-500 text-white'}`}
+                      onClick={() => (isPlaying ? onStop() : onPlay(index))}
+                      title={isPlaying ? 'Stop' : 'Play'}
+                    >
+                      {isPlaying ? (
+                        <svg className="w-3 h-3" fill="currentColor" viewBox="0 0 24 24">
+                          <rect x="6" y="4" width="4" height="16" />
+                          <rect x="14" y="4" width="4" height="16" />
+                        </svg>
+                      ) : (
+                        <svg className="w-3 h-3" fill="currentColor" viewBox="0 0 24 24">
+                          <path d="M8 5v14l11-7z" />
+                        </svg>
+                      )}
+                    </button>
+                    <button
+                      className="p-1 rounded-full bg-blue-500 text-white"
+                      onClick={() => onExport(index)}
+                      title="Download"
+                    >
+                      <svg className="w-3 h-3" fill="currentColor" viewBox="0 0 24 24">
+                        <path d="M19 9h-4V3H9v6H5l7 7 7-7zM5 18v2h14v-2H5z" />
+                      </svg>
+                    </button>
+                  </div>
+                </div>
+                <div className="bg-gray-50 rounded">
+                  <WaveformDisplay
+                    audioBuffer={slice.buffer}
+                    color="#f59e0b"
+                    height={40}
+                    playing={isPlaying}
+                    onPlaybackComplete={onStop}
+                  />
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      ) }
+    </div>
+  );
+}
@@ -1,20 +1,20 @@
 'use client';
 
 import React, { useRef } from 'react';
-import useHybridAudioProcessor from '../hooks/useHybridAudioProcessor';
 
-export default function VariationExporter({ variation, index, children, className, onExport }) {
-  const { exportVariation } = useHybridAudioProcessor();
+export default function VariationExporter({ file, buffer, children, className }) {
   const containerRef = useRef(null);
-  
+
+  // Only a file encoded from exactly this buffer may be dragged out (not one left from an earlier run)
+  const ready = !!file && file.buffer === buffer;
+
   // Handle drag start
   const handleDragStart = (e) => {
-    if (!variation) return;
-    
-    // Create a temporary filename for the variation
-    const filename = `drum-variation-${index + 1}.wav`;
-    
-    // Export the variation to a temporary file
+    if (!ready) {
+      e.preventDefault();
+      return;
+    }
+
     try {
       // Set drag image (optional)
       if (containerRef.current) {
@@ -25,31 +25,24 @@ export default function VariationExporter({ variation, index, children, classNam
           e.clientY - rect.top
         );
       }
-      
-      // Set data for drag operation
-      e.dataTransfer.setData('text/plain', filename);
+
+      // DownloadURL hands the encoded file to the drop target (desktop, file manager, DAW)
+      e.dataTransfer.setData('DownloadURL', `${file.mimeType}:${file.filename}:${file.url}`);
+      e.dataTransfer.setData('text/plain', file.filename);
       e.dataTransfer.effectAllowed = 'copy';
-      
-      // Trigger export
-      if (onExport) {
-        onExport(index, filename);
-      } else {
-        exportVariation(index, filename);
-      }
     } catch (err) {
       console.error('Error starting drag operation:', err);
     }
   };
-  
+
   return (
     <div
       ref={containerRef}
       className={className}
-      draggable={!!variation}
+      draggable={ready}
       onDragStart={handleDragStart}
     >
       {children}
     </div>
   );
 }
-
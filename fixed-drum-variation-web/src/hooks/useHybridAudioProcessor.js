@@ -1,8 +1,77 @@
 'use client';
 
-import { useState, useEffect, useRef, useCallback } from 'react';
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import AudioProcessor from '../lib/audioProcessor';
 import MLProcessor from '../lib/mlProcessor';
+import { NOISE_IMPULSE } from '../lib/impulseLibrary';
+import TempoDetector from '../lib/tempoDetector';
+import { GROOVE_TEMPLATES } from '../lib/grooveEngine';
+import { SAMPLER_PRESETS } from '../lib/loFiDegrader';
+import { SATURATION_CURVES } from '../lib/saturator';
+import { GLITCH_EFFECTS } from '../lib/glitchEffects';
+import { GRAIN_ENVELOPES, DEFAULT_GRANULAR_OPTIONS } from '../lib/granularEngine';
+import { SUB_WAVEFORMS, DEFAULT_SYNTH_LAYERS } from '../lib/layerSynth';
+import DrumClassifier, { DRUM_TYPES, isLoopFeatures } from '../lib/drumClassifier';
+import { renderRecipe } from '../lib/variationRecipes';
+import { NORMALIZATION_MODES } from '../lib/loudnessMeter';
+import { EXPORT_FORMATS, BIT_DEPTHS, DEFAULT_EXPORT_OPTIONS, resolveExportOptions } from '../lib/audioEncoder';
+import SamplePack, { DEFAULT_PACK_OPTIONS, PACK_NAME_TOKENS, resolvePackOptions, summarizeFeatures } from '../lib/samplePack';
+import { randomSeed } from '../lib/random';
+import { isAudioFile, sampleNameFromPath } from '../lib/audioFiles';
+
+// Settings of a new layer in the layer mixer
+const DEFAULT_LAYER = { source: 'original', gain: 1, pan: 0, offset: 0 };
+
+// localStorage key the export options are remembered under
+const EXPORT_OPTIONS_KEY = 'drumVariation.exportOptions';
+
+// localStorage key the "Export all" folder and file name templates are remembered under
+const PACK_OPTIONS_KEY = 'drumVariation.packOptions';
+
+// Wait this long after a change before re-rendering the drag-out files (ms), so sliders don't re-encode every step
+const DRAG_FILE_DELAY = 300;
+
+/**
+ * Wait for the next task, so the page can repaint and respond between long steps
+ * @returns {Promise} - Resolves on the next task
+ */
+function nextTask() {
+  return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+/**
+ * Synth layer settings with the frequencies and decays matched to a sample
+ * @param {Object} layers - { sub, noise, click } layer settings
+ * @param {Object} matched - Result of AudioProcessor.matchSynthLayers
+ * @returns {Object} - Matched layer settings
+ */
+function withMatchedLayers(layers, matched) {
+  return {
+    sub: { ...layers.sub, ...matched.sub },
+    noise: { ...layers.noise, ...matched.noise },
+    click: { ...layers.click, ...matched.click }
+  };
+}
+
+/**
+ * Files of a sample pack: the original, then every variation
+ * @param {AudioBuffer} original - Original sample
+ * @param {Array} variations - { buffer, recipe, seed, parameters } per variation
+ * @returns {Array} - Pack entries as { kind, index, buffer, recipe, seed, parameters }
+ */
+function packEntries(original, variations) {
+  return [
+    { kind: 'original', index: 0, buffer: original, recipe: 'Original', seed: null, parameters: null },
+    ...variations.map((variation, index) => ({
+      kind: 'variation',
+      index: index + 1,
+      recipe: null,
+      seed: null,
+      parameters: null,
+      ...variation
+    }))
+  ];
+}
 
 /**
  * Custom hook for using AudioProcessor with ML integration in React components
@@ -12,31 +81,132 @@ export function useHybridAudioProcessor() {
   // Create refs to hold the processor instances
   const audioProcessorRef = useRef(null);
   const mlProcessorRef = useRef(null);
+  const dragFilesRef = useRef(new Map()); // Encoded drag-out files by variation buffer: { buffer, key, url, filename, mimeType }
+  const loudnessRef = useRef(new Map()); // Loudness of the original and the variations by buffer (AudioProcessor.measureLoudness)
+  const batchRunningRef = useRef(false); // A batch file is being processed
+  const batchIdRef = useRef(0); // Last id given to a batch file
+  const playbackSourceRef = useRef(null); // Source playing now, stopped on unmount
   
   // State for tracking audio processing
   const [originalSample, setOriginalSample] = useState(null);
+  const [sampleName, setSampleName] = useState(''); // File name of the original without extension
   const [variations, setVariations] = useState([]);
+  const [variationDetails, setVariationDetails] = useState([]); // How each variation was made: { recipe, seed, parameters }
   const [isProcessing, setIsProcessing] = useState(false);
   const [currentlyPlaying, setCurrentlyPlaying] = useState(null);
   const [playbackSource, setPlaybackSource] = useState(null);
   const [error, setError] = useState(null);
   const [mlBalance, setMlBalance] = useState(0.5); // 0 = all DSP, 1 = all ML
-  const [isLoop, setIsLoop] = useState(false); // Track if current sample is a loop
+  const [detectedDrumType, setDetectedDrumType] = useState(null); // { type, confidence } from DrumClassifier
+  const [drumTypeOverride, setDrumTypeOverride] = useState(null); // Type picked by the user (null = detected)
+  const [bpm, setBpmState] = useState(null); // Tempo of the current sample (null if unknown)
+  const [bpmSource, setBpmSource] = useState(null); // 'filename', 'detected' or 'manual'
+  const [sampleFeatures, setSampleFeatures] = useState(null); // Features of the current sample (MLProcessor.extractFeatures)
+  const [slices, setSlices] = useState([]); // One-shot slices of the current loop
+  const [reverbType, setReverbType] = useState(NOISE_IMPULSE); // Impulse response used by reverb variations
+  const [reverbTypes, setReverbTypes] = useState([]); // Selectable reverb types (IR library)
+  const [shuffleDrift, setShuffleDriftState] = useState(0.3); // How far beat shuffles drift from the original (0-1)
+  const [shuffleRegion, setShuffleRegion] = useState('all'); // 'all' or 'lastBar' (fills)
+  const [grooveTemplate, setGrooveTemplate] = useState('mpc-58'); // Swing template id, or 'extracted'
+  const [grooveSteps, setGrooveSteps] = useState(4); // Swing resolution in steps per beat (4 = sixteenths)
+  const [humanizeTime, setHumanizeTime] = useState(5); // Maximum random timing change in ms
+  const [velocityVariation, setVelocityVariation] = useState(0.15); // Random level change per hit (0-1)
+  const [extractedGroove, setExtractedGroove] = useState(null); // { name, groove } taken from another loop
+  const [loFiPreset, setLoFiPreset] = useState('sp1200'); // Sampler emulated by the lo-fi tone variation
+  const [loFiFilters, setLoFiFilters] = useState(true); // Anti-alias and reconstruction filters on/off
+  const [loFiDither, setLoFiDither] = useState(false); // TPDF dither with noise shaping on/off
+  const [distortionCurve, setDistortionCurve] = useState('soft'); // Saturation curve of the extreme variation
+  const [stereoWidth, setStereoWidth] = useState(1.4); // Mid/side width of the stereo variation (1 = unchanged)
+  const [decorrelation, setDecorrelation] = useState(0.6); // Decorrelated side signal added from the mid (0-1)
+  const [haasTime, setHaasTime] = useState(0); // Haas delay in ms (0 = off)
+  const [autoPanDivision, setAutoPanDivision] = useState('off'); // Tempo-synced auto-pan cycle, or 'off'
+  const [glitchEffect, setGlitchEffect] = useState('stutter'); // Effect used by generateGlitch (see GLITCH_EFFECTS)
+  const [glitchDivision, setGlitchDivision] = useState('1/16'); // Tempo-based length of glitch slices and steps
+  const [granularOptions, setGranularOptions] = useState(DEFAULT_GRANULAR_OPTIONS); // Settings of granular variations
+  const [synthLayers, setSynthLayers] = useState(DEFAULT_SYNTH_LAYERS); // Sub, noise and click layer settings
+  const [layers, setLayers] = useState([DEFAULT_LAYER]); // Layer mixer rows as { source ('original' or variation index), gain, pan, offset (ms) }
+  const [alignLayers, setAlignLayers] = useState(true); // Line layers up on their transients (and fix polarity) before mixing
+  const [layerAlignments, setLayerAlignments] = useState([]); // Shift and polarity applied to each layer of the last mix
+  const [normalizeMode, setNormalizeModeState] = useState('off'); // Loudness normalization of previews and exports (see NORMALIZATION_MODES)
+  const [normalizeTarget, setNormalizeTarget] = useState(null); // Target level in the mode's unit
+  const [matchLoudness, setMatchLoudness] = useState(false); // Match every variation's loudness to the original
+  const [exportOptions, setExportOptions] = useState(DEFAULT_EXPORT_OPTIONS); // Format, bit depth and dither of exported files
+  const [packOptions, setPackOptions] = useState(DEFAULT_PACK_OPTIONS); // Folder and file name templates of "Export all"
+  const [dragFiles, setDragFiles] = useState(new Map()); // Snapshot of dragFilesRef for rendering
+  const [measuredLoudness, setMeasuredLoudness] = useState(new Map()); // Snapshot of loudnessRef for rendering
+  const [batch, setBatch] = useState([]); // Batch queue: { id, path, name, file, status, progress, error, drumType, bpm, seed, parameters, recipes } (no audio: it is rendered again from the seed when needed)
+
+  // Drum type that picks the variation recipe. Loop handling (seamless tails, slicing,
+  // tempo sync, loop metadata) follows the sample itself, not an overridden type.
+  const drumType = drumTypeOverride || (detectedDrumType ? detectedDrumType.type : 'perc');
+  const isLoop = sampleFeatures ? isLoopFeatures(sampleFeatures) : false;
 
   // Initialize the processors
   useEffect(() => {
     audioProcessorRef.current = new AudioProcessor();
     mlProcessorRef.current = new MLProcessor();
+    setReverbTypes(audioProcessorRef.current.getReverbTypes());
     
     // Clean up function
     return () => {
       // Stop any playing audio when component unmounts
-      if (playbackSource) {
-        playbackSource.stop();
+      if (playbackSourceRef.current) {
+        playbackSourceRef.current.stop();
       }
     };
   }, []);
 
+  // Keep the playing source where the unmount clean-up can see it
+  useEffect(() => {
+    playbackSourceRef.current = playbackSource;
+  }, [playbackSource]);
+
+  // Restore the export options of the last session
+  useEffect(() => {
+    try {
+      const saved = window.localStorage.getItem(EXPORT_OPTIONS_KEY);
+      if (saved) {
+        setExportOptions(resolveExportOptions(JSON.parse(saved)));
+      }
+      const savedPack = window.localStorage.getItem(PACK_OPTIONS_KEY);
+      if (savedPack) {
+        setPackOptions(resolvePackOptions(JSON.parse(savedPack)));
+      }
+    } catch (err) {
+      console.error('Error restoring export options:', err);
+    }
+  }, []);
+
+  /**
+   * Change export options and remember them for later sessions
+   * @param {Object} changes - Options to change (format, bitDepth, dither)
+   */
+  const updateExportOptions = useCallback((changes) => {
+    const options = resolveExportOptions({ ...exportOptions, ...changes });
+    setExportOptions(options);
+    
+    try {
+      window.localStorage.setItem(EXPORT_OPTIONS_KEY, JSON.stringify(options));
+    } catch (err) {
+      console.error('Error saving export options:', err);
+    }
+  }, [exportOptions]);
+
+  /**
+   * Change the "Export all" folder and file name templates and remember them for later sessions
+   * @param {Object} changes - Templates to change (folder, filename)
+   */
+  const updatePackOptions = useCallback((changes) => {
+    const options = resolvePackOptions({ ...packOptions, ...changes });
+    setPackOptions(options);
+    
+    try {
+      window.localStorage.setItem(PACK_OPTIONS_KEY, JSON.stringify(options));
+    } catch (err) {
+      console.error('Error saving pack options:', err);
+    }
+  }, [packOptions]);
+
   /**
    * Set the balance between DSP and ML processing
    * @param {number} balance - Balance value (0-1)
@@ -45,44 +215,294 @@ export function useHybridAudioProcessor() {
     setMlBalance(Math.max(0, Math.min(1, balance)));
   }, []);
 
+  /**
+   * Set how far beat-shuffle variations may drift from the original pattern
+   * @param {number} drift - Drift amount (0-1)
+   */
+  const setShuffleDrift = useCallback((drift) => {
+    setShuffleDriftState(Math.max(0, Math.min(1, drift)));
+  }, []);
+
+  /**
+   * Set the loudness normalization mode (and reset the target to the mode's default)
+   * @param {string} mode - Normalization mode id
+   */
+  const setNormalizeMode = useCallback((mode) => {
+    const normalization = NORMALIZATION_MODES.find(entry => entry.id === mode);
+    if (normalization) {
+      setNormalizeModeState(mode);
+      setNormalizeTarget(normalization.target ?? null);
+    }
+  }, []);
+
+  /**
+   * Options for processGroove from the current groove settings
+   */
+  const grooveOptions = useMemo(() => {
+    const template = GROOVE_TEMPLATES.find(t => t.id === grooveTemplate);
+    return {
+      bpm,
+      swing: template ? template.swing : 50,
+      stepsPerBeat: grooveSteps,
+      groove: grooveTemplate === 'extracted' && extractedGroove ? extractedGroove.groove : null,
+      humanizeTime,
+      velocity: velocityVariation
+    };
+  }, [bpm, grooveTemplate, grooveSteps, humanizeTime, velocityVariation, extractedGroove]);
+
+  /**
+   * Recipe settings that don't depend on the sample (shared by the current sample and the batch)
+   */
+  const recipeSettings = useMemo(() => ({
+    mlBalance,
+    reverbType,
+    loFi: { preset: loFiPreset, filters: loFiFilters, dither: loFiDither },
+    distortionCurve,
+    stereo: { width: stereoWidth, decorrelation, haasTime, autoPanDivision },
+    shuffle: { drift: shuffleDrift, region: shuffleRegion },
+    grooveOptions,
+    granularOptions
+  }), [
+    mlBalance,
+    reverbType,
+    loFiPreset,
+    loFiFilters,
+    loFiDither,
+    distortionCurve,
+    stereoWidth,
+    decorrelation,
+    haasTime,
+    autoPanDivision,
+    shuffleDrift,
+    shuffleRegion,
+    grooveOptions,
+    granularOptions
+  ]);
+
+  /**
+   * Phase correlation of each variation (mono compatibility check)
+   */
+  const correlations = useMemo(() => (
+    variations.map(variation => audioProcessorRef.current.measureCorrelation(variation))
+  ), [variations]);
+
+  // Measure the loudness of the original and each variation outside of rendering (true
+  // peak and BS.1770 gating take a while on long loops): one buffer at a time, with the
+  // page given a chance to respond in between. Measurements are cached per buffer.
+  useEffect(() => {
+    const cache = loudnessRef.current;
+    const buffers = originalSample ? [originalSample, ...variations] : variations;
+    let cancelled = false;
+    
+    const current = new Set(buffers);
+    for (const buffer of cache.keys()) {
+      if (!current.has(buffer)) cache.delete(buffer);
+    }
+    
+    const measureMissing = async () => {
+      for (const buffer of buffers) {
+        if (cache.has(buffer)) continue;
+        await nextTask();
+        if (cancelled) return;
+        cache.set(buffer, audioProcessorRef.current.measureLoudness(buffer));
+      }
+      // Also shows what getLoudness measured on demand in the meantime
+      setMeasuredLoudness(new Map(cache));
+    };
+    
+    measureMissing().catch(err => console.error('Error measuring loudness:', err));
+    return () => {
+      cancelled = true;
+    };
+  }, [originalSample, variations]);
+
+  /**
+   * Loudness of a buffer, measured now if the background measurement hasn't got to it yet
+   * @param {AudioBuffer} buffer - Original or variation
+   * @returns {Object} - { peak, truePeak, rms, lufs } (see AudioProcessor.measureLoudness)
+   */
+  const getLoudness = useCallback((buffer) => {
+    const cache = loudnessRef.current;
+    if (!cache.has(buffer)) {
+      cache.set(buffer, audioProcessorRef.current.measureLoudness(buffer));
+    }
+    return cache.get(buffer);
+  }, []);
+
+  /**
+   * Loudness of the original (reference for matchLoudness); null until it is measured
+   */
+  const originalLoudness = (originalSample && measuredLoudness.get(originalSample)) || null;
+
+  /**
+   * Loudness of each variation (null until it is measured)
+   */
+  const loudness = useMemo(() => (
+    variations.map(variation => measuredLoudness.get(variation) || null)
+  ), [variations, measuredLoudness]);
+
+  /**
+   * Apply the loudness settings to a buffer before it is played or exported (with
+   * normalization off too, a buffer over the true peak ceiling is turned down)
+   * @param {AudioBuffer} buffer - Buffer to play or export
+   * @param {Object} reference - Loudness of the original to match (defaults to the current sample's)
+   * @returns {AudioBuffer} - Normalized buffer
+   */
+  const prepareOutput = useCallback((buffer, reference = null) => (
+    audioProcessorRef.current.normalizeBuffer(buffer, {
+      mode: normalizeMode,
+      target: normalizeTarget,
+      reference: matchLoudness ? reference || getLoudness(originalSample) : null
+    })
+  ), [normalizeMode, normalizeTarget, matchLoudness, originalSample, getLoudness]);
+
+  /**
+   * Sampler/DAW metadata (tempo, loop points, slice markers, root note, names) for an
+   * exported buffer; only WAV files carry it
+   * @param {AudioBuffer} buffer - Buffer as it will be exported
+   * @param {Object} details - { name, recipe, isLoop } of the exported sample
+   * @returns {Object|null} - Metadata for AudioProcessor.exportBuffer
+   */
+  const getExportMetadata = useCallback((buffer, details) => (
+    exportOptions.format === 'wav'
+      ? audioProcessorRef.current.exportMetadata(buffer, { bpm, source: sampleName, ...details })
+      : null
+  ), [exportOptions.format, bpm, sampleName]);
+
   /**
    * Load an audio file
    * @param {File} file - The audio file to load
+   * @returns {Promise<AudioBuffer|null>} - The loaded sample (null if it could not be loaded)
    */
   const loadAudioFile = useCallback(async (file) => {
-    if (!file) return;
+    if (!file) return null;
     
     try {
       setError(null);
       setIsProcessing(true);
       
       // Check if file is an audio file
-      if (!file.type.startsWith('audio/')) {
+      if (!isAudioFile(file)) {
         throw new Error('File is not an audio file');
       }
       
       // Load the audio file
       const buffer = await audioProcessorRef.current.loadAudioFile(file);
       setOriginalSample(buffer);
+      setSampleName(file.name.replace(/\.[^.]+$/, ''));
       
-      // Detect if this is likely a loop
+      // Detect the drum type, and tell loops from one-shots
       const features = await mlProcessorRef.current.extractFeatures(buffer);
-      const detectedIsLoop = mlProcessorRef.current.isLikelyLoop(features);
-      setIsLoop(detectedIsLoop);
+      const classification = new DrumClassifier().classify(features);
+      const detectedIsLoop = isLoopFeatures(features);
+      setDetectedDrumType({ type: classification.type, confidence: classification.confidence });
+      setDrumTypeOverride(null);
+      setSampleFeatures(features);
+      
+      // Tune the synth layers to the new sample (pitch and decay)
+      const matched = audioProcessorRef.current.matchSynthLayers(features);
+      setSynthLayers(previous => withMatchedLayers(previous, matched));
       
-      console.log(`Loaded audio file: ${file.name}, duration: ${buffer.duration.toFixed(2)}s, detected as ${detectedIsLoop ? 'loop' : 'one-shot'}`);
+      // Detect the tempo (a BPM tag in the filename wins over the estimate)
+      let tempo = { bpm: TempoDetector.parseBpmFromFilename(file.name), source: 'filename' };
+      if (detectedIsLoop) {
+        tempo = new TempoDetector().detect(features, buffer.sampleRate, { fileName: file.name });
+      }
+      setBpmState(tempo.bpm);
+      setBpmSource(tempo.bpm ? tempo.source : null);
+      
+      console.log(`Loaded audio file: ${file.name}, duration: ${buffer.duration.toFixed(2)}s, detected as ${classification.type}${tempo.bpm ? `, ${tempo.bpm} BPM (${tempo.source})` : ''}`);
       
-      // Reset variations when loading a new sample
+      // Reset variations and slices when loading a new sample
       setVariations([]);
+      setVariationDetails([]);
+      setSlices([]);
+      setLayers([DEFAULT_LAYER]);
+      setLayerAlignments([]);
       
+      return buffer;
     } catch (err) {
       console.error('Error loading audio file:', err);
       setError(err.message || 'Failed to load audio file');
+      return null;
     } finally {
       setIsProcessing(false);
     }
   }, []);
 
+  /**
+   * Correct the tempo of the current sample
+   * @param {number|null} value - Tempo in BPM (null clears it)
+   */
+  const setBpm = useCallback((value) => {
+    const parsed = parseFloat(value);
+    if (Number.isFinite(parsed) && parsed > 0) {
+      setBpmState(parsed);
+      setBpmSource('manual');
+    } else {
+      setBpmState(null);
+      setBpmSource(null);
+    }
+  }, []);
+
+  /**
+   * Load an impulse response file and select it as the reverb type
+   * @param {File} file - The impulse response audio file
+   */
+  const loadImpulseResponse = useCallback(async (file) => {
+    if (!file) return;
+    
+    try {
+      setError(null);
+      
+      if (!isAudioFile(file)) {
+        throw new Error('Impulse response is not an audio file');
+      }
+      
+      const id = await audioProcessorRef.current.loadImpulseResponse(file);
+      setReverbTypes(audioProcessorRef.current.getReverbTypes());
+      setReverbType(id);
+    } catch (err) {
+      console.error('Error loading impulse response:', err);
+      setError(err.message || 'Failed to load impulse response');
+    }
+  }, []);
+
+  /**
+   * Take the groove from another loop and select it as the groove template
+   * @param {File} file - Audio file of the loop to take the groove from
+   */
+  const loadGrooveFile = useCallback(async (file) => {
+    if (!file) return;
+    
+    try {
+      setError(null);
+      setIsProcessing(true);
+      
+      if (!isAudioFile(file)) {
+        throw new Error('Groove source is not an audio file');
+      }
+      
+      const buffer = await audioProcessorRef.current.decodeAudioFile(file);
+      
+      // The groove source has its own tempo
+      const features = await mlProcessorRef.current.extractFeatures(buffer);
+      const tempo = new TempoDetector().detect(features, buffer.sampleRate, { fileName: file.name });
+      
+      const groove = audioProcessorRef.current.extractGroove(buffer, {
+        bpm: tempo.bpm,
+        stepsPerBeat: grooveSteps
+      });
+      setExtractedGroove({ name: file.name.replace(/\.[^.]+$/, ''), groove });
+      setGrooveTemplate('extracted');
+    } catch (err) {
+      console.error('Error extracting groove:', err);
+      setError(err.message || 'Failed to extract groove');
+    } finally {
+      setIsProcessing(false);
+    }
+  }, [grooveSteps]);
+
   /**
    * Generate variations of the loaded sample using a hybrid approach
    */
@@ -96,115 +516,286 @@ export function useHybridAudioProcessor() {
       setError(null);
       setIsProcessing(true);
       
-      // Generate variations using both approaches
-      const generatedVariations = [];
-      
-      // Variation 1: Attack-focused variation
-      generatedVariations.push(
-        await mlProcessorRef.current.generateVariation(
-          originalSample, 
-          0.6 * mlBalance,
-          { focus: 'attack' }
-        )
-      );
-      
-      // Variation 2: Decay-focused variation
-      generatedVariations.push(
-        await mlProcessorRef.current.generateVariation(
-          originalSample, 
-          0.7 * mlBalance,
-          { focus: 'decay' }
-        )
-      );
-      
-      // Variation 3: Sustain-focused variation
-      generatedVariations.push(
-        await mlProcessorRef.current.generateVariation(
-          originalSample, 
-          0.65 * mlBalance,
-          { focus: 'sustain' }
-        )
-      );
-      
-      // Variation 4: Release-focused variation
-      generatedVariations.push(
-        await mlProcessorRef.current.generateVariation(
-          originalSample, 
-          0.7 * mlBalance,
-          { focus: 'release' }
-        )
-      );
-      
-      // Variation 5: Tone-focused variation (brighter)
-      const toneVariation = await mlProcessorRef.current.generateVariation(
-        originalSample, 
-        0.8 * mlBalance,
-        { focus: 'tone' }
-      );
-      
-      // Apply additional DSP processing based on ML balance
-      if (mlBalance < 0.7) {
-        // Add bit crushing for more tonal variation
-        generatedVariations.push(
-          await audioProcessorRef.current.processBitCrush(toneVariation, 10)
-        );
-      } else {
-        generatedVariations.push(toneVariation);
+      // Settings the recipe runs with (kept with each variation for the export manifest)
+      const parameters = { drumType, isLoop, bpm, ...recipeSettings, synthLayers };
+      
+      // Render the recipe for the drum type (kicks, hats, loops... each get their own set)
+      const generatedVariations = await renderRecipe(drumType, {
+        ...parameters,
+        audio: audioProcessorRef.current,
+        ml: mlProcessorRef.current,
+        sample: originalSample
+      });
+      
+      setVariations(generatedVariations.map(variation => variation.buffer));
+      setVariationDetails(generatedVariations.map(variation => ({
+        recipe: variation.name,
+        seed: variation.seed,
+        parameters
+      })));
+      
+    } catch (err) {
+      console.error('Error generating variations:', err);
+      setError(err.message || 'Failed to generate variations');
+    } finally {
+      setIsProcessing(false);
+    }
+  }, [originalSample, drumType, isLoop, bpm, recipeSettings, synthLayers]);
+
+  /**
+   * Add another beat-shuffle variation of the loaded loop (a new fill or B-section each time)
+   */
+  const generateBeatShuffle = useCallback(async () => {
+    if (!originalSample) {
+      setError('No sample loaded');
+      return;
+    }
+    
+    try {
+      setError(null);
+      setIsProcessing(true);
+      
+      const seed = randomSeed();
+      const parameters = { bpm, drift: shuffleDrift, region: shuffleRegion };
+      const shuffled = await audioProcessorRef.current.processBeatShuffle(originalSample, { ...parameters, seed });
+      setVariations(previous => [...previous, shuffled]);
+      setVariationDetails(previous => [...previous, { recipe: 'Beat shuffle', seed, parameters }]);
+    } catch (err) {
+      console.error('Error shuffling beats:', err);
+      setError(err.message || 'Failed to shuffle beats');
+    } finally {
+      setIsProcessing(false);
+    }
+  }, [originalSample, bpm, shuffleDrift, shuffleRegion]);
+
+  /**
+   * Add another groove variation of the loaded loop (new humanize on every run)
+   */
+  const generateGroove = useCallback(async () => {
+    if (!originalSample) {
+      setError('No sample loaded');
+      return;
+    }
+    
+    try {
+      setError(null);
+      setIsProcessing(true);
+      
+      const seed = randomSeed();
+      const grooved = await audioProcessorRef.current.processGroove(originalSample, { ...grooveOptions, seed });
+      setVariations(previous => [...previous, grooved]);
+      setVariationDetails(previous => [...previous, { recipe: 'Groove', seed, parameters: grooveOptions }]);
+    } catch (err) {
+      console.error('Error applying groove:', err);
+      setError(err.message || 'Failed to apply groove');
+    } finally {
+      setIsProcessing(false);
+    }
+  }, [originalSample, grooveOptions]);
+
+  /**
+   * Add a glitch variation of the loaded sample using the selected effect
+   */
+  const generateGlitch = useCallback(async () => {
+    if (!originalSample) {
+      setError('No sample loaded');
+      return;
+    }
+    
+    try {
+      setError(null);
+      setIsProcessing(true);
+      
+      const processor = audioProcessorRef.current;
+      const seed = randomSeed();
+      let glitched;
+      switch (glitchEffect) {
+        case 'reverse':
+          glitched = await processor.processReverse(originalSample);
+          break;
+        case 'reverseReverb':
+          glitched = await processor.processReverseReverb(originalSample, isLoop ? 0.2 : 0.3, 0.5, {
+            reverbType,
+            seamless: isLoop,
+            seed
+          });
+          break;
+        case 'tapeStop':
+          glitched = await processor.processTapeStop(originalSample, isLoop ? { bpm, division: glitchDivision } : {});
+          break;
+        case 'retrigger':
+          glitched = await processor.processGatedRetrigger(originalSample, {
+            bpm,
+            division: glitchDivision,
+            duty: 0.6,
+            hold: isLoop ? 2 : 4
+          });
+          break;
+        default:
+          glitched = await processor.processStutter(originalSample, { bpm, division: glitchDivision });
+      }
+      setVariations(previous => [...previous, glitched]);
+      setVariationDetails(previous => [...previous, {
+        recipe: GLITCH_EFFECTS.find(effect => effect.id === glitchEffect).name,
+        seed,
+        parameters: { effect: glitchEffect, division: glitchDivision, bpm, reverbType }
+      }]);
+    } catch (err) {
+      console.error('Error applying glitch effect:', err);
+      setError(err.message || 'Failed to apply glitch effect');
+    } finally {
+      setIsProcessing(false);
+    }
+  }, [originalSample, isLoop, bpm, reverbType, glitchEffect, glitchDivision]);
+
+  /**
+   * Change some of the granular settings
+   * @param {Object} changes - Settings to change (see DEFAULT_GRANULAR_OPTIONS)
+   */
+  const updateGranularOptions = useCallback((changes) => {
+    setGranularOptions(previous => ({ ...previous, ...changes }));
+  }, []);
+
+  /**
+   * Add another granular variation of the loaded sample (new grains on every run)
+   */
+  const generateGranular = useCallback(async () => {
+    if (!originalSample) {
+      setError('No sample loaded');
+      return;
+    }
+    
+    try {
+      setError(null);
+      setIsProcessing(true);
+      
+      const seed = randomSeed();
+      const granular = await audioProcessorRef.current.processGranular(originalSample, { ...granularOptions, seed });
+      setVariations(previous => [...previous, granular]);
+      setVariationDetails(previous => [...previous, { recipe: 'Granular', seed, parameters: granularOptions }]);
+    } catch (err) {
+      console.error('Error generating granular variation:', err);
+      setError(err.message || 'Failed to generate granular variation');
+    } finally {
+      setIsProcessing(false);
+    }
+  }, [originalSample, granularOptions]);
+
+  /**
+   * Change the settings of one synth layer
+   * @param {string} name - 'sub', 'noise' or 'click'
+   * @param {Object} changes - Settings to change ({ enabled, level, decay, tune, waveform, sweep })
+   */
+  const updateSynthLayer = useCallback((name, changes) => {
+    setSynthLayers(previous => ({ ...previous, [name]: { ...previous[name], ...changes } }));
+  }, []);
+
+  /**
+   * Add a variation with the synth layers mixed under the loaded sample
+   */
+  const generateSynthLayers = useCallback(async () => {
+    if (!originalSample) {
+      setError('No sample loaded');
+      return;
+    }
+    
+    try {
+      setError(null);
+      setIsProcessing(true);
+      
+      if (!Object.values(synthLayers).some(layer => layer.enabled)) {
+        throw new Error('Turn on at least one synth layer');
       }
       
-      // Variation 6: Pitch-shifted variation with envelope modifications
-      const pitchShifted = await audioProcessorRef.current.processPitchShift(originalSample, isLoop ? 1 : 3);
-      generatedVariations.push(
-        await mlProcessorRef.current.generateVariation(
-          pitchShifted, 
-          0.5 * mlBalance,
-          { focus: 'balanced' }
-        )
-      );
-      
-      // Variation 7: Reverb with dynamic envelope
-      const reverbed = await audioProcessorRef.current.processReverb(
-        originalSample, 
-        isLoop ? 0.1 : 0.3, 
-        isLoop ? 0.3 : 0.6
-      );
-      generatedVariations.push(
-        await mlProcessorRef.current.generateVariation(
-          reverbed, 
-          0.4 * mlBalance,
-          { focus: isLoop ? 'sustain' : 'release' }
-        )
-      );
-      
-      // Variation 8: Extreme hybrid variation
-      let extreme;
-      if (isLoop) {
-        // For loops, use delay effect with moderate distortion
-        const delayed = await audioProcessorRef.current.processDelay(originalSample, 0.125, 0.3);
-        extreme = await audioProcessorRef.current.processDistortion(delayed, 3);
-      } else {
-        // For one-shots, use heavy distortion with bit crushing
-        const distorted = await audioProcessorRef.current.processDistortion(originalSample, 8);
-        extreme = await audioProcessorRef.current.processBitCrush(distorted, 6);
+      const seed = randomSeed();
+      const layered = await audioProcessorRef.current.processSynthLayers(originalSample, synthLayers, seed);
+      setVariations(previous => [...previous, layered]);
+      setVariationDetails(previous => [...previous, { recipe: 'Synth layers', seed, parameters: synthLayers }]);
+    } catch (err) {
+      console.error('Error adding synth layers:', err);
+      setError(err.message || 'Failed to add synth layers');
+    } finally {
+      setIsProcessing(false);
+    }
+  }, [originalSample, synthLayers]);
+
+  /**
+   * Add a layer to the layer mixer
+   * @param {string|number} source - 'original' or the index of a variation
+   */
+  const addLayer = useCallback((source) => {
+    setLayers(previous => [...previous, { ...DEFAULT_LAYER, source }]);
+  }, []);
+
+  /**
+   * Change the settings of a layer
+   * @param {number} index - Index of the layer
+   * @param {Object} changes - Settings to change ({ source, gain, pan, offset })
+   */
+  const updateLayer = useCallback((index, changes) => {
+    setLayers(previous => previous.map((layer, i) => (i === index ? { ...layer, ...changes } : layer)));
+  }, []);
+
+  /**
+   * Remove a layer from the layer mixer
+   * @param {number} index - Index of the layer
+   */
+  const removeLayer = useCallback((index) => {
+    setLayers(previous => previous.filter((_, i) => i !== index));
+  }, []);
+
+  /**
+   * Mix the layers into a new variation
+   */
+  const renderLayers = useCallback(async () => {
+    if (!originalSample) {
+      setError('No sample loaded');
+      return;
+    }
+    
+    try {
+      setError(null);
+      setIsProcessing(true);
+      
+      // Layers whose variation no longer exists (e.g. after a new sample) are skipped
+      const sources = layers
+        .map(layer => ({ ...layer, buffer: layer.source === 'original' ? originalSample : variations[layer.source] }))
+        .filter(layer => layer.buffer);
+      if (sources.length < 2) {
+        throw new Error('Add at least two layers to mix');
       }
       
-      generatedVariations.push(
-        await mlProcessorRef.current.generateVariation(
-          extreme, 
-          0.9 * mlBalance,
-          { focus: 'balanced' }
-        )
-      );
+      const alignments = alignLayers
+        ? audioProcessorRef.current.alignLayers(sources.map(layer => layer.buffer))
+        : sources.map(() => ({ offset: 0, inverted: false, correlation: null }));
       
-      setVariations(generatedVariations);
+      const mixed = await audioProcessorRef.current.processLayers(sources.map((layer, i) => ({
+        buffer: layer.buffer,
+        gain: layer.gain,
+        pan: layer.pan,
+        offset: layer.offset + alignments[i].offset,
+        inverted: alignments[i].inverted
+      })));
       
+      const appliedAlignments = alignments.map((alignment, i) => ({ ...alignment, source: sources[i].source }));
+      setLayerAlignments(appliedAlignments);
+      setVariations(previous => [...previous, mixed]);
+      // A mix has no randomness of its own, so no seed
+      setVariationDetails(previous => [...previous, {
+        recipe: 'Layer mix',
+        seed: null,
+        parameters: {
+          layers: sources.map(({ source, gain, pan, offset }) => ({ source, gain, pan, offset })),
+          alignments: appliedAlignments
+        }
+      }]);
     } catch (err) {
-      console.error('Error generating variations:', err);
-      setError(err.message || 'Failed to generate variations');
+      console.error('Error mixing layers:', err);
+      setError(err.message || 'Failed to mix layers');
     } finally {
       setIsProcessing(false);
     }
-  }, [originalSample, mlBalance, isLoop]);
+  }, [originalSample, variations, layers, alignLayers]);
 
   /**
    * Play an audio buffer
@@ -226,7 +817,7 @@ export function useHybridAudioProcessor() {
     
     try {
       // Play the buffer
-      const source = audioProcessorRef.current.playBuffer(buffer);
+      const source = audioProcessorRef.current.playBuffer(prepareOutput(buffer));
       setPlaybackSource(source);
       setCurrentlyPlaying(id);
       
@@ -239,7 +830,7 @@ export function useHybridAudioProcessor() {
       console.error('Error playing audio:', err);
       setError(err.message || 'Failed to play audio');
     }
-  }, [currentlyPlaying, playbackSource]);
+  }, [currentlyPlaying, playbackSource, prepareOutput]);
 
   /**
    * Play the original sample
@@ -272,60 +863,597 @@ export function useHybridAudioProcessor() {
   }, [playbackSource]);
 
   /**
-   * Export a variation as a WAV file
+   * Encode a variation as it is exported (loudness settings, format and metadata)
+   * @param {number} index - Index of the variation
+   * @param {string} filename - Filename for the file (the extension follows the format)
+   * @returns {Promise<Object>} - { blob, filename, mimeType }
+   */
+  const renderVariationFile = useCallback(async (index, filename) => {
+    const name = (filename || `drum-variation-${index + 1}`).replace(/\.[^.]+$/, '');
+    const buffer = prepareOutput(variations[index]);
+    const encoded = await audioProcessorRef.current.encodeBuffer(buffer, exportOptions, getExportMetadata(buffer, {
+      name,
+      recipe: variationDetails[index]?.recipe,
+      isLoop
+    }));
+    return {
+      blob: new Blob([encoded.data], { type: encoded.mimeType }),
+      filename: `${name}.${encoded.extension}`,
+      mimeType: encoded.mimeType
+    };
+  }, [variations, variationDetails, isLoop, prepareOutput, exportOptions, getExportMetadata]);
+
+  /**
+   * Everything besides the buffer that changes a variation's encoded file (the
+   * variation's number and recipe are added per file by dragFileKey)
+   */
+  const exportSettingsKey = useMemo(() => JSON.stringify({
+    exportOptions,
+    normalizeMode,
+    normalizeTarget,
+    reference: matchLoudness ? originalLoudness : null,
+    bpm,
+    sampleName,
+    isLoop
+  }), [exportOptions, normalizeMode, normalizeTarget, matchLoudness, originalLoudness, bpm, sampleName, isLoop]);
+
+  /**
+   * Key of the file a variation should be encoded as, to tell whether a cached file is still current
+   * @param {number} index - Index of the variation
+   * @returns {string} - Cache key
+   */
+  const dragFileKey = useCallback((index) => (
+    `${exportSettingsKey}|${index}|${variationDetails[index]?.recipe || ''}`
+  ), [exportSettingsKey, variationDetails]);
+
+  /**
+   * Drag-out file of each variation: null while the file for exactly that buffer
+   * and these settings is still being encoded
+   */
+  const variationFiles = useMemo(() => variations.map((buffer, index) => {
+    const file = dragFiles.get(buffer);
+    return file && file.key === dragFileKey(index) ? file : null;
+  }), [variations, dragFiles, dragFileKey]);
+
+  // Keep every variation encoded as a Blob URL, so a drag can hand the file over the
+  // moment it starts (dragstart can't wait for an encoder). Files are cached per
+  // buffer; only new or changed variations are encoded, one at a time (in the encoder
+  // worker) with the page given a chance to respond in between.
+  useEffect(() => {
+    const cache = dragFilesRef.current;
+    let cancelled = false;
+    
+    // Files of buffers that are gone are never shown again
+    const current = new Set(variations);
+    const previousSize = cache.size;
+    for (const [buffer, file] of cache) {
+      if (!current.has(buffer)) {
+        URL.revokeObjectURL(file.url);
+        cache.delete(buffer);
+      }
+    }
+    if (cache.size !== previousSize) setDragFiles(new Map(cache));
+    
+    const encodeStale = async () => {
+      for (let index = 0; index < variations.length && !cancelled; index++) {
+        const buffer = variations[index];
+        const key = dragFileKey(index);
+        const cached = cache.get(buffer);
+        if (cached && cached.key === key) continue;
+        
+        const file = await renderVariationFile(index);
+        if (cancelled) return; // The next run encodes it again if it is still needed
+        if (cached) URL.revokeObjectURL(cached.url);
+        cache.set(buffer, { buffer, key, url: URL.createObjectURL(file.blob), filename: file.filename, mimeType: file.mimeType });
+        setDragFiles(new Map(cache));
+        
+        await nextTask();
+      }
+    };
+    
+    const timer = setTimeout(() => {
+      encodeStale().catch(err => console.error('Error preparing drag-out files:', err));
+    }, DRAG_FILE_DELAY);
+    
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [variations, renderVariationFile, dragFileKey]);
+
+  // Release the drag-out files when the component unmounts
+  useEffect(() => {
+    const dragFilesCache = dragFilesRef.current;
+    return () => {
+      dragFilesCache.forEach(file => URL.revokeObjectURL(file.url));
+      dragFilesCache.clear();
+    };
+  }, []);
+
+  /**
+   * Export a variation as an audio file (in the current export format)
    * @param {number} index - Index of the variation to export
    * @param {string} filename - Filename for the exported file
    */
-  const exportVariation = useCallback((index, filename) => {
+  const exportVariation = useCallback(async (index, filename) => {
     if (variations && variations[index]) {
       try {
-        audioProcessorRef.current.exportBuffer(
-          variations[index], 
-          filename || `drum-variation-${index + 1}.wav`
-        );
+        const file = await renderVariationFile(index, filename);
+        audioProcessorRef.current.downloadBlob(file.blob, file.filename);
       } catch (err) {
         console.error('Error exporting variation:', err);
         setError(err.message || 'Failed to export variation');
       }
     }
-  }, [variations]);
+  }, [variations, renderVariationFile]);
+
+  /**
+   * Slice the loaded sample into one-shots at its transients
+   * @param {number} sensitivity - Onset sensitivity (0-1, higher finds more hits)
+   */
+  const sliceLoop = useCallback((sensitivity = 0.5) => {
+    if (!originalSample) {
+      setError('No sample loaded');
+      return;
+    }
+    
+    try {
+      setError(null);
+      setSlices(audioProcessorRef.current.sliceLoop(originalSample, { sensitivity }));
+    } catch (err) {
+      console.error('Error slicing loop:', err);
+      setError(err.message || 'Failed to slice loop');
+    }
+  }, [originalSample]);
 
   /**
-   * Export the original sample as a WAV file
+   * Play a specific slice
+   * @param {number} index - Index of the slice to play
+   */
+  const playSlice = useCallback((index) => {
+    if (slices[index]) {
+      playBuffer(slices[index].buffer, `slice-${index}`);
+    }
+  }, [slices, playBuffer]);
+
+  /**
+   * Export a slice as a one-shot audio file
+   * @param {number} index - Index of the slice to export
    * @param {string} filename - Filename for the exported file
    */
-  const exportOriginal = useCallback((filename) => {
+  const exportSlice = useCallback(async (index, filename) => {
+    if (slices[index]) {
+      try {
+        const number = String(index + 1).padStart(2, '0');
+        const name = filename || `${sampleName || 'loop'}-slice-${number}.wav`;
+        const buffer = prepareOutput(slices[index].buffer);
+        await audioProcessorRef.current.exportBuffer(buffer, name, exportOptions, getExportMetadata(buffer, {
+          name: name.replace(/\.[^.]+$/, ''),
+          recipe: `Slice ${index + 1}`,
+          isLoop: false
+        }));
+      } catch (err) {
+        console.error('Error exporting slice:', err);
+        setError(err.message || 'Failed to export slice');
+      }
+    }
+  }, [slices, sampleName, prepareOutput, exportOptions, getExportMetadata]);
+
+  /**
+   * Export the original sample as an audio file
+   * @param {string} filename - Filename for the exported file
+   */
+  const exportOriginal = useCallback(async (filename) => {
     if (originalSample) {
       try {
-        audioProcessorRef.current.exportBuffer(
-          originalSample, 
-          filename || 'original-sample.wav'
-        );
+        const name = filename || 'original-sample.wav';
+        const buffer = prepareOutput(originalSample);
+        await audioProcessorRef.current.exportBuffer(buffer, name, exportOptions, getExportMetadata(buffer, {
+          name: name.replace(/\.[^.]+$/, ''),
+          isLoop
+        }));
       } catch (err) {
         console.error('Error exporting original sample:', err);
         setError(err.message || 'Failed to export original sample');
       }
     }
-  }, [originalSample]);
+  }, [originalSample, isLoop, prepareOutput, exportOptions, getExportMetadata]);
+
+  /**
+   * Encode the files of a sample into a pack (with the export and loudness settings)
+   * @param {SamplePack} pack - Pack to add to (the files go to its current sample)
+   * @param {Array} entries - Files from packEntries
+   * @param {Object} sample - { source, bpm, isLoop, loudness (of the original, for matchLoudness) }
+   * @returns {Promise} - Resolves when every file is added (the page gets a turn after each one)
+   */
+  const addPackFiles = useCallback(async (pack, entries, sample) => {
+    const processor = audioProcessorRef.current;
+    
+    for (const { buffer, ...details } of entries) {
+      const output = prepareOutput(buffer, sample.loudness);
+      const name = pack.nameFile({ number: details.index, recipe: details.recipe });
+      const encoded = await processor.encodeBuffer(output, exportOptions, getExportMetadata(output, {
+        name,
+        recipe: details.kind === 'variation' ? details.recipe : null,
+        isLoop: sample.isLoop,
+        bpm: sample.bpm,
+        source: sample.source
+      }));
+      pack.addFile(`${name}.${encoded.extension}`, encoded.data, {
+        ...details,
+        features: summarizeFeatures(mlProcessorRef.current.extractFeatures(output)),
+        loudness: processor.measureLoudness(output)
+      });
+      await nextTask();
+    }
+  }, [prepareOutput, exportOptions, getExportMetadata]);
+
+  /**
+   * Export the original and every variation as one ZIP file, named by the pack
+   * templates, with a manifest.json listing how each file was made
+   */
+  const exportAll = useCallback(async () => {
+    if (!originalSample) {
+      setError('No sample loaded');
+      return;
+    }
+    
+    try {
+      setError(null);
+      setIsProcessing(true);
+      
+      const pack = new SamplePack(packOptions, { source: sampleName, type: drumType, bpm });
+      const entries = packEntries(originalSample, variations.map((buffer, index) => ({
+        ...variationDetails[index],
+        buffer
+      })));
+      await addPackFiles(pack, entries, { source: sampleName, bpm, isLoop, loudness: getLoudness(originalSample) });
+      
+      const zip = pack.finish({
+        export: exportOptions,
+        normalization: { mode: normalizeMode, target: normalizeTarget, matchLoudness }
+      });
+      audioProcessorRef.current.downloadBlob(new Blob([zip], { type: 'application/zip' }), pack.archiveName);
+    } catch (err) {
+      console.error('Error exporting all samples:', err);
+      setError(err.message || 'Failed to export all samples');
+    } finally {
+      setIsProcessing(false);
+    }
+  }, [
+    originalSample,
+    sampleName,
+    drumType,
+    bpm,
+    isLoop,
+    variations,
+    variationDetails,
+    getLoudness,
+    packOptions,
+    exportOptions,
+    normalizeMode,
+    normalizeTarget,
+    matchLoudness,
+    addPackFiles
+  ]);
+
+  /**
+   * Change a file in the batch queue
+   * @param {number} id - Id of the batch file
+   * @param {Object} changes - Fields to change
+   */
+  const updateBatchItem = useCallback((id, changes) => {
+    setBatch(previous => previous.map(item => (item.id === id ? { ...item, ...changes } : item)));
+  }, []);
+
+  /**
+   * Add files to the batch queue; each gets its variations generated in turn
+   * @param {Array} files - Files as { file, path } (path keeps the folder the file was in)
+   */
+  const queueFiles = useCallback((files) => {
+    const items = files
+      .filter(({ file }) => isAudioFile(file))
+      .map(({ file, path }) => ({
+        id: ++batchIdRef.current,
+        path: path || file.name,
+        name: sampleNameFromPath(path || file.name),
+        file,
+        status: 'queued', // 'queued', 'processing', 'done' or 'error'
+        progress: 0,
+        error: null,
+        drumType: null,
+        bpm: null,
+        seed: null,
+        parameters: null,
+        recipes: []
+      }));
+    setBatch(previous => [...previous, ...items]);
+  }, []);
+
+  /**
+   * Generate the variations of one batch file with the current settings (the drum
+   * type, tempo and synth layer tuning are worked out per file)
+   * @param {Object} item - Batch file
+   */
+  const processBatchItem = useCallback(async (item) => {
+    batchRunningRef.current = true;
+    updateBatchItem(item.id, { status: 'processing', progress: 0 });
+    
+    let result;
+    try {
+      const buffer = await audioProcessorRef.current.decodeAudioFile(item.file);
+      const features = mlProcessorRef.current.extractFeatures(buffer);
+      const type = new DrumClassifier().classify(features).type;
+      const itemIsLoop = isLoopFeatures(features);
+      
+      let tempo = { bpm: TempoDetector.parseBpmFromFilename(item.file.name) };
+      if (itemIsLoop) {
+        tempo = new TempoDetector().detect(features, buffer.sampleRate, { fileName: item.file.name });
+      }
+      
+      const parameters = {
+        drumType: type,
+        isLoop: itemIsLoop,
+        bpm: tempo.bpm,
+        ...recipeSettings,
+        grooveOptions: { ...recipeSettings.grooveOptions, bpm: tempo.bpm },
+        synthLayers: withMatchedLayers(synthLayers, audioProcessorRef.current.matchSynthLayers(features))
+      };
+      
+      const seed = randomSeed();
+      const rendered = await renderRecipe(type, {
+        ...parameters,
+        audio: audioProcessorRef.current,
+        ml: mlProcessorRef.current,
+        sample: buffer,
+        seed
+      }, (done, total) => {
+        updateBatchItem(item.id, { progress: done / total });
+        // Give the page a chance to show the progress before the next step
+        return nextTask();
+      });
+      
+      // Only what the queue shows is kept; the seed renders the same variations again
+      result = {
+        status: 'done',
+        progress: 1,
+        drumType: type,
+        bpm: tempo.bpm,
+        seed,
+        parameters,
+        recipes: rendered.map(variation => variation.name)
+      };
+    } catch (err) {
+      console.error(`Error processing ${item.path}:`, err);
+      result = { status: 'error', error: err.message || 'Failed to process file' };
+    }
+    
+    batchRunningRef.current = false;
+    updateBatchItem(item.id, result);
+  }, [recipeSettings, synthLayers, updateBatchItem]);
+
+  // Work through the batch queue one file at a time
+  useEffect(() => {
+    if (batchRunningRef.current) return;
+    const next = batch.find(item => item.status === 'queued');
+    if (next) {
+      processBatchItem(next);
+    }
+  }, [batch, processBatchItem]);
+
+  /**
+   * Remove every batch file that isn't being processed (queued files are cancelled)
+   */
+  const clearBatch = useCallback(() => {
+    setBatch(previous => previous.filter(item => item.status === 'processing'));
+  }, []);
+
+  /**
+   * Render a processed batch file's variations again from its seed and settings
+   * (the same variations it was processed with)
+   * @param {Object} item - Processed batch file
+   * @param {AudioBuffer} buffer - The file's decoded audio
+   * @returns {Promise<Array>} - { buffer, recipe, seed, parameters } per variation
+   */
+  const renderBatchItem = useCallback(async (item, buffer) => {
+    const rendered = await renderRecipe(item.drumType, {
+      ...item.parameters,
+      audio: audioProcessorRef.current,
+      ml: mlProcessorRef.current,
+      sample: buffer,
+      seed: item.seed
+    }, nextTask);
+    return rendered.map(variation => ({
+      buffer: variation.buffer,
+      recipe: variation.name,
+      seed: variation.seed,
+      parameters: item.parameters
+    }));
+  }, []);
+
+  /**
+   * Make a processed batch file the current sample, with its variations
+   * @param {number} id - Id of the batch file
+   */
+  const openBatchItem = useCallback(async (id) => {
+    const item = batch.find(entry => entry.id === id);
+    if (!item || item.status !== 'done') return;
+    
+    const buffer = await loadAudioFile(item.file);
+    if (!buffer) return;
+    
+    try {
+      setIsProcessing(true);
+      const rendered = await renderBatchItem(item, buffer);
+      setVariations(rendered.map(variation => variation.buffer));
+      setVariationDetails(rendered.map(({ buffer: variationBuffer, ...details }) => details));
+    } catch (err) {
+      console.error(`Error opening ${item.path}:`, err);
+      setError(err.message || 'Failed to open batch file');
+    } finally {
+      setIsProcessing(false);
+    }
+  }, [batch, loadAudioFile, renderBatchItem]);
+
+  /**
+   * Export every processed batch file as one ZIP file; each sample's pack is
+   * placed in the folder the sample was loaded from
+   */
+  const exportBatch = useCallback(async () => {
+    const processed = batch.filter(item => item.status === 'done');
+    if (processed.length === 0) {
+      setError('No processed files in the batch');
+      return;
+    }
+    
+    try {
+      setError(null);
+      setIsProcessing(true);
+      
+      // One file at a time: decoded, rendered again from its seed and encoded, then let go
+      const pack = new SamplePack(packOptions);
+      for (const item of processed) {
+        const original = await audioProcessorRef.current.decodeAudioFile(item.file);
+        const rendered = await renderBatchItem(item, original);
+        pack.addSample({ source: item.name, type: item.drumType, bpm: item.bpm, path: item.path });
+        await addPackFiles(pack, packEntries(original, rendered), {
+          source: item.name,
+          bpm: item.bpm,
+          isLoop: item.parameters.isLoop,
+          loudness: audioProcessorRef.current.measureLoudness(original)
+        });
+      }
+      
+      const zip = pack.finish({
+        export: exportOptions,
+        normalization: { mode: normalizeMode, target: normalizeTarget, matchLoudness }
+      });
+      audioProcessorRef.current.downloadBlob(new Blob([zip], { type: 'application/zip' }), pack.archiveName);
+    } catch (err) {
+      console.error('Error exporting batch:', err);
+      setError(err.message || 'Failed to export batch');
+    } finally {
+      setIsProcessing(false);
+    }
+  }, [batch, packOptions, exportOptions, normalizeMode, normalizeTarget, matchLoudness, addPackFiles, renderBatchItem]);
 
   return {
     // State
     originalSample,
+    sampleName,
     variations,
+    variationDetails,
+    variationFiles,
+    batch,
+    slices,
     isProcessing,
     currentlyPlaying,
     error,
     mlBalance,
     isLoop,
+    drumType,
+    detectedDrumType,
+    drumTypes: DRUM_TYPES,
+    bpm,
+    bpmSource,
+    reverbType,
+    reverbTypes,
+    shuffleDrift,
+    shuffleRegion,
+    grooveTemplate,
+    grooveTemplates: GROOVE_TEMPLATES,
+    grooveSteps,
+    humanizeTime,
+    velocityVariation,
+    extractedGroove,
+    loFiPreset,
+    loFiPresets: SAMPLER_PRESETS,
+    loFiFilters,
+    loFiDither,
+    distortionCurve,
+    distortionCurves: SATURATION_CURVES,
+    stereoWidth,
+    decorrelation,
+    haasTime,
+    autoPanDivision,
+    correlations,
+    glitchEffect,
+    glitchEffects: GLITCH_EFFECTS,
+    glitchDivision,
+    granularOptions,
+    grainEnvelopes: GRAIN_ENVELOPES,
+    sampleFeatures,
+    synthLayers,
+    subWaveforms: SUB_WAVEFORMS,
+    layers,
+    alignLayers,
+    layerAlignments,
+    normalizeMode,
+    normalizeModes: NORMALIZATION_MODES,
+    normalizeTarget,
+    matchLoudness,
+    originalLoudness,
+    loudness,
+    exportOptions,
+    exportFormats: EXPORT_FORMATS,
+    bitDepths: BIT_DEPTHS,
+    packOptions,
+    packNameTokens: PACK_NAME_TOKENS,
     
     // Functions
     loadAudioFile,
+    loadImpulseResponse,
+    setReverbType,
+    setBpm,
+    setDrumTypeOverride,
     generateVariations,
+    generateBeatShuffle,
+    setShuffleDrift,
+    setShuffleRegion,
+    generateGroove,
+    loadGrooveFile,
+    setGrooveTemplate,
+    setGrooveSteps,
+    setHumanizeTime,
+    setVelocityVariation,
+    setLoFiPreset,
+    setLoFiFilters,
+    setLoFiDither,
+    setDistortionCurve,
+    setStereoWidth,
+    setDecorrelation,
+    setHaasTime,
+    setAutoPanDivision,
+    generateGlitch,
+    setGlitchEffect,
+    setGlitchDivision,
+    updateGranularOptions,
+    generateGranular,
+    updateSynthLayer,
+    generateSynthLayers,
+    addLayer,
+    updateLayer,
+    removeLayer,
+    setAlignLayers,
+    renderLayers,
+    setNormalizeMode,
+    setNormalizeTarget,
+    setMatchLoudness,
+    updateExportOptions,
+    updatePackOptions,
     playOriginal,
     playVariation,
     stopPlayback,
     exportVariation,
     exportOriginal,
+    exportAll,
+    queueFiles,
+    clearBatch,
+    openBatchItem,
+    exportBatch,
+    sliceLoop,
+    playSlice,
+    exportSlice,
     setProcessingBalance,
     
     // Raw processor access (for advanced usage)
@@ -0,0 +1,224 @@
+import { describe, it, expect } from 'vitest';
+import { FLACDecoder } from '@wasm-audio-decoders/flac';
+import { AudioEncoder, resolveExportOptions } from '../audioEncoder';
+import { renderBuffer, readChunks } from './testAudio';
+
+// Stereo test signal with a different tone per channel, a quiet tail and overs
+// (which integer formats clip and float keeps)
+function testSignal(sampleRate, duration = 0.05) {
+  return renderBuffer(duration, sampleRate, (t, i, channel) => {
+    const tone = Math.sin(2 * Math.PI * (channel ? 523 : 220) * t);
+    return i % 97 === 0 ? 1.5 * Math.sign(tone || 1) : tone * Math.exp(-40 * t);
+  }, 2);
+}
+
+// Read interleaved samples back into one array per channel
+function deinterleave(view, offset, numChannels, frames, bitDepth, littleEndian) {
+  const channels = Array.from({ length: numChannels }, () => []);
+  const bytesPerSample = bitDepth / 8;
+  for (let i = 0; i < frames; i++) {
+    for (let channel = 0; channel < numChannels; channel++) {
+      const at = offset + (i * numChannels + channel) * bytesPerSample;
+      let value;
+      if (bitDepth === 32) value = view.getFloat32(at, littleEndian);
+      else if (bitDepth === 16) value = view.getInt16(at, littleEndian);
+      else {
+        const [low, high] = littleEndian ? [at, at + 2] : [at + 2, at];
+        value = (view.getInt8(high) << 16) | (view.getUint8(at + 1) << 8) | view.getUint8(low);
+      }
+      channels[channel].push(value);
+    }
+  }
+  return channels;
+}
+
+// Read an 80-bit IEEE extended float (AIFF sample rate)
+function readExtended(view, offset) {
+  const exponent = view.getUint16(offset, false) - 16383;
+  const mantissa = view.getUint32(offset + 2, false) * Math.pow(2, -31)
+    + view.getUint32(offset + 6, false) * Math.pow(2, -63);
+  return mantissa * Math.pow(2, exponent);
+}
+
+// Quantized samples the encoder is expected to store
+function expectedSamples(buffer, bitDepth) {
+  return new AudioEncoder({ format: 'wav', bitDepth, dither: false })
+    .getChannels(buffer)
+    .map(data => Array.from(data));
+}
+
+describe('AudioEncoder', () => {
+  it('rejects unknown formats and bit depths a container cannot store', () => {
+    expect(() => new AudioEncoder({ format: 'mp3' })).toThrow('Unknown export format');
+    expect(() => new AudioEncoder({ format: 'flac', bitDepth: 32 })).toThrow("FLAC export doesn't support 32-bit");
+  });
+
+  it('resolves stale options to ones the container supports', () => {
+    expect(resolveExportOptions({ format: 'flac', bitDepth: 32 })).toEqual({ format: 'flac', bitDepth: 24, dither: true });
+    expect(resolveExportOptions({ format: 'ogg', dither: 0 })).toEqual({ format: 'wav', bitDepth: 24, dither: false });
+  });
+
+  it('quantizes with rounding and clips overs at integer depths', () => {
+    const encoder = new AudioEncoder({ bitDepth: 16, dither: false });
+    const [data] = encoder.getChannels(renderBuffer(5 / 8, 8, (t, i) => [0.5, -0.5, 1.5, -1.5, 1 / 65536][i]));
+    expect(Array.from(data)).toEqual([16384, -16384, 32767, -32768, 1]);
+  });
+
+  it('keeps dither within one step of the rounded value', () => {
+    const buffer = testSignal(44100);
+    const dithered = new AudioEncoder({ bitDepth: 16, dither: true }).getChannels(buffer);
+    const plain = expectedSamples(buffer, 16);
+    dithered.forEach((data, channel) => {
+      data.forEach((value, i) => expect(Math.abs(value - plain[channel][i])).toBeLessThanOrEqual(1));
+    });
+  });
+
+  describe('WAV', () => {
+    for (const bitDepth of [16, 24, 32]) {
+      it(`round-trips ${bitDepth}-bit samples and header fields`, () => {
+        const buffer = testSignal(44100);
+        const file = new AudioEncoder({ format: 'wav', bitDepth, dither: false }).encode(buffer);
+        const { container, type, size, chunks } = readChunks(file, true);
+        expect([container, type, size]).toEqual(['RIFF', 'WAVE', file.byteLength - 8]);
+
+        const fmt = chunks.find(chunk => chunk.id === 'fmt ').data;
+        const blockAlign = 2 * (bitDepth / 8);
+        expect(fmt.byteLength).toBe(bitDepth === 32 ? 18 : 16);
+        expect(fmt.getUint16(0, true)).toBe(bitDepth === 32 ? 3 : 1);
+        expect(fmt.getUint16(2, true)).toBe(2);
+        expect(fmt.getUint32(4, true)).toBe(44100);
+        expect(fmt.getUint32(8, true)).toBe(44100 * blockAlign);
+        expect(fmt.getUint16(12, true)).toBe(blockAlign);
+        expect(fmt.getUint16(14, true)).toBe(bitDepth);
+
+        const fact = chunks.find(chunk => chunk.id === 'fact');
+        if (bitDepth === 32) expect(fact.data.getUint32(0, true)).toBe(buffer.length);
+        else expect(fact).toBeUndefined();
+
+        const data = chunks.find(chunk => chunk.id === 'data').data;
+        expect(data.byteLength).toBe(buffer.length * blockAlign);
+        const samples = deinterleave(data, 0, 2, buffer.length, bitDepth, true);
+        const expected = bitDepth === 32
+          ? buffer.channels.map(channel => Array.from(channel))
+          : expectedSamples(buffer, bitDepth);
+        expect(samples).toEqual(expected);
+      });
+    }
+
+    it('pads an odd-length data chunk', () => {
+      const buffer = renderBuffer(3 / 8000, 8000, () => 0.25);
+      const file = new AudioEncoder({ format: 'wav', bitDepth: 24, dither: false }).encode(buffer);
+      expect(file.byteLength % 2).toBe(0);
+      expect(readChunks(file, true).chunks.find(chunk => chunk.id === 'data').data.byteLength).toBe(9);
+    });
+  });
+
+  describe('AIFF', () => {
+    for (const bitDepth of [16, 24, 32]) {
+      it(`round-trips ${bitDepth}-bit samples and header fields`, () => {
+        const buffer = testSignal(48000);
+        const file = new AudioEncoder({ format: 'aiff', bitDepth, dither: false }).encode(buffer);
+        const { container, type, size, chunks } = readChunks(file, false);
+        expect([container, type, size]).toEqual(['FORM', bitDepth === 32 ? 'AIFC' : 'AIFF', file.byteLength - 8]);
+        expect(chunks.some(chunk => chunk.id === 'FVER')).toBe(bitDepth === 32);
+
+        const comm = chunks.find(chunk => chunk.id === 'COMM').data;
+        expect(comm.getUint16(0, false)).toBe(2);
+        expect(comm.getUint32(2, false)).toBe(buffer.length);
+        expect(comm.getUint16(6, false)).toBe(bitDepth);
+        expect(readExtended(comm, 8)).toBe(48000);
+        if (bitDepth === 32) {
+          expect(String.fromCharCode(...new Uint8Array(comm.buffer, comm.byteOffset + 18, 4))).toBe('fl32');
+        }
+
+        const ssnd = chunks.find(chunk => chunk.id === 'SSND').data;
+        expect(ssnd.getUint32(0, false)).toBe(0);
+        expect(ssnd.getUint32(4, false)).toBe(0);
+        const samples = deinterleave(ssnd, 8, 2, buffer.length, bitDepth, false);
+        const expected = bitDepth === 32
+          ? buffer.channels.map(channel => Array.from(channel))
+          : expectedSamples(buffer, bitDepth);
+        expect(samples).toEqual(expected);
+      });
+    }
+
+    it('stores uncommon sample rates exactly', () => {
+      for (const sampleRate of [8000, 11025, 22050, 37800, 88200, 192000]) {
+        const file = new AudioEncoder({ format: 'aiff', bitDepth: 16 }).encode(renderBuffer(0.001, sampleRate, () => 0));
+        const comm = readChunks(file, false).chunks.find(chunk => chunk.id === 'COMM').data;
+        expect(readExtended(comm, 8)).toBe(sampleRate);
+      }
+    });
+  });
+
+  describe('FLAC', () => {
+    // Decode with an independent decoder and compare with the quantized input
+    async function roundTrip(buffer, bitDepth) {
+      const file = new AudioEncoder({ format: 'flac', bitDepth, dither: false }).encode(buffer);
+      const decoder = new FLACDecoder();
+      await decoder.ready;
+      try {
+        const decoded = await decoder.decodeFile(new Uint8Array(file));
+        expect(decoded.errors).toEqual([]);
+        expect(decoded.sampleRate).toBe(buffer.sampleRate);
+        expect(decoded.samplesDecoded).toBe(buffer.length);
+        // The decoder returns floats scaled by the largest positive value
+        const scale = Math.pow(2, bitDepth - 1) - 1;
+        const samples = decoded.channelData.map(data => Array.from(data, value => Math.round(value * scale)));
+        expect(samples).toEqual(expectedSamples(buffer, bitDepth));
+      } finally {
+        decoder.free();
+      }
+    }
+
+    for (const bitDepth of [16, 24]) {
+      for (const sampleRate of [44100, 48000, 37800, 11025]) {
+        it(`round-trips ${bitDepth}-bit stereo at ${sampleRate}Hz`, () => roundTrip(testSignal(sampleRate, 0.3), bitDepth));
+      }
+    }
+
+    it('round-trips mono, silence and buffers shorter than a block', async () => {
+      await roundTrip(renderBuffer(0.2, 44100, t => 0.8 * Math.sin(2 * Math.PI * 1000 * t)), 16);
+      await roundTrip(renderBuffer(0.2, 44100, () => 0, 2), 24);
+      await roundTrip(renderBuffer(10 / 44100, 44100, (t, i) => (i % 3) * 0.1 - 0.1), 16);
+    });
+
+    it('round-trips noise, which needs verbatim or high-order subframes', async () => {
+      let state = 12345;
+      const noise = () => {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        return state / 1073741824 - 1;
+      };
+      await roundTrip(renderBuffer(0.1, 48000, () => 0.95 * noise(), 2), 24);
+    });
+  });
+});
+
+describe('encoder worker', () => {
+  // The worker script runs once against a stand-in worker scope
+  const messages = [];
+  async function loadWorker() {
+    globalThis.self ??= { postMessage: (message, transfer) => messages.push({ message, transfer }) };
+    await import('../encoderWorker');
+    return { worker: globalThis.self, messages };
+  }
+
+  it('answers with the same file as encoding on the page, transferred', async () => {
+    const { worker, messages } = await loadWorker();
+    const buffer = testSignal(44100);
+    const options = { format: 'flac', bitDepth: 24, dither: false };
+    worker.onmessage({ data: { id: 7, channels: buffer.channels, sampleRate: 44100, options, metadata: null } });
+
+    const { message, transfer } = messages.at(-1);
+    expect(message.id).toBe(7);
+    expect(transfer).toEqual([message.data]);
+    expect(new Uint8Array(message.data)).toEqual(new Uint8Array(new AudioEncoder(options).encode(buffer)));
+  });
+
+  it('answers with the error when encoding fails', async () => {
+    const { worker, messages } = await loadWorker();
+    const options = { format: 'flac', bitDepth: 32 };
+    worker.onmessage({ data: { id: 8, channels: [new Float32Array(4)], sampleRate: 44100, options, metadata: null } });
+    expect(messages.at(-1).message).toEqual({ id: 8, error: "FLAC export doesn't support 32-bit audio" });
+  });
+});
@@ -0,0 +1,25 @@
+import { describe, it, expect } from 'vitest';
+import { isAudioFile, sampleNameFromPath } from '../audioFiles';
+
+describe('isAudioFile', () => {
+  it('trusts the MIME type when the browser reports one', () => {
+    expect(isAudioFile({ name: 'kick.wav', type: 'audio/wav' })).toBe(true);
+    expect(isAudioFile({ name: 'kick', type: 'audio/x-aiff' })).toBe(true);
+    expect(isAudioFile({ name: 'notes.wav', type: 'text/plain' })).toBe(false);
+  });
+
+  it('falls back to the extension without a MIME type', () => {
+    expect(isAudioFile({ name: 'Snare.AIF', type: '' })).toBe(true);
+    expect(isAudioFile({ name: 'loop.flac', type: '' })).toBe(true);
+    expect(isAudioFile({ name: '.DS_Store', type: '' })).toBe(false);
+    expect(isAudioFile({ name: 'README', type: '' })).toBe(false);
+  });
+});
+
+describe('sampleNameFromPath', () => {
+  it('drops the folders and only the last extension', () => {
+    expect(sampleNameFromPath('Kit/Kicks/Kick 1.wav')).toBe('Kick 1');
+    expect(sampleNameFromPath('hat.open.aiff')).toBe('hat.open');
+    expect(sampleNameFromPath('Clap')).toBe('Clap');
+  });
+});
@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import PartitionedConvolver from '../convolver';
+import { createRandom } from '../random';
+
+/**
+ * Direct (time-domain) convolution, for checking the partitioned one against
+ * @param {Float32Array} input - Input audio data
+ * @param {Float32Array} impulse - Impulse response
+ * @returns {Float64Array} - Full convolution
+ */
+function directConvolution(input, impulse) {
+  const output = new Float64Array(input.length + impulse.length - 1);
+  for (let i = 0; i < input.length; i++) {
+    for (let j = 0; j < impulse.length; j++) {
+      output[i + j] += input[i] * impulse[j];
+    }
+  }
+  return output;
+}
+
+/**
+ * Random signal
+ * @param {number} length - Length in samples
+ * @param {number} seed - Random seed
+ * @returns {Float32Array} - Values in -1 to 1
+ */
+function noise(length, seed) {
+  const random = createRandom(seed);
+  return Float32Array.from({ length }, () => random() * 2 - 1);
+}
+
+describe('PartitionedConvolver', () => {
+  it('matches direct convolution across several partitions', () => {
+    const input = noise(3000, 1);
+    const impulse = noise(700, 2);
+    const expected = directConvolution(input, impulse);
+
+    const output = new PartitionedConvolver(impulse, 256).process(input);
+    expect(output).toHaveLength(expected.length);
+    for (let i = 0; i < expected.length; i++) {
+      expect(output[i]).toBeCloseTo(expected[i], 3);
+    }
+  });
+
+  it('passes the input through a unit impulse', () => {
+    const input = noise(1000, 3);
+    const impulse = new Float32Array(512);
+    impulse[0] = 1;
+
+    const output = new PartitionedConvolver(impulse, 128).process(input, input.length);
+    expect(output).toHaveLength(input.length);
+    for (let i = 0; i < input.length; i++) {
+      expect(output[i]).toBeCloseTo(input[i], 5);
+    }
+  });
+
+  it('delays the input by the position of a single impulse tap', () => {
+    const input = noise(500, 4);
+    const impulse = new Float32Array(1000);
+    impulse[600] = 0.5;
+
+    const output = new PartitionedConvolver(impulse, 256).process(input);
+    for (let i = 0; i < input.length; i++) {
+      expect(output[i + 600]).toBeCloseTo(input[i] * 0.5, 5);
+    }
+    expect(output[599]).toBeCloseTo(0, 5);
+  });
+});
@@ -0,0 +1,134 @@
+import { describe, it, expect } from 'vitest';
+import DrumClassifier, { DRUM_TYPES, isLoopFeatures } from '../drumClassifier';
+import MLProcessor from '../mlProcessor';
+import { createRandom } from '../random';
+import { renderBuffer } from './testAudio';
+
+const SAMPLE_RATE = 44100;
+
+/**
+ * One-pole lowpass
+ * @param {Float32Array} data - Input
+ * @param {number} coefficient - Smoothing (0-1, higher = brighter)
+ * @returns {Float32Array} - Filtered copy
+ */
+function lowpass(data, coefficient) {
+  let state = 0;
+  return data.map(value => (state += coefficient * (value - state)));
+}
+
+/**
+ * One-pole highpass
+ * @param {Float32Array} data - Input
+ * @param {number} coefficient - Pole (0-1, higher = lower cutoff)
+ * @returns {Float32Array} - Filtered copy
+ */
+function highpass(data, coefficient) {
+  let state = 0;
+  let previous = 0;
+  return data.map(value => {
+    state = coefficient * (state + value - previous);
+    previous = value;
+    return state;
+  });
+}
+
+/**
+ * Sine with a pitch drop at the start and an exponential decay (kicks, 808s)
+ * @param {number} frequency - Settled frequency in Hz
+ * @param {number} drop - Starting pitch above it in semitones
+ * @param {number} decay - Decay rate (1/s)
+ * @returns {Function} - Renderer for renderBuffer
+ */
+function sweptSine(frequency, drop, decay) {
+  let phase = 0;
+  return (t) => {
+    phase += (frequency * Math.pow(2, (drop * Math.exp(-t / 0.02)) / 12)) / SAMPLE_RATE;
+    return Math.sin(2 * Math.PI * phase) * Math.exp(-t * decay);
+  };
+}
+
+/**
+ * Synthesized one-shot of every drum type
+ * @returns {Object} - Buffers by drum type id
+ */
+function synthesizeDrums() {
+  const random = createRandom(1);
+  const noise = (duration) => Float32Array.from({ length: Math.round(duration * SAMPLE_RATE) }, () => random() * 2 - 1);
+
+  const snareNoise = highpass(noise(0.35), 0.95);
+  const clapNoise = highpass(lowpass(noise(0.4), 0.3), 0.9);
+  const hatNoise = highpass(highpass(noise(0.5), 0.6), 0.6);
+
+  // Three quick bursts, then the tail
+  const clapEnvelope = (t) => (t >= 0.033
+    ? Math.exp(-(t - 0.033) * 12)
+    : [0, 0.011, 0.022].reduce((sum, start) => sum + (t >= start ? Math.exp(-(t - start) * 300) : 0), 0));
+
+  return {
+    kick: renderBuffer(0.5, SAMPLE_RATE, sweptSine(50, 24, 9)),
+    '808': renderBuffer(1.5, SAMPLE_RATE, sweptSine(45, 12, 2)),
+    tom: renderBuffer(0.6, SAMPLE_RATE, (t) => (Math.sin(2 * Math.PI * 130 * t) + 0.2 * Math.sin(2 * Math.PI * 260 * t)) * Math.exp(-t * 7)),
+    snare: renderBuffer(0.35, SAMPLE_RATE, (t, i) => 0.6 * Math.sin(2 * Math.PI * 190 * t) * Math.exp(-t * 30) + snareNoise[i] * Math.exp(-t * 14)),
+    clap: renderBuffer(0.4, SAMPLE_RATE, (t, i) => clapNoise[i] * clapEnvelope(t) * 2),
+    closedHat: renderBuffer(0.12, SAMPLE_RATE, (t, i) => hatNoise[i] * Math.exp(-t * 50)),
+    openHat: renderBuffer(0.5, SAMPLE_RATE, (t, i) => hatNoise[i] * Math.exp(-t * 6)),
+    perc: renderBuffer(0.25, SAMPLE_RATE, (t) => Math.sin(2 * Math.PI * 800 * t) * Math.sin(2 * Math.PI * 1230 * t) * Math.exp(-t * 25))
+  };
+}
+
+/**
+ * Two bars of a 120 BPM beat: kicks on 1 and 3, snares on 2 and 4, eighth note hats
+ * @returns {TestBuffer} - Stereo loop
+ */
+function synthesizeLoop() {
+  const random = createRandom(2);
+  const eighth = 0.25;
+  const hits = [];
+  for (let step = 0; step < 16; step++) {
+    const start = step * eighth;
+    hits.push({ start, length: 0.1, render: (t) => 0.2 * (random() * 2 - 1) * Math.exp(-t / 0.02) });
+    if (step % 4 === 0) {
+      hits.push({ start, length: 0.5, render: (t) => 0.9 * Math.sin(2 * Math.PI * (50 + 100 * Math.exp(-t / 0.03)) * t) * Math.exp(-t / 0.15) });
+    }
+    if (step % 4 === 2) {
+      hits.push({ start, length: 0.3, render: (t) => 0.6 * ((random() * 2 - 1) * 0.7 + Math.sin(2 * Math.PI * 200 * t) * 0.3) * Math.exp(-t / 0.08) });
+    }
+  }
+
+  const mono = new Float32Array(4 * SAMPLE_RATE);
+  for (const hit of hits) {
+    const start = Math.round(hit.start * SAMPLE_RATE);
+    for (let i = 0; i < hit.length * SAMPLE_RATE && start + i < mono.length; i++) {
+      mono[start + i] += hit.render(i / SAMPLE_RATE);
+    }
+  }
+  return renderBuffer(4, SAMPLE_RATE, (t, i) => mono[i], 2);
+}
+
+describe('DrumClassifier', () => {
+  const ml = new MLProcessor();
+  const classifier = new DrumClassifier();
+
+  for (const [type, buffer] of Object.entries(synthesizeDrums())) {
+    it(`recognizes a synthesized ${type}`, () => {
+      const features = ml.extractFeatures(buffer);
+      const result = classifier.classify(features);
+      expect(result.type).toBe(type);
+      expect(result.confidence).toBeGreaterThan(0.5);
+      expect(isLoopFeatures(features)).toBe(false);
+    });
+  }
+
+  it('recognizes a beat as a loop', () => {
+    const features = ml.extractFeatures(synthesizeLoop());
+    expect(isLoopFeatures(features)).toBe(true);
+    expect(classifier.classify(features)).toMatchObject({ type: 'loop', confidence: 1 });
+  });
+
+  it('scores every drum type', () => {
+    const features = ml.extractFeatures(synthesizeDrums().kick);
+    const scores = classifier.score(features);
+    expect(Object.keys(scores).sort()).toEqual(DRUM_TYPES.map(type => type.id).sort());
+  });
+});
@@ -0,0 +1,103 @@
+import { describe, it, expect } from 'vitest';
+import LoudnessMeter, { NORMALIZATION_MODES } from '../loudnessMeter';
+
+const SAMPLE_RATE = 48000;
+
+/**
+ * Sine segments one after the other, as in the EBU Tech 3341 test signals
+ * @param {Array} segments - [level (dBFS), duration (s)] per segment
+ * @param {number} frequency - Frequency in Hz
+ * @param {number} phase - Starting phase in radians
+ * @returns {Float32Array} - Channel data
+ */
+function sineSegments(segments, frequency = 1000, phase = 0) {
+  const length = segments.reduce((sum, [, duration]) => sum + Math.round(duration * SAMPLE_RATE), 0);
+  const data = new Float32Array(length);
+  let offset = 0;
+  for (const [level, duration] of segments) {
+    const amplitude = Math.pow(10, level / 20);
+    const end = offset + Math.round(duration * SAMPLE_RATE);
+    for (let i = offset; i < end; i++) {
+      data[i] = amplitude * Math.sin((2 * Math.PI * frequency * i) / SAMPLE_RATE + phase);
+    }
+    offset = end;
+  }
+  return data;
+}
+
+describe('LoudnessMeter', () => {
+  const meter = new LoudnessMeter(SAMPLE_RATE);
+
+  it('measures a stereo 1kHz sine at -23 dBFS as -23 LUFS', () => {
+    const sine = sineSegments([[-23, 5]]);
+    expect(meter.integratedLoudness([sine, sine])).toBeCloseTo(-23, 1);
+  });
+
+  it('measures a full-scale 997Hz sine in one channel as -3.01 LUFS', () => {
+    const sine = sineSegments([[0, 5]], 997);
+    expect(meter.integratedLoudness([sine, new Float32Array(sine.length)])).toBeCloseTo(-3.01, 1);
+  });
+
+  it('gates quiet passages out relative to the programme (EBU Tech 3341 case 3)', () => {
+    const sine = sineSegments([[-36, 10], [-23, 60], [-36, 10]]);
+    expect(meter.integratedLoudness([sine, sine])).toBeCloseTo(-23, 1);
+  });
+
+  it('averages the parts above the gate by power (EBU Tech 3341 case 5)', () => {
+    const sine = sineSegments([[-26, 20], [-20, 20.1], [-26, 20]]);
+    expect(meter.integratedLoudness([sine, sine])).toBeCloseTo(-23, 1);
+  });
+
+  it('gates silence out and measures only silence as -Infinity', () => {
+    const withSilence = sineSegments([[-23, 20], [-200, 20]]);
+    expect(meter.integratedLoudness([withSilence, withSilence])).toBeCloseTo(-23, 1);
+    expect(meter.integratedLoudness([new Float32Array(SAMPLE_RATE)])).toBe(-Infinity);
+  });
+
+  it('measures hits shorter than a gating block', () => {
+    const hit = sineSegments([[-20, 0.1]]);
+    expect(meter.integratedLoudness([hit, hit])).toBeCloseTo(-20, 0);
+  });
+
+  it('finds the true peak between samples', () => {
+    // A quarter of the sample rate at 45 degrees: every sample is 3dB below the peak
+    const sine = sineSegments([[0, 1]], SAMPLE_RATE / 4, Math.PI / 4);
+    const measurement = meter.measure([sine]);
+    expect(measurement.peak).toBeCloseTo(-3.01, 1);
+    expect(measurement.truePeak).toBeGreaterThan(-0.4);
+    expect(measurement.truePeak).toBeLessThan(0.2);
+  });
+
+  it('measures RMS in dBFS', () => {
+    const sine = sineSegments([[-10, 1]]);
+    expect(meter.measure([sine]).rms).toBeCloseTo(-13.01, 1);
+  });
+
+  describe('normalizationGain', () => {
+    const measurement = { peak: -6, truePeak: -5, rms: -20, lufs: -18 };
+
+    it('brings the mode\'s measurement to the target', () => {
+      expect(meter.normalizationGain(measurement, 'peak', -1)).toBeCloseTo(4);
+      expect(meter.normalizationGain(measurement, 'rms', -22)).toBeCloseTo(-2);
+      expect(meter.normalizationGain(measurement, 'lufs', -23)).toBeCloseTo(-5);
+    });
+
+    it('keeps RMS and LUFS normalization under the true peak ceiling', () => {
+      expect(meter.normalizationGain(measurement, 'lufs', -10)).toBeCloseTo(4.7);
+    });
+
+    it('turns hot samples down to the output ceiling, even with normalization off', () => {
+      const hot = { peak: 1, truePeak: 2, rms: -6, lufs: -5 };
+      expect(meter.normalizationGain(hot, 'off')).toBeCloseTo(-2.1);
+      expect(meter.normalizationGain(hot, 'peak', 0)).toBeCloseTo(-2.1);
+      expect(meter.normalizationGain(measurement, 'off')).toBe(0);
+    });
+
+    it('leaves silence alone', () => {
+      const silence = { peak: -Infinity, truePeak: -Infinity, rms: -Infinity, lufs: -Infinity };
+      for (const mode of NORMALIZATION_MODES) {
+        expect(meter.normalizationGain(silence, mode.id, mode.target)).toBe(0);
+      }
+    });
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import PitchShifter from '../pitchShifter';
+
+const SAMPLE_RATE = 48000;
+
+/**
+ * Sine wave test signal
+ * @param {number} frequency - Frequency in Hz
+ * @param {number} length - Length in samples
+ * @returns {Float32Array} - Sine at half scale
+ */
+function sine(frequency, length) {
+  const data = new Float32Array(length);
+  for (let i = 0; i < length; i++) {
+    data[i] = 0.5 * Math.sin((2 * Math.PI * frequency * i) / SAMPLE_RATE);
+  }
+  return data;
+}
+
+/**
+ * Estimate the frequency of a steady tone from its zero crossings
+ * @param {Float32Array} data - Audio data
+ * @param {number} start - First sample to look at
+ * @param {number} end - Sample after the last one to look at
+ * @returns {number} - Frequency in Hz
+ */
+function zeroCrossingFrequency(data, start, end) {
+  let crossings = 0;
+  for (let i = start + 1; i < end; i++) {
+    if ((data[i] >= 0) !== (data[i - 1] >= 0)) crossings++;
+  }
+  return crossings / 2 / ((end - start) / SAMPLE_RATE);
+}
+
+describe('PitchShifter', () => {
+  it('keeps the length of the input', () => {
+    const shifter = new PitchShifter(SAMPLE_RATE);
+    const input = sine(220, SAMPLE_RATE);
+    for (const semitones of [-12, -5, 3, 7, 12]) {
+      expect(shifter.shift(input, semitones)).toHaveLength(input.length);
+    }
+  });
+
+  it('moves a tone by the given number of semitones', () => {
+    const shifter = new PitchShifter(SAMPLE_RATE);
+    const input = sine(220, SAMPLE_RATE);
+    for (const semitones of [-7, 5, 12]) {
+      const output = shifter.shift(input, semitones);
+      const expected = 220 * Math.pow(2, semitones / 12);
+      const measured = zeroCrossingFrequency(output, SAMPLE_RATE / 4, (SAMPLE_RATE * 3) / 4);
+      expect(Math.abs(measured / expected - 1)).toBeLessThan(0.02);
+    }
+  });
+
+  it('keeps a hit in place on the timeline', () => {
+    const shifter = new PitchShifter(SAMPLE_RATE);
+    const input = new Float32Array(SAMPLE_RATE);
+    const hit = SAMPLE_RATE / 2;
+    input.set(sine(200, 2000).map((value, i) => value * Math.exp(-i / 400)), hit);
+
+    const output = shifter.shift(input, 5);
+    let peak = 0;
+    for (let i = 1; i < output.length; i++) {
+      if (Math.abs(output[i]) > Math.abs(output[peak])) peak = i;
+    }
+    expect(Math.abs(peak - hit)).toBeLessThan(shifter.frameSize);
+  });
+
+  it('copies the input unchanged at 0 semitones', () => {
+    const shifter = new PitchShifter(SAMPLE_RATE);
+    const input = sine(440, 4096);
+    const output = shifter.shift(input, 0);
+    expect(output).not.toBe(input);
+    expect(Array.from(output)).toEqual(Array.from(input));
+  });
+
+  it('resamples inputs too short to stretch', () => {
+    const shifter = new PitchShifter(SAMPLE_RATE);
+    const input = sine(1000, shifter.frameSize);
+    const output = shifter.shift(input, 12);
+    expect(output).toHaveLength(input.length);
+    expect(output[10]).toBeCloseTo(input[20], 5);
+  });
+});
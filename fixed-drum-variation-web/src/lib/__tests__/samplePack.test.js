@@ -0,0 +1,147 @@
+import { describe, it, expect } from 'vitest';
+import { ZipWriter } from '../zipWriter';
+import { SamplePack, formatPackName, sanitizePath, resolvePackOptions, MANIFEST_NAME } from '../samplePack';
+
+// Read a ZIP archive back through its central directory, checking each local header against it
+function readZip(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const end = bytes.length - 22;
+  expect(view.getUint32(end, true)).toBe(0x06054b50);
+  const count = view.getUint16(end + 10, true);
+  expect(view.getUint16(end + 8, true)).toBe(count);
+  const centralSize = view.getUint32(end + 12, true);
+  let offset = view.getUint32(end + 16, true);
+  expect(offset + centralSize).toBe(end);
+
+  const decoder = new TextDecoder();
+  const files = [];
+  for (let index = 0; index < count; index++) {
+    expect(view.getUint32(offset, true)).toBe(0x02014b50);
+    const flags = view.getUint16(offset + 8, true);
+    const method = view.getUint16(offset + 10, true);
+    const crc = view.getUint32(offset + 16, true);
+    const size = view.getUint32(offset + 20, true);
+    expect(view.getUint32(offset + 24, true)).toBe(size);
+    const nameLength = view.getUint16(offset + 28, true);
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+    const local = view.getUint32(offset + 42, true);
+
+    // The local header repeats the central one
+    expect(view.getUint32(local, true)).toBe(0x04034b50);
+    expect(bytes.subarray(local + 4, local + 30 - 4)).toEqual(bytes.subarray(offset + 6, offset + 32 - 4));
+    expect(view.getUint16(local + 28, true)).toBe(0); // No extra field
+    const start = local + 30 + nameLength;
+    files.push({ name, flags, method, crc, time: view.getUint16(offset + 12, true), date: view.getUint16(offset + 14, true), data: bytes.slice(start, start + size) });
+    offset += 46 + nameLength;
+  }
+  return files;
+}
+
+// CRC-32 computed bit by bit, independent of the writer's table
+function referenceCrc(data) {
+  let crc = 0xFFFFFFFF;
+  for (const byte of data) {
+    crc ^= byte;
+    for (let bit = 0; bit < 8; bit++) crc = (crc >>> 1) ^ (0xEDB88320 & -(crc & 1));
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+describe('ZipWriter', () => {
+  it('round-trips stored files with UTF-8 names and CRCs', () => {
+    const zip = new ZipWriter();
+    const binary = Uint8Array.from({ length: 1000 }, (value, i) => (i * 31) & 0xFF);
+    zip.addFile('check.txt', '123456789');
+    zip.addFile('Kicks/Kick 01.wav', binary);
+    zip.addFile('Snares/Caisse claire é.wav', binary.buffer);
+    zip.addFile('empty.txt', '');
+
+    const files = readZip(zip.finish());
+    expect(files.map(file => file.name)).toEqual(['check.txt', 'Kicks/Kick 01.wav', 'Snares/Caisse claire é.wav', 'empty.txt']);
+    expect(files[0].crc).toBe(0xCBF43926); // The CRC-32 check value
+    expect(new TextDecoder().decode(files[0].data)).toBe('123456789');
+    expect(files[1].data).toEqual(binary);
+    for (const file of files) {
+      expect(file.method).toBe(0);
+      expect(file.flags & 0x0800).toBe(0x0800);
+      expect(file.crc).toBe(referenceCrc(file.data));
+    }
+  });
+
+  it('writes the date in MS-DOS format', () => {
+    const zip = new ZipWriter();
+    zip.addFile('a.txt', 'a', new Date(2024, 2, 15, 13, 45, 31));
+    const [file] = readZip(zip.finish());
+    expect(file.date).toBe(((2024 - 1980) << 9) | (3 << 5) | 15);
+    expect(file.time).toBe((13 << 11) | (45 << 5) | 15);
+  });
+
+  it('writes a valid empty archive', () => {
+    expect(readZip(new ZipWriter().finish())).toEqual([]);
+  });
+});
+
+describe('pack names', () => {
+  const fields = { source: 'Kick', type: 'kick', number: 3, recipe: 'Tape', bpm: 127.6, date: new Date('2024-05-06T12:00:00Z') };
+
+  it('fills in every token', () => {
+    expect(formatPackName('{source} {type} {number} {recipe} {bpm} {date}', fields))
+      .toBe('Kick kick 03 Tape 128 BPM 2024-05-06');
+  });
+
+  it('leaves unknown tokens as they are and drops empty ones', () => {
+    expect(formatPackName('{source} {bpm} {mood}', { source: 'Hat' })).toBe('Hat {mood}');
+  });
+
+  it('starts folders only at a / in the template, never at one in a value', () => {
+    expect(formatPackName('{type}/{source}', { ...fields, source: 'AC/DC kick' })).toBe('kick/AC-DC kick');
+    expect(formatPackName('{source}', { source: '../../etc/passwd' })).toBe('..-..-etc-passwd');
+    expect(formatPackName('{source}', { source: 'C:\\Users\\kick' })).toBe('C-Users-kick');
+  });
+
+  it('removes illegal characters, empty parts and parent folders', () => {
+    expect(sanitizePath('a<b>:"c|?*/ /../d. . /e\x01f')).toBe('abc/d/ef');
+    expect(sanitizePath('  spaced   out  ')).toBe('spaced out');
+  });
+
+  it('falls back to the default templates only when they are missing', () => {
+    expect(resolvePackOptions({ folder: '', filename: 5 })).toEqual({ folder: '', filename: '{source} {number} {recipe}' });
+  });
+});
+
+describe('SamplePack', () => {
+  const json = file => JSON.parse(new TextDecoder().decode(file.data));
+
+  it('puts one sample in its folder with numbered duplicate names and a manifest', () => {
+    const pack = new SamplePack({ folder: '{source} pack', filename: '{source}' }, { source: 'Snare', type: 'snare' });
+    for (let index = 0; index < 3; index++) {
+      pack.addFile(`${pack.nameFile({ number: index, recipe: 'Room' })}.wav`, new Uint8Array([index]), { index });
+    }
+    expect(pack.archiveName).toBe('Snare pack.zip');
+
+    const files = readZip(pack.finish({ format: 'wav' }));
+    expect(files.map(file => file.name)).toEqual([
+      'Snare pack/Snare.wav',
+      'Snare pack/Snare 2.wav',
+      'Snare pack/Snare 3.wav',
+      `Snare pack/${MANIFEST_NAME}`
+    ]);
+    const manifest = json(files[3]);
+    expect(manifest).toMatchObject({ source: 'Snare', drumType: 'snare', format: 'wav' });
+    expect(manifest.files.map(file => file.file)).toEqual(['Snare.wav', 'Snare 2.wav', 'Snare 3.wav']);
+  });
+
+  it('keeps the folder each batch sample was loaded from', () => {
+    const pack = new SamplePack({ folder: '{source}', filename: '{source} {number}' });
+    for (const path of ['Kit/Kicks/Kick.wav', 'Kit/Snares/Snare.wav']) {
+      const source = path.split('/').pop().replace('.wav', '');
+      pack.addSample({ source, path });
+      pack.addFile(`${pack.nameFile({ number: 1 })}.wav`, new Uint8Array(1), {});
+    }
+    expect(pack.archiveName).toBe('Kit.zip');
+
+    const files = readZip(pack.finish());
+    expect(files.map(file => file.name)).toEqual(['Kit/Kicks/Kick/Kick 01.wav', 'Kit/Snares/Snare/Snare 01.wav', MANIFEST_NAME]);
+    expect(json(files[2]).samples.map(sample => sample.files[0].file)).toEqual(files.slice(0, 2).map(file => file.name));
+  });
+});
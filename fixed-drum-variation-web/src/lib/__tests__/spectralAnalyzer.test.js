@@ -0,0 +1,97 @@
+import { describe, it, expect } from 'vitest';
+import FFT from '../fft';
+import SpectralAnalyzer from '../spectralAnalyzer';
+import { createRandom } from '../random';
+
+const SAMPLE_RATE = 48000;
+
+/**
+ * Naive DFT, for checking the FFT against
+ * @param {number[]} real - Real parts
+ * @param {number[]} imag - Imaginary parts
+ * @returns {Object} - { real, imag } of the transform
+ */
+function dft(real, imag) {
+  const size = real.length;
+  const outReal = new Float64Array(size);
+  const outImag = new Float64Array(size);
+  for (let k = 0; k < size; k++) {
+    for (let n = 0; n < size; n++) {
+      const angle = (-2 * Math.PI * k * n) / size;
+      outReal[k] += real[n] * Math.cos(angle) - imag[n] * Math.sin(angle);
+      outImag[k] += real[n] * Math.sin(angle) + imag[n] * Math.cos(angle);
+    }
+  }
+  return { real: outReal, imag: outImag };
+}
+
+describe('FFT', () => {
+  it('matches a naive DFT', () => {
+    const random = createRandom(1);
+    const real = Float64Array.from({ length: 64 }, () => random() * 2 - 1);
+    const imag = Float64Array.from({ length: 64 }, () => random() * 2 - 1);
+    const expected = dft(real, imag);
+
+    new FFT(64).forward(real, imag);
+    for (let k = 0; k < 64; k++) {
+      expect(real[k]).toBeCloseTo(expected.real[k], 9);
+      expect(imag[k]).toBeCloseTo(expected.imag[k], 9);
+    }
+  });
+
+  it('gets the input back from the inverse transform', () => {
+    const random = createRandom(2);
+    const input = Float64Array.from({ length: 256 }, () => random() * 2 - 1);
+    const real = Float64Array.from(input);
+    const imag = new Float64Array(256);
+
+    const fft = new FFT(256);
+    fft.forward(real, imag);
+    fft.inverse(real, imag);
+    for (let i = 0; i < 256; i++) {
+      expect(real[i]).toBeCloseTo(input[i], 12);
+      expect(imag[i]).toBeCloseTo(0, 12);
+    }
+  });
+
+  it('rounds sizes up to a power of two', () => {
+    expect(FFT.nextPowerOfTwo(1)).toBe(1);
+    expect(FFT.nextPowerOfTwo(1000)).toBe(1024);
+    expect(FFT.nextPowerOfTwo(1024)).toBe(1024);
+  });
+});
+
+describe('SpectralAnalyzer', () => {
+  it('puts the centroid of a sine at its frequency and finds it tonal', () => {
+    const data = Float32Array.from({ length: SAMPLE_RATE / 2 }, (_, i) => Math.sin((2 * Math.PI * 1000 * i) / SAMPLE_RATE));
+    const { summary } = new SpectralAnalyzer(SAMPLE_RATE).analyze(data);
+
+    expect(Math.abs(summary.centroid - 1000)).toBeLessThan(50);
+    expect(summary.flatness).toBeLessThan(0.05);
+    expect(summary.bandEnergies.mid).toBeGreaterThan(0.95);
+  });
+
+  it('finds white noise flat, bright and spread over the bands', () => {
+    const random = createRandom(3);
+    const data = Float32Array.from({ length: SAMPLE_RATE / 2 }, () => random() * 2 - 1);
+    const { summary } = new SpectralAnalyzer(SAMPLE_RATE).analyze(data);
+
+    expect(summary.flatness).toBeGreaterThan(0.4);
+    expect(Math.abs(summary.centroid - SAMPLE_RATE / 4)).toBeLessThan(1500);
+    expect(summary.rolloff).toBeGreaterThan(SAMPLE_RATE * 0.35);
+    expect(summary.bandEnergies.high).toBeGreaterThan(summary.bandEnergies.low);
+  });
+
+  it('counts separate hits as onsets', () => {
+    const data = new Float32Array(SAMPLE_RATE * 2);
+    const random = createRandom(4);
+    for (let hit = 0; hit < 4; hit++) {
+      const start = SAMPLE_RATE / 10 + hit * (SAMPLE_RATE / 2);
+      for (let i = 0; i < 4000; i++) {
+        data[start + i] = (random() * 2 - 1) * Math.exp(-i / 600);
+      }
+    }
+    const { summary } = new SpectralAnalyzer(SAMPLE_RATE).analyze(data);
+    expect(summary.onsetCount).toBe(4);
+  });
+});
@@ -0,0 +1,79 @@
+// src/lib/__tests__/testAudio.js
+// Stand-ins for the Web Audio objects the processors use, so they can be tested outside a browser
+
+/**
+ * AudioBuffer with the parts the processors use
+ */
+export class TestBuffer {
+  /**
+   * Create a silent buffer
+   * @param {number} numberOfChannels - Channel count
+   * @param {number} length - Length in samples
+   * @param {number} sampleRate - Sample rate
+   */
+  constructor(numberOfChannels, length, sampleRate) {
+    this.numberOfChannels = numberOfChannels;
+    this.length = length;
+    this.sampleRate = sampleRate;
+    this.duration = length / sampleRate;
+    this.channels = Array.from({ length: numberOfChannels }, () => new Float32Array(length));
+  }
+
+  /**
+   * Get the samples of a channel
+   * @param {number} channel - Channel index
+   * @returns {Float32Array} - Channel data
+   */
+  getChannelData(channel) {
+    return this.channels[channel];
+  }
+}
+
+// AudioContext with the parts the processors use (creating buffers)
+export const testContext = {
+  sampleRate: 48000,
+  createBuffer: (numberOfChannels, length, sampleRate) => new TestBuffer(numberOfChannels, length, sampleRate)
+};
+
+/**
+ * Fill a buffer from a function of time
+ * @param {number} duration - Length in seconds
+ * @param {number} sampleRate - Sample rate
+ * @param {Function} render - (time in seconds, sample index, channel) => sample value
+ * @param {number} numberOfChannels - Channel count
+ * @returns {TestBuffer} - Rendered buffer
+ */
+export function renderBuffer(duration, sampleRate, render, numberOfChannels = 1) {
+  const buffer = new TestBuffer(numberOfChannels, Math.round(duration * sampleRate), sampleRate);
+  for (let channel = 0; channel < numberOfChannels; channel++) {
+    const data = buffer.getChannelData(channel);
+    for (let i = 0; i < data.length; i++) {
+      data[i] = render(i / sampleRate, i, channel);
+    }
+  }
+  return buffer;
+}
+
+/**
+ * Split a RIFF or IFF (AIFF) file into its chunks
+ * @param {ArrayBuffer} file - Encoded file
+ * @param {boolean} littleEndian - True for RIFF, false for IFF
+ * @returns {Object} - { container, type, size, chunks: [{ id, data (DataView) }] }
+ */
+export function readChunks(file, littleEndian) {
+  const view = new DataView(file);
+  const readId = offset => String.fromCharCode(...new Uint8Array(file, offset, 4));
+  const chunks = [];
+  let offset = 12;
+  while (offset + 8 <= file.byteLength) {
+    const size = view.getUint32(offset + 4, littleEndian);
+    chunks.push({ id: readId(offset), data: new DataView(file, offset + 8, size) });
+    offset += 8 + size + (size % 2); // chunks are padded to even length
+  }
+  return {
+    container: readId(0),
+    type: readId(8),
+    size: view.getUint32(4, littleEndian),
+    chunks
+  };
+}
@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest';
+import { VARIATION_RECIPES, renderRecipe } from '../variationRecipes';
+import { DRUM_TYPES } from '../drumClassifier';
+import { TestBuffer } from './testAudio';
+
+/**
+ * Recipe context whose processors only record how they were called
+ * @param {Object} settings - Context entries to set (e.g. isLoop, seed)
+ * @returns {Object} - { context, calls } with calls as { method, args }
+ */
+function recordingContext(settings = {}) {
+  const calls = [];
+  const record = (method) => (...args) => {
+    calls.push({ method, args });
+    return Promise.resolve(args[0]);
+  };
+  const audio = new Proxy({}, { get: (target, method) => record(method) });
+  const ml = { generateVariation: record('generateVariation') };
+
+  return {
+    calls,
+    context: {
+      audio,
+      ml,
+      sample: new TestBuffer(1, 4800, 48000),
+      mlBalance: 0.5,
+      reverbType: 'noise',
+      bpm: 120,
+      loFi: { preset: 'sp1200', filters: true, dither: false },
+      distortionCurve: 'soft',
+      stereo: { width: 1.4, decorrelation: 0.6, haasTime: 0, autoPanDivision: 'off' },
+      shuffle: { drift: 0.3, region: 'all' },
+      grooveOptions: {},
+      granularOptions: {},
+      synthLayers: {},
+      ...settings
+    }
+  };
+}
+
+describe('renderRecipe', () => {
+  it('has a recipe for every drum type', () => {
+    for (const type of DRUM_TYPES) {
+      expect(VARIATION_RECIPES[type.id].length).toBeGreaterThan(0);
+    }
+  });
+
+  it('renders one named, seeded variation per step', async () => {
+    const { context } = recordingContext({ seed: 1 });
+    const variations = await renderRecipe('snare', context);
+    expect(variations.map(variation => variation.name)).toEqual(VARIATION_RECIPES.snare.map(step => step.name));
+    for (const variation of variations) {
+      expect(variation.buffer).toBe(context.sample);
+      expect(Number.isInteger(variation.seed)).toBe(true);
+    }
+  });
+
+  it('gives the steps the same seeds for the same run seed', async () => {
+    const first = await renderRecipe('kick', recordingContext({ seed: 42 }).context);
+    const second = await renderRecipe('kick', recordingContext({ seed: 42 }).context);
+    const other = await renderRecipe('kick', recordingContext({ seed: 43 }).context);
+    expect(second.map(variation => variation.seed)).toEqual(first.map(variation => variation.seed));
+    expect(other.map(variation => variation.seed)).not.toEqual(first.map(variation => variation.seed));
+  });
+
+  it('handles the sample as a loop when it is one, whatever the recipe', async () => {
+    const { context, calls } = recordingContext({ isLoop: true });
+    await renderRecipe('kick', context);
+
+    const reverbs = calls.filter(call => call.method === 'processReverb');
+    expect(reverbs.length).toBeGreaterThan(0);
+    expect(reverbs.every(call => call.args[3].seamless)).toBe(true);
+    const variations = calls.filter(call => call.method === 'generateVariation');
+    expect(variations.every(call => call.args[2].isLoop)).toBe(true);
+  });
+
+  it('handles a one-shot as a one-shot under the loop recipe', async () => {
+    const { context, calls } = recordingContext({ isLoop: false });
+    await renderRecipe('loop', context);
+
+    const reverbs = calls.filter(call => call.method === 'processReverb');
+    expect(reverbs.every(call => !call.args[3].seamless)).toBe(true);
+    const variations = calls.filter(call => call.method === 'generateVariation');
+    expect(variations.every(call => call.args[2].isLoop === false)).toBe(true);
+  });
+
+  it('takes loop handling from the drum type when the context does not say', async () => {
+    const { context, calls } = recordingContext();
+    await renderRecipe('loop', context);
+    const variations = calls.filter(call => call.method === 'generateVariation');
+    expect(variations.every(call => call.args[2].isLoop === true)).toBe(true);
+  });
+
+  it('names the step that failed', async () => {
+    const { context } = recordingContext();
+    context.ml.generateVariation = () => Promise.reject(new Error('out of memory'));
+    await expect(renderRecipe('perc', context)).rejects.toThrow(/: out of memory$/);
+  });
+});
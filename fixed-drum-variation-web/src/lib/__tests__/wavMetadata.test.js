@@ -0,0 +1,120 @@
+import { describe, it, expect } from 'vitest';
+import { AudioEncoder } from '../audioEncoder';
+import { buildMetadataChunks, frequencyToMidi, DEFAULT_ROOT_NOTE } from '../wavMetadata';
+import { renderBuffer, readChunks } from './testAudio';
+
+// Encode a short WAV with metadata and return its chunks by id
+function encodeWithMetadata(metadata) {
+  const buffer = renderBuffer(0.01, 44100, t => 0.5 * Math.sin(2 * Math.PI * 440 * t));
+  const file = new AudioEncoder({ format: 'wav', bitDepth: 16 }).encode(buffer, metadata);
+  const { size, chunks } = readChunks(file, true);
+  expect(size).toBe(file.byteLength - 8);
+  return Object.fromEntries(chunks.map(chunk => [chunk.id, chunk.data]));
+}
+
+// Read ASCII text from a DataView
+function readText(view, offset, length) {
+  return String.fromCharCode(...new Uint8Array(view.buffer, view.byteOffset + offset, length));
+}
+
+// Read the LIST/INFO tags as { id: text }
+function readInfo(view) {
+  expect(readText(view, 0, 4)).toBe('INFO');
+  const tags = {};
+  let offset = 4;
+  while (offset < view.byteLength) {
+    const size = view.getUint32(offset + 4, true);
+    tags[readText(view, offset, 4)] = readText(view, offset + 8, size - 1);
+    expect(view.getUint8(offset + 8 + size - 1)).toBe(0);
+    offset += 8 + size + (size % 2);
+  }
+  return tags;
+}
+
+describe('frequencyToMidi', () => {
+  it('finds the note and the fraction of a semitone above it', () => {
+    expect(frequencyToMidi(440)).toEqual({ note: 69, fraction: 0 });
+    expect(frequencyToMidi(261.63)).toMatchObject({ note: 60 });
+    const quarterUp = frequencyToMidi(440 * Math.pow(2, 0.25 / 12));
+    expect(quarterUp.note).toBe(69);
+    expect(quarterUp.fraction).toBeCloseTo(0.25, 6);
+  });
+
+  it('stays within the MIDI note range', () => {
+    expect(frequencyToMidi(1).note).toBe(0);
+    expect(frequencyToMidi(40000)).toEqual({ note: 127, fraction: 0.999 });
+  });
+});
+
+describe('buildMetadataChunks', () => {
+  it('writes only the smpl chunk when there is nothing else to say', () => {
+    expect(buildMetadataChunks({ rootNote: null }, 44100).map(chunk => chunk.id)).toEqual(['smpl']);
+  });
+
+  it('writes the root note, its fraction and a whole-file loop to smpl', () => {
+    const { smpl } = encodeWithMetadata({ rootNote: 45, rootFraction: 0.5, loop: { start: 0, end: 441 } });
+    expect(smpl.byteLength).toBe(60);
+    expect(smpl.getUint32(8, true)).toBe(Math.round(1e9 / 44100));
+    expect(smpl.getUint32(12, true)).toBe(45);
+    expect(smpl.getUint32(16, true)).toBe(0x80000000);
+    expect(smpl.getUint32(28, true)).toBe(1);
+    expect(smpl.getUint32(36 + 4, true)).toBe(0);
+    expect(smpl.getUint32(36 + 8, true)).toBe(0);
+    expect(smpl.getUint32(36 + 12, true)).toBe(440);
+  });
+
+  it('falls back to the default root note without loops for one-shots', () => {
+    const { smpl } = encodeWithMetadata({ rootNote: null, loop: null });
+    expect(smpl.byteLength).toBe(36);
+    expect(smpl.getUint32(12, true)).toBe(DEFAULT_ROOT_NOTE);
+    expect(smpl.getUint32(28, true)).toBe(0);
+  });
+
+  it('writes a cue point at each marker', () => {
+    const cues = [0, 120, 333];
+    const { 'cue ': cue } = encodeWithMetadata({ rootNote: null, cues });
+    expect(cue.getUint32(0, true)).toBe(3);
+    cues.forEach((position, index) => {
+      const offset = 4 + index * 24;
+      expect(cue.getUint32(offset, true)).toBe(index + 1);
+      expect(cue.getUint32(offset + 4, true)).toBe(position);
+      expect(readText(cue, offset + 8, 4)).toBe('data');
+      expect(cue.getUint32(offset + 20, true)).toBe(position);
+    });
+  });
+
+  it('flags the acid root note only when one was detected', () => {
+    const detected = encodeWithMetadata({ rootNote: 50, bpm: 120, beats: 8, loop: { start: 0, end: 441 } }).acid;
+    expect(detected.getUint32(0, true)).toBe(0x02 | 0x04);
+    expect(detected.getUint16(4, true)).toBe(50);
+    expect(detected.getUint32(12, true)).toBe(8);
+    expect(detected.getFloat32(20, true)).toBe(120);
+
+    const unknown = encodeWithMetadata({ rootNote: null, bpm: 92.5 }).acid;
+    expect(unknown.getUint32(0, true)).toBe(0x01);
+    expect(unknown.getUint16(4, true)).toBe(DEFAULT_ROOT_NOTE);
+    expect(unknown.getFloat32(20, true)).toBe(92.5);
+  });
+
+  it('leaves the acid chunk out without a tempo', () => {
+    expect(encodeWithMetadata({ rootNote: 50, bpm: null }).acid).toBeUndefined();
+  });
+
+  it('writes INFO text as padded, null-terminated ASCII', () => {
+    const { LIST } = encodeWithMetadata({
+      rootNote: null,
+      info: { name: 'Kick 01', source: 'kick.wav', comment: 'Tape – warm' }
+    });
+    expect(readInfo(LIST)).toEqual({
+      INAM: 'Kick 01',
+      ISRC: 'kick.wav',
+      ICMT: 'Tape ? warm',
+      ISFT: 'Drum Variation Generator'
+    });
+  });
+
+  it('skips empty INFO tags', () => {
+    const { LIST } = encodeWithMetadata({ rootNote: null, info: { name: 'Snare', source: '', comment: null } });
+    expect(Object.keys(readInfo(LIST))).toEqual(['INAM', 'ISFT']);
+  });
+});
@@ -0,0 +1,322 @@
+// src/lib/audioEncoder.js
+// Audio file encoding (WAV, AIFF, FLAC) at 16-bit, 24-bit or 32-bit float, with optional dither
+
+import FlacEncoder from './flacEncoder';
+import { buildMetadataChunks } from './wavMetadata';
+import { createRandom, randomSeed } from './random';
+
+// Containers the exporter can write, and the bit depths each one stores
+export const EXPORT_FORMATS = [
+  { id: 'wav', name: 'WAV', extension: 'wav', mimeType: 'audio/wav', bitDepths: [16, 24, 32] },
+  { id: 'aiff', name: 'AIFF', extension: 'aif', mimeType: 'audio/aiff', bitDepths: [16, 24, 32] },
+  { id: 'flac', name: 'FLAC', extension: 'flac', mimeType: 'audio/flac', bitDepths: [16, 24] }
+];
+
+// Bit depths (32 is IEEE floating point, the others integer PCM)
+export const BIT_DEPTHS = [
+  { id: 16, name: '16-bit' },
+  { id: 24, name: '24-bit' },
+  { id: 32, name: '32-bit float' }
+];
+
+// Export settings used until the user picks their own
+export const DEFAULT_EXPORT_OPTIONS = {
+  format: 'wav',
+  bitDepth: 24,
+  dither: true
+};
+
+// AIFF stores the sample rate as an 80-bit extended float; AIFF-C needs this version stamp
+const AIFC_VERSION = 0xA2805140;
+
+/**
+ * Make export options valid: unknown values fall back to the defaults, and a
+ * bit depth the container can't store becomes the deepest one it can
+ * @param {Object} options - Export options (possibly partial or stale, e.g. from storage)
+ * @returns {Object} - Complete, valid export options
+ */
+export function resolveExportOptions(options = {}) {
+  const resolved = { ...DEFAULT_EXPORT_OPTIONS, ...options };
+  const format = EXPORT_FORMATS.find(entry => entry.id === resolved.format) || EXPORT_FORMATS[0];
+  return {
+    format: format.id,
+    bitDepth: format.bitDepths.includes(resolved.bitDepth)
+      ? resolved.bitDepth
+      : format.bitDepths[format.bitDepths.length - 1],
+    dither: Boolean(resolved.dither)
+  };
+}
+
+/**
+ * Write an ASCII string into a DataView
+ * @param {DataView} view - Target view
+ * @param {number} offset - Byte offset
+ * @param {string} string - String to write
+ */
+function writeString(view, offset, string) {
+  for (let i = 0; i < string.length; i++) {
+    view.setUint8(offset + i, string.charCodeAt(i));
+  }
+}
+
+/**
+ * Build a chunk (4-character id, 32-bit size, data, pad byte when odd)
+ * @param {string} id - Chunk id
+ * @param {Uint8Array} data - Chunk data
+ * @param {boolean} littleEndian - Size byte order (true for RIFF, false for IFF)
+ * @returns {Uint8Array} - Chunk bytes
+ */
+function buildChunk(id, data, littleEndian) {
+  const bytes = new Uint8Array(8 + data.length + (data.length % 2));
+  const view = new DataView(bytes.buffer);
+  writeString(view, 0, id);
+  view.setUint32(4, data.length, littleEndian);
+  bytes.set(data, 8);
+  return bytes;
+}
+
+/**
+ * Put chunks into a RIFF or IFF container
+ * @param {string} container - 'RIFF' or 'FORM'
+ * @param {string} type - Form type ('WAVE', 'AIFF', 'AIFC')
+ * @param {Uint8Array[]} chunks - Chunks from buildChunk
+ * @param {boolean} littleEndian - Size byte order
+ * @returns {ArrayBuffer} - Complete file
+ */
+function buildContainer(container, type, chunks, littleEndian) {
+  const size = 4 + chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+  const bytes = new Uint8Array(8 + size);
+  const view = new DataView(bytes.buffer);
+  writeString(view, 0, container);
+  view.setUint32(4, size, littleEndian);
+  writeString(view, 8, type);
+
+  let offset = 12;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return bytes.buffer;
+}
+
+/**
+ * Write an 80-bit IEEE extended float (AIFF sample rate)
+ * @param {DataView} view - Target view
+ * @param {number} offset - Byte offset
+ * @param {number} value - Positive value
+ */
+function writeExtended(view, offset, value) {
+  const exponent = Math.floor(Math.log2(value));
+  const mantissa = value / Math.pow(2, exponent); // 1 to 2, integer bit included
+  const high = Math.floor(mantissa * Math.pow(2, 31));
+  const low = Math.floor((mantissa * Math.pow(2, 31) - high) * Math.pow(2, 32));
+  view.setUint16(offset, 16383 + exponent, false);
+  view.setUint32(offset + 2, high, false);
+  view.setUint32(offset + 6, low, false);
+}
+
+/**
+ * AudioEncoder turns an AudioBuffer into a WAV, AIFF or FLAC file. Integer
+ * depths are quantized with rounding, optionally after TPDF dither (1 LSB
+ * peak), so quiet tails fade into noise instead of distortion; samples past
+ * full scale are clipped. 32-bit float keeps every value as it is, overs
+ * included.
+ */
+export class AudioEncoder {
+  /**
+   * Create a new encoder
+   * @param {Object} options - Export options (see DEFAULT_EXPORT_OPTIONS)
+   * @param {string} options.format - Container id (see EXPORT_FORMATS)
+   * @param {number} options.bitDepth - 16, 24 or 32 (float)
+   * @param {boolean} options.dither - Add TPDF dither before integer quantization
+   */
+  constructor(options = {}) {
+    const { format, bitDepth, dither } = { ...DEFAULT_EXPORT_OPTIONS, ...options };
+
+    this.format = EXPORT_FORMATS.find(entry => entry.id === format);
+    if (!this.format) {
+      throw new Error(`Unknown export format: ${format}`);
+    }
+    if (!this.format.bitDepths.includes(bitDepth)) {
+      throw new Error(`${this.format.name} export doesn't support ${bitDepth}-bit audio`);
+    }
+
+    this.bitDepth = bitDepth;
+    this.isFloat = bitDepth === 32;
+    this.dither = dither;
+  }
+
+  /**
+   * Quantize a channel to integers at the export bit depth
+   * @param {Float32Array} data - Channel data (-1 to 1)
+   * @param {Function} random - Random number source for the dither
+   * @returns {Int32Array} - Integer samples
+   */
+  quantize(data, random) {
+    const scale = Math.pow(2, this.bitDepth - 1);
+    const output = new Int32Array(data.length);
+    for (let i = 0; i < data.length; i++) {
+      const dither = this.dither ? random() - random() : 0;
+      const sample = Math.round(data[i] * scale + dither);
+      output[i] = Math.max(-scale, Math.min(scale - 1, sample));
+    }
+    return output;
+  }
+
+  /**
+   * Get the channels of a buffer, quantized for integer formats
+   * @param {AudioBuffer} buffer - Audio buffer
+   * @returns {Array<Float32Array|Int32Array>} - Channel data
+   */
+  getChannels(buffer) {
+    const random = createRandom(randomSeed());
+    const channels = [];
+    for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+      const data = buffer.getChannelData(channel);
+      channels.push(this.isFloat ? data : this.quantize(data, random));
+    }
+    return channels;
+  }
+
+  /**
+   * Interleave samples into bytes
+   * @param {Array<Float32Array|Int32Array>} channels - Channel data from getChannels
+   * @param {boolean} littleEndian - Byte order
+   * @returns {Uint8Array} - Interleaved sample bytes
+   */
+  interleave(channels, littleEndian) {
+    const bytesPerSample = this.bitDepth / 8;
+    const length = channels[0].length;
+    const bytes = new Uint8Array(length * channels.length * bytesPerSample);
+    const view = new DataView(bytes.buffer);
+
+    let offset = 0;
+    for (let i = 0; i < length; i++) {
+      for (const data of channels) {
+        if (this.isFloat) {
+          view.setFloat32(offset, data[i], littleEndian);
+        } else if (this.bitDepth === 16) {
+          view.setInt16(offset, data[i], littleEndian);
+        } else {
+          // 24-bit: three bytes in the file's byte order
+          const value = data[i] & 0xFFFFFF;
+          const first = littleEndian ? 0 : 2;
+          bytes[offset + first] = value & 0xFF;
+          bytes[offset + 1] = (value >> 8) & 0xFF;
+          bytes[offset + 2 - first] = (value >> 16) & 0xFF;
+        }
+        offset += bytesPerSample;
+      }
+    }
+    return bytes;
+  }
+
+  /**
+   * Build the chunks of a WAV file
+   * @param {AudioBuffer} buffer - Audio buffer
+   * @param {Object} metadata - Sampler/DAW metadata (see buildMetadataChunks), or null
+   * @returns {Uint8Array[]} - fmt (and fact for float), data and metadata chunks
+   */
+  wavChunks(buffer, metadata = null) {
+    const numChannels = buffer.numberOfChannels;
+    const blockAlign = numChannels * (this.bitDepth / 8);
+
+    // Float WAV needs the extended fmt chunk (cbSize) and a fact chunk
+    const fmt = new Uint8Array(this.isFloat ? 18 : 16);
+    const view = new DataView(fmt.buffer);
+    view.setUint16(0, this.isFloat ? 3 : 1, true); // IEEE float or PCM
+    view.setUint16(2, numChannels, true);
+    view.setUint32(4, buffer.sampleRate, true);
+    view.setUint32(8, buffer.sampleRate * blockAlign, true); // byte rate
+    view.setUint16(12, blockAlign, true);
+    view.setUint16(14, this.bitDepth, true);
+
+    const chunks = [buildChunk('fmt ', fmt, true)];
+    if (this.isFloat) {
+      const fact = new Uint8Array(4);
+      new DataView(fact.buffer).setUint32(0, buffer.length, true);
+      chunks.push(buildChunk('fact', fact, true));
+    }
+    chunks.push(buildChunk('data', this.interleave(this.getChannels(buffer), true), true));
+    if (metadata) {
+      for (const { id, data } of buildMetadataChunks(metadata, buffer.sampleRate)) {
+        chunks.push(buildChunk(id, data, true));
+      }
+    }
+    return chunks;
+  }
+
+  /**
+   * Encode as WAV
+   * @param {AudioBuffer} buffer - Audio buffer
+   * @param {Object} metadata - Sampler/DAW metadata (see buildMetadataChunks), or null
+   * @returns {ArrayBuffer} - WAV file
+   */
+  encodeWav(buffer, metadata = null) {
+    return buildContainer('RIFF', 'WAVE', this.wavChunks(buffer, metadata), true);
+  }
+
+  /**
+   * Encode as AIFF (AIFF-C for 32-bit float)
+   * @param {AudioBuffer} buffer - Audio buffer
+   * @returns {ArrayBuffer} - AIFF file
+   */
+  encodeAiff(buffer) {
+    // COMM: channels, frames, bit depth, sample rate (+ compression type and name for AIFF-C)
+    const compressionName = '\x0C32-bit float\x00'; // Pascal string, padded to even length
+    const comm = new Uint8Array(this.isFloat ? 22 + compressionName.length : 18);
+    const view = new DataView(comm.buffer);
+    view.setUint16(0, buffer.numberOfChannels, false);
+    view.setUint32(2, buffer.length, false);
+    view.setUint16(6, this.bitDepth, false);
+    writeExtended(view, 8, buffer.sampleRate);
+    if (this.isFloat) {
+      writeString(view, 18, 'fl32');
+      writeString(view, 22, compressionName);
+    }
+
+    // SSND: offset and block size (both 0), then big-endian samples
+    const samples = this.interleave(this.getChannels(buffer), false);
+    const ssnd = new Uint8Array(8 + samples.length);
+    ssnd.set(samples, 8);
+
+    const chunks = [];
+    if (this.isFloat) {
+      const fver = new Uint8Array(4);
+      new DataView(fver.buffer).setUint32(0, AIFC_VERSION, false);
+      chunks.push(buildChunk('FVER', fver, false));
+    }
+    chunks.push(buildChunk('COMM', comm, false), buildChunk('SSND', ssnd, false));
+    return buildContainer('FORM', this.isFloat ? 'AIFC' : 'AIFF', chunks, false);
+  }
+
+  /**
+   * Encode as FLAC
+   * @param {AudioBuffer} buffer - Audio buffer
+   * @returns {ArrayBuffer} - FLAC file
+   */
+  encodeFlac(buffer) {
+    const encoder = new FlacEncoder(buffer.sampleRate, buffer.numberOfChannels, this.bitDepth);
+    return encoder.encode(this.getChannels(buffer));
+  }
+
+  /**
+   * Encode an audio buffer in the chosen format
+   * @param {AudioBuffer} buffer - Audio buffer
+   * @param {Object} metadata - Sampler/DAW metadata, written to WAV files only (see
+   *   buildMetadataChunks)
+   * @returns {ArrayBuffer} - Encoded file
+   */
+  encode(buffer, metadata = null) {
+    switch (this.format.id) {
+      case 'aiff':
+        return this.encodeAiff(buffer);
+      case 'flac':
+        return this.encodeFlac(buffer);
+      default:
+        return this.encodeWav(buffer, metadata);
+    }
+  }
+}
+
+export default AudioEncoder;
@@ -0,0 +1,25 @@
+// src/lib/audioFiles.js
+// Recognizing audio files among dropped or picked files, and naming them by their path
+
+// Extensions accepted when the browser reports no MIME type (common for AIFF and FLAC)
+const AUDIO_EXTENSIONS = ['wav', 'wave', 'aif', 'aiff', 'aifc', 'flac', 'mp3', 'ogg', 'oga', 'opus', 'm4a', 'aac', 'webm'];
+
+/**
+ * Check whether a file is audio the browser can probably decode
+ * @param {File} file - File to check
+ * @returns {boolean} - True for audio MIME types, or known audio extensions without a MIME type
+ */
+export function isAudioFile(file) {
+  if (file.type) return file.type.startsWith('audio/');
+  const extension = file.name.split('.').pop().toLowerCase();
+  return AUDIO_EXTENSIONS.includes(extension);
+}
+
+/**
+ * Name of a sample from its file name or path
+ * @param {string} path - File name or '/' separated path
+ * @returns {string} - File name without folders and extension
+ */
+export function sampleNameFromPath(path) {
+  return path.split('/').pop().replace(/\.[^.]+$/, '');
+}
@@ -1,6 +1,38 @@
 // src/lib/audioProcessor.js
 // Enhanced audio processing functionality for drum sample variations
 
+import PitchShifter from './pitchShifter';
+import PartitionedConvolver from './convolver';
+import ImpulseResponseLibrary from './impulseLibrary';
+import TransientShaper from './transientShaper';
+import BiquadFilter from './biquadFilter';
+import { EnvelopeFollower, LFO } from './modulators';
+import { divisionToSeconds } from './noteDivisions';
+import LoopSlicer from './loopSlicer';
+import BeatShuffler from './beatShuffler';
+import GrooveEngine from './grooveEngine';
+import { foldTail, smoothLoopBoundary } from './seamlessLoop';
+import LoFiDegrader from './loFiDegrader';
+import Saturator from './saturator';
+import StereoImager from './stereoImager';
+import LayerMixer from './layerMixer';
+import GlitchProcessor from './glitchEffects';
+import GranularEngine from './granularEngine';
+import { createRandom, randomSeed } from './random';
+import LayerSynth from './layerSynth';
+import TempoDetector from './tempoDetector';
+import LoudnessMeter, { NORMALIZATION_MODES } from './loudnessMeter';
+import AudioEncoder from './audioEncoder';
+import PitchDetector from './pitchDetector';
+import { frequencyToMidi } from './wavMetadata';
+
+// Tempo used for tempo-based effect lengths when a one-shot has no tempo
+const DEFAULT_BPM = 120;
+
+// Sub layer frequency (Hz) when no pitch was detected, and the highest a sub may be
+const DEFAULT_SUB_FREQUENCY = 50;
+const MAX_SUB_FREQUENCY = 120;
+
 /**
  * AudioProcessor class handles all audio processing for drum sample variations
  * Now with improved support for both one-shots and drum loops
@@ -10,8 +42,12 @@ export class AudioProcessor {
     // Initialize audio context when needed (must be triggered by user interaction)
     this.audioContext = null;
     this.originalBuffer = null;
-    this.variations = Array(8).fill(null);
-    this.isProcessing = false;
+    this.impulseLibrary = new ImpulseResponseLibrary();
+    
+    // Export encoding runs in a worker, started on the first export
+    this.encoderWorker = null;
+    this.encodeJobs = new Map(); // Encodes waiting for the worker by id: { resolve, reject }
+    this.lastEncodeId = 0;
   }
 
   /**
@@ -31,14 +67,7 @@ export class AudioProcessor {
    */
   async loadAudioFile(file) {
     try {
-      // Initialize audio context if not already done
-      this.initAudioContext();
-      
-      // Read file as ArrayBuffer
-      const arrayBuffer = await file.arrayBuffer();
-      
-      // Decode audio data
-      const audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
+      const audioBuffer = await this.decodeAudioFile(file);
       
       // Store the original buffer
       this.originalBuffer = audioBuffer;
@@ -51,99 +80,59 @@ export class AudioProcessor {
   }
 
   /**
-   * Generate variations of the loaded drum sample
-   * @param {boolean} isLoop - Whether the sample is a loop
-   * @returns {Promise<AudioBuffer[]>} - Array of variation audio buffers
+   * Decode an audio file without making it the current sample
+   * @param {File} file - The audio file to decode
+   * @returns {Promise<AudioBuffer>} - The decoded audio buffer
    */
-  async generateVariations(isLoop = false) {
-    if (!this.originalBuffer) {
-      throw new Error('No audio sample loaded');
-    }
-
-    this.isProcessing = true;
+  async decodeAudioFile(file) {
+    // Initialize audio context if not already done
+    this.initAudioContext();
+    
+    // Read file as ArrayBuffer
+    const arrayBuffer = await file.arrayBuffer();
     
+    // Decode audio data
+    return this.audioContext.decodeAudioData(arrayBuffer);
+  }
+
+  /**
+   * Load an impulse response file (room, plate, spring...) as a new reverb type
+   * @param {File} file - The impulse response audio file
+   * @returns {Promise<string>} - Id of the new reverb type
+   */
+  async loadImpulseResponse(file) {
     try {
-      // Generate 8 variations with different processing techniques
-      const variations = [];
-      
-      // Variation 1: Transient enhancement (adjusted for loops vs one-shots)
-      variations.push(await this.processTransientEnhancement(
-        this.originalBuffer, 
-        isLoop ? 1.1 : 1.3, 
-        isLoop ? 0.95 : 0.85
-      ));
-      
-      // Variation 2: Pitch shift (more subtle for loops)
-      variations.push(await this.processPitchShift(
-        this.originalBuffer, 
-        isLoop ? 1 : 3
-      ));
-      
-      // Variation 3: Pitch shift down (more subtle for loops)
-      variations.push(await this.processPitchShift(
-        this.originalBuffer, 
-        isLoop ? -1 : -3
-      ));
-      
-      // Variation 4: Bit crush effect (less extreme for loops)
-      variations.push(await this.processBitCrush(
-        this.originalBuffer, 
-        isLoop ? 10 : 8
-      ));
-      
-      // Variation 5: Reverb (shorter for loops)
-      variations.push(await this.processReverb(
-        this.originalBuffer, 
-        isLoop ? 0.1 : 0.3, 
-        isLoop ? 0.3 : 0.5
-      ));
-      
-      // Variation 6: Delay (tempo-synced for loops)
-      variations.push(await this.processDelay(
-        this.originalBuffer, 
-        isLoop ? 0.125 : 0.25, 
-        isLoop ? 0.3 : 0.4
-      ));
-      
-      // Variation 7: Combined effects (pitch + reverb)
-      const pitchShifted = await this.processPitchShift(this.originalBuffer, isLoop ? 0.5 : 1);
-      variations.push(await this.processReverb(
-        pitchShifted, 
-        isLoop ? 0.05 : 0.1, 
-        isLoop ? 0.2 : 0.3
-      ));
-      
-      // Variation 8: Extreme variation (less extreme for loops)
-      if (isLoop) {
-        // For loops, use delay with moderate distortion
-        const delayed = await this.processDelay(this.originalBuffer, 0.125, 0.3);
-        variations.push(await this.processDistortion(delayed, 3));
-      } else {
-        // For one-shots, use heavy distortion with bit crushing
-        const distorted = await this.processDistortion(this.originalBuffer, 10);
-        variations.push(await this.processBitCrush(distorted, 6));
-      }
-      
-      // Store variations
-      this.variations = variations;
+      const impulseBuffer = await this.decodeAudioFile(file);
       
-      return variations;
+      // Use the file name without extension as the display name
+      const name = file.name.replace(/\.[^.]+$/, '');
+      return this.impulseLibrary.add(name, impulseBuffer);
     } catch (error) {
-      console.error('Error generating variations:', error);
+      console.error('Error loading impulse response:', error);
       throw error;
-    } finally {
-      this.isProcessing = false;
     }
   }
 
   /**
-   * Process audio with transient enhancement
+   * Get the reverb types available for processReverb
+   * @returns {Array} - Array of { id, name, duration }
+   */
+  getReverbTypes() {
+    return this.impulseLibrary.list();
+  }
+
+  /**
+   * Process audio with transient enhancement (transient designer)
    * @param {AudioBuffer} buffer - Input audio buffer
-   * @param {number} attackGain - Attack gain multiplier
-   * @param {number} sustainGain - Sustain gain multiplier
+   * @param {number} attackDb - Attack gain in dB (positive = punchier)
+   * @param {number} sustainDb - Sustain gain in dB (negative = tighter)
+   * @param {Object} options - Shaper options
+   * @param {number} options.attackTime - Attack detector time in ms (how long a transient lasts)
+   * @param {number} options.releaseTime - Sustain detector release in ms (how long the tail is tracked)
+   * @param {boolean} options.isLoop - Whether the sample is a loop (guessed from its length if not given)
    * @returns {Promise<AudioBuffer>} - Processed audio buffer
    */
-  async processTransientEnhancement(buffer, attackGain = 1.2, sustainGain = 0.9) {
+  async processTransientEnhancement(buffer, attackDb = 4, sustainDb = -2, options = {}) {
     // Create a new buffer for the processed audio
     const processedBuffer = this.audioContext.createBuffer(
       buffer.numberOfChannels,
@@ -151,43 +140,28 @@ export class AudioProcessor {
       buffer.sampleRate
     );
     
-    // Process each channel
+    // Determine if this is likely a loop based on length and content
+    const isLoop = options.isLoop ?? buffer.duration > 2.0;
+    
+    // Hits in a loop are closer together, so track shorter transients and tails
+    const shaper = new TransientShaper(buffer.sampleRate, {
+      attack: attackDb,
+      sustain: sustainDb,
+      attackTime: options.attackTime ?? (isLoop ? 5 : 10),
+      releaseTime: options.releaseTime ?? (isLoop ? 60 : 150)
+    });
+    
+    // Process all channels with one linked gain curve
+    const inputChannels = [];
     for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
-      const inputData = buffer.getChannelData(channel);
-      const outputData = processedBuffer.getChannelData(channel);
-      
-      // Determine if this is likely a loop based on length and content
-      const isLikelyLoop = buffer.duration > 2.0;
-      
-      // Adjust envelope follower parameters based on content type
-      const attackTime = isLikelyLoop ? 0.002 : 0.005; // 2ms for loops, 5ms for one-shots
-      const releaseTime = isLikelyLoop ? 0.02 : 0.05; // 20ms for loops, 50ms for one-shots
-      const attackSamples = Math.floor(attackTime * buffer.sampleRate);
-      const releaseSamples = Math.floor(releaseTime * buffer.sampleRate);
-      
-      let envelope = 0;
-      
-      // Process samples
-      for (let i = 0; i < inputData.length; i++) {
-        const inputSample = Math.abs(inputData[i]);
-        
-        // Envelope follower
-        if (inputSample > envelope) {
-          envelope += (inputSample - envelope) / attackSamples;
-        } else {
-          envelope += (inputSample - envelope) / releaseSamples;
-        }
-        
-        // Detect transients (when envelope is rising quickly)
-        // Use a more sensitive threshold for loops
-        const transientThreshold = isLikelyLoop ? 1.2 : 1.5;
-        const isTransient = inputSample > envelope * transientThreshold;
-        
-        // Apply different gain for transients and sustain
-        outputData[i] = inputData[i] * (isTransient ? attackGain : sustainGain);
-      }
+      inputChannels.push(buffer.getChannelData(channel));
     }
     
+    const outputChannels = shaper.process(inputChannels);
+    outputChannels.forEach((outputData, channel) => {
+      processedBuffer.getChannelData(channel).set(outputData);
+    });
+    
     return processedBuffer;
   }
 
@@ -195,9 +169,14 @@ export class AudioProcessor {
    * Process audio with pitch shifting
    * @param {AudioBuffer} buffer - Input audio buffer
    * @param {number} semitones - Number of semitones to shift
+   * @param {Object} options - Pitch shift options
+   * @param {string} options.mode - 'preserve' keeps duration and hit timing (WSOLA),
+   *   'tape' resamples like a varispeed tape (faster and shorter when shifted up)
    * @returns {Promise<AudioBuffer>} - Processed audio buffer
    */
-  async processPitchShift(buffer, semitones) {
+  async processPitchShift(buffer, semitones, options = {}) {
+    const mode = options.mode || 'preserve';
+    
     // Create a new buffer for the processed audio
     const processedBuffer = this.audioContext.createBuffer(
       buffer.numberOfChannels,
@@ -207,25 +186,19 @@ export class AudioProcessor {
     
     // Calculate pitch ratio
     const pitchRatio = Math.pow(2, semitones / 12);
+    const shifter = new PitchShifter(buffer.sampleRate);
     
     // Process each channel
     for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
       const inputData = buffer.getChannelData(channel);
       const outputData = processedBuffer.getChannelData(channel);
       
-      // Simple resampling for pitch shifting
-      for (let i = 0; i < outputData.length; i++) {
-        const readIndex = i * pitchRatio;
-        const readIndex1 = Math.floor(readIndex);
-        const readIndex2 = readIndex1 + 1;
-        const fraction = readIndex - readIndex1;
-        
-        // Linear interpolation
-        if (readIndex2 < inputData.length) {
-          outputData[i] = inputData[readIndex1] * (1 - fraction) + inputData[readIndex2] * fraction;
-        } else if (readIndex1 < inputData.length) {
-          outputData[i] = inputData[readIndex1];
-        }
+      if (mode === 'tape') {
+        // Simple resampling for pitch shifting (changes duration)
+        outputData.set(shifter.resample(inputData, pitchRatio, outputData.length));
+      } else {
+        // Time-preserving pitch shift
+        outputData.set(shifter.shift(inputData, semitones));
       }
     }
     
@@ -233,12 +206,33 @@ export class AudioProcessor {
   }
 
   /**
-   * Process audio with bit crushing effect
+   * Process audio with bit crushing effect (amplitude only, at the original sample rate)
    * @param {AudioBuffer} buffer - Input audio buffer
    * @param {number} bits - Target bit depth
+   * @param {Object} options - Quantizer options (see LoFiDegrader)
+   * @param {boolean} options.dither - Add TPDF dither before quantizing
+   * @param {boolean} options.noiseShaping - Push the quantization noise up in frequency
    * @returns {Promise<AudioBuffer>} - Processed audio buffer
    */
-  async processBitCrush(buffer, bits = 8) {
+  async processBitCrush(buffer, bits = 8, options = {}) {
+    return this.processLoFi(buffer, { ...options, rate: buffer.sampleRate, bits });
+  }
+
+  /**
+   * Process audio through a vintage sampler emulation (sample-rate and bit reduction)
+   * @param {AudioBuffer} buffer - Input audio buffer
+   * @param {Object} options - Degrade options (see LoFiDegrader)
+   * @param {string} options.preset - Sampler preset, e.g. 'sp1200' (26kHz, 12-bit)
+   * @param {number} options.rate - Target sample rate in Hz (overrides the preset)
+   * @param {number} options.bits - Target bit depth (overrides the preset)
+   * @param {boolean} options.antiAlias - Lowpass before the sample-and-hold (default true)
+   * @param {boolean} options.reconstruction - Lowpass after the sample-and-hold (default true)
+   * @param {boolean} options.dither - Add TPDF dither before quantizing
+   * @param {boolean} options.noiseShaping - Push the quantization noise up in frequency
+   * @param {number} options.seed - Random seed for the dither noise
+   * @returns {Promise<AudioBuffer>} - Processed audio buffer
+   */
+  async processLoFi(buffer, options = {}) {
     // Create a new buffer for the processed audio
     const processedBuffer = this.audioContext.createBuffer(
       buffer.numberOfChannels,
@@ -246,37 +240,30 @@ export class AudioProcessor {
       buffer.sampleRate
     );
     
-    // Calculate step size for bit reduction
-    const steps = Math.pow(2, bits);
+    const degrader = new LoFiDegrader(buffer.sampleRate, options);
     
     // Process each channel
     for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
       const inputData = buffer.getChannelData(channel);
-      const outputData = processedBuffer.getChannelData(channel);
-      
-      // Apply bit reduction
-      for (let i = 0; i < inputData.length; i++) {
-        // Scale to 0-1 range
-        const scaled = (inputData[i] + 1) / 2;
-        
-        // Apply bit reduction
-        const quantized = Math.floor(scaled * steps) / steps;
-        
-        // Scale back to -1 to 1 range
-        outputData[i] = quantized * 2 - 1;
-      }
+      processedBuffer.getChannelData(channel).set(degrader.processChannel(inputData));
     }
     
     return processedBuffer;
   }
 
   /**
-   * Process audio with distortion effect
+   * Process audio with distortion effect (oversampled waveshaping)
    * @param {AudioBuffer} buffer - Input audio buffer
-   * @param {number} amount - Distortion amount
+   * @param {number} amount - Distortion amount (drive into the curve)
+   * @param {Object} options - Distortion options (see Saturator)
+   * @param {string} options.curve - soft, hard, tube, fold or tape
+   * @param {number} options.oversample - Oversampling factor (1, 2, 4 or 8; default 4)
+   * @param {Object|null} options.preFilter - Tone filter before the curve as { type, cutoff, resonance, gain }
+   * @param {Object|null} options.postFilter - Tone filter after the curve as { type, cutoff, resonance, gain }
+   * @param {number} options.mix - Wet/dry mix (0-1, default 1)
    * @returns {Promise<AudioBuffer>} - Processed audio buffer
    */
-  async processDistortion(buffer, amount = 5) {
+  async processDistortion(buffer, amount = 5, options = {}) {
     // Create a new buffer for the processed audio
     const processedBuffer = this.audioContext.createBuffer(
       buffer.numberOfChannels,
@@ -284,15 +271,170 @@ export class AudioProcessor {
       buffer.sampleRate
     );
     
+    const saturator = new Saturator(buffer.sampleRate, { ...options, drive: amount });
+    
     // Process each channel
+    for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+      const inputData = buffer.getChannelData(channel);
+      processedBuffer.getChannelData(channel).set(saturator.processChannel(inputData));
+    }
+    
+    return processedBuffer;
+  }
+
+  /**
+   * Process audio with a resonant biquad filter
+   * @param {AudioBuffer} buffer - Input audio buffer
+   * @param {string} type - lowpass, highpass, bandpass, notch, peaking, lowshelf or highshelf
+   * @param {number} cutoff - Cutoff/center frequency in Hz
+   * @param {number} resonance - Filter Q (0.707 = no resonance peak)
+   * @param {Object} options - Filter options
+   * @param {number} options.gain - Gain in dB for peaking and shelf filters
+   * @returns {Promise<AudioBuffer>} - Processed audio buffer
+   */
+  async processFilter(buffer, type = 'lowpass', cutoff = 1000, resonance = 0.707, options = {}) {
+    return this.renderFilter(buffer, type, cutoff, resonance, options.gain || 0, null);
+  }
+
+  /**
+   * Process audio with an envelope-following filter (auto-wah style).
+   * Louder moments open the cutoff, so every hit gets its own sweep.
+   * @param {AudioBuffer} buffer - Input audio buffer
+   * @param {string} type - Filter type (see processFilter)
+   * @param {number} cutoff - Cutoff frequency in Hz at silence
+   * @param {number} resonance - Filter Q
+   * @param {Object} options - Modulation options
+   * @param {number} options.depth - Sweep range in octaves at full level (negative sweeps down)
+   * @param {number} options.attackTime - Envelope attack in ms
+   * @param {number} options.releaseTime - Envelope release in ms
+   * @param {number} options.gain - Gain in dB for peaking and shelf filters
+   * @returns {Promise<AudioBuffer>} - Processed audio buffer
+   */
+  async processEnvelopeFilter(buffer, type = 'lowpass', cutoff = 300, resonance = 4, options = {}) {
+    const depth = options.depth ?? 4;
+    
+    // Find the peak level so the envelope spans the full 0-1 range
+    let peak = 0;
+    for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+      const data = buffer.getChannelData(channel);
+      for (let i = 0; i < data.length; i++) {
+        peak = Math.max(peak, Math.abs(data[i]));
+      }
+    }
+    
+    // Follow the linked (loudest channel) level so all channels sweep together
+    const follower = new EnvelopeFollower(
+      buffer.sampleRate,
+      options.attackTime ?? 2,
+      options.releaseTime ?? 150,
+      peak
+    );
+    const modulation = new Float32Array(buffer.length);
+    for (let i = 0; i < buffer.length; i++) {
+      let level = 0;
+      for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+        level = Math.max(level, Math.abs(buffer.getChannelData(channel)[i]));
+      }
+      modulation[i] = follower.next(level) * depth;
+    }
+    
+    return this.renderFilter(buffer, type, cutoff, resonance, options.gain || 0, modulation);
+  }
+
+  /**
+   * Process audio with an LFO-swept filter
+   * @param {AudioBuffer} buffer - Input audio buffer
+   * @param {string} type - Filter type (see processFilter)
+   * @param {number} cutoff - Center cutoff frequency in Hz
+   * @param {number} resonance - Filter Q
+   * @param {Object} options - Modulation options
+   * @param {number} options.depth - Sweep range in octaves either side of the cutoff
+   * @param {number} options.rate - LFO rate in Hz
+   * @param {string} options.shape - LFO shape (sine, triangle, square, saw)
+   * @param {number} options.gain - Gain in dB for peaking and shelf filters
+   * @returns {Promise<AudioBuffer>} - Processed audio buffer
+   */
+  async processLfoFilter(buffer, type = 'bandpass', cutoff = 1000, resonance = 2, options = {}) {
+    const depth = options.depth ?? 2;
+    const lfo = new LFO(buffer.sampleRate, options.rate ?? 1, options.shape || 'sine');
+    
+    const modulation = new Float32Array(buffer.length);
+    for (let i = 0; i < buffer.length; i++) {
+      modulation[i] = lfo.next() * depth;
+    }
+    
+    return this.renderFilter(buffer, type, cutoff, resonance, options.gain || 0, modulation);
+  }
+
+  /**
+   * Process audio with a randomly picked filter setting
+   * (used by the variation generator for tone variations)
+   * @param {AudioBuffer} buffer - Input audio buffer
+   * @param {boolean} isLoop - Whether the sample is a loop
+   * @param {number} seed - Random seed, so the pick can be reproduced
+   * @returns {Promise<AudioBuffer>} - Processed audio buffer
+   */
+  async processRandomFilter(buffer, isLoop = false, seed = randomSeed()) {
+    const random = createRandom(seed);
+    const between = (min, max) => min + random() * (max - min);
+    
+    const recipes = [
+      // Darker, slightly resonant lowpass
+      () => this.processFilter(buffer, 'lowpass', between(1500, 6000), between(0.7, 2.5)),
+      // Thinner highpass
+      () => this.processFilter(buffer, 'highpass', between(80, 400), between(0.7, 1.5)),
+      // Presence boost
+      () => this.processFilter(buffer, 'peaking', between(1500, 5000), 1.2, { gain: between(3, 8) }),
+      // Air shelf
+      () => this.processFilter(buffer, 'highshelf', between(6000, 10000), 0.707, { gain: between(-6, 6) }),
+      // Envelope-following lowpass (each hit opens the filter)
+      () => this.processEnvelopeFilter(buffer, 'lowpass', between(300, 800), between(2, 6), {
+        depth: between(2, 4),
+        releaseTime: isLoop ? 80 : 200
+      })
+    ];
+    
+    // Slow swept bandpass only makes sense over a longer loop
+    if (isLoop) {
+      recipes.push(() => this.processLfoFilter(buffer, 'bandpass', between(600, 2000), between(1, 3), {
+        depth: between(1, 2),
+        rate: between(0.25, 1)
+      }));
+    }
+    
+    return recipes[Math.floor(random() * recipes.length)]();
+  }
+
+  /**
+   * Run a (possibly modulated) biquad filter over every channel of a buffer
+   * @param {AudioBuffer} buffer - Input audio buffer
+   * @param {string} type - Filter type
+   * @param {number} cutoff - Base cutoff frequency in Hz
+   * @param {number} resonance - Filter Q
+   * @param {number} gain - Gain in dB for peaking and shelf filters
+   * @param {Float32Array|null} modulation - Cutoff offset in octaves per sample
+   * @returns {AudioBuffer} - Processed audio buffer
+   */
+  renderFilter(buffer, type, cutoff, resonance, gain, modulation) {
+    const processedBuffer = this.audioContext.createBuffer(
+      buffer.numberOfChannels,
+      buffer.length,
+      buffer.sampleRate
+    );
+    
+    // Coefficients are updated every few samples while modulating
+    const updateInterval = 16;
+    
     for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
       const inputData = buffer.getChannelData(channel);
       const outputData = processedBuffer.getChannelData(channel);
+      const filter = new BiquadFilter(buffer.sampleRate, type, cutoff, resonance, gain);
       
-      // Apply distortion
       for (let i = 0; i < inputData.length; i++) {
-        // Waveshaping distortion
-        outputData[i] = Math.tanh(inputData[i] * amount);
+        if (modulation && i % updateInterval === 0) {
+          filter.setFrequency(cutoff * Math.pow(2, modulation[i]));
+        }
+        outputData[i] = filter.processSample(inputData[i]);
       }
     }
     
@@ -302,40 +444,39 @@ export class AudioProcessor {
   /**
    * Process audio with reverb effect
    * @param {AudioBuffer} buffer - Input audio buffer
-   * @param {number} roomSize - Size of the reverb (0-1)
+   * @param {number} roomSize - Size of the generated noise reverb in seconds (0-1)
    * @param {number} wetDry - Wet/dry mix (0-1)
+   * @param {Object} options - Reverb options
+   * @param {string} options.reverbType - Reverb type id from getReverbTypes() (defaults to noise)
+   * @param {boolean} options.seamless - Keep the exact length and wrap the tail into the
+   *   start so the result still loops (defaults to true for loops)
+   * @param {number} options.seed - Random seed for the generated noise impulse
    * @returns {Promise<AudioBuffer>} - Processed audio buffer
    */
-  async processReverb(buffer, roomSize = 0.2, wetDry = 0.3) {
+  async processReverb(buffer, roomSize = 0.2, wetDry = 0.3, options = {}) {
     // Determine if this is likely a loop based on duration
     const isLikelyLoop = buffer.duration > 2.0;
+    const seamless = options.seamless ?? isLikelyLoop;
     
     // Create a new buffer for the processed audio
-    // For loops, don't add as much extra time for reverb tail
-    const extraTime = isLikelyLoop ? 0.5 : 1.0; // seconds
+    // Seamless loops keep their length, everything else gets room for the reverb tail
+    const extraTime = seamless ? 0 : isLikelyLoop ? 0.5 : 1.0; // seconds
     const processedBuffer = this.audioContext.createBuffer(
       buffer.numberOfChannels,
       buffer.length + Math.floor(buffer.sampleRate * extraTime),
       buffer.sampleRate
     );
     
-    // Create a simple reverb impulse response
-    const impulseLength = Math.floor(buffer.sampleRate * roomSize);
-    const impulse = this.audioContext.createBuffer(
-      2,
-      impulseLength,
-      buffer.sampleRate
+    // Get the impulse response for the selected reverb type
+    const impulse = this.impulseLibrary.getImpulse(
+      this.audioContext,
+      options.reverbType,
+      buffer.sampleRate,
+      roomSize,
+      options.seed
     );
     
-    // Fill impulse response with decaying noise
-    for (let channel = 0; channel < impulse.numberOfChannels; channel++) {
-      const impulseData = impulse.getChannelData(channel);
-      for (let i = 0; i < impulseLength; i++) {
-        impulseData[i] = (Math.random() * 2 - 1) * Math.exp(-i / (impulseLength * 0.5));
-      }
-    }
-    
-    // Process each channel with convolution
+    // Process each channel with FFT partitioned convolution
     for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
       const inputData = buffer.getChannelData(channel);
       const outputData = processedBuffer.getChannelData(channel);
@@ -345,12 +486,14 @@ export class AudioProcessor {
         outputData[i] = inputData[i] * (1 - wetDry);
       }
       
-      // Add wet signal (simple convolution)
+      // Add wet signal (for seamless loops the full tail is folded back into the start)
       const impulseData = impulse.getChannelData(channel % impulse.numberOfChannels);
-      for (let i = 0; i < inputData.length; i++) {
-        for (let j = 0; j < impulseLength && i + j < outputData.length; j++) {
-          outputData[i + j] += inputData[i] * impulseData[j] * wetDry;
-        }
+      const convolver = new PartitionedConvolver(impulseData);
+      const wetData = seamless
+        ? smoothLoopBoundary(foldTail(convolver.process(inputData), outputData.length), buffer.sampleRate)
+        : convolver.process(inputData, outputData.length);
+      for (let i = 0; i < outputData.length; i++) {
+        outputData[i] += wetData[i] * wetDry;
       }
     }
     
@@ -360,58 +503,775 @@ export class AudioProcessor {
   /**
    * Process audio with delay effect
    * @param {AudioBuffer} buffer - Input audio buffer
-   * @param {number} delayTime - Delay time in seconds
+   * @param {number} delayTime - Delay time in seconds (used when no division/bpm is given)
    * @param {number} feedback - Feedback amount (0-1)
+   * @param {Object} options - Delay options
+   * @param {string} options.division - Tempo-synced delay time, e.g. '1/8', '1/8d', '1/16t'
+   * @param {number} options.bpm - Tempo for the division
+   * @param {boolean} options.pingPong - Bounce repeats between left and right (output is stereo)
+   * @param {Object|null} options.feedbackFilter - Filter in the feedback path as
+   *   { type, cutoff, resonance }; each repeat gets darker/thinner. null disables it.
+   * @param {number} options.mix - Level of the first repeat (defaults to the feedback amount)
+   * @param {boolean} options.seamless - Keep the exact length and wrap the repeats into the
+   *   start so the result still loops (defaults to true for loops)
    * @returns {Promise<AudioBuffer>} - Processed audio buffer
    */
-  async processDelay(buffer, delayTime = 0.25, feedback = 0.3) {
+  async processDelay(buffer, delayTime = 0.25, feedback = 0.3, options = {}) {
     // Determine if this is likely a loop based on duration
     const isLikelyLoop = buffer.duration > 2.0;
+    const seamless = options.seamless ?? isLikelyLoop;
     
-    // Create a new buffer for the processed audio
-    // For loops, don't add as much extra time for delay tail
-    const extraTime = isLikelyLoop ? 0.5 : 1.0; // seconds
+    // Tempo-synced delay time if we know the tempo
+    if (options.division && options.bpm) {
+      delayTime = divisionToSeconds(options.division, options.bpm);
+    }
+    
+    const pingPong = !!options.pingPong;
+    const mix = options.mix ?? feedback;
+    const feedbackFilter = options.feedbackFilter === undefined
+      ? { type: 'lowpass', cutoff: 6000, resonance: 0.707 }
+      : options.feedbackFilter;
+    
+    // Calculate delay in samples
+    const delaySamples = Math.max(1, Math.floor(delayTime * buffer.sampleRate));
+    
+    // Render long enough for the repeats to die down (-40dB, or -60dB when the
+    // tail is folded back into a seamless loop and has to be complete)
+    // For non-seamless loops, don't add as much extra time for delay tail
+    const floor = seamless ? 0.001 : 0.01;
+    const repeats = feedback > 0.01
+      ? Math.ceil(Math.log(floor) / Math.log(Math.min(feedback, 0.99)))
+      : 1;
+    const maxTail = seamless ? 30.0 : isLikelyLoop ? Math.max(0.5, delayTime) : 4.0; // seconds
+    const extraTime = Math.min(delayTime * repeats, maxTail);
+    const renderLength = buffer.length + Math.floor(buffer.sampleRate * extraTime);
+    
+    // Create a new buffer for the processed audio (ping-pong always needs two channels)
+    const numChannels = pingPong ? 2 : buffer.numberOfChannels;
     const processedBuffer = this.audioContext.createBuffer(
-      buffer.numberOfChannels,
-      buffer.length + Math.floor(buffer.sampleRate * extraTime),
+      numChannels,
+      seamless ? buffer.length : renderLength,
       buffer.sampleRate
     );
     
-    // Calculate delay in samples
-    const delaySamples = Math.floor(delayTime * buffer.sampleRate);
+    const createFilter = () => feedbackFilter
+      ? new BiquadFilter(
+        buffer.sampleRate,
+        feedbackFilter.type || 'lowpass',
+        feedbackFilter.cutoff || 6000,
+        feedbackFilter.resonance || 0.707
+      )
+      : null;
+    const filterSample = (filter, sample) => (filter ? filter.processSample(sample) : sample);
     
-    // Process each channel
-    for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
-      const inputData = buffer.getChannelData(channel);
+    // Mix dry and repeats; seamless loops wrap the repeats that run past the end back into the start
+    const writeOutput = (channel, dryData, wetData) => {
       const outputData = processedBuffer.getChannelData(channel);
+      const repeatData = seamless
+        ? smoothLoopBoundary(foldTail(wetData, buffer.length), buffer.sampleRate)
+        : wetData;
+      for (let i = 0; i < outputData.length; i++) {
+        outputData[i] = (i < dryData.length ? dryData[i] : 0) + repeatData[i];
+      }
+    };
+    
+    if (pingPong) {
+      // Mono sum feeds the left line; each line feeds the other, so repeats alternate L/R
+      const inputLeft = buffer.getChannelData(0);
+      const inputRight = buffer.getChannelData(Math.min(1, buffer.numberOfChannels - 1));
+      const wetLeft = new Float32Array(renderLength);
+      const wetRight = new Float32Array(renderLength);
+      const lineLeft = new Float32Array(delaySamples);
+      const lineRight = new Float32Array(delaySamples);
+      const filterLeft = createFilter();
+      const filterRight = createFilter();
+      let position = 0;
       
-      // Copy original signal
-      for (let i = 0; i < inputData.length; i++) {
-        outputData[i] = inputData[i];
+      for (let i = 0; i < renderLength; i++) {
+        const left = i < inputLeft.length ? inputLeft[i] : 0;
+        const right = i < inputRight.length ? inputRight[i] : 0;
+        const delayedLeft = lineLeft[position];
+        const delayedRight = lineRight[position];
+        
+        lineLeft[position] = (left + right) * 0.5 + feedback * filterSample(filterRight, delayedRight);
+        lineRight[position] = feedback * filterSample(filterLeft, delayedLeft);
+        position = (position + 1) % delaySamples;
+        
+        wetLeft[i] = delayedLeft * mix;
+        wetRight[i] = delayedRight * mix;
       }
       
-      // Add delay taps
-      let currentFeedback = feedback;
+      writeOutput(0, inputLeft, wetLeft);
+      writeOutput(1, inputRight, wetRight);
       
-      // For loops, use fewer delay taps to avoid muddiness
-      const maxTaps = isLikelyLoop ? 3 : 10;
-      let tapCount = 0;
+      return processedBuffer;
+    }
+    
+    // Process each channel with a recirculating delay line
+    for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+      const inputData = buffer.getChannelData(channel);
+      const wetData = new Float32Array(renderLength);
+      const line = new Float32Array(delaySamples);
+      const filter = createFilter();
+      let position = 0;
       
-      while (currentFeedback > 0.01 && tapCount < maxTaps) { // Stop when feedback is very low or max taps reached
-        for (let i = 0; i < inputData.length; i++) {
-          const delayPos = i + delaySamples;
-          if (delayPos < outputData.length) {
-            outputData[delayPos] += inputData[i] * currentFeedback;
-          }
-        }
-        currentFeedback *= feedback; // Reduce feedback for next tap
-        tapCount++;
+      for (let i = 0; i < renderLength; i++) {
+        const input = i < inputData.length ? inputData[i] : 0;
+        const delayed = line[position];
+        
+        // The delayed signal goes back into the line, so each repeat is a repeat of the last one
+        line[position] = input + feedback * filterSample(filter, delayed);
+        position = (position + 1) % delaySamples;
+        
+        wetData[i] = delayed * mix;
       }
+      
+      writeOutput(channel, inputData, wetData);
     }
     
     return processedBuffer;
   }
 
+  /**
+   * Tempo for tempo-based effect lengths: the given one, a guess from the loop
+   * length, or DEFAULT_BPM for one-shots
+   * @param {AudioBuffer} buffer - Audio buffer the effect runs on
+   * @param {number|null} bpm - Known tempo
+   * @returns {number} - Tempo in BPM
+   */
+  effectBpm(buffer, bpm) {
+    if (bpm > 0) return bpm;
+    return buffer.duration > 2.0 ? TempoDetector.bpmFromLoopLength(buffer.duration) : DEFAULT_BPM;
+  }
+
+  /**
+   * Play audio backwards
+   * @param {AudioBuffer} buffer - Input audio buffer
+   * @returns {Promise<AudioBuffer>} - Reversed audio buffer
+   */
+  async processReverse(buffer) {
+    const processedBuffer = this.audioContext.createBuffer(
+      buffer.numberOfChannels,
+      buffer.length,
+      buffer.sampleRate
+    );
+    const glitch = new GlitchProcessor(buffer.sampleRate);
+    
+    for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+      processedBuffer.getChannelData(channel).set(glitch.reverse(buffer.getChannelData(channel)));
+    }
+    
+    return processedBuffer;
+  }
+
+  /**
+   * Reverse reverb: reverse, add reverb, reverse again, so the reverb swells
+   * up into each hit instead of trailing after it
+   * @param {AudioBuffer} buffer - Input audio buffer
+   * @param {number} roomSize - Room size (0-1)
+   * @param {number} wetDry - Wet/dry mix (0-1)
+   * @param {Object} options - Reverb options (see processReverb); with seamless
+   *   off the swell is added in front of the sample
+   * @returns {Promise<AudioBuffer>} - Processed audio buffer
+   */
+  async processReverseReverb(buffer, roomSize = 0.3, wetDry = 0.5, options = {}) {
+    const reversed = await this.processReverse(buffer);
+    const reverbed = await this.processReverb(reversed, roomSize, wetDry, options);
+    return this.processReverse(reverbed);
+  }
+
+  /**
+   * Buffer-repeat stutter: repeat a tempo-length slice several times
+   * @param {AudioBuffer} buffer - Input audio buffer
+   * @param {Object} options - Stutter options
+   * @param {number} options.bpm - Tempo (guessed from the length if missing)
+   * @param {string} options.division - Length of the repeated slice (see NOTE_DIVISIONS)
+   * @param {number} options.repeats - How many times the slice plays
+   * @param {number} options.start - Start of the slice in seconds (default: last beat
+   *   of a loop, the start of a one-shot)
+   * @returns {Promise<AudioBuffer>} - Stuttered audio buffer
+   */
+  async processStutter(buffer, options = {}) {
+    const bpm = this.effectBpm(buffer, options.bpm);
+    const division = options.division || '1/16';
+    const sliceLength = Math.max(1, Math.round(divisionToSeconds(division, bpm) * buffer.sampleRate));
+    
+    // By default the repeats fill one beat: the last one of a loop (a fill), the first of a one-shot
+    const beatLength = Math.round(divisionToSeconds('1/4', bpm) * buffer.sampleRate);
+    const repeats = options.repeats || Math.max(1, Math.round(beatLength / sliceLength));
+    const defaultStart = buffer.duration > 2.0 ? Math.max(0, buffer.length - sliceLength * repeats) : 0;
+    const start = options.start !== undefined
+      ? Math.min(buffer.length - 1, Math.round(options.start * buffer.sampleRate))
+      : defaultStart;
+    
+    const glitch = new GlitchProcessor(buffer.sampleRate);
+    const channels = [];
+    for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+      channels.push(glitch.stutter(buffer.getChannelData(channel), start, sliceLength, repeats));
+    }
+    
+    const processedBuffer = this.audioContext.createBuffer(
+      buffer.numberOfChannels,
+      channels[0].length,
+      buffer.sampleRate
+    );
+    channels.forEach((data, channel) => {
+      processedBuffer.getChannelData(channel).set(data);
+    });
+    
+    return processedBuffer;
+  }
+
+  /**
+   * Tape stop: slow the playback down to a standstill
+   * @param {AudioBuffer} buffer - Input audio buffer
+   * @param {Object} options - Tape stop options
+   * @param {number} options.bpm - Tempo (guessed from the length if missing)
+   * @param {string} options.division - Length of the slowdown (see NOTE_DIVISIONS)
+   * @param {number} options.duration - Length of the slowdown in seconds (used without a division)
+   * @param {number} options.start - Start of the slowdown in seconds (default: so it ends
+   *   with the loop; one-shots slow down from the start)
+   * @returns {Promise<AudioBuffer>} - Processed audio buffer (same length)
+   */
+  async processTapeStop(buffer, options = {}) {
+    const isLikelyLoop = buffer.duration > 2.0;
+    
+    // Loops stop over a half note by default, one-shots over their whole length
+    let duration = options.duration || (isLikelyLoop ? null : buffer.duration);
+    if (options.division || !duration) {
+      duration = divisionToSeconds(options.division || '1/2', this.effectBpm(buffer, options.bpm));
+    }
+    const stopLength = Math.max(1, Math.round(duration * buffer.sampleRate));
+    
+    const defaultStart = isLikelyLoop ? Math.max(0, buffer.length - stopLength) : 0;
+    const start = options.start !== undefined
+      ? Math.min(buffer.length, Math.round(options.start * buffer.sampleRate))
+      : defaultStart;
+    
+    const processedBuffer = this.audioContext.createBuffer(
+      buffer.numberOfChannels,
+      buffer.length,
+      buffer.sampleRate
+    );
+    const glitch = new GlitchProcessor(buffer.sampleRate);
+    
+    for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+      processedBuffer.getChannelData(channel).set(
+        glitch.tapeStop(buffer.getChannelData(channel), start, stopLength)
+      );
+    }
+    
+    return processedBuffer;
+  }
+
+  /**
+   * Gated retrigger: gate the audio in tempo steps, restarting the sound every few steps
+   * @param {AudioBuffer} buffer - Input audio buffer
+   * @param {Object} options - Retrigger options
+   * @param {number} options.bpm - Tempo (guessed from the length if missing)
+   * @param {string} options.division - Step length (see NOTE_DIVISIONS)
+   * @param {number} options.duty - Part of each step the gate is open (0-1)
+   * @param {number} options.hold - Steps per retrigger (1 = plain rhythmic gate)
+   * @returns {Promise<AudioBuffer>} - Processed audio buffer (same length)
+   */
+  async processGatedRetrigger(buffer, options = {}) {
+    const bpm = this.effectBpm(buffer, options.bpm);
+    const stepLength = divisionToSeconds(options.division || '1/16', bpm) * buffer.sampleRate;
+    const duty = Math.max(0.05, Math.min(1, options.duty ?? 0.5));
+    const hold = Math.max(1, Math.round(options.hold || 1));
+    
+    const processedBuffer = this.audioContext.createBuffer(
+      buffer.numberOfChannels,
+      buffer.length,
+      buffer.sampleRate
+    );
+    const glitch = new GlitchProcessor(buffer.sampleRate);
+    
+    for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+      processedBuffer.getChannelData(channel).set(
+        glitch.retrigger(buffer.getChannelData(channel), stepLength, duty, hold)
+      );
+    }
+    
+    return processedBuffer;
+  }
+
+  /**
+   * Re-synthesize audio from grains (textures and ghost-note material)
+   * @param {AudioBuffer} buffer - Input audio buffer
+   * @param {Object} options - Granular options (see GranularEngine)
+   * @param {number} options.grainSize - Grain length in ms
+   * @param {number} options.density - Grains per second
+   * @param {number} options.positionJitter - Random read offset in ms
+   * @param {number} options.pitchJitter - Random pitch change in semitones
+   * @param {string} options.envelope - Grain envelope (see GRAIN_ENVELOPES)
+   * @param {number} options.transientTime - Dry ms kept at the start of a one-shot, or at every hit of a loop
+   * @param {number} options.seed - Random seed, so a texture can be reproduced
+   * @returns {Promise<AudioBuffer>} - Granular audio buffer (same length)
+   */
+  async processGranular(buffer, options = {}) {
+    const channels = [];
+    for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+      channels.push(buffer.getChannelData(channel));
+    }
+    
+    // Loops keep the attack of every hit, one-shots only the first
+    const isLikelyLoop = buffer.duration > 2.0;
+    const onsets = isLikelyLoop && options.transientTime > 0
+      ? new LoopSlicer(buffer.sampleRate).detectOnsets(channels)
+      : [0];
+    
+    const engine = new GranularEngine(buffer.sampleRate, options);
+    const processedBuffer = this.audioContext.createBuffer(
+      buffer.numberOfChannels,
+      buffer.length,
+      buffer.sampleRate
+    );
+    engine.process(channels, onsets).forEach((data, channel) => {
+      processedBuffer.getChannelData(channel).set(data);
+    });
+    
+    return processedBuffer;
+  }
+
+  /**
+   * Work out base frequencies and decays of the synth layers that match a sample
+   * @param {Object} features - Features from MLProcessor.extractFeatures
+   * @returns {Object} - { sub, noise, click }, each as { frequency (Hz), decay (ms) }
+   */
+  matchSynthLayers(features) {
+    // The sub follows the detected pitch, moved down by octaves into the sub range
+    let subFrequency = features.pitch || DEFAULT_SUB_FREQUENCY;
+    while (subFrequency > MAX_SUB_FREQUENCY) subFrequency /= 2;
+    
+    // The sub rings as long as the sample, the noise burst for about half of it
+    const tail = (features.tailTime || 0.3) * 1000;
+    const clamp = (value, min, max) => Math.round(Math.max(min, Math.min(max, value)));
+    
+    return {
+      sub: { frequency: subFrequency, decay: clamp(tail, 100, 1500) },
+      noise: { frequency: clamp(features.spectralCentroid || 3000, 1000, 8000), decay: clamp(tail * 0.5, 50, 600) },
+      click: { frequency: 4000, decay: 8 }
+    };
+  }
+
+  /**
+   * Mix synthesized sub, noise and click layers under the first hit of a sample
+   * @param {AudioBuffer} buffer - Input audio buffer
+   * @param {Object} layers - { sub, noise, click } layer settings (see LayerSynth), each with
+   *   enabled, level (relative to the sample peak), decay (ms), tune (semitones) and
+   *   frequency (Hz, see matchSynthLayers); sub also has waveform and sweep
+   * @param {number} seed - Random seed for the noise layer
+   * @returns {Promise<AudioBuffer>} - Layered audio buffer (longer when a layer outlasts the sample),
+   *   turned down as a whole if the layers push it above the sample's peak
+   */
+  async processSynthLayers(buffer, layers, seed = randomSeed()) {
+    const channels = [];
+    for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+      channels.push(buffer.getChannelData(channel));
+    }
+    
+    // Start the layers with the hit, at the sample's level
+    let peak = 0;
+    for (const data of channels) {
+      for (let i = 0; i < data.length; i++) peak = Math.max(peak, Math.abs(data[i]));
+    }
+    let start = 0;
+    while (start < buffer.length && !channels.some(data => Math.abs(data[start]) >= peak * 0.1)) {
+      start++;
+    }
+    
+    const decays = Object.values(layers).filter(layer => layer && layer.enabled).map(layer => layer.decay);
+    const layerLength = Math.ceil((Math.max(0, ...decays) / 1000) * buffer.sampleRate);
+    const length = Math.max(buffer.length, start + layerLength);
+    
+    const synth = new LayerSynth(buffer.sampleRate, seed);
+    const synthesized = synth.render(length - start, layers);
+    
+    const processedBuffer = this.audioContext.createBuffer(buffer.numberOfChannels, length, buffer.sampleRate);
+    let mixPeak = 0;
+    channels.forEach((data, channel) => {
+      const outputData = processedBuffer.getChannelData(channel);
+      outputData.set(data);
+      for (let i = 0; i < synthesized.length; i++) {
+        outputData[start + i] += synthesized[i] * peak;
+        mixPeak = Math.max(mixPeak, Math.abs(outputData[start + i]));
+      }
+    });
+    
+    // Layers keep their level relative to the hit, but the mix stays at the sample's
+    // peak, so layering a full-scale hit doesn't clip
+    if (mixPeak > peak) {
+      const gain = peak / mixPeak;
+      for (let channel = 0; channel < processedBuffer.numberOfChannels; channel++) {
+        const outputData = processedBuffer.getChannelData(channel);
+        for (let i = 0; i < outputData.length; i++) outputData[i] *= gain;
+      }
+    }
+    
+    return processedBuffer;
+  }
+
+  /**
+   * Process audio with stereo imaging (output is always stereo)
+   * Order: decorrelation, Haas delay, mid/side width, auto-pan.
+   * @param {AudioBuffer} buffer - Input audio buffer (mono or stereo)
+   * @param {Object} options - Imaging options
+   * @param {number} options.decorrelate - Decorrelated side signal from the mid (0-1), makes mono sources stereo
+   * @param {number} options.haasTime - Haas delay of the right side in ms (0 = off)
+   * @param {number} options.width - Mid/side width (0 = mono, 1 = unchanged, 2 = twice as wide)
+   * @param {Object|null} options.autoPan - Auto-pan as { rate, division, bpm, depth, shape };
+   *   division + bpm sync one full left-right cycle to the tempo
+   * @returns {Promise<AudioBuffer>} - Processed stereo audio buffer
+   */
+  async processStereo(buffer, options = {}) {
+    const processedBuffer = this.audioContext.createBuffer(2, buffer.length, buffer.sampleRate);
+    const imager = new StereoImager(buffer.sampleRate);
+    
+    let left = buffer.getChannelData(0);
+    let right = buffer.getChannelData(Math.min(1, buffer.numberOfChannels - 1));
+    
+    if (options.decorrelate > 0) {
+      [left, right] = imager.decorrelate(left, right, options.decorrelate);
+    }
+    
+    if (options.haasTime > 0) {
+      [left, right] = imager.haas(left, right, options.haasTime);
+    }
+    
+    if (options.width !== undefined && options.width !== 1) {
+      [left, right] = imager.width(left, right, options.width);
+    }
+    
+    if (options.autoPan) {
+      const { division, bpm, depth, shape } = options.autoPan;
+      const rate = division && bpm ? 1 / divisionToSeconds(division, bpm) : options.autoPan.rate || 1;
+      [left, right] = imager.autoPan(left, right, rate, depth ?? 0.8, shape || 'sine');
+    }
+    
+    processedBuffer.getChannelData(0).set(left);
+    processedBuffer.getChannelData(1).set(right);
+    
+    return processedBuffer;
+  }
+
+  /**
+   * Measure the phase correlation of a buffer (mono compatibility check)
+   * @param {AudioBuffer} buffer - Audio buffer to measure
+   * @returns {Object} - { correlation, minCorrelation }; 1 = mono, below 0 = cancels in mono
+   */
+  measureCorrelation(buffer) {
+    if (buffer.numberOfChannels < 2) {
+      return { correlation: 1, minCorrelation: 1 };
+    }
+    
+    const imager = new StereoImager(buffer.sampleRate);
+    return imager.correlation(buffer.getChannelData(0), buffer.getChannelData(1));
+  }
+
+  /**
+   * Measure the loudness of a buffer
+   * @param {AudioBuffer} buffer - Audio buffer to measure
+   * @returns {Object} - { peak (dBFS), truePeak (dBTP), rms (dBFS), lufs (LUFS) }
+   */
+  measureLoudness(buffer) {
+    const channels = [];
+    for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+      channels.push(buffer.getChannelData(channel));
+    }
+    
+    const meter = new LoudnessMeter(buffer.sampleRate);
+    return meter.measure(channels);
+  }
+
+  /**
+   * Normalize a buffer's loudness (for previews and exports)
+   * @param {AudioBuffer} buffer - Audio buffer to normalize
+   * @param {Object} options - Normalization options
+   * @param {string} options.mode - 'off', 'peak', 'rms' or 'lufs' (see NORMALIZATION_MODES)
+   * @param {number} options.target - Target level in the mode's unit
+   * @param {Object} options.reference - Loudness of a buffer to match instead of the target
+   *   (e.g. the original); matched in the mode's measurement, or in LUFS when the mode is off
+   * @returns {AudioBuffer} - Normalized buffer (the buffer itself when no gain is needed); with
+   *   the mode off it is only turned down if its true peak is over the output ceiling
+   */
+  normalizeBuffer(buffer, options = {}) {
+    const { reference } = options;
+    let mode = options.mode || 'off';
+    let target = options.target;
+    if (reference) {
+      mode = mode === 'off' ? 'lufs' : mode;
+      const normalization = NORMALIZATION_MODES.find(entry => entry.id === mode);
+      target = reference[normalization.measure];
+    }
+    
+    const meter = new LoudnessMeter(buffer.sampleRate);
+    const gainDb = meter.normalizationGain(this.measureLoudness(buffer), mode, target);
+    if (Math.abs(gainDb) < 0.01) return buffer;
+    
+    const gain = Math.pow(10, gainDb / 20);
+    const normalizedBuffer = this.audioContext.createBuffer(
+      buffer.numberOfChannels,
+      buffer.length,
+      buffer.sampleRate
+    );
+    
+    for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+      const inputData = buffer.getChannelData(channel);
+      const outputData = normalizedBuffer.getChannelData(channel);
+      for (let i = 0; i < inputData.length; i++) {
+        outputData[i] = inputData[i] * gain;
+      }
+    }
+    
+    return normalizedBuffer;
+  }
+
+  /**
+   * Line layers up with the first one by cross-correlating their transients
+   * @param {AudioBuffer[]} buffers - Layers; the first is the reference
+   * @returns {Object[]} - Per layer { offset (ms to add), inverted, correlation (0-1) };
+   *   the reference itself gets { offset: 0, inverted: false, correlation: 1 }
+   */
+  alignLayers(buffers) {
+    const getChannels = (buffer) => {
+      const channels = [];
+      for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+        channels.push(buffer.getChannelData(channel));
+      }
+      return channels;
+    };
+
+    const [reference, ...others] = buffers;
+    const mixer = new LayerMixer(reference.sampleRate);
+    const referenceChannels = getChannels(reference);
+
+    return [
+      { offset: 0, inverted: false, correlation: 1 },
+      ...others.map(buffer => {
+        const alignment = mixer.align(referenceChannels, getChannels(buffer));
+        return { ...alignment, offset: (alignment.offset / reference.sampleRate) * 1000 };
+      })
+    ];
+  }
+
+  /**
+   * Mix several buffers into one layered sound
+   * @param {Object[]} layers - Layers as { buffer, gain, pan (-1 to 1), offset (ms), inverted }
+   * @returns {Promise<AudioBuffer>} - Stereo mix, long enough to hold every shifted layer
+   */
+  async processLayers(layers) {
+    const sampleRate = layers[0].buffer.sampleRate;
+    const mixer = new LayerMixer(sampleRate);
+
+    const [left, right] = mixer.mix(layers.map(layer => {
+      const channels = [];
+      for (let channel = 0; channel < layer.buffer.numberOfChannels; channel++) {
+        channels.push(layer.buffer.getChannelData(channel));
+      }
+      return {
+        channels,
+        gain: layer.gain,
+        pan: layer.pan,
+        offset: Math.round(((layer.offset || 0) / 1000) * sampleRate),
+        inverted: layer.inverted
+      };
+    }));
+
+    const processedBuffer = this.audioContext.createBuffer(2, left.length, sampleRate);
+    processedBuffer.getChannelData(0).set(left);
+    processedBuffer.getChannelData(1).set(right);
+
+    return processedBuffer;
+  }
+
+  /**
+   * Rearrange the steps of a loop on its beat grid (reorder, repeat, drop and reverse)
+   * @param {AudioBuffer} buffer - Loop to shuffle
+   * @param {Object} options - Shuffle options (see BeatShuffler)
+   * @param {number} options.bpm - Tempo of the loop (guessed from the loop length if missing)
+   * @param {number} options.drift - How far the pattern may drift from the original (0-1)
+   * @param {string} options.region - 'all' or 'lastBar' (only rework the last bar, for fills)
+   * @param {number} options.seed - Random seed, so a shuffle can be reproduced
+   * @returns {Promise<AudioBuffer>} - Shuffled audio buffer (same length as the input)
+   */
+  async processBeatShuffle(buffer, options = {}) {
+    const channels = [];
+    for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+      channels.push(buffer.getChannelData(channel));
+    }
+    
+    const bpm = options.bpm || TempoDetector.bpmFromLoopLength(buffer.duration);
+    
+    // Snap the grid to the hits so no step starts in the middle of one
+    const onsets = new LoopSlicer(buffer.sampleRate).detectOnsets(channels);
+    const shuffler = new BeatShuffler(buffer.sampleRate, options);
+    const result = shuffler.process(channels, bpm, onsets);
+    
+    const processedBuffer = this.audioContext.createBuffer(
+      buffer.numberOfChannels,
+      buffer.length,
+      buffer.sampleRate
+    );
+    result.channels.forEach((data, channel) => {
+      processedBuffer.getChannelData(channel).set(data);
+    });
+    
+    return processedBuffer;
+  }
+
+  /**
+   * Move the hits of a loop in time and velocity (swing, groove templates and humanize)
+   * @param {AudioBuffer} buffer - Loop to groove
+   * @param {Object} options - Groove options (see GrooveEngine)
+   * @param {number} options.bpm - Tempo of the loop (guessed from the loop length if missing)
+   * @param {number} options.swing - Swing in percent (50 = straight, 54-75 = MPC-style swing)
+   * @param {number} options.stepsPerBeat - Swing resolution (4 = sixteenths, 2 = eighths)
+   * @param {Object} options.groove - Groove from extractGroove (replaces swing when set)
+   * @param {number} options.humanizeTime - Maximum random timing change in ms
+   * @param {number} options.velocity - Random level change per hit (0-1)
+   * @param {number} options.seed - Random seed, so a groove can be reproduced
+   * @returns {Promise<AudioBuffer>} - Grooved audio buffer (same length as the input)
+   */
+  async processGroove(buffer, options = {}) {
+    const channels = [];
+    for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+      channels.push(buffer.getChannelData(channel));
+    }
+    
+    const bpm = options.bpm || TempoDetector.bpmFromLoopLength(buffer.duration);
+    
+    const onsets = new LoopSlicer(buffer.sampleRate).detectOnsets(channels);
+    const engine = new GrooveEngine(buffer.sampleRate, options);
+    const result = engine.process(channels, bpm, onsets);
+    
+    const processedBuffer = this.audioContext.createBuffer(
+      buffer.numberOfChannels,
+      buffer.length,
+      buffer.sampleRate
+    );
+    result.channels.forEach((data, channel) => {
+      processedBuffer.getChannelData(channel).set(data);
+    });
+    
+    return processedBuffer;
+  }
+
+  /**
+   * Extract the groove (timing and accents per step) of a loop, to apply to other loops
+   * @param {AudioBuffer} buffer - Loop to take the groove from
+   * @param {Object} options - Extraction options
+   * @param {number} options.bpm - Tempo of the loop (guessed from the loop length if missing)
+   * @param {number} options.stepsPerBeat - Groove resolution (4 = sixteenths, 2 = eighths)
+   * @returns {Object} - Groove for processGroove's groove option
+   */
+  extractGroove(buffer, options = {}) {
+    const channels = [];
+    for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+      channels.push(buffer.getChannelData(channel));
+    }
+    
+    const bpm = options.bpm || TempoDetector.bpmFromLoopLength(buffer.duration);
+    
+    const onsets = new LoopSlicer(buffer.sampleRate).detectOnsets(channels);
+    const engine = new GrooveEngine(buffer.sampleRate, options);
+    
+    return engine.extract(channels, bpm, onsets);
+  }
+
+  /**
+   * Slice a loop into one buffer per hit
+   * @param {AudioBuffer} buffer - Loop to slice
+   * @param {Object} options - Slicer options (see LoopSlicer)
+   * @returns {Array} - Slices as { index, start, end, time, duration, buffer }
+   */
+  sliceLoop(buffer, options = {}) {
+    const channels = [];
+    for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+      channels.push(buffer.getChannelData(channel));
+    }
+    
+    const slicer = new LoopSlicer(buffer.sampleRate, options);
+    
+    return slicer.process(channels).map(slice => {
+      const sliceBuffer = this.audioContext.createBuffer(
+        buffer.numberOfChannels,
+        slice.end - slice.start,
+        buffer.sampleRate
+      );
+      slice.channels.forEach((data, channel) => {
+        sliceBuffer.getChannelData(channel).set(data);
+      });
+      
+      return {
+        index: slice.index,
+        start: slice.start,
+        end: slice.end,
+        time: slice.time,
+        duration: slice.duration,
+        buffer: sliceBuffer
+      };
+    });
+  }
+
+  /**
+   * Work out the sampler/DAW metadata of a buffer for export
+   * @param {AudioBuffer} buffer - Buffer to export
+   * @param {Object} options - What is known about the buffer
+   * @param {boolean} options.isLoop - Loop (whole-file loop points, ACID stretching) or one-shot
+   * @param {number} options.bpm - Tempo (null when unknown)
+   * @param {string} options.name - Name of the exported sample
+   * @param {string} options.source - Name of the sample it was made from
+   * @param {string} options.recipe - Processing that made it
+   * @returns {Object} - Metadata for AudioEncoder (see buildMetadataChunks)
+   */
+  exportMetadata(buffer, options = {}) {
+    const channels = [];
+    for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+      channels.push(buffer.getChannelData(channel));
+    }
+    
+    // A loop's transients become cue markers (slice points)
+    const slicer = new LoopSlicer(buffer.sampleRate);
+    const cues = options.isLoop ? slicer.detectOnsets(channels) : [];
+    
+    // Tuned one-shots get their pitch as the root note, measured past the attack as in extractFeatures
+    // (null when none was found: the file gets the default root note, not flagged as detected)
+    let rootNote = null;
+    let rootFraction = 0;
+    if (!options.isLoop) {
+      const mono = slicer.mixToMono(channels);
+      let peakIndex = 0;
+      for (let i = 0; i < mono.length; i++) {
+        if (Math.abs(mono[i]) > Math.abs(mono[peakIndex])) peakIndex = i;
+      }
+      const bodyStart = Math.min(mono.length - 1, peakIndex + Math.round(buffer.sampleRate * 0.04));
+      const pitch = new PitchDetector(buffer.sampleRate).detect(mono, bodyStart);
+      if (pitch.frequency) {
+        ({ note: rootNote, fraction: rootFraction } = frequencyToMidi(pitch.frequency));
+      }
+    }
+    
+    const comment = [
+      options.recipe && `Recipe: ${options.recipe}`,
+      options.bpm && `${Math.round(options.bpm * 10) / 10} BPM`
+    ].filter(Boolean).join(', ');
+    
+    return {
+      rootNote,
+      rootFraction,
+      loop: options.isLoop ? { start: 0, end: buffer.length } : null,
+      cues,
+      bpm: options.bpm || null,
+      beats: options.bpm ? Math.max(1, Math.round((buffer.duration * options.bpm) / 60)) : 0,
+      info: {
+        name: options.name,
+        source: options.source,
+        comment
+      }
+    };
+  }
+
   /**
    * Play an audio buffer
    * @param {AudioBuffer} buffer - The audio buffer to play
@@ -435,23 +1295,111 @@ export class AudioProcessor {
   }
 
   /**
-   * Export audio buffer as WAV file
+   * Export audio buffer as an audio file
    * @param {AudioBuffer} buffer - The audio buffer to export
-   * @param {string} filename - The filename for the exported file
+   * @param {string} filename - The filename for the exported file (the extension follows the format)
+   * @param {Object} options - Export options (format, bitDepth, dither; see DEFAULT_EXPORT_OPTIONS)
+   * @param {Object} metadata - Sampler/DAW metadata for WAV files (see exportMetadata), or null
+   * @returns {Promise} - Resolves when the download has been started
    */
-  exportBuffer(buffer, filename) {
-    // Create WAV file
-    const wav = this.bufferToWav(buffer);
+  async exportBuffer(buffer, filename, options = {}, metadata = null) {
+    // Encode the file
+    const encoded = await this.encodeBuffer(buffer, options, metadata);
+    const baseName = (filename || 'drum-variation').replace(/\.(wav|aiff?|flac)$/i, '');
     
-    // Create download link
-    const blob = new Blob([wav], { type: 'audio/wav' });
+    this.downloadBlob(
+      new Blob([encoded.data], { type: encoded.mimeType }),
+      `${baseName}.${encoded.extension}`
+    );
+  }
+
+  /**
+   * Get the encoder worker, starting it on first use
+   * @returns {Worker|null} - The worker, or null where workers aren't available
+   */
+  getEncoderWorker() {
+    if (!this.encoderWorker && typeof Worker !== 'undefined') {
+      this.encoderWorker = new Worker(new URL('./encoderWorker.js', import.meta.url));
+      
+      this.encoderWorker.onmessage = (event) => {
+        const { id, data, error } = event.data;
+        const job = this.encodeJobs.get(id);
+        if (!job) return;
+        this.encodeJobs.delete(id);
+        if (error) {
+          job.reject(new Error(error));
+        } else {
+          job.resolve(data);
+        }
+      };
+      
+      // A worker that fails to start fails every encode waiting for it; the next one starts a new worker
+      this.encoderWorker.onerror = (event) => {
+        console.error('Encoder worker error:', event.message);
+        for (const job of this.encodeJobs.values()) {
+          job.reject(new Error('Encoder worker failed'));
+        }
+        this.encodeJobs.clear();
+        this.encoderWorker.terminate();
+        this.encoderWorker = null;
+      };
+    }
+    return this.encoderWorker;
+  }
+
+  /**
+   * Encode an audio buffer in an export format. Long FLAC and AIFF encodes would
+   * hold up the page, so they run in a worker (on the page where there is none).
+   * @param {AudioBuffer} buffer - The audio buffer to encode
+   * @param {Object} options - Export options (format, bitDepth, dither; see DEFAULT_EXPORT_OPTIONS)
+   * @param {Object} metadata - Sampler/DAW metadata for WAV files (see exportMetadata), or null
+   * @returns {Promise<Object>} - { data (ArrayBuffer), extension, mimeType }
+   */
+  async encodeBuffer(buffer, options = {}, metadata = null) {
+    // Checks the options before anything is sent to the worker
+    const encoder = new AudioEncoder(options);
+    const worker = this.getEncoderWorker();
+    
+    let data;
+    if (worker) {
+      // The worker gets its own copy of the samples
+      const channels = [];
+      for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+        channels.push(buffer.getChannelData(channel).slice());
+      }
+      
+      const id = ++this.lastEncodeId;
+      data = await new Promise((resolve, reject) => {
+        this.encodeJobs.set(id, { resolve, reject });
+        worker.postMessage(
+          { id, channels, sampleRate: buffer.sampleRate, options, metadata },
+          channels.map(channel => channel.buffer)
+        );
+      });
+    } else {
+      data = encoder.encode(buffer, metadata);
+    }
+    
+    return {
+      data,
+      extension: encoder.format.extension,
+      mimeType: encoder.format.mimeType
+    };
+  }
+
+  /**
+   * Let the browser download a blob as a file
+   * @param {Blob} blob - File contents
+   * @param {string} filename - Name of the downloaded file
+   */
+  downloadBlob(blob, filename) {
     const url = URL.createObjectURL(blob);
     
     // Create and trigger download
     const a = document.createElement('a');
     a.style.display = 'none';
     a.href = url;
-    a.download = filename || 'drum-variation.wav';
+    a.download = filename;
     document.body.appendChild(a);
     a.click();
     
@@ -465,74 +1413,12 @@ export class AudioProcessor {
   /**
    * Convert AudioBuffer to WAV format
    * @param {AudioBuffer} buffer - The audio buffer to convert
+   * @param {Object} options - Bit depth and dither (see DEFAULT_EXPORT_OPTIONS)
    * @returns {ArrayBuffer} - WAV file as ArrayBuffer
    */
-  bufferToWav(buffer) {
-    const numChannels = buffer.numberOfChannels;
-    const sampleRate = buffer.sampleRate;
-    const format = 1; // PCM
-    const bitDepth = 16;
-    
-    const bytesPerSample = bitDepth / 8;
-    const blockAlign = numChannels * bytesPerSample;
-    
-    // Create buffer with WAV header
-    const dataLength = buffer.length * blockAlign;
-    const headerLength = 44;
-    const wavBuffer = new ArrayBuffer(headerLength + dataLength);
-    const view = new DataView(wavBuffer);
-    
-    // Write WAV header
-    // "RIFF" chunk descriptor
-    this.writeString(view, 0, 'RIFF');
-    view.setUint32(4, 36 + dataLength, true);
-    this.writeString(view, 8, 'WAVE');
-    
-    // "fmt " sub-chunk
-    this.writeString(view, 12, 'fmt ');
-    view.setUint32(16, 16, true); // fmt chunk size
-    view.setUint16(20, format, true);
-    view.setUint16(22, numChannels, true);
-    view.setUint32(24, sampleRate, true);
-    view.setUint32(28, sampleRate * blockAlign, true); // byte rate
-    view.setUint16(32, blockAlign, true);
-    view.setUint16(34, bitDepth, true);
-    
-    // "data" sub-chunk
-    this.writeString(view, 36, 'data');
-    view.setUint32(40, dataLength, true);
-    
-    // Write audio data
-    const offset = 44;
-    const channelData = [];
-    
-    // Extract channel data
-    for (let channel = 0; channel < numChannels; channel++) {
-      channelData.push(buffer.getChannelData(channel));
-    }
-    
-    // Interleave channel data and convert to 16-bit PCM
-    let index = 0;
-    const volume = 0.9; // Avoid clipping
-    for (let i = 0; i < buffer.length; i++) {
-      for (let channel = 0; channel < numChannels; channel++) {
-        const sample = Math.max(-1, Math.min(1, channelData[channel][i])) * volume;
-        const pcmSample = sample < 0 ? sample * 32768 : sample * 32767;
-        view.setInt16(offset + index, pcmSample, true);
-        index += 2;
-      }
-    }
-    
-    return wavBuffer;
-  }
-
-  /**
-   * Helper function to write a string to a DataView
-   */
-  writeString(view, offset, string) {
-    for (let i = 0; i < string.length; i++) {
-      view.setUint8(offset + i, string.charCodeAt(i));
-    }
+  bufferToWav(buffer, options = {}) {
+    const encoder = new AudioEncoder({ ...options, format: 'wav' });
+    return encoder.encode(buffer);
   }
 }
 
@@ -0,0 +1,220 @@
+// src/lib/beatShuffler.js
+// Beat-shuffle variations: rearrange the slices of a loop on its beat grid
+
+import { createRandom, randomSeed } from './random';
+
+// Fade lengths (seconds) at the edges of moved slices
+const FADE_IN = 0.001;
+const FADE_OUT = 0.004;
+
+// Relative weights of the shuffle operations
+const OPERATION_WEIGHTS = {
+  swap: 0.4,
+  repeat: 0.3,
+  drop: 0.15,
+  reverse: 0.15
+};
+
+/**
+ * BeatShuffler builds a new pattern from the steps of a loop.
+ * The loop is divided into grid steps (snapped to the nearest transient so
+ * hits are never cut in half) and each step of the new pattern either keeps
+ * the original step or, with a probability set by `drift`, swaps in another
+ * step, repeats the previous one, drops out or plays reversed.
+ */
+export class BeatShuffler {
+  /**
+   * Create a new beat shuffler
+   * @param {number} sampleRate - Sample rate of the audio to shuffle
+   * @param {Object} options - Shuffle options
+   * @param {number} options.drift - How far the pattern may drift from the original (0-1)
+   * @param {number} options.stepsPerBeat - Grid resolution (2 = eighths, 4 = sixteenths)
+   * @param {string} options.region - 'all' reshuffles the whole loop, 'lastBar' only the last bar (a fill)
+   * @param {boolean} options.allowRepeat - Allow repeating the previous step
+   * @param {boolean} options.allowDrop - Allow dropping steps
+   * @param {boolean} options.allowReverse - Allow reversed steps
+   * @param {number} options.seed - Random seed (a new one is picked if missing)
+   */
+  constructor(sampleRate, options = {}) {
+    this.sampleRate = sampleRate;
+    this.drift = Math.max(0, Math.min(1, options.drift ?? 0.3));
+    this.stepsPerBeat = options.stepsPerBeat || 2;
+    this.region = options.region || 'all';
+    this.seed = options.seed ?? randomSeed();
+    this.random = createRandom(this.seed);
+
+    this.operations = Object.keys(OPERATION_WEIGHTS).filter(operation => (
+      (operation !== 'repeat' || options.allowRepeat !== false) &&
+      (operation !== 'drop' || options.allowDrop !== false) &&
+      (operation !== 'reverse' || options.allowReverse !== false)
+    ));
+  }
+
+  /**
+   * Build the step boundaries of the loop, snapping each grid line to a
+   * nearby onset when there is one
+   * @param {number} length - Loop length in samples
+   * @param {number} bpm - Tempo of the loop
+   * @param {number[]} onsets - Onset sample indices
+   * @returns {number[]} - Step boundaries (stepCount + 1 values, last = length)
+   */
+  buildGrid(length, bpm, onsets = []) {
+    const nominalStep = (60 / bpm / this.stepsPerBeat) * this.sampleRate;
+    const stepCount = Math.max(1, Math.round(length / nominalStep));
+    const stepLength = length / stepCount;
+    const tolerance = stepLength * 0.25;
+
+    const boundaries = [0];
+    for (let k = 1; k < stepCount; k++) {
+      const gridPosition = Math.round(k * stepLength);
+      let snapped = gridPosition;
+      let bestDistance = tolerance;
+      for (const onset of onsets) {
+        const distance = Math.abs(onset - gridPosition);
+        if (distance < bestDistance) {
+          bestDistance = distance;
+          snapped = onset;
+        }
+      }
+      // Keep boundaries increasing
+      boundaries.push(Math.max(boundaries[k - 1] + 1, snapped));
+    }
+    boundaries.push(length);
+
+    return boundaries;
+  }
+
+  /**
+   * Pick a weighted random operation
+   * @returns {string} - Operation name
+   */
+  pickOperation() {
+    const total = this.operations.reduce((sum, operation) => sum + OPERATION_WEIGHTS[operation], 0);
+    let target = this.random() * total;
+    for (const operation of this.operations) {
+      target -= OPERATION_WEIGHTS[operation];
+      if (target <= 0) return operation;
+    }
+    return this.operations[this.operations.length - 1];
+  }
+
+  /**
+   * Plan the new pattern
+   * @param {number} stepCount - Number of grid steps in the loop
+   * @returns {Array} - One { source, reverse, drop } entry per target step
+   */
+  plan(stepCount) {
+    const stepsPerBar = this.stepsPerBeat * 4;
+    const firstEditable = this.region === 'lastBar'
+      ? Math.max(0, stepCount - stepsPerBar)
+      : 0;
+
+    const plan = [];
+    for (let k = 0; k < stepCount; k++) {
+      const step = { source: k, reverse: false, drop: false };
+
+      if (k >= firstEditable && this.random() < this.drift) {
+        switch (this.pickOperation()) {
+          case 'swap': {
+            // Low drift keeps steps at the same position within the beat
+            // (downbeats stay downbeats); high drift takes any step
+            const candidates = [];
+            for (let j = 0; j < stepCount; j++) {
+              if (j !== k && (this.drift > 0.7 || j % this.stepsPerBeat === k % this.stepsPerBeat)) {
+                candidates.push(j);
+              }
+            }
+            if (candidates.length > 0) {
+              step.source = candidates[Math.floor(this.random() * candidates.length)];
+            }
+            break;
+          }
+          case 'repeat':
+            if (k > 0 && !plan[k - 1].drop) {
+              step.source = plan[k - 1].source;
+              step.reverse = plan[k - 1].reverse;
+            }
+            break;
+          case 'drop':
+            // Never drop the very first step so the pattern still lands on the one
+            step.drop = k > 0;
+            break;
+          case 'reverse':
+            step.reverse = true;
+            break;
+        }
+      }
+
+      plan.push(step);
+    }
+
+    return plan;
+  }
+
+  /**
+   * Render a plan into new channel data
+   * @param {Float32Array[]} channels - Original channel data
+   * @param {number[]} boundaries - Step boundaries
+   * @param {Array} plan - Planned steps
+   * @returns {Float32Array[]} - Shuffled channel data (same length as the input)
+   */
+  render(channels, boundaries, plan) {
+    const length = channels[0].length;
+    const fadeInSamples = Math.max(1, Math.round(FADE_IN * this.sampleRate));
+    const fadeOutSamples = Math.max(1, Math.round(FADE_OUT * this.sampleRate));
+
+    // Untouched steps next to each other (or next to the loop edges) play
+    // straight through without fades
+    const isOriginal = (k) => (
+      k < 0 || k >= plan.length || (!plan[k].drop && !plan[k].reverse && plan[k].source === k)
+    );
+
+    return channels.map(inputData => {
+      const outputData = new Float32Array(length);
+
+      plan.forEach((step, k) => {
+        if (step.drop) return;
+
+        const destStart = boundaries[k];
+        const destLength = boundaries[k + 1] - destStart;
+        const srcStart = boundaries[step.source];
+        const srcLength = boundaries[step.source + 1] - srcStart;
+        const copyLength = Math.min(destLength, srcLength);
+
+        const fadeIn = isOriginal(k - 1) && isOriginal(k) ? 0 : Math.min(fadeInSamples, copyLength >> 1);
+        const fadeOut = isOriginal(k) && isOriginal(k + 1) ? 0 : Math.min(fadeOutSamples, copyLength >> 1);
+
+        for (let i = 0; i < copyLength; i++) {
+          const readIndex = step.reverse ? srcStart + srcLength - 1 - i : srcStart + i;
+          let gain = 1;
+          if (i < fadeIn) gain *= i / fadeIn;
+          if (i >= copyLength - fadeOut) gain *= (copyLength - 1 - i) / fadeOut;
+          outputData[destStart + i] += inputData[readIndex] * gain;
+        }
+      });
+
+      return outputData;
+    });
+  }
+
+  /**
+   * Shuffle a loop
+   * @param {Float32Array[]} channels - Original channel data
+   * @param {number} bpm - Tempo of the loop
+   * @param {number[]} onsets - Onset sample indices (for snapping the grid to hits)
+   * @returns {Object} - { channels, plan, boundaries, seed }
+   */
+  process(channels, bpm, onsets = []) {
+    const boundaries = this.buildGrid(channels[0].length, bpm, onsets);
+    const plan = this.plan(boundaries.length - 1);
+
+    return {
+      channels: this.render(channels, boundaries, plan),
+      plan,
+      boundaries,
+      seed: this.seed
+    };
+  }
+}
+
+export default BeatShuffler;
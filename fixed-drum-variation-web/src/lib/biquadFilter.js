@@ -0,0 +1,156 @@
+// src/lib/biquadFilter.js
+// Biquad (RBJ cookbook) filters for tone shaping
+
+// Filter types supported by BiquadFilter
+export const FILTER_TYPES = ['lowpass', 'highpass', 'bandpass', 'notch', 'peaking', 'lowshelf', 'highshelf'];
+
+/**
+ * BiquadFilter implements the RBJ audio EQ cookbook filters in transposed
+ * direct form II, which stays well-behaved when the cutoff is modulated
+ * while the filter is running
+ */
+export class BiquadFilter {
+  /**
+   * Create a new biquad filter
+   * @param {number} sampleRate - Sample rate of the audio to process
+   * @param {string} type - One of FILTER_TYPES
+   * @param {number} frequency - Cutoff/center frequency in Hz
+   * @param {number} q - Resonance (Q); 0.707 is flat for lowpass/highpass
+   * @param {number} gain - Gain in dB (peaking and shelf types only)
+   */
+  constructor(sampleRate, type = 'lowpass', frequency = 1000, q = 0.707, gain = 0) {
+    if (!FILTER_TYPES.includes(type)) {
+      throw new Error(`Unknown filter type: ${type}`);
+    }
+
+    this.sampleRate = sampleRate;
+    this.type = type;
+    this.q = q;
+    this.gain = gain;
+
+    // Filter state
+    this.z1 = 0;
+    this.z2 = 0;
+
+    this.setFrequency(frequency);
+  }
+
+  /**
+   * Update the cutoff/center frequency and recompute the coefficients
+   * @param {number} frequency - Frequency in Hz
+   */
+  setFrequency(frequency) {
+    // Keep the frequency inside the usable range
+    this.frequency = Math.max(10, Math.min(frequency, this.sampleRate * 0.49));
+
+    const w0 = (2 * Math.PI * this.frequency) / this.sampleRate;
+    const cosW0 = Math.cos(w0);
+    const alpha = Math.sin(w0) / (2 * Math.max(0.01, this.q));
+    const A = Math.pow(10, this.gain / 40);
+    const sqrtA2Alpha = 2 * Math.sqrt(A) * alpha;
+
+    let b0, b1, b2, a0, a1, a2;
+
+    switch (this.type) {
+      case 'lowpass':
+        b0 = (1 - cosW0) / 2;
+        b1 = 1 - cosW0;
+        b2 = (1 - cosW0) / 2;
+        a0 = 1 + alpha;
+        a1 = -2 * cosW0;
+        a2 = 1 - alpha;
+        break;
+      case 'highpass':
+        b0 = (1 + cosW0) / 2;
+        b1 = -(1 + cosW0);
+        b2 = (1 + cosW0) / 2;
+        a0 = 1 + alpha;
+        a1 = -2 * cosW0;
+        a2 = 1 - alpha;
+        break;
+      case 'bandpass':
+        // Constant 0 dB peak gain
+        b0 = alpha;
+        b1 = 0;
+        b2 = -alpha;
+        a0 = 1 + alpha;
+        a1 = -2 * cosW0;
+        a2 = 1 - alpha;
+        break;
+      case 'notch':
+        b0 = 1;
+        b1 = -2 * cosW0;
+        b2 = 1;
+        a0 = 1 + alpha;
+        a1 = -2 * cosW0;
+        a2 = 1 - alpha;
+        break;
+      case 'peaking':
+        b0 = 1 + alpha * A;
+        b1 = -2 * cosW0;
+        b2 = 1 - alpha * A;
+        a0 = 1 + alpha / A;
+        a1 = -2 * cosW0;
+        a2 = 1 - alpha / A;
+        break;
+      case 'lowshelf':
+        b0 = A * ((A + 1) - (A - 1) * cosW0 + sqrtA2Alpha);
+        b1 = 2 * A * ((A - 1) - (A + 1) * cosW0);
+        b2 = A * ((A + 1) - (A - 1) * cosW0 - sqrtA2Alpha);
+        a0 = (A + 1) + (A - 1) * cosW0 + sqrtA2Alpha;
+        a1 = -2 * ((A - 1) + (A + 1) * cosW0);
+        a2 = (A + 1) + (A - 1) * cosW0 - sqrtA2Alpha;
+        break;
+      case 'highshelf':
+        b0 = A * ((A + 1) + (A - 1) * cosW0 + sqrtA2Alpha);
+        b1 = -2 * A * ((A - 1) + (A + 1) * cosW0);
+        b2 = A * ((A + 1) + (A - 1) * cosW0 - sqrtA2Alpha);
+        a0 = (A + 1) - (A - 1) * cosW0 + sqrtA2Alpha;
+        a1 = 2 * ((A - 1) - (A + 1) * cosW0);
+        a2 = (A + 1) - (A - 1) * cosW0 - sqrtA2Alpha;
+        break;
+    }
+
+    // Normalize so a0 = 1
+    this.b0 = b0 / a0;
+    this.b1 = b1 / a0;
+    this.b2 = b2 / a0;
+    this.a1 = a1 / a0;
+    this.a2 = a2 / a0;
+  }
+
+  /**
+   * Filter a single sample
+   * @param {number} input - Input sample
+   * @returns {number} - Filtered sample
+   */
+  processSample(input) {
+    const output = this.b0 * input + this.z1;
+    this.z1 = this.b1 * input - this.a1 * output + this.z2;
+    this.z2 = this.b2 * input - this.a2 * output;
+    return output;
+  }
+
+  /**
+   * Filter a block of samples
+   * @param {Float32Array} input - Input audio data
+   * @param {Float32Array} output - Output audio data (may be the same array as input)
+   * @returns {Float32Array} - Filtered audio data
+   */
+  process(input, output = new Float32Array(input.length)) {
+    for (let i = 0; i < input.length; i++) {
+      output[i] = this.processSample(input[i]);
+    }
+    return output;
+  }
+
+  /**
+   * Clear the filter state
+   */
+  reset() {
+    this.z1 = 0;
+    this.z2 = 0;
+  }
+}
+
+export default BiquadFilter;
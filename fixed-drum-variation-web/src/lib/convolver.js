@@ -0,0 +1,98 @@
+// src/lib/convolver.js
+// FFT-based uniformly partitioned convolution for reverb impulse responses
+
+import FFT from './fft';
+
+/**
+ * PartitionedConvolver convolves audio with an impulse response using
+ * uniformly partitioned overlap-add in the frequency domain.
+ * The impulse is split into blocks whose spectra are computed once; each input
+ * block is transformed once and multiplied against every partition through a
+ * frequency-domain delay line, so cost grows with N x (M / blockSize) instead of N x M.
+ */
+export class PartitionedConvolver {
+  /**
+   * Create a new convolver for an impulse response
+   * @param {Float32Array} impulse - Impulse response data
+   * @param {number} blockSize - Partition size in samples (power of two)
+   */
+  constructor(impulse, blockSize = 2048) {
+    this.blockSize = blockSize;
+    this.fftSize = blockSize * 2;
+    this.fft = new FFT(this.fftSize);
+    this.impulseLength = impulse.length;
+
+    // Precompute the spectrum of each impulse partition
+    const partitionCount = Math.max(1, Math.ceil(impulse.length / blockSize));
+    this.partitions = [];
+    for (let p = 0; p < partitionCount; p++) {
+      const real = new Float64Array(this.fftSize);
+      const imag = new Float64Array(this.fftSize);
+      const start = p * blockSize;
+      for (let i = 0; i < blockSize && start + i < impulse.length; i++) {
+        real[i] = impulse[start + i];
+      }
+      this.fft.forward(real, imag);
+      this.partitions.push({ real, imag });
+    }
+  }
+
+  /**
+   * Convolve input data with the impulse response
+   * @param {Float32Array} input - Input audio data
+   * @param {number} outputLength - Output length (defaults to the full convolution tail)
+   * @returns {Float32Array} - Convolved (wet only) audio data
+   */
+  process(input, outputLength = input.length + this.impulseLength - 1) {
+    const { blockSize, fftSize, partitions } = this;
+    const partitionCount = partitions.length;
+    const output = new Float32Array(outputLength);
+
+    // Frequency-domain delay line holding the spectra of the most recent input blocks
+    const delayLine = [];
+    for (let p = 0; p < partitionCount; p++) {
+      delayLine.push({ real: new Float64Array(fftSize), imag: new Float64Array(fftSize) });
+    }
+
+    const accReal = new Float64Array(fftSize);
+    const accImag = new Float64Array(fftSize);
+    const blockCount = Math.ceil(outputLength / blockSize);
+    let head = 0;
+
+    for (let block = 0; block < blockCount; block++) {
+      // Transform the next input block (zero-padded) into the newest delay line slot
+      head = (head + partitionCount - 1) % partitionCount;
+      const slot = delayLine[head];
+      const start = block * blockSize;
+      slot.real.fill(0);
+      slot.imag.fill(0);
+      for (let i = 0; i < blockSize && start + i < input.length; i++) {
+        slot.real[i] = input[start + i];
+      }
+      this.fft.forward(slot.real, slot.imag);
+
+      // Multiply-accumulate: block (b - p) against partition p
+      accReal.fill(0);
+      accImag.fill(0);
+      for (let p = 0; p < partitionCount; p++) {
+        const x = delayLine[(head + p) % partitionCount];
+        const h = partitions[p];
+        for (let k = 0; k < fftSize; k++) {
+          accReal[k] += x.real[k] * h.real[k] - x.imag[k] * h.imag[k];
+          accImag[k] += x.real[k] * h.imag[k] + x.imag[k] * h.real[k];
+        }
+      }
+
+      this.fft.inverse(accReal, accImag);
+
+      // Overlap-add the 2-block result
+      for (let i = 0; i < fftSize && start + i < outputLength; i++) {
+        output[start + i] += accReal[i];
+      }
+    }
+
+    return output;
+  }
+}
+
+export default PartitionedConvolver;
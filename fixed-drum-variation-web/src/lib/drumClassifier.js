@@ -0,0 +1,117 @@
+// src/lib/drumClassifier.js
+// Heuristic drum type classification from extracted features
+
+// Drum types the classifier can tell apart (and the variation recipes are made for)
+export const DRUM_TYPES = [
+  { id: 'kick', name: 'Kick' },
+  { id: 'snare', name: 'Snare' },
+  { id: 'clap', name: 'Clap' },
+  { id: 'closedHat', name: 'Closed hat' },
+  { id: 'openHat', name: 'Open hat' },
+  { id: 'tom', name: 'Tom' },
+  { id: 'perc', name: 'Percussion' },
+  { id: '808', name: '808' },
+  { id: 'loop', name: 'Full loop' }
+];
+
+// Score every type starts from; the fallback 'perc' wins when nothing else scores higher
+const PERC_SCORE = 0.2;
+
+/**
+ * Ramp from 0 (at or below `low`) to 1 (at or above `high`)
+ * @param {number} value - Value to rate
+ * @param {number} low - Value rated 0
+ * @param {number} high - Value rated 1
+ * @returns {number} - Rating (0-1)
+ */
+function above(value, low, high) {
+  return Math.max(0, Math.min(1, (value - low) / (high - low)));
+}
+
+/**
+ * Ramp from 1 (at or below `low`) to 0 (at or above `high`)
+ * @param {number} value - Value to rate
+ * @param {number} low - Value rated 1
+ * @param {number} high - Value rated 0
+ * @returns {number} - Rating (0-1)
+ */
+function below(value, low, high) {
+  return 1 - above(value, low, high);
+}
+
+/**
+ * Decide whether a sample is a loop rather than a single hit. Counting
+ * spectral onsets, not level peaks, keeps long tonal hits (808s, open hats)
+ * from looking like loops.
+ * @param {Object} features - Features from MLProcessor.extractFeatures
+ * @returns {boolean} - True for a loop
+ */
+export function isLoopFeatures(features) {
+  const onsets = features.spectralOnsetCount || 0;
+  return onsets >= 5 || (features.duration > 2.0 && onsets >= 2);
+}
+
+/**
+ * DrumClassifier guesses what kind of drum a sample is from the features
+ * MLProcessor.extractFeatures returns. Each type gets a score from soft
+ * (ramped) rules on the spectrum balance, noisiness, pitch, length of the
+ * tail and flams in the attack; the best score wins. It is a heuristic, so
+ * the UI lets the user override the result.
+ */
+export class DrumClassifier {
+  /**
+   * Score every drum type
+   * @param {Object} features - Extracted features
+   * @returns {Object} - Score (0-1) per type id
+   */
+  score(features) {
+    // Share of the energy in the low, middle and high bands
+    const bands = features.bandEnergies || {};
+    const total = Object.values(bands).reduce((sum, energy) => sum + energy, 0) || 1;
+    const low = ((bands.sub || 0) + (bands.low || 0)) / total;
+    const body = ((bands.low || 0) + (bands.lowMid || 0)) / total;
+    const high = ((bands.highMid || 0) + (bands.high || 0)) / total;
+
+    const noisy = above(features.spectralFlatness || 0, 0.05, 0.2);
+    const pitched = features.pitch ? above(features.pitchConfidence || 0, 0.6, 0.85) : 0;
+    const tail = features.tailTime ?? features.duration;
+    const bursts = features.attackBursts || 1;
+    const pitch = features.pitch || 0;
+    const lowPitch = features.pitch ? below(pitch, 90, 120) : 1;
+
+    return {
+      loop: isLoopFeatures(features) ? 1 : 0,
+      kick: above(low, 0.5, 0.7) * below(tail, 0.7, 1.0) * below(noisy, 0.5, 1) * lowPitch,
+      '808': above(low, 0.5, 0.7) * above(tail, 0.7, 1.0) * pitched,
+      tom: pitched * above(pitch, 70, 90) * below(pitch, 400, 500) * below(noisy, 0.3, 0.8),
+      snare: noisy * above(body, 0.03, 0.1) * below(bursts, 2, 3) * below(tail, 0.6, 1.0),
+      clap: noisy * above(bursts, 2, 3) * below(low, 0.1, 0.2),
+      closedHat: noisy * above(high, 0.7, 0.85) * below(body, 0.03, 0.08) * below(tail, 0.2, 0.3),
+      openHat: noisy * above(high, 0.7, 0.85) * below(body, 0.03, 0.08) * above(tail, 0.2, 0.3),
+      perc: PERC_SCORE
+    };
+  }
+
+  /**
+   * Classify a sample
+   * @param {Object} features - Features from MLProcessor.extractFeatures
+   * @returns {Object} - { type (DRUM_TYPES id), confidence (0-1), scores }
+   */
+  classify(features) {
+    const scores = this.score(features);
+    if (scores.loop) {
+      return { type: 'loop', confidence: 1, scores };
+    }
+
+    let type = 'perc';
+    for (const [id, value] of Object.entries(scores)) {
+      if (value > scores[type]) type = id;
+    }
+
+    // Confidence: how far the winner is ahead of the rest
+    const total = Object.values(scores).reduce((sum, value) => sum + value, 0);
+    return { type, confidence: total > 0 ? scores[type] / total : 0, scores };
+  }
+}
+
+export default DrumClassifier;
@@ -0,0 +1,24 @@
+// src/lib/encoderWorker.js
+// Web Worker that encodes export files off the page's thread (see AudioProcessor.encodeBuffer)
+
+import AudioEncoder from './audioEncoder';
+
+// Each message is { id, channels (Float32Array per channel), sampleRate, options, metadata };
+// the answer is { id, data (ArrayBuffer) } or { id, error }
+self.onmessage = (event) => {
+  const { id, channels, sampleRate, options, metadata } = event.data;
+
+  try {
+    // AudioEncoder only needs these parts of an AudioBuffer
+    const buffer = {
+      numberOfChannels: channels.length,
+      length: channels[0].length,
+      sampleRate,
+      getChannelData: (channel) => channels[channel]
+    };
+    const data = new AudioEncoder(options).encode(buffer, metadata);
+    self.postMessage({ id, data }, [data]);
+  } catch (error) {
+    self.postMessage({ id, error: error.message || 'Failed to encode file' });
+  }
+};
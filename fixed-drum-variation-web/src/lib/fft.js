@@ -0,0 +1,124 @@
+// src/lib/fft.js
+// Radix-2 fast Fourier transform used by the spectral analysis and convolution code
+
+/**
+ * FFT class performs in-place complex FFTs of a fixed power-of-two size.
+ * Twiddle factors and the bit-reversal table are computed once per instance,
+ * so reuse one instance for all frames of the same size.
+ */
+export class FFT {
+  /**
+   * Create a new FFT of the given size
+   * @param {number} size - Transform size (must be a power of two)
+   */
+  constructor(size) {
+    if (size < 2 || (size & (size - 1)) !== 0) {
+      throw new Error(`FFT size must be a power of two, got ${size}`);
+    }
+
+    this.size = size;
+
+    // Precompute twiddle factors for the forward transform
+    this.cosTable = new Float64Array(size / 2);
+    this.sinTable = new Float64Array(size / 2);
+    for (let i = 0; i < size / 2; i++) {
+      this.cosTable[i] = Math.cos((2 * Math.PI * i) / size);
+      this.sinTable[i] = -Math.sin((2 * Math.PI * i) / size);
+    }
+
+    // Precompute the bit-reversal permutation
+    this.reverseTable = new Uint32Array(size);
+    const bits = Math.log2(size);
+    for (let i = 0; i < size; i++) {
+      let reversed = 0;
+      for (let b = 0; b < bits; b++) {
+        reversed = (reversed << 1) | ((i >> b) & 1);
+      }
+      this.reverseTable[i] = reversed;
+    }
+  }
+
+  /**
+   * Get the next power of two greater than or equal to n
+   * @param {number} n - Minimum size
+   * @returns {number} - Power of two
+   */
+  static nextPowerOfTwo(n) {
+    let size = 1;
+    while (size < n) size <<= 1;
+    return size;
+  }
+
+  /**
+   * In-place forward FFT
+   * @param {Float64Array|Float32Array} real - Real parts (length = size)
+   * @param {Float64Array|Float32Array} imag - Imaginary parts (length = size)
+   */
+  forward(real, imag) {
+    this.transform(real, imag, false);
+  }
+
+  /**
+   * In-place inverse FFT (scaled by 1/size)
+   * @param {Float64Array|Float32Array} real - Real parts (length = size)
+   * @param {Float64Array|Float32Array} imag - Imaginary parts (length = size)
+   */
+  inverse(real, imag) {
+    this.transform(real, imag, true);
+
+    const scale = 1 / this.size;
+    for (let i = 0; i < this.size; i++) {
+      real[i] *= scale;
+      imag[i] *= scale;
+    }
+  }
+
+  /**
+   * Iterative Cooley-Tukey butterfly
+   * @param {Float64Array|Float32Array} real - Real parts
+   * @param {Float64Array|Float32Array} imag - Imaginary parts
+   * @param {boolean} inverse - Whether to use conjugate twiddles
+   */
+  transform(real, imag, inverse) {
+    const n = this.size;
+    const sign = inverse ? -1 : 1;
+
+    // Bit-reversal reordering
+    for (let i = 0; i < n; i++) {
+      const j = this.reverseTable[i];
+      if (j > i) {
+        let temp = real[i];
+        real[i] = real[j];
+        real[j] = temp;
+        temp = imag[i];
+        imag[i] = imag[j];
+        imag[j] = temp;
+      }
+    }
+
+    // Butterflies
+    for (let blockSize = 2; blockSize <= n; blockSize <<= 1) {
+      const halfSize = blockSize >> 1;
+      const tableStep = n / blockSize;
+
+      for (let start = 0; start < n; start += blockSize) {
+        for (let k = 0; k < halfSize; k++) {
+          const twiddleReal = this.cosTable[k * tableStep];
+          const twiddleImag = sign * this.sinTable[k * tableStep];
+          const even = start + k;
+          const odd = even + halfSize;
+
+          const oddReal = real[odd] * twiddleReal - imag[odd] * twiddleImag;
+          const oddImag = real[odd] * twiddleImag + imag[odd] * twiddleReal;
+
+          real[odd] = real[even] - oddReal;
+          imag[odd] = imag[even] - oddImag;
+          real[even] += oddReal;
+          imag[even] += oddImag;
+        }
+      }
+    }
+  }
+}
+
+export default FFT;
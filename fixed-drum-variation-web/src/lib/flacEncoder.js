@@ -0,0 +1,439 @@
+// src/lib/flacEncoder.js
+// Pure JavaScript FLAC encoder (fixed prediction, Rice-coded residuals, stereo decorrelation)
+
+// Samples per frame (every frame but the last)
+const BLOCK_SIZE = 4096;
+
+// Highest Rice partition order tried (2^order partitions per subframe)
+const MAX_PARTITION_ORDER = 6;
+
+// Highest Rice parameter of the 4-bit method; larger parameters need the 5-bit method
+const MAX_RICE_PARAMETER = 14;
+
+// Frame header sample size codes by bit depth
+const SAMPLE_SIZE_CODES = { 8: 1, 12: 2, 16: 4, 20: 5, 24: 6 };
+
+// Frame header sample rate codes of the common rates
+const SAMPLE_RATE_CODES = {
+  88200: 1, 176400: 2, 192000: 3, 8000: 4, 16000: 5, 22050: 6,
+  24000: 7, 32000: 8, 44100: 9, 48000: 10, 96000: 11
+};
+
+// Stereo channel assignments (frame header codes)
+const INDEPENDENT = -1; // channel count - 1 is written
+const LEFT_SIDE = 8;
+const RIGHT_SIDE = 9;
+const MID_SIDE = 10;
+
+// Residual of each fixed predictor order: the order-th difference of the signal
+const FIXED_PREDICTORS = [
+  (s, i) => s[i],
+  (s, i) => s[i] - s[i - 1],
+  (s, i) => s[i] - 2 * s[i - 1] + s[i - 2],
+  (s, i) => s[i] - 3 * s[i - 1] + 3 * s[i - 2] - s[i - 3],
+  (s, i) => s[i] - 4 * s[i - 1] + 6 * s[i - 2] - 4 * s[i - 3] + s[i - 4]
+];
+
+// CRC lookup tables (CRC-8 poly 0x07 for frame headers, CRC-16 poly 0x8005 for frames)
+const CRC8_TABLE = new Uint8Array(256);
+const CRC16_TABLE = new Uint16Array(256);
+for (let i = 0; i < 256; i++) {
+  let crc8 = i;
+  let crc16 = i << 8;
+  for (let bit = 0; bit < 8; bit++) {
+    crc8 = crc8 & 0x80 ? (crc8 << 1) ^ 0x07 : crc8 << 1;
+    crc16 = crc16 & 0x8000 ? (crc16 << 1) ^ 0x8005 : crc16 << 1;
+  }
+  CRC8_TABLE[i] = crc8 & 0xFF;
+  CRC16_TABLE[i] = crc16 & 0xFFFF;
+}
+
+/**
+ * Writes a big-endian bit stream into a growing byte array
+ */
+class BitWriter {
+  constructor(capacity = 65536) {
+    this.bytes = new Uint8Array(capacity);
+    this.length = 0; // Whole bytes written
+    this.current = 0; // Bits of the byte being filled
+    this.bitCount = 0;
+  }
+
+  /**
+   * Append a byte, growing the array when full
+   * @param {number} byte - Byte value
+   */
+  pushByte(byte) {
+    if (this.length === this.bytes.length) {
+      const grown = new Uint8Array(this.bytes.length * 2);
+      grown.set(this.bytes);
+      this.bytes = grown;
+    }
+    this.bytes[this.length++] = byte;
+  }
+
+  /**
+   * Write an unsigned value
+   * @param {number} value - Value (up to 2^53)
+   * @param {number} bits - Number of bits
+   */
+  write(value, bits) {
+    while (bits > 0) {
+      const take = Math.min(bits, 8 - this.bitCount);
+      bits -= take;
+      const chunk = Math.floor(value / Math.pow(2, bits)) & ((1 << take) - 1);
+      this.current = (this.current << take) | chunk;
+      this.bitCount += take;
+      if (this.bitCount === 8) {
+        this.pushByte(this.current);
+        this.current = 0;
+        this.bitCount = 0;
+      }
+    }
+  }
+
+  /**
+   * Write a two's complement signed value
+   * @param {number} value - Value
+   * @param {number} bits - Number of bits
+   */
+  writeSigned(value, bits) {
+    this.write(value < 0 ? value + Math.pow(2, bits) : value, bits);
+  }
+
+  /**
+   * Write a value in unary (that many 0 bits, then a 1)
+   * @param {number} value - Non-negative value
+   */
+  writeUnary(value) {
+    while (value >= 24) {
+      this.write(0, 24);
+      value -= 24;
+    }
+    this.write(1, value + 1);
+  }
+
+  /**
+   * Pad with 0 bits to the next byte boundary
+   */
+  alignToByte() {
+    if (this.bitCount > 0) this.write(0, 8 - this.bitCount);
+  }
+
+  /**
+   * Bytes written so far
+   * @returns {Uint8Array} - View of the written bytes
+   */
+  toBytes() {
+    return this.bytes.subarray(0, this.length);
+  }
+}
+
+/**
+ * Map a signed residual to an unsigned one (0, -1, 1, -2... to 0, 1, 2, 3...)
+ * @param {number} value - Signed value
+ * @returns {number} - Unsigned value
+ */
+function zigzag(value) {
+  return value >= 0 ? value * 2 : -value * 2 - 1;
+}
+
+/**
+ * FlacEncoder writes integer samples as a FLAC stream that any decoder can
+ * read. Each channel of a frame is coded with whichever fixed polynomial
+ * predictor (order 0-4) leaves the smallest Rice-coded residual, with the
+ * best Rice partitioning; silent stretches become constant subframes. Stereo
+ * frames also try left/side, right/side and mid/side, which pays off on the
+ * near-mono material drums usually are. No LPC, so files are a little larger
+ * than the reference encoder's, but still lossless.
+ */
+export class FlacEncoder {
+  /**
+   * Create a new FLAC encoder
+   * @param {number} sampleRate - Sample rate in Hz
+   * @param {number} channels - Number of channels (1-8)
+   * @param {number} bitDepth - Bits per sample (16 or 24)
+   */
+  constructor(sampleRate, channels, bitDepth) {
+    if (!SAMPLE_SIZE_CODES[bitDepth]) {
+      throw new Error(`FLAC can't store ${bitDepth}-bit samples`);
+    }
+    if (channels < 1 || channels > 8) {
+      throw new Error(`FLAC can't store ${channels} channels`);
+    }
+
+    this.sampleRate = sampleRate;
+    this.channels = channels;
+    this.bitDepth = bitDepth;
+  }
+
+  /**
+   * Rice-code a residual with the best partitioning
+   * @param {number[]} residual - Residual values (zigzagged), without the warm-up samples
+   * @param {number} blockSize - Samples in the block
+   * @param {number} order - Predictor order (warm-up samples left out of the first partition)
+   * @returns {Object} - { bits, partitionOrder, parameters (one per partition), wide (5-bit parameters) }
+   */
+  planResidual(residual, blockSize, order) {
+    let best = null;
+
+    for (let partitionOrder = 0; partitionOrder <= MAX_PARTITION_ORDER; partitionOrder++) {
+      const partitions = 1 << partitionOrder;
+      const partitionLength = blockSize / partitions;
+      if (!Number.isInteger(partitionLength) || partitionLength <= order) break;
+
+      let bits = 0;
+      const parameters = [];
+      let index = 0;
+      for (let p = 0; p < partitions; p++) {
+        const count = p === 0 ? partitionLength - order : partitionLength;
+        let sum = 0;
+        for (let i = index; i < index + count; i++) sum += residual[i];
+
+        // The best parameter is close to log2 of the mean; check its neighbours too
+        const estimate = sum > count ? Math.floor(Math.log2(sum / count)) : 0;
+        let partitionBest = Infinity;
+        let parameter = 0;
+        for (let k = Math.max(0, estimate - 1); k <= estimate + 1 && k <= 30; k++) {
+          const divisor = Math.pow(2, k);
+          let cost = count * (k + 1);
+          for (let i = index; i < index + count; i++) cost += Math.floor(residual[i] / divisor);
+          if (cost < partitionBest) {
+            partitionBest = cost;
+            parameter = k;
+          }
+        }
+
+        parameters.push(parameter);
+        bits += partitionBest;
+        index += count;
+      }
+
+      const wide = parameters.some(k => k > MAX_RICE_PARAMETER);
+      bits += partitions * (wide ? 5 : 4);
+      if (!best || bits < best.bits) {
+        best = { bits, partitionOrder, parameters, wide };
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Work out the cheapest subframe for a channel of a block
+   * @param {Int32Array|number[]} samples - Samples of the block
+   * @param {number} bitDepth - Bits per sample of this subframe (one more for side channels)
+   * @returns {Object} - Subframe plan with its size in bits
+   */
+  planSubframe(samples, bitDepth) {
+    const blockSize = samples.length;
+
+    if (samples.every(sample => sample === samples[0])) {
+      return { type: 'constant', bits: 8 + bitDepth, samples, bitDepth };
+    }
+
+    let best = { type: 'verbatim', bits: 8 + blockSize * bitDepth, samples, bitDepth };
+    for (let order = 0; order < FIXED_PREDICTORS.length && order < blockSize; order++) {
+      const predict = FIXED_PREDICTORS[order];
+      const residual = new Array(blockSize - order);
+      for (let i = order; i < blockSize; i++) {
+        residual[i - order] = zigzag(predict(samples, i));
+      }
+
+      const rice = this.planResidual(residual, blockSize, order);
+      if (!rice) continue;
+
+      const bits = 8 + order * bitDepth + 6 + rice.bits;
+      if (bits < best.bits) {
+        best = { type: 'fixed', bits, samples, bitDepth, order, residual, rice };
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Write a planned subframe
+   * @param {BitWriter} writer - Output
+   * @param {Object} plan - Result of planSubframe
+   */
+  writeSubframe(writer, plan) {
+    const { samples, bitDepth } = plan;
+
+    if (plan.type === 'constant') {
+      writer.write(0, 8); // Padding bit, type 000000, no wasted bits
+      writer.writeSigned(samples[0], bitDepth);
+      return;
+    }
+
+    if (plan.type === 'verbatim') {
+      writer.write(0b00000010, 8);
+      for (let i = 0; i < samples.length; i++) writer.writeSigned(samples[i], bitDepth);
+      return;
+    }
+
+    const { order, residual, rice } = plan;
+    writer.write((0b001000 | order) << 1, 8);
+    for (let i = 0; i < order; i++) writer.writeSigned(samples[i], bitDepth);
+
+    // Residual: coding method, partition order, then each partition's parameter and values
+    writer.write(rice.wide ? 1 : 0, 2);
+    writer.write(rice.partitionOrder, 4);
+    const partitions = 1 << rice.partitionOrder;
+    const partitionLength = samples.length / partitions;
+    let index = 0;
+    for (let p = 0; p < partitions; p++) {
+      const k = rice.parameters[p];
+      const count = p === 0 ? partitionLength - order : partitionLength;
+      writer.write(k, rice.wide ? 5 : 4);
+      const divisor = Math.pow(2, k);
+      for (let i = index; i < index + count; i++) {
+        const value = residual[i];
+        const quotient = Math.floor(value / divisor);
+        writer.writeUnary(quotient);
+        if (k > 0) writer.write(value - quotient * divisor, k);
+      }
+      index += count;
+    }
+  }
+
+  /**
+   * Write a frame header's frame number (UTF-8 style variable length)
+   * @param {BitWriter} writer - Output
+   * @param {number} value - Frame number
+   */
+  writeFrameNumber(writer, value) {
+    if (value < 0x80) {
+      writer.write(value, 8);
+      return;
+    }
+
+    // Continuation bytes carry 6 bits each; the lead byte has 6 - continuation bits left
+    let continuation = 1;
+    while (value >= Math.pow(2, 5 * continuation + 6) && continuation < 6) continuation++;
+    const lead = (0xFF << (7 - continuation)) & 0xFF;
+    writer.write(lead | Math.floor(value / Math.pow(2, 6 * continuation)), 8);
+    for (let i = continuation - 1; i >= 0; i--) {
+      writer.write(0x80 | (Math.floor(value / Math.pow(2, 6 * i)) & 0x3F), 8);
+    }
+  }
+
+  /**
+   * Pick the frame header sample rate code. Every frame carries its own rate where it
+   * can (a common rate's code, else the rate at the end of the header in kHz, Hz or
+   * tens of Hz), so streamed or cut files decode without STREAMINFO; "from STREAMINFO"
+   * is left for the rates none of those can hold
+   * @returns {Object} - { code, value, bits } (value and bits of the extra header field)
+   */
+  sampleRateCode() {
+    const rate = this.sampleRate;
+    if (SAMPLE_RATE_CODES[rate]) return { code: SAMPLE_RATE_CODES[rate], value: 0, bits: 0 };
+    if (rate % 1000 === 0 && rate / 1000 <= 0xFF) return { code: 0b1100, value: rate / 1000, bits: 8 };
+    if (rate <= 0xFFFF) return { code: 0b1101, value: rate, bits: 16 };
+    if (rate % 10 === 0 && rate / 10 <= 0xFFFF) return { code: 0b1110, value: rate / 10, bits: 16 };
+    return { code: 0b0000, value: 0, bits: 0 };
+  }
+
+  /**
+   * Write one frame
+   * @param {BitWriter} writer - Output
+   * @param {Array<Int32Array>} blocks - Each channel's samples of the frame
+   * @param {number} frameNumber - Index of the frame
+   */
+  writeFrame(writer, blocks, frameNumber) {
+    const blockSize = blocks[0].length;
+
+    // Choose how to code the channels
+    let assignment = INDEPENDENT;
+    let plans;
+    if (blocks.length === 2) {
+      const [left, right] = blocks;
+      const mid = new Int32Array(blockSize);
+      const side = new Int32Array(blockSize);
+      for (let i = 0; i < blockSize; i++) {
+        mid[i] = (left[i] + right[i]) >> 1;
+        side[i] = left[i] - right[i];
+      }
+
+      const leftPlan = this.planSubframe(left, this.bitDepth);
+      const rightPlan = this.planSubframe(right, this.bitDepth);
+      const midPlan = this.planSubframe(mid, this.bitDepth);
+      const sidePlan = this.planSubframe(side, this.bitDepth + 1);
+      const options = [
+        [INDEPENDENT, [leftPlan, rightPlan]],
+        [LEFT_SIDE, [leftPlan, sidePlan]],
+        [RIGHT_SIDE, [sidePlan, rightPlan]],
+        [MID_SIDE, [midPlan, sidePlan]]
+      ];
+      [assignment, plans] = options.reduce((best, option) => (
+        option[1][0].bits + option[1][1].bits < best[1][0].bits + best[1][1].bits ? option : best
+      ));
+    } else {
+      plans = blocks.map(block => this.planSubframe(block, this.bitDepth));
+    }
+
+    // Header
+    const start = writer.length;
+    writer.write(0b11111111111110, 14); // Sync code
+    writer.write(0, 1); // Reserved
+    writer.write(0, 1); // Fixed block size
+    writer.write(0b0111, 4); // Block size: 16 bits at the end of the header
+    const sampleRate = this.sampleRateCode();
+    writer.write(sampleRate.code, 4);
+    writer.write(assignment === INDEPENDENT ? blocks.length - 1 : assignment, 4);
+    writer.write(SAMPLE_SIZE_CODES[this.bitDepth], 3);
+    writer.write(0, 1); // Reserved
+    this.writeFrameNumber(writer, frameNumber);
+    writer.write(blockSize - 1, 16);
+    if (sampleRate.bits) writer.write(sampleRate.value, sampleRate.bits);
+
+    let crc8 = 0;
+    for (const byte of writer.toBytes().subarray(start)) crc8 = CRC8_TABLE[crc8 ^ byte];
+    writer.write(crc8, 8);
+
+    // Subframes, padding and footer
+    for (const plan of plans) this.writeSubframe(writer, plan);
+    writer.alignToByte();
+
+    let crc16 = 0;
+    for (const byte of writer.toBytes().subarray(start)) {
+      crc16 = ((crc16 << 8) & 0xFFFF) ^ CRC16_TABLE[(crc16 >> 8) ^ byte];
+    }
+    writer.write(crc16, 16);
+  }
+
+  /**
+   * Encode integer samples as a FLAC file
+   * @param {Array<Int32Array>} channels - Samples per channel, in range for the bit depth
+   * @returns {ArrayBuffer} - FLAC file
+   */
+  encode(channels) {
+    const length = channels[0].length;
+    const writer = new BitWriter(Math.max(1024, length * this.channels * (this.bitDepth / 8)));
+
+    // Stream marker and STREAMINFO (last metadata block)
+    writer.write(0x664C6143, 32); // 'fLaC'
+    writer.write(1, 1);
+    writer.write(0, 7);
+    writer.write(34, 24);
+    writer.write(Math.min(BLOCK_SIZE, Math.max(16, length)), 16); // Minimum block size
+    writer.write(Math.min(BLOCK_SIZE, Math.max(16, length)), 16); // Maximum block size
+    writer.write(0, 24); // Minimum frame size (unknown)
+    writer.write(0, 24); // Maximum frame size (unknown)
+    writer.write(this.sampleRate, 20);
+    writer.write(this.channels - 1, 3);
+    writer.write(this.bitDepth - 1, 5);
+    writer.write(length, 36);
+    for (let i = 0; i < 4; i++) writer.write(0, 32); // MD5 (not computed)
+
+    let frameNumber = 0;
+    for (let start = 0; start < length; start += BLOCK_SIZE) {
+      const end = Math.min(length, start + BLOCK_SIZE);
+      this.writeFrame(writer, channels.map(data => data.subarray(start, end)), frameNumber++);
+    }
+
+    return writer.toBytes().slice().buffer;
+  }
+}
+
+export default FlacEncoder;
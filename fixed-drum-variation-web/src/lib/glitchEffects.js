@@ -0,0 +1,151 @@
+// src/lib/glitchEffects.js
+// Time-domain rearrangement: reverse, buffer-repeat stutter, tape stop and gated retrigger
+
+// Effects offered for glitch variations (see the hook's generateGlitch)
+export const GLITCH_EFFECTS = [
+  { id: 'reverse', name: 'Reverse' },
+  { id: 'reverseReverb', name: 'Reverse reverb' },
+  { id: 'stutter', name: 'Stutter' },
+  { id: 'tapeStop', name: 'Tape stop' },
+  { id: 'retrigger', name: 'Gated retrigger' }
+];
+
+// Fade (seconds) at every cut, so jumps in the audio don't click
+const FADE_TIME = 0.002;
+
+// Part of a tape stop (at the end) over which the level fades out with the speed
+const TAPE_STOP_FADE = 0.1;
+
+/**
+ * GlitchProcessor cuts and replays audio in time instead of changing its
+ * tone. All lengths are in samples; the caller works them out from the tempo.
+ * Every cut gets a short fade so the edits stay click-free.
+ */
+export class GlitchProcessor {
+  /**
+   * Create a new glitch processor
+   * @param {number} sampleRate - Sample rate of the audio to process
+   */
+  constructor(sampleRate) {
+    this.sampleRate = sampleRate;
+    this.fadeLength = Math.max(1, Math.round(FADE_TIME * sampleRate));
+  }
+
+  /**
+   * Gain of a piece of audio that is faded in and/or out at its edges
+   * @param {number} position - Sample position within the piece
+   * @param {number} length - Length of the piece
+   * @param {boolean} fadeIn - Fade in at the start
+   * @param {boolean} fadeOut - Fade out at the end
+   * @returns {number} - Gain (0-1)
+   */
+  edgeGain(position, length, fadeIn = true, fadeOut = true) {
+    let gain = 1;
+    if (fadeIn && position < this.fadeLength) {
+      gain = Math.min(gain, position / this.fadeLength);
+    }
+    if (fadeOut && length - position <= this.fadeLength) {
+      gain = Math.min(gain, (length - position - 1) / this.fadeLength);
+    }
+    return Math.max(0, gain);
+  }
+
+  /**
+   * Play audio backwards
+   * @param {Float32Array} data - Input data
+   * @returns {Float32Array} - Reversed data
+   */
+  reverse(data) {
+    return Float32Array.from(data).reverse();
+  }
+
+  /**
+   * Buffer-repeat stutter: replay one slice several times in a row, then carry on
+   * @param {Float32Array} data - Input data
+   * @param {number} start - First sample of the repeated slice
+   * @param {number} sliceLength - Length of the slice
+   * @param {number} repeats - How many times the slice plays (it replaces the audio after it)
+   * @returns {Float32Array} - Stuttered data (longer than the input only when the repeats run past its end)
+   */
+  stutter(data, start, sliceLength, repeats) {
+    const end = start + sliceLength * repeats;
+    const output = new Float32Array(Math.max(data.length, end));
+    output.set(data.subarray(0, start));
+
+    for (let i = start; i < end; i++) {
+      const position = (i - start) % sliceLength;
+      const source = start + position;
+      // The first repeat follows on from the audio before it, so it needs no fade in
+      const fadeIn = i - start >= sliceLength;
+      output[i] = source < data.length
+        ? data[source] * this.edgeGain(position, sliceLength, fadeIn, true)
+        : 0;
+    }
+
+    // Fade the original back in after the last repeat
+    for (let i = end; i < data.length; i++) {
+      output[i] = data[i] * this.edgeGain(i - end, data.length - end, true, false);
+    }
+
+    return output;
+  }
+
+  /**
+   * Tape stop: playback slows down to a standstill (pitch and speed drop together)
+   * @param {Float32Array} data - Input data
+   * @param {number} start - Sample where the slowdown begins
+   * @param {number} stopLength - Length of the slowdown
+   * @returns {Float32Array} - Processed data (silent after the stop, same length)
+   */
+  tapeStop(data, start, stopLength) {
+    const output = new Float32Array(data.length);
+    output.set(data.subarray(0, start));
+
+    // Speed falls linearly from 1 to 0; the read position is its running sum
+    let position = start;
+    for (let i = start; i < data.length && i - start < stopLength; i++) {
+      const speed = 1 - (i - start) / stopLength;
+
+      const index = Math.floor(position);
+      const fraction = position - index;
+      const current = index < data.length ? data[index] : 0;
+      const next = index + 1 < data.length ? data[index + 1] : 0;
+
+      // Fade out as the tape comes to rest, so it doesn't stop on a DC step
+      const gain = Math.min(1, speed / TAPE_STOP_FADE);
+      output[i] = (current + (next - current) * fraction) * gain;
+
+      position += speed;
+    }
+
+    return output;
+  }
+
+  /**
+   * Gated retrigger: chop the audio into steps and gate each one, replaying
+   * the first step of every group of `hold` steps
+   * @param {Float32Array} data - Input data
+   * @param {number} stepLength - Length of a step (may be fractional)
+   * @param {number} duty - Part of each step the gate is open (0-1)
+   * @param {number} hold - Steps per retrigger (1 = plain rhythmic gate)
+   * @returns {Float32Array} - Processed data (same length)
+   */
+  retrigger(data, stepLength, duty = 0.5, hold = 1) {
+    const output = new Float32Array(data.length);
+    const steps = Math.ceil(data.length / stepLength);
+
+    for (let step = 0; step < steps; step++) {
+      const stepStart = Math.round(step * stepLength);
+      const groupStart = Math.round((step - (step % hold)) * stepLength);
+      const gateLength = Math.max(1, Math.round(stepLength * duty));
+
+      for (let i = 0; i < gateLength && stepStart + i < data.length; i++) {
+        output[stepStart + i] = data[groupStart + i] * this.edgeGain(i, gateLength);
+      }
+    }
+
+    return output;
+  }
+}
+
+export default GlitchProcessor;
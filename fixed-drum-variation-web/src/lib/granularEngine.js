@@ -0,0 +1,196 @@
+// src/lib/granularEngine.js
+// Granular resynthesis: rebuild a sample from many short, enveloped, jittered grains
+
+import { createRandom, randomSeed } from './random';
+
+// Grain envelope shapes supported by GranularEngine
+export const GRAIN_ENVELOPES = ['hann', 'triangle', 'tukey', 'expodec', 'rexpodec'];
+
+// Starting settings of the granular engine
+export const DEFAULT_GRANULAR_OPTIONS = {
+  grainSize: 60, // ms
+  density: 40, // grains per second
+  positionJitter: 20, // ms
+  pitchJitter: 1, // semitones
+  envelope: 'hann',
+  transientTime: 10 // ms kept dry at each hit (0 = off)
+};
+
+// Crossfade (seconds) from the dry transient into the grains
+const TRANSIENT_FADE = 0.005;
+
+// Decay rate of the exponential envelopes (level at the far end = e^-EXPONENTIAL_DECAY)
+const EXPONENTIAL_DECAY = 5;
+
+/**
+ * GranularEngine re-synthesizes audio as a cloud of short grains. Grains are
+ * started `density` times per second along the timeline; each one reads the
+ * source near the same time (moved by up to `positionJitter`), at a pitch
+ * moved by up to `pitchJitter` semitones, and is shaped by the grain
+ * envelope. Small grains with little jitter stay close to the source; large
+ * jitter smears it into textures and ghost notes.
+ * The first `transientTime` ms of each hit can be kept dry, so drums still
+ * have their attack.
+ */
+export class GranularEngine {
+  /**
+   * Create a new granular engine
+   * @param {number} sampleRate - Sample rate of the audio to process
+   * @param {Object} options - Granular options
+   * @param {number} options.grainSize - Grain length in ms
+   * @param {number} options.density - Grains started per second
+   * @param {number} options.positionJitter - Maximum random read offset in ms (either direction)
+   * @param {number} options.pitchJitter - Maximum random pitch change in semitones (either direction)
+   * @param {number} options.pitch - Pitch of every grain in semitones
+   * @param {string} options.envelope - Grain envelope (see GRAIN_ENVELOPES)
+   * @param {number} options.transientTime - Dry time in ms kept at each hit (0 = off)
+   * @param {number} options.seed - Random seed, so a texture can be reproduced
+   */
+  constructor(sampleRate, options = {}) {
+    const envelope = options.envelope || 'hann';
+    if (!GRAIN_ENVELOPES.includes(envelope)) {
+      throw new Error(`Unknown grain envelope: ${envelope}`);
+    }
+
+    this.sampleRate = sampleRate;
+    this.grainSize = Math.max(1, options.grainSize ?? 60);
+    this.density = Math.max(1, options.density ?? 40);
+    this.positionJitter = Math.max(0, options.positionJitter ?? 20);
+    this.pitchJitter = Math.max(0, options.pitchJitter ?? 0);
+    this.pitch = options.pitch || 0;
+    this.envelope = envelope;
+    this.transientTime = Math.max(0, options.transientTime ?? 0);
+    this.seed = options.seed ?? randomSeed();
+  }
+
+  /**
+   * Build the grain envelope
+   * @param {number} length - Grain length in samples
+   * @returns {Float32Array} - Envelope values (0-1)
+   */
+  createWindow(length) {
+    const window = new Float32Array(length);
+    for (let i = 0; i < length; i++) {
+      const x = length > 1 ? i / (length - 1) : 0.5; // 0 to 1 across the grain
+      switch (this.envelope) {
+        case 'triangle':
+          window[i] = 1 - Math.abs(2 * x - 1);
+          break;
+        case 'tukey': {
+          // Flat top with raised-cosine edges over the outer quarters
+          const edge = Math.min(x, 1 - x);
+          window[i] = edge >= 0.25 ? 1 : 0.5 - 0.5 * Math.cos((Math.PI * edge) / 0.25);
+          break;
+        }
+        case 'expodec': {
+          // Short fade in, exponential decay: percussive grains
+          const attack = Math.min(1, x / 0.02);
+          window[i] = attack * Math.exp(-EXPONENTIAL_DECAY * x) * (1 - x);
+          break;
+        }
+        case 'rexpodec': {
+          // Reversed expodec: grains swell up and cut off
+          const attack = Math.min(1, (1 - x) / 0.02);
+          window[i] = attack * Math.exp(-EXPONENTIAL_DECAY * (1 - x)) * x;
+          break;
+        }
+        default:
+          window[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * x);
+      }
+    }
+    return window;
+  }
+
+  /**
+   * Plan the grains (shared by all channels so the stereo image holds together)
+   * @param {number} length - Output length in samples
+   * @returns {Object[]} - Grains as { start, source, ratio } (output sample, source
+   *   position and playback rate)
+   */
+  plan(length) {
+    const random = createRandom(this.seed);
+    const interval = this.sampleRate / this.density;
+    const jitter = (this.positionJitter / 1000) * this.sampleRate;
+    const grains = [];
+
+    for (let start = 0; start < length; start += interval) {
+      const semitones = this.pitch + (random() * 2 - 1) * this.pitchJitter;
+      grains.push({
+        start: Math.round(start),
+        source: start + (random() * 2 - 1) * jitter,
+        ratio: Math.pow(2, semitones / 12)
+      });
+    }
+
+    return grains;
+  }
+
+  /**
+   * Gain of the dry signal at each sample (1 during the kept transients, then a short crossfade)
+   * @param {number} length - Length in samples
+   * @param {number[]} onsets - Sample positions of the hits
+   * @returns {Float32Array|null} - Dry gain, or null when no transients are kept
+   */
+  transientMask(length, onsets) {
+    if (this.transientTime <= 0) return null;
+
+    const hold = Math.round((this.transientTime / 1000) * this.sampleRate);
+    const fade = Math.max(1, Math.round(TRANSIENT_FADE * this.sampleRate));
+    const mask = new Float32Array(length);
+
+    for (const onset of onsets) {
+      for (let i = 0; i < hold + fade && onset + i < length; i++) {
+        const gain = i < hold ? 1 : 0.5 + 0.5 * Math.cos((Math.PI * (i - hold)) / fade);
+        mask[onset + i] = Math.max(mask[onset + i], gain);
+      }
+    }
+
+    return mask;
+  }
+
+  /**
+   * Re-synthesize channel data from grains
+   * @param {Float32Array[]} channels - Channel data
+   * @param {number[]} onsets - Sample positions of the hits whose transients stay dry
+   * @returns {Float32Array[]} - Granular channel data (same length)
+   */
+  process(channels, onsets = [0]) {
+    const length = channels[0].length;
+    const grainLength = Math.max(2, Math.round((this.grainSize / 1000) * this.sampleRate));
+    const window = this.createWindow(grainLength);
+    const grains = this.plan(length);
+    const mask = this.transientMask(length, onsets);
+
+    // Where grains overlap in phase they add up; scale by the average overlap to keep the level
+    let windowMean = 0;
+    for (let i = 0; i < grainLength; i++) windowMean += window[i] / grainLength;
+    const overlap = (this.density * grainLength) / this.sampleRate;
+    const gain = 1 / Math.max(1, overlap * windowMean);
+
+    return channels.map(data => {
+      const output = new Float32Array(length);
+
+      for (const grain of grains) {
+        for (let i = 0; i < grainLength && grain.start + i < length; i++) {
+          const position = grain.source + i * grain.ratio;
+          const index = Math.floor(position);
+          if (index < 0 || index + 1 >= data.length) continue;
+
+          const fraction = position - index;
+          const sample = data[index] + (data[index + 1] - data[index]) * fraction;
+          output[grain.start + i] += sample * window[i] * gain;
+        }
+      }
+
+      if (mask) {
+        for (let i = 0; i < length; i++) {
+          output[i] = data[i] * mask[i] + output[i] * (1 - mask[i]);
+        }
+      }
+
+      return output;
+    });
+  }
+}
+
+export default GranularEngine;
@@ -0,0 +1,243 @@
+// src/lib/grooveEngine.js
+// Groove and humanize: move the hits of a loop in time and velocity
+
+import { createRandom, randomSeed } from './random';
+
+// MPC-style swing templates (percent of the step pair given to the first step; 50 = straight)
+export const GROOVE_TEMPLATES = [
+  { id: 'straight', name: 'Straight', swing: 50 },
+  { id: 'mpc-54', name: 'MPC 54%', swing: 54 },
+  { id: 'mpc-58', name: 'MPC 58%', swing: 58 },
+  { id: 'mpc-62', name: 'MPC 62%', swing: 62 },
+  { id: 'mpc-66', name: 'MPC 66%', swing: 66 },
+  { id: 'mpc-71', name: 'MPC 71%', swing: 71 },
+  { id: 'mpc-75', name: 'MPC 75%', swing: 75 }
+];
+
+// Fade lengths (seconds) at the edges of moved hits
+const FADE_IN = 0.0005;
+const FADE_OUT = 0.003;
+
+// Window (seconds) after an onset used to measure the level of a hit
+const HIT_WINDOW = 0.01;
+
+// Smallest distance (seconds) kept between two moved hits
+const MIN_HIT_SPACING = 0.005;
+
+/**
+ * GrooveEngine moves the hits of a loop. Each hit (from the loop slicer's
+ * onsets) is cut out and placed again at a new time with a new level:
+ * swing delays every second step, a groove extracted from another loop puts
+ * each hit where that loop has it, and humanize adds random timing and
+ * velocity changes on top.
+ */
+export class GrooveEngine {
+  /**
+   * Create a new groove engine
+   * @param {number} sampleRate - Sample rate of the audio to groove
+   * @param {Object} options - Groove options
+   * @param {number} options.swing - Swing in percent (50 = straight, 54-75 = MPC-style swing)
+   * @param {number} options.stepsPerBeat - Swing resolution (4 = sixteenths, 2 = eighths)
+   * @param {Object} options.groove - Groove from extract() (replaces swing when set)
+   * @param {number} options.humanizeTime - Maximum random timing change in ms
+   * @param {number} options.velocity - Random level change per hit (0-1)
+   * @param {number} options.seed - Random seed (a new one is picked if missing)
+   */
+  constructor(sampleRate, options = {}) {
+    this.sampleRate = sampleRate;
+    this.swing = Math.max(50, Math.min(75, options.swing ?? 50));
+    this.stepsPerBeat = options.stepsPerBeat || 4;
+    this.groove = options.groove || null;
+    this.humanizeTime = Math.max(0, options.humanizeTime ?? 0);
+    this.velocity = Math.max(0, Math.min(1, options.velocity ?? 0));
+    this.seed = options.seed ?? randomSeed();
+    this.random = createRandom(this.seed);
+  }
+
+  /**
+   * Measure the level of each hit (peak over the first few ms)
+   * @param {Float32Array[]} channels - Channel data
+   * @param {number[]} onsets - Onset sample indices
+   * @returns {number[]} - Peak level per hit
+   */
+  measureLevels(channels, onsets) {
+    const windowSamples = Math.round(HIT_WINDOW * this.sampleRate);
+
+    return onsets.map(onset => {
+      let level = 0;
+      for (const data of channels) {
+        const end = Math.min(data.length, onset + windowSamples);
+        for (let i = onset; i < end; i++) {
+          level = Math.max(level, Math.abs(data[i]));
+        }
+      }
+      return level;
+    });
+  }
+
+  /**
+   * Extract the groove of a loop: the average timing offset and level of the
+   * hits at each step of the bar
+   * @param {Float32Array[]} channels - Channel data of the groove source
+   * @param {number} bpm - Tempo of the groove source
+   * @param {number[]} onsets - Onset sample indices of the groove source
+   * @returns {Object} - { stepsPerBeat, offsets, velocities } with one entry per step of
+   *   the bar (offsets in steps, velocities relative to the loudest step, null where
+   *   the source has no hit)
+   */
+  extract(channels, bpm, onsets) {
+    const stepLength = (60 / bpm / this.stepsPerBeat) * this.sampleRate;
+    const stepsPerBar = this.stepsPerBeat * 4;
+    const levels = this.measureLevels(channels, onsets);
+
+    const offsetSums = new Array(stepsPerBar).fill(0);
+    const levelSums = new Array(stepsPerBar).fill(0);
+    const counts = new Array(stepsPerBar).fill(0);
+
+    onsets.forEach((onset, i) => {
+      // Skip the loop start marker when there is no hit there
+      if (levels[i] === 0) return;
+
+      const step = Math.round(onset / stepLength);
+      const position = step % stepsPerBar;
+      offsetSums[position] += (onset - step * stepLength) / stepLength;
+      levelSums[position] += levels[i];
+      counts[position]++;
+    });
+
+    let loudest = 0;
+    for (let k = 0; k < stepsPerBar; k++) {
+      if (counts[k] > 0) loudest = Math.max(loudest, levelSums[k] / counts[k]);
+    }
+
+    return {
+      stepsPerBeat: this.stepsPerBeat,
+      offsets: counts.map((count, k) => (count > 0 ? offsetSums[k] / count : null)),
+      velocities: counts.map((count, k) => (count > 0 && loudest > 0 ? levelSums[k] / count / loudest : null))
+    };
+  }
+
+  /**
+   * Plan where each hit goes and how loud it is
+   * @param {number[]} onsets - Onset sample indices (first one at 0)
+   * @param {number} length - Loop length in samples
+   * @param {number} bpm - Tempo of the loop
+   * @param {number[]} levels - Level of each hit (see measureLevels)
+   * @returns {Array} - One { source, target, gain } entry per onset
+   */
+  plan(onsets, length, bpm, levels) {
+    const stepsPerBeat = this.groove ? this.groove.stepsPerBeat : this.stepsPerBeat;
+    const stepLength = (60 / bpm / stepsPerBeat) * this.sampleRate;
+    const stepsPerBar = stepsPerBeat * 4;
+    const swingOffset = ((this.swing - 50) / 50) * stepLength;
+    const humanizeSamples = (this.humanizeTime / 1000) * this.sampleRate;
+    const minSpacing = Math.round(MIN_HIT_SPACING * this.sampleRate);
+
+    const loudest = Math.max(...levels, 1e-6);
+
+    const moves = [];
+    onsets.forEach((onset, i) => {
+      let target = onset;
+      let gain = 1;
+
+      // The loop start stays where it is so the loop still lines up
+      if (i > 0) {
+        const step = Math.round(onset / stepLength);
+        const position = step % stepsPerBar;
+
+        if (this.groove) {
+          // Put the hit where the groove source has it and take over its accent
+          const offset = this.groove.offsets[position];
+          if (offset !== null && offset !== undefined) {
+            target = step * stepLength + offset * stepLength;
+          }
+          const velocity = this.groove.velocities[position];
+          if (velocity && levels[i] > 0) {
+            gain = Math.max(0.25, Math.min(2, velocity / (levels[i] / loudest)));
+          }
+        } else if (step % 2 === 1) {
+          // Swing delays the second step of every pair
+          target = onset + swingOffset;
+        }
+
+        // Triangular distribution keeps most hits close to their spot
+        target += (this.random() + this.random() - 1) * humanizeSamples;
+      }
+
+      gain *= 1 + (this.random() * 2 - 1) * this.velocity;
+
+      // Keep the hits in order
+      const previous = moves.length > 0 ? moves[moves.length - 1].target : -minSpacing;
+      target = Math.round(Math.max(previous + minSpacing, Math.min(length - 1, target)));
+      if (i === 0) target = onset;
+
+      moves.push({ source: onset, target, gain });
+    });
+
+    return moves;
+  }
+
+  /**
+   * Render planned moves into new channel data
+   * @param {Float32Array[]} channels - Original channel data
+   * @param {Array} moves - Planned moves (see plan())
+   * @returns {Float32Array[]} - Grooved channel data (same length as the input)
+   */
+  render(channels, moves) {
+    const length = channels[0].length;
+    const fadeInSamples = Math.max(1, Math.round(FADE_IN * this.sampleRate));
+    const fadeOutSamples = Math.max(1, Math.round(FADE_OUT * this.sampleRate));
+
+    // Hits moved by the same amount (with the same level) as their neighbour play straight through
+    const isJoined = (a, b) => (
+      a && b && a.target - a.source === b.target - b.source && a.gain === b.gain
+    );
+
+    return channels.map(inputData => {
+      const outputData = new Float32Array(length);
+
+      moves.forEach((move, i) => {
+        const next = moves[i + 1];
+        const srcLength = (next ? next.source : length) - move.source;
+        const destLength = (next ? next.target : length) - move.target;
+
+        // The last hit may run past the end; its tail wraps to the start of the loop
+        const copyLength = next ? Math.min(srcLength, destLength) : srcLength;
+
+        const fadeIn = isJoined(moves[i - 1], move) || i === 0 ? 0 : Math.min(fadeInSamples, copyLength >> 1);
+        const fadeOut = isJoined(move, next) || (!next && move.target === move.source)
+          ? 0
+          : Math.min(fadeOutSamples, copyLength >> 1);
+
+        for (let j = 0; j < copyLength; j++) {
+          let gain = move.gain;
+          if (j < fadeIn) gain *= j / fadeIn;
+          if (j >= copyLength - fadeOut) gain *= (copyLength - 1 - j) / fadeOut;
+          outputData[(move.target + j) % length] += inputData[move.source + j] * gain;
+        }
+      });
+
+      return outputData;
+    });
+  }
+
+  /**
+   * Groove a loop
+   * @param {Float32Array[]} channels - Original channel data
+   * @param {number} bpm - Tempo of the loop
+   * @param {number[]} onsets - Onset sample indices (first one at 0)
+   * @returns {Object} - { channels, moves, seed }
+   */
+  process(channels, bpm, onsets) {
+    const levels = this.measureLevels(channels, onsets);
+    const moves = this.plan(onsets, channels[0].length, bpm, levels);
+
+    return {
+      channels: this.render(channels, moves),
+      moves,
+      seed: this.seed
+    };
+  }
+}
+
+export default GrooveEngine;
@@ -0,0 +1,148 @@
+// src/lib/impulseLibrary.js
+// Library of reverb impulse responses (generated noise plus user-loaded IR files)
+
+import { createRandom, randomSeed } from './random';
+
+// Id of the built-in generated noise impulse
+export const NOISE_IMPULSE = 'noise';
+
+/**
+ * ImpulseResponseLibrary keeps track of the impulse responses available as
+ * reverb types. The generated noise impulse is always available; rooms,
+ * plates, springs etc. can be added from decoded IR WAV files.
+ */
+export class ImpulseResponseLibrary {
+  constructor() {
+    this.impulses = new Map();
+    this.nextId = 1;
+  }
+
+  /**
+   * List the selectable reverb types
+   * @returns {Array} - Array of { id, name, duration }
+   */
+  list() {
+    const types = [{ id: NOISE_IMPULSE, name: 'Noise (generated)', duration: null }];
+    for (const entry of this.impulses.values()) {
+      types.push({ id: entry.id, name: entry.name, duration: entry.buffer.duration });
+    }
+    return types;
+  }
+
+  /**
+   * Add a decoded impulse response to the library
+   * @param {string} name - Display name (usually the file name)
+   * @param {AudioBuffer} buffer - Decoded impulse response
+   * @returns {string} - Id of the new reverb type
+   */
+  add(name, buffer) {
+    const id = `ir-${this.nextId++}`;
+    this.impulses.set(id, { id, name, buffer });
+    return id;
+  }
+
+  /**
+   * Remove an impulse response from the library
+   * @param {string} id - Reverb type id
+   */
+  remove(id) {
+    this.impulses.delete(id);
+  }
+
+  /**
+   * Get the impulse response for a reverb type
+   * @param {AudioContext} context - Audio context used to create buffers
+   * @param {string} id - Reverb type id
+   * @param {number} sampleRate - Sample rate of the audio being processed
+   * @param {number} roomSize - Size of the generated reverb in seconds (0-1)
+   * @param {number} seed - Random seed for the generated noise impulse
+   * @returns {AudioBuffer} - Impulse response normalized to unit energy
+   */
+  getImpulse(context, id, sampleRate, roomSize, seed) {
+    const entry = id && this.impulses.get(id);
+    const impulse = entry
+      ? this.resampleImpulse(context, entry.buffer, sampleRate)
+      : this.createNoiseImpulse(context, sampleRate, roomSize, seed);
+
+    this.normalizeImpulse(impulse);
+    return impulse;
+  }
+
+  /**
+   * Create a simple reverb impulse response from decaying noise
+   * @param {AudioContext} context - Audio context used to create buffers
+   * @param {number} sampleRate - Sample rate of the impulse
+   * @param {number} roomSize - Length of the impulse in seconds
+   * @param {number} seed - Random seed for the noise
+   * @returns {AudioBuffer} - Stereo impulse response
+   */
+  createNoiseImpulse(context, sampleRate, roomSize, seed = randomSeed()) {
+    const impulseLength = Math.max(1, Math.floor(sampleRate * roomSize));
+    const impulse = context.createBuffer(2, impulseLength, sampleRate);
+    const random = createRandom(seed);
+
+    // Fill impulse response with decaying noise
+    for (let channel = 0; channel < impulse.numberOfChannels; channel++) {
+      const impulseData = impulse.getChannelData(channel);
+      for (let i = 0; i < impulseLength; i++) {
+        impulseData[i] = (random() * 2 - 1) * Math.exp(-i / (impulseLength * 0.5));
+      }
+    }
+
+    return impulse;
+  }
+
+  /**
+   * Copy an impulse to the target sample rate (linear interpolation)
+   * @param {AudioContext} context - Audio context used to create buffers
+   * @param {AudioBuffer} buffer - Source impulse
+   * @param {number} sampleRate - Target sample rate
+   * @returns {AudioBuffer} - Impulse at the target sample rate
+   */
+  resampleImpulse(context, buffer, sampleRate) {
+    const ratio = buffer.sampleRate / sampleRate;
+    const length = Math.max(1, Math.round(buffer.length / ratio));
+    const impulse = context.createBuffer(buffer.numberOfChannels, length, sampleRate);
+
+    for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+      const inputData = buffer.getChannelData(channel);
+      const outputData = impulse.getChannelData(channel);
+      for (let i = 0; i < length; i++) {
+        const readIndex = i * ratio;
+        const index1 = Math.floor(readIndex);
+        const index2 = Math.min(index1 + 1, inputData.length - 1);
+        const fraction = readIndex - index1;
+        outputData[i] = inputData[index1] * (1 - fraction) + inputData[index2] * fraction;
+      }
+    }
+
+    return impulse;
+  }
+
+  /**
+   * Scale an impulse in place to unit energy (averaged over channels), which keeps
+   * the wet level comparable between generated and loaded impulses
+   * @param {AudioBuffer} impulse - Impulse to normalize
+   */
+  normalizeImpulse(impulse) {
+    let energy = 0;
+    for (let channel = 0; channel < impulse.numberOfChannels; channel++) {
+      const data = impulse.getChannelData(channel);
+      for (let i = 0; i < data.length; i++) {
+        energy += data[i] * data[i];
+      }
+    }
+    energy /= impulse.numberOfChannels;
+    if (energy <= 0) return;
+
+    const scale = 1 / Math.sqrt(energy);
+    for (let channel = 0; channel < impulse.numberOfChannels; channel++) {
+      const data = impulse.getChannelData(channel);
+      for (let i = 0; i < data.length; i++) {
+        data[i] *= scale;
+      }
+    }
+  }
+}
+
+export default ImpulseResponseLibrary;
@@ -0,0 +1,143 @@
+// src/lib/layerMixer.js
+// Layering: align sounds on their transients and mix them with gain, pan and offset
+
+// Length (seconds) of the attack region compared when aligning layers
+const ANALYSIS_TIME = 0.05;
+
+// Largest shift (seconds) the alignment may apply in either direction
+const MAX_SHIFT = 0.03;
+
+// Level (relative to the peak) that counts as the start of the first hit
+const ONSET_THRESHOLD = 0.1;
+
+/**
+ * LayerMixer stacks several sounds into one. Layers are lined up with the
+ * first (reference) layer by cross-correlating their attacks: the lag with
+ * the strongest correlation gives the time shift, and a negative peak means
+ * the layer is upside down compared to the reference and should be flipped
+ * so the two don't cancel.
+ */
+export class LayerMixer {
+  /**
+   * Create a new layer mixer
+   * @param {number} sampleRate - Sample rate of all layers
+   */
+  constructor(sampleRate) {
+    this.sampleRate = sampleRate;
+  }
+
+  /**
+   * Mix channels down to mono for analysis
+   * @param {Float32Array[]} channels - Channel data
+   * @returns {Float32Array} - Mono data
+   */
+  mixToMono(channels) {
+    if (channels.length === 1) return channels[0];
+
+    const mono = new Float32Array(channels[0].length);
+    for (const data of channels) {
+      for (let i = 0; i < mono.length; i++) {
+        mono[i] += data[i] / channels.length;
+      }
+    }
+    return mono;
+  }
+
+  /**
+   * Find the first sample that reaches a fraction of the peak level
+   * @param {Float32Array} data - Mono data
+   * @returns {number} - Sample index of the first hit
+   */
+  findFirstHit(data) {
+    let peak = 0;
+    for (let i = 0; i < data.length; i++) {
+      peak = Math.max(peak, Math.abs(data[i]));
+    }
+
+    for (let i = 0; i < data.length; i++) {
+      if (Math.abs(data[i]) >= peak * ONSET_THRESHOLD) return i;
+    }
+    return 0;
+  }
+
+  /**
+   * Work out how to line a layer up with the reference
+   * @param {Float32Array[]} reference - Channel data of the reference layer
+   * @param {Float32Array[]} layer - Channel data of the layer to align
+   * @returns {Object} - { offset (samples to delay the layer, may be negative),
+   *   inverted (flip polarity), correlation (strength of the match, 0-1) }
+   */
+  align(reference, layer) {
+    const referenceMono = this.mixToMono(reference);
+    const layerMono = this.mixToMono(layer);
+
+    const windowSize = Math.round(ANALYSIS_TIME * this.sampleRate);
+    const maxShift = Math.round(MAX_SHIFT * this.sampleRate);
+
+    // Compare the attack of the reference with the layer around the same place
+    const start = Math.max(0, this.findFirstHit(referenceMono) - Math.round(windowSize * 0.1));
+    const end = Math.min(referenceMono.length, start + windowSize);
+
+    let referenceEnergy = 0;
+    for (let i = start; i < end; i++) {
+      referenceEnergy += referenceMono[i] * referenceMono[i];
+    }
+
+    let best = { offset: 0, inverted: false, correlation: 0 };
+    for (let lag = -maxShift; lag <= maxShift; lag++) {
+      let product = 0;
+      let layerEnergy = 0;
+      for (let i = start; i < end; i++) {
+        const j = i - lag;
+        if (j < 0 || j >= layerMono.length) continue;
+        product += referenceMono[i] * layerMono[j];
+        layerEnergy += layerMono[j] * layerMono[j];
+      }
+      if (layerEnergy === 0 || referenceEnergy === 0) continue;
+
+      const correlation = product / Math.sqrt(referenceEnergy * layerEnergy);
+      if (Math.abs(correlation) > Math.abs(best.correlation)) {
+        best = { offset: lag, inverted: correlation < 0, correlation };
+      }
+    }
+
+    return { offset: best.offset, inverted: best.inverted, correlation: Math.abs(best.correlation) };
+  }
+
+  /**
+   * Mix layers into one stereo signal
+   * @param {Array} layers - Layers as { channels, gain, pan (-1 to 1), offset (samples), inverted }
+   * @returns {Float32Array[]} - [left, right], long enough for every shifted layer
+   */
+  mix(layers) {
+    // Layers shifted before the start push the whole mix later, so nothing is cut off
+    const earliest = Math.min(0, ...layers.map(layer => layer.offset || 0));
+    const length = Math.max(...layers.map(layer => (layer.offset || 0) - earliest + layer.channels[0].length));
+
+    const left = new Float32Array(length);
+    const right = new Float32Array(length);
+
+    for (const layer of layers) {
+      const gain = (layer.gain ?? 1) * (layer.inverted ? -1 : 1);
+      const pan = Math.max(-1, Math.min(1, layer.pan || 0));
+
+      // Equal-power pan, unity in the center
+      const angle = ((pan + 1) * Math.PI) / 4;
+      const leftGain = gain * Math.cos(angle) * Math.SQRT2;
+      const rightGain = gain * Math.sin(angle) * Math.SQRT2;
+
+      const inputLeft = layer.channels[0];
+      const inputRight = layer.channels[Math.min(1, layer.channels.length - 1)];
+      const start = (layer.offset || 0) - earliest;
+
+      for (let i = 0; i < inputLeft.length; i++) {
+        left[start + i] += inputLeft[i] * leftGain;
+        right[start + i] += inputRight[i] * rightGain;
+      }
+    }
+
+    return [left, right];
+  }
+}
+
+export default LayerMixer;
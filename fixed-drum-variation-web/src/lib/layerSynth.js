@@ -0,0 +1,169 @@
+// src/lib/layerSynth.js
+// Synthesized reinforcement layers: tuned sub, filtered noise burst and transient click
+
+import BiquadFilter from './biquadFilter';
+import { createRandom, randomSeed } from './random';
+
+// Waveforms of the sub layer
+export const SUB_WAVEFORMS = ['sine', 'triangle'];
+
+// Starting settings of the synth layers; frequency and decay are matched to each loaded sample
+export const DEFAULT_SYNTH_LAYERS = {
+  sub: { enabled: true, level: 0.5, decay: 400, tune: 0, frequency: 50, waveform: 'sine', sweep: 12 },
+  noise: { enabled: false, level: 0.3, decay: 150, tune: 0, frequency: 3000 },
+  click: { enabled: false, level: 0.3, decay: 8, tune: 0, frequency: 4000 }
+};
+
+// Attack (seconds) of every layer, just long enough not to click
+const ATTACK_TIME = 0.001;
+
+// Decay times are given as the time to fall by 60dB (ln(1000) time constants)
+const DECAY_CONSTANT = Math.log(1000);
+
+// Time (seconds) the sub's pitch sweep takes to settle (one time constant)
+const SWEEP_TIME = 0.03;
+
+/**
+ * LayerSynth generates the layers producers put under drums to reinforce
+ * them: a sine or triangle sub that sweeps down onto the drum's pitch (kicks,
+ * toms), a band-passed noise burst (snare wires, claps) and a short
+ * high-passed click for the attack. Each layer has an exponential decay and
+ * its own level and tuning (in semitones from its base frequency).
+ */
+export class LayerSynth {
+  /**
+   * Create a new layer synth
+   * @param {number} sampleRate - Sample rate to render at
+   * @param {number} seed - Random seed for the noise layers
+   */
+  constructor(sampleRate, seed = randomSeed()) {
+    this.sampleRate = sampleRate;
+    this.random = createRandom(seed);
+  }
+
+  /**
+   * Level of a layer's amplitude envelope
+   * @param {number} i - Sample index from the layer start
+   * @param {number} decay - Decay time to -60dB in ms
+   * @returns {number} - Envelope level (0-1)
+   */
+  envelope(i, decay) {
+    const time = i / this.sampleRate;
+    const attack = Math.min(1, time / ATTACK_TIME);
+    return attack * Math.exp((-DECAY_CONSTANT * time) / Math.max(0.001, decay / 1000));
+  }
+
+  /**
+   * Render the sub layer
+   * @param {number} length - Length in samples
+   * @param {number} frequency - Base frequency in Hz (usually the detected pitch)
+   * @param {Object} options - { level, decay (ms), tune (semitones), waveform, sweep (semitones) }
+   * @returns {Float32Array} - Sub layer
+   */
+  renderSub(length, frequency, options = {}) {
+    const output = new Float32Array(length);
+    const level = options.level ?? 0.5;
+    const decay = options.decay ?? 400;
+    const tune = options.tune || 0;
+    const sweep = options.sweep ?? 12;
+    const triangle = options.waveform === 'triangle';
+
+    let phase = 0;
+    for (let i = 0; i < length; i++) {
+      // Pitch envelope: start `sweep` semitones up and fall onto the tuned pitch
+      const semitones = tune + sweep * Math.exp(-i / (SWEEP_TIME * this.sampleRate));
+      phase += (frequency * Math.pow(2, semitones / 12)) / this.sampleRate;
+      phase -= Math.floor(phase);
+
+      const wave = triangle ? 1 - 4 * Math.abs(phase - 0.5) : Math.sin(2 * Math.PI * phase);
+      output[i] = wave * this.envelope(i, decay) * level;
+    }
+
+    return output;
+  }
+
+  /**
+   * Render the noise layer (band-passed white noise)
+   * @param {number} length - Length in samples
+   * @param {number} frequency - Base center frequency in Hz
+   * @param {Object} options - { level, decay (ms), tune (semitones) }
+   * @returns {Float32Array} - Noise layer
+   */
+  renderNoise(length, frequency, options = {}) {
+    const output = new Float32Array(length);
+    const level = options.level ?? 0.3;
+    const decay = options.decay ?? 150;
+    const filter = new BiquadFilter(
+      this.sampleRate,
+      'bandpass',
+      frequency * Math.pow(2, (options.tune || 0) / 12),
+      0.8
+    );
+
+    for (let i = 0; i < length; i++) {
+      const noise = this.random() * 2 - 1;
+      // The band-pass takes most of the noise level away; make up for it
+      output[i] = filter.processSample(noise) * 2 * this.envelope(i, decay) * level;
+    }
+
+    return output;
+  }
+
+  /**
+   * Render the click layer (a few ms of high-passed noise)
+   * @param {number} length - Length in samples
+   * @param {number} frequency - Base high-pass cutoff in Hz
+   * @param {Object} options - { level, decay (ms), tune (semitones) }
+   * @returns {Float32Array} - Click layer
+   */
+  renderClick(length, frequency, options = {}) {
+    const output = new Float32Array(length);
+    const level = options.level ?? 0.3;
+    const decay = options.decay ?? 8;
+    const filter = new BiquadFilter(
+      this.sampleRate,
+      'highpass',
+      frequency * Math.pow(2, (options.tune || 0) / 12),
+      0.707
+    );
+
+    // Nothing is left after the decay, so stop there
+    const end = Math.min(length, Math.ceil((decay / 1000) * this.sampleRate));
+    for (let i = 0; i < end; i++) {
+      const noise = this.random() * 2 - 1;
+      output[i] = filter.processSample(noise) * this.envelope(i, decay) * level;
+    }
+
+    return output;
+  }
+
+  /**
+   * Render and mix all enabled layers
+   * @param {number} length - Length in samples
+   * @param {Object} layers - { sub, noise, click }, each with the layer's options plus
+   *   enabled and frequency (base frequency in Hz)
+   * @returns {Float32Array} - Mixed layers
+   */
+  render(length, layers) {
+    const output = new Float32Array(length);
+    const renderers = {
+      sub: (options) => this.renderSub(length, options.frequency, options),
+      noise: (options) => this.renderNoise(length, options.frequency, options),
+      click: (options) => this.renderClick(length, options.frequency, options)
+    };
+
+    for (const [name, renderLayer] of Object.entries(renderers)) {
+      const options = layers[name];
+      if (!options || !options.enabled) continue;
+
+      const layer = renderLayer(options);
+      for (let i = 0; i < length; i++) {
+        output[i] += layer[i];
+      }
+    }
+
+    return output;
+  }
+}
+
+export default LayerSynth;
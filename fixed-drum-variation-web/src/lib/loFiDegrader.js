@@ -0,0 +1,132 @@
+// src/lib/loFiDegrader.js
+// Lo-fi degrade: sample-rate reduction, bit reduction, dither and noise shaping
+
+import BiquadFilter from './biquadFilter';
+import { createRandom, randomSeed } from './random';
+
+// Vintage sampler settings (sample rate in Hz, bit depth)
+export const SAMPLER_PRESETS = {
+  sp1200: { name: 'E-mu SP-1200', rate: 26040, bits: 12 },
+  mpc60: { name: 'Akai MPC60', rate: 40000, bits: 12 },
+  s950: { name: 'Akai S950', rate: 31250, bits: 12 },
+  mirage: { name: 'Ensoniq Mirage', rate: 29411, bits: 8 }
+};
+
+// Q values of two cascaded biquads that make a 4th-order Butterworth lowpass
+const BUTTERWORTH_Q = [0.5412, 1.3066];
+
+// Filter cutoff as a fraction of the target rate (just below its Nyquist frequency)
+const FILTER_CUTOFF = 0.45;
+
+/**
+ * LoFiDegrader emulates a vintage sampler's converters. The input is
+ * (optionally) band-limited by an anti-alias filter, sampled and held at the
+ * target rate, quantized to the target bit depth with rounding (no DC
+ * offset) and optional TPDF dither and first-order noise shaping, and
+ * (optionally) smoothed by a reconstruction filter.
+ * Leaving the filters off gives the harsh aliasing and stair-step images of
+ * the raw hold.
+ */
+export class LoFiDegrader {
+  /**
+   * Create a new lo-fi degrader
+   * @param {number} sampleRate - Sample rate of the audio to process
+   * @param {Object} options - Degrade options
+   * @param {string} options.preset - Key of SAMPLER_PRESETS (sets rate and bits)
+   * @param {number} options.rate - Target sample rate in Hz (overrides the preset)
+   * @param {number} options.bits - Target bit depth (overrides the preset)
+   * @param {boolean} options.antiAlias - Lowpass the input before the sample-and-hold
+   * @param {boolean} options.reconstruction - Lowpass the output after the sample-and-hold
+   * @param {boolean} options.dither - Add TPDF dither before quantizing
+   * @param {boolean} options.noiseShaping - Push the quantization noise up in frequency
+   * @param {number} options.seed - Random seed for the dither
+   */
+  constructor(sampleRate, options = {}) {
+    const preset = SAMPLER_PRESETS[options.preset] || {};
+
+    this.sampleRate = sampleRate;
+    this.rate = Math.min(sampleRate, options.rate || preset.rate || sampleRate);
+    this.bits = Math.max(1, Math.min(24, options.bits || preset.bits || 16));
+    this.antiAlias = options.antiAlias ?? true;
+    this.reconstruction = options.reconstruction ?? true;
+    this.dither = options.dither ?? false;
+    this.noiseShaping = options.noiseShaping ?? false;
+    this.random = createRandom(options.seed ?? randomSeed());
+  }
+
+  /**
+   * Create the 4th-order lowpass used for anti-aliasing and reconstruction
+   * @returns {BiquadFilter[]} - Cascaded filter sections
+   */
+  createLowpass() {
+    const cutoff = Math.min(this.rate * FILTER_CUTOFF, this.sampleRate * 0.49);
+    return BUTTERWORTH_Q.map(q => new BiquadFilter(this.sampleRate, 'lowpass', cutoff, q));
+  }
+
+  /**
+   * Quantize one sample to the target bit depth
+   * @param {number} value - Sample value
+   * @param {Object} state - Per-channel quantizer state ({ error } for noise shaping)
+   * @returns {number} - Quantized sample
+   */
+  quantize(value, state) {
+    const step = 2 / Math.pow(2, this.bits);
+
+    // First-order noise shaping feeds the last quantization error back
+    const target = this.noiseShaping ? value - state.error : value;
+
+    // TPDF dither: the sum of two uniform values, +-1 step peak
+    const dither = this.dither ? (this.random() - this.random()) * step : 0;
+
+    // Rounding (mid-tread) keeps silence at zero, unlike a floor quantizer
+    const quantized = Math.max(-1, Math.min(1 - step, Math.round((target + dither) / step) * step));
+    state.error = quantized - target;
+
+    return quantized;
+  }
+
+  /**
+   * Degrade one channel
+   * @param {Float32Array} inputData - Input audio data
+   * @returns {Float32Array} - Degraded audio data
+   */
+  processChannel(inputData) {
+    const outputData = new Float32Array(inputData.length);
+    const antiAlias = this.antiAlias && this.rate < this.sampleRate ? this.createLowpass() : [];
+    const reconstruction = this.reconstruction && this.rate < this.sampleRate ? this.createLowpass() : [];
+    const state = { error: 0 };
+
+    // Sample-and-hold: take a new sample each time the phase passes a target-rate period
+    const increment = this.rate / this.sampleRate;
+    let phase = 1;
+    let held = 0;
+
+    for (let i = 0; i < inputData.length; i++) {
+      let sample = inputData[i];
+      for (const filter of antiAlias) sample = filter.processSample(sample);
+
+      if (phase >= 1) {
+        phase -= 1;
+        held = this.quantize(sample, state);
+      }
+      phase += increment;
+
+      let output = held;
+      for (const filter of reconstruction) output = filter.processSample(output);
+      outputData[i] = output;
+    }
+
+    return outputData;
+  }
+
+  /**
+   * Degrade channel data
+   * @param {Float32Array[]} channels - Channel data
+   * @returns {Float32Array[]} - Degraded channel data
+   */
+  process(channels) {
+    return channels.map(data => this.processChannel(data));
+  }
+}
+
+export default LoFiDegrader;
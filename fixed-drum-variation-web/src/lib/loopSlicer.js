@@ -0,0 +1,195 @@
+// src/lib/loopSlicer.js
+// Onset detection and slicing of drum loops into one-shot hits
+
+import SpectralAnalyzer from './spectralAnalyzer';
+
+/**
+ * LoopSlicer finds the hits in a loop and cuts it into one slice per hit.
+ * Onsets come from peaks in the spectral flux (with an adaptive median
+ * threshold, so quiet ghost notes next to loud hits are still found) and are
+ * then refined to the sample where the hit actually starts.
+ */
+export class LoopSlicer {
+  /**
+   * Create a new loop slicer
+   * @param {number} sampleRate - Sample rate of the audio to slice
+   * @param {Object} options - Slicer options
+   * @param {number} options.sensitivity - Onset sensitivity (0-1, higher finds more hits)
+   * @param {number} options.minSliceTime - Minimum slice length in ms
+   * @param {number} options.fadeInTime - Fade-in at the start of each slice in ms
+   * @param {number} options.fadeOutTime - Fade-out at the end of each slice in ms
+   * @param {number} options.preRollTime - Time kept before each detected onset in ms
+   */
+  constructor(sampleRate, options = {}) {
+    this.sampleRate = sampleRate;
+    this.sensitivity = options.sensitivity ?? 0.5;
+    this.minSliceTime = options.minSliceTime ?? 40;
+    this.fadeInTime = options.fadeInTime ?? 0.5;
+    this.fadeOutTime = options.fadeOutTime ?? 5;
+    this.preRollTime = options.preRollTime ?? 1;
+
+    // Finer hop than the feature analysis for tighter onset times
+    this.analyzer = new SpectralAnalyzer(sampleRate, { fftSize: 1024, hopSize: 256 });
+  }
+
+  /**
+   * Mix channels down to mono for analysis
+   * @param {Float32Array[]} channels - Channel data
+   * @returns {Float32Array} - Mono data
+   */
+  mixToMono(channels) {
+    if (channels.length === 1) return channels[0];
+
+    const mono = new Float32Array(channels[0].length);
+    for (const data of channels) {
+      for (let i = 0; i < mono.length; i++) {
+        mono[i] += data[i] / channels.length;
+      }
+    }
+    return mono;
+  }
+
+  /**
+   * Detect onsets (sample indices where hits start)
+   * @param {Float32Array[]} channels - Channel data
+   * @returns {number[]} - Sorted onset sample indices (always starts with 0)
+   */
+  detectOnsets(channels) {
+    const mono = this.mixToMono(channels);
+    const { frames } = this.analyzer.analyze(mono);
+    const hopSize = this.analyzer.hopSize;
+
+    let maxFlux = 0;
+    for (const frame of frames) maxFlux = Math.max(maxFlux, frame.flux);
+    if (maxFlux === 0) return [0];
+
+    const flux = frames.map(frame => frame.flux / maxFlux);
+
+    // Adaptive threshold: local median plus an offset that shrinks with sensitivity
+    const medianRadius = 8;
+    const offset = 0.02 + (1 - this.sensitivity) * 0.25;
+    const minSpacing = Math.max(1, Math.round((this.minSliceTime / 1000) * this.sampleRate / hopSize));
+
+    const onsets = [0];
+    let lastOnsetFrame = -Infinity;
+
+    for (let i = 1; i < flux.length - 1; i++) {
+      const isLocalMax = flux[i] >= flux[i - 1] && flux[i] > flux[i + 1];
+      if (!isLocalMax || i - lastOnsetFrame < minSpacing) continue;
+
+      const neighbourhood = flux.slice(Math.max(0, i - medianRadius), i + medianRadius + 1).sort((a, b) => a - b);
+      const median = neighbourhood[Math.floor(neighbourhood.length / 2)];
+
+      if (flux[i] > median + offset) {
+        // Hits too close to the previous onset (including one right at the
+        // start of the loop) belong to the slice that is already there
+        const onset = this.refineOnset(mono, i * hopSize);
+        if (onset - onsets[onsets.length - 1] >= (this.minSliceTime / 1000) * this.sampleRate) {
+          onsets.push(onset);
+        }
+        lastOnsetFrame = i;
+      }
+    }
+
+    return onsets;
+  }
+
+  /**
+   * Refine a frame-level onset to the sample where the hit starts
+   * @param {Float32Array} data - Mono audio data
+   * @param {number} frameStart - Start sample of the onset frame
+   * @returns {number} - Onset sample index
+   */
+  refineOnset(data, frameStart) {
+    // Short (0.5ms) block envelope around the onset frame
+    const blockSize = Math.max(1, Math.round(0.0005 * this.sampleRate));
+    const searchStart = Math.max(0, frameStart - this.analyzer.hopSize);
+    const searchEnd = Math.min(data.length, frameStart + this.analyzer.fftSize);
+    const blockCount = Math.floor((searchEnd - searchStart) / blockSize);
+    if (blockCount < 3) return frameStart;
+
+    const envelope = new Float32Array(blockCount);
+    let peakValue = 0;
+    for (let b = 0; b < blockCount; b++) {
+      let level = 0;
+      for (let j = 0; j < blockSize; j++) {
+        level = Math.max(level, Math.abs(data[searchStart + b * blockSize + j]));
+      }
+      envelope[b] = level;
+      peakValue = Math.max(peakValue, level);
+    }
+
+    // The hit starts at the steepest relative rise that reaches a good part of
+    // the peak. Using a ratio keeps quiet hits on top of a loud tail accurate.
+    let bestBlock = 0;
+    let bestRise = 0;
+    for (let b = 2; b < blockCount; b++) {
+      if (envelope[b] < peakValue * 0.3) continue;
+      const rise = Math.log((envelope[b] + 1e-6) / (envelope[b - 2] + 1e-6));
+      if (rise > bestRise) {
+        bestRise = rise;
+        bestBlock = b - 1;
+      }
+    }
+
+    const preRoll = Math.round((this.preRollTime / 1000) * this.sampleRate);
+    return Math.max(0, searchStart + bestBlock * blockSize - preRoll);
+  }
+
+  /**
+   * Cut channel data into slices at the given onsets
+   * @param {Float32Array[]} channels - Channel data
+   * @param {number[]} onsets - Sorted onset sample indices
+   * @returns {Array} - Slices as { index, start, end, time, duration, channels }
+   */
+  slice(channels, onsets) {
+    const length = channels[0].length;
+    const starts = [...new Set(onsets.map(onset => Math.max(0, Math.min(length - 1, Math.round(onset)))))]
+      .sort((a, b) => a - b);
+    if (starts[0] !== 0) starts.unshift(0);
+
+    const fadeInSamples = Math.round((this.fadeInTime / 1000) * this.sampleRate);
+    const fadeOutSamples = Math.round((this.fadeOutTime / 1000) * this.sampleRate);
+
+    return starts.map((start, index) => {
+      const end = index + 1 < starts.length ? starts[index + 1] : length;
+      const sliceLength = end - start;
+
+      const sliceChannels = channels.map(data => {
+        const sliceData = data.slice(start, end);
+
+        // Short fades so each slice starts and ends without a click
+        const fadeIn = Math.min(fadeInSamples, Math.floor(sliceLength / 4));
+        const fadeOut = Math.min(fadeOutSamples, Math.floor(sliceLength / 4));
+        for (let i = 0; i < fadeIn; i++) {
+          sliceData[i] *= i / fadeIn;
+        }
+        for (let i = 0; i < fadeOut; i++) {
+          sliceData[sliceLength - 1 - i] *= i / fadeOut;
+        }
+
+        return sliceData;
+      });
+
+      return {
+        index,
+        start,
+        end,
+        time: start / this.sampleRate,
+        duration: sliceLength / this.sampleRate,
+        channels: sliceChannels
+      };
+    });
+  }
+
+  /**
+   * Detect onsets and slice in one go
+   * @param {Float32Array[]} channels - Channel data
+   * @returns {Array} - Slices (see slice())
+   */
+  process(channels) {
+    return this.slice(channels, this.detectOnsets(channels));
+  }
+}
+
+export default LoopSlicer;
@@ -0,0 +1,223 @@
+// src/lib/loudnessMeter.js
+// Loudness measurement (peak, true peak, RMS, ITU-R BS.1770 LUFS) and normalization gain
+
+import Oversampler from './oversampler';
+
+// Normalization modes: which measurement is brought to the target, and the default target
+export const NORMALIZATION_MODES = [
+  { id: 'off', name: 'Off' },
+  { id: 'peak', name: 'Peak', measure: 'truePeak', unit: 'dBTP', target: -1 },
+  { id: 'rms', name: 'RMS', measure: 'rms', unit: 'dBFS', target: -12 },
+  { id: 'lufs', name: 'LUFS', measure: 'lufs', unit: 'LUFS', target: -14 }
+];
+
+// Highest true peak (dBTP) RMS and LUFS normalization may push a sample to
+const TRUE_PEAK_CEILING = -0.3;
+
+// Highest true peak (dBTP) of any output, normalized or not: hotter samples are turned
+// down, so nothing is clipped when it is quantized for export
+const OUTPUT_CEILING = -0.1;
+
+// BS.1770 gating blocks: 400ms long, started every 100ms (75% overlap)
+const BLOCK_TIME = 0.4;
+const BLOCK_STEP = 0.1;
+
+// BS.1770 gates: blocks below -70 LUFS, then blocks 10 LU below the ungated level, are left out
+const ABSOLUTE_GATE = -70;
+const RELATIVE_GATE = -10;
+
+// Oversampling factor of the true peak measurement (BS.1770 asks for at least 4x at 48kHz)
+const TRUE_PEAK_FACTOR = 4;
+
+/**
+ * Convert a linear amplitude to decibels
+ * @param {number} amplitude - Linear amplitude
+ * @returns {number} - Level in dB (-Infinity for silence)
+ */
+function toDb(amplitude) {
+  return amplitude > 0 ? 20 * Math.log10(amplitude) : -Infinity;
+}
+
+/**
+ * Design the two BS.1770 K-weighting stages for a sample rate. The standard
+ * only lists coefficients for 48kHz; these are the analog prototypes behind
+ * them, bilinear-transformed (the shelf is not a cookbook shelf, so
+ * BiquadFilter can't be used).
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Object[]} - Stages as { b0, b1, b2, a1, a2 }
+ */
+function kWeightingStages(sampleRate) {
+  // Stage 1: high shelf (+4dB) modelling the acoustic effect of the head
+  const shelfK = Math.tan((Math.PI * 1681.974450955533) / sampleRate);
+  const shelfQ = 0.7071752369554196;
+  const vh = Math.pow(10, 3.999843853973347 / 20);
+  const vb = Math.pow(vh, 0.4996667741545416);
+  const shelfA0 = 1 + shelfK / shelfQ + shelfK * shelfK;
+
+  // Stage 2: RLB high-pass
+  const passK = Math.tan((Math.PI * 38.13547087602444) / sampleRate);
+  const passQ = 0.5003270373238773;
+  const passA0 = 1 + passK / passQ + passK * passK;
+
+  return [
+    {
+      b0: (vh + (vb * shelfK) / shelfQ + shelfK * shelfK) / shelfA0,
+      b1: (2 * (shelfK * shelfK - vh)) / shelfA0,
+      b2: (vh - (vb * shelfK) / shelfQ + shelfK * shelfK) / shelfA0,
+      a1: (2 * (shelfK * shelfK - 1)) / shelfA0,
+      a2: (1 - shelfK / shelfQ + shelfK * shelfK) / shelfA0
+    },
+    {
+      b0: 1,
+      b1: -2,
+      b2: 1,
+      a1: (2 * (passK * passK - 1)) / passA0,
+      a2: (1 - passK / passQ + passK * passK) / passA0
+    }
+  ];
+}
+
+/**
+ * LoudnessMeter measures how loud a sample is in the ways producers compare
+ * sounds: sample peak, true (inter-sample) peak, RMS and integrated loudness
+ * in LUFS after ITU-R BS.1770. The K-weighting is the standard's shelf and
+ * high-pass pair, designed for the sample rate at hand.
+ * One-shots are often shorter than a 400ms gating block; they are measured
+ * as a single block, so very short hits still get a loudness value.
+ */
+export class LoudnessMeter {
+  /**
+   * Create a new loudness meter
+   * @param {number} sampleRate - Sample rate of the audio to measure
+   */
+  constructor(sampleRate) {
+    this.sampleRate = sampleRate;
+    this.stages = kWeightingStages(sampleRate);
+  }
+
+  /**
+   * Apply the BS.1770 K-weighting filter (head shelf plus RLB high-pass)
+   * @param {Float32Array} data - Channel data
+   * @returns {Float32Array} - K-weighted data
+   */
+  kWeight(data) {
+    let output = data;
+    for (const { b0, b1, b2, a1, a2 } of this.stages) {
+      const input = output;
+      output = new Float32Array(input.length);
+      let z1 = 0;
+      let z2 = 0;
+      // Transposed direct form II, as in BiquadFilter
+      for (let i = 0; i < input.length; i++) {
+        const sample = b0 * input[i] + z1;
+        z1 = b1 * input[i] - a1 * sample + z2;
+        z2 = b2 * input[i] - a2 * sample;
+        output[i] = sample;
+      }
+    }
+    return output;
+  }
+
+  /**
+   * Measure the integrated loudness
+   * @param {Float32Array[]} channels - Channel data (all channels weighted 1, as for mono and stereo)
+   * @returns {number} - Integrated loudness in LUFS (-Infinity for silence)
+   */
+  integratedLoudness(channels) {
+    const weighted = channels.map(data => this.kWeight(data));
+    const length = weighted[0].length;
+    const blockLength = Math.min(length, Math.round(BLOCK_TIME * this.sampleRate));
+    const step = Math.max(1, Math.round(BLOCK_STEP * this.sampleRate));
+    if (blockLength === 0) return -Infinity;
+
+    // Mean square of each block, summed over the channels
+    const blocks = [];
+    for (let start = 0; start + blockLength <= length; start += step) {
+      let power = 0;
+      for (const data of weighted) {
+        let sum = 0;
+        for (let i = start; i < start + blockLength; i++) sum += data[i] * data[i];
+        power += sum / blockLength;
+      }
+      blocks.push(power);
+    }
+
+    const loudness = power => (power > 0 ? -0.691 + 10 * Math.log10(power) : -Infinity);
+    const gatedMean = threshold => {
+      const kept = blocks.filter(power => loudness(power) > threshold);
+      return kept.length ? kept.reduce((sum, power) => sum + power, 0) / kept.length : 0;
+    };
+
+    const ungated = gatedMean(ABSOLUTE_GATE);
+    if (ungated === 0) return -Infinity;
+    const relativeGate = loudness(ungated) + RELATIVE_GATE;
+    return loudness(gatedMean(Math.max(ABSOLUTE_GATE, relativeGate)));
+  }
+
+  /**
+   * Measure the true peak (peak of the 4x oversampled signal)
+   * @param {Float32Array[]} channels - Channel data
+   * @returns {number} - Linear true peak
+   */
+  truePeak(channels) {
+    const oversampler = new Oversampler(TRUE_PEAK_FACTOR);
+    let peak = 0;
+    for (const data of channels) {
+      const upsampled = oversampler.upsample(data);
+      for (let i = 0; i < upsampled.length; i++) {
+        peak = Math.max(peak, Math.abs(upsampled[i]));
+      }
+    }
+    return peak;
+  }
+
+  /**
+   * Measure every loudness value
+   * @param {Float32Array[]} channels - Channel data
+   * @returns {Object} - { peak (dBFS), truePeak (dBTP), rms (dBFS), lufs (LUFS) }
+   */
+  measure(channels) {
+    let peak = 0;
+    let sum = 0;
+    let count = 0;
+    for (const data of channels) {
+      for (let i = 0; i < data.length; i++) {
+        peak = Math.max(peak, Math.abs(data[i]));
+        sum += data[i] * data[i];
+      }
+      count += data.length;
+    }
+
+    return {
+      peak: toDb(peak),
+      // Never below the sample peak, even where the interpolation filter undershoots
+      truePeak: toDb(Math.max(peak, this.truePeak(channels))),
+      rms: toDb(count ? Math.sqrt(sum / count) : 0),
+      lufs: this.integratedLoudness(channels)
+    };
+  }
+
+  /**
+   * Gain that normalizes a measured sample
+   * @param {Object} measurement - Result of measure()
+   * @param {string} mode - Normalization mode id (see NORMALIZATION_MODES)
+   * @param {number} target - Target level in the mode's unit
+   * @returns {number} - Gain in dB (0 when the mode is off or the sample is silent); RMS
+   *   and LUFS gains are limited so the true peak stays under the ceiling, and in every
+   *   mode a true peak above the output ceiling is turned down to it
+   */
+  normalizationGain(measurement, mode, target) {
+    const headroom = Number.isFinite(measurement.truePeak) ? OUTPUT_CEILING - measurement.truePeak : Infinity;
+    const normalization = NORMALIZATION_MODES.find(entry => entry.id === mode);
+    if (!normalization || !normalization.measure) return Math.min(0, headroom);
+
+    const level = measurement[normalization.measure];
+    if (!Number.isFinite(level) || !Number.isFinite(target)) return Math.min(0, headroom);
+
+    const gain = target - level;
+    if (mode === 'peak' || !Number.isFinite(measurement.truePeak)) return Math.min(gain, headroom);
+    return Math.min(gain, TRUE_PEAK_CEILING - measurement.truePeak);
+  }
+}
+
+export default LoudnessMeter;
@@ -1,6 +1,11 @@
 // src/lib/mlProcessor.js
 // Enhanced ML-inspired audio processing for drum sample variations
 
+import SpectralAnalyzer from './spectralAnalyzer';
+import PitchDetector from './pitchDetector';
+import { createRandom, randomSeed } from './random';
+import { isLoopFeatures } from './drumClassifier';
+
 /**
  * MLProcessor class provides enhanced machine learning-inspired
  * audio processing techniques for drum sample variations
@@ -26,6 +31,10 @@ export class MLProcessor {
    * @param {AudioBuffer} buffer - Original audio buffer
    * @param {number} variationAmount - Amount of variation (0-1)
    * @param {Object} options - Additional options for variation generation
+   * @param {string} options.focus - Variation focus (attack, decay, sustain, release, tone, balanced)
+   * @param {number} options.seed - Random seed, so the variation can be reproduced
+   * @param {boolean} options.isLoop - Whether the sample is a loop (e.g. the classifier's
+   *   decision); judged from the features if not given
    * @returns {Promise<AudioBuffer>} - Processed audio buffer
    */
   async generateVariation(buffer, variationAmount = 0.5, options = {}) {
@@ -34,24 +43,14 @@ export class MLProcessor {
     // Extract features from the original sample
     const features = this.extractFeatures(buffer);
     
-    // Determine if this is likely a loop or one-shot based on features
-    const isLoop = this.isLikelyLoop(features);
+    // Loops get gentler, time-keeping changes
+    const isLoop = options.isLoop ?? isLoopFeatures(features);
     
     // Modify features based on variation amount and options
     const modifiedFeatures = this.modifyFeatures(features, variationAmount, options, isLoop);
     
     // Synthesize new audio from modified features
-    return this.synthesizeAudio(buffer, modifiedFeatures, isLoop);
-  }
-
-  /**
-   * Determine if the audio is likely a loop or one-shot
-   * @param {Object} features - Extracted features
-   * @returns {boolean} - True if likely a loop, false if likely a one-shot
-   */
-  isLikelyLoop(features) {
-    // If we have multiple significant peaks or long duration, it's likely a loop
-    return features.significantPeaks.length > 3 || features.duration > 2.0;
+    return this.synthesizeAudio(buffer, modifiedFeatures, isLoop, features);
   }
 
   /**
@@ -111,17 +110,9 @@ export class MLProcessor {
     }
     energy /= data.length;
     
-    // Calculate spectral centroid (simplified)
-    // In a real ML system, we would use FFT for spectral analysis
-    // Here we use a simplified approach based on zero-crossings
-    let zeroCrossings = 0;
-    for (let i = 1; i < data.length; i++) {
-      if ((data[i] >= 0 && data[i - 1] < 0) || 
-          (data[i] < 0 && data[i - 1] >= 0)) {
-        zeroCrossings++;
-      }
-    }
-    const spectralCentroid = zeroCrossings / data.length * buffer.sampleRate / 2;
+    // Spectral analysis (STFT) for timbre features
+    const spectral = new SpectralAnalyzer(buffer.sampleRate).analyze(data);
+    const spectralCentroid = spectral.summary.centroid;
     
     // Calculate dynamic range
     let min = 1.0;
@@ -135,6 +126,52 @@ export class MLProcessor {
     // Calculate transient density (for loop detection)
     const transientDensity = significantPeaks.length / buffer.duration;
     
+    // Detect the pitch of the body, past the attack (kicks and toms sweep down into it)
+    const bodyStart = Math.min(data.length - 1, peakIndex + Math.round(buffer.sampleRate * 0.04));
+    const pitch = new PitchDetector(buffer.sampleRate).detect(data, bodyStart);
+    
+    // Tail time: from the peak until the 10ms RMS envelope is 60dB down (decayTime above
+    // follows single samples, so it stops at the first zero crossing of a tonal sound)
+    const envelopeWindow = Math.max(1, Math.floor(buffer.sampleRate * 0.01));
+    const windowLevel = (start) => {
+      let sum = 0;
+      const end = Math.min(data.length, start + envelopeWindow);
+      for (let i = start; i < end; i++) sum += data[i] * data[i];
+      return Math.sqrt(sum / Math.max(1, end - start));
+    };
+    const peakWindow = Math.max(0, peakIndex - Math.floor(envelopeWindow / 2));
+    const peakLevel = windowLevel(peakWindow);
+    let tailEnd = data.length;
+    for (let start = peakWindow; start < data.length; start += envelopeWindow) {
+      if (windowLevel(start) < peakLevel * 0.001) {
+        tailEnd = start;
+        break;
+      }
+    }
+    const tailTime = (tailEnd - peakIndex) / buffer.sampleRate;
+    
+    // Attack bursts: separate level peaks in the first 50ms (a clap is several hands, a flam)
+    const burstWindow = Math.max(1, Math.floor(buffer.sampleRate * 0.002));
+    const burstEnd = Math.min(data.length, peakWindow + Math.floor(buffer.sampleRate * 0.05));
+    const burstLevels = [];
+    for (let start = Math.max(0, peakWindow - Math.floor(buffer.sampleRate * 0.03)); start < burstEnd; start += burstWindow) {
+      let level = 0;
+      for (let i = start; i < Math.min(data.length, start + burstWindow); i++) {
+        level = Math.max(level, Math.abs(data[i]));
+      }
+      burstLevels.push(level);
+    }
+    let attackBursts = 0;
+    let falling = true;
+    for (let i = 1; i < burstLevels.length; i++) {
+      if (falling && burstLevels[i] > burstLevels[i - 1] * 1.5 && burstLevels[i] > peakValue * 0.3) {
+        attackBursts++;
+        falling = false;
+      } else if (burstLevels[i] < burstLevels[i - 1] * 0.7) {
+        falling = true;
+      }
+    }
+    
     return {
       attackTime,
       decayTime,
@@ -142,12 +179,22 @@ export class MLProcessor {
       releaseTime,
       energy,
       spectralCentroid,
+      spectralRolloff: spectral.summary.rolloff,
+      spectralFlatness: spectral.summary.flatness,
+      bandEnergies: spectral.summary.bandEnergies,
+      mfcc: spectral.summary.mfcc,
+      spectralOnsetCount: spectral.summary.onsetCount,
+      spectralFrames: spectral.frames,
       peakValue,
       peakIndex,
       duration: buffer.duration,
       dynamicRange,
       transientDensity,
-      significantPeaks
+      significantPeaks,
+      tailTime,
+      attackBursts: Math.max(1, attackBursts),
+      pitch: pitch.frequency,
+      pitchConfidence: pitch.confidence
     };
   }
 
@@ -216,8 +263,9 @@ export class MLProcessor {
     const focus = options.focus || 'balanced';
     
     // Apply random variations based on amount and focus
+    const random = createRandom(options.seed ?? randomSeed());
     const randomize = (value, range, focusFactor = 1.0) => {
-      const variation = (Math.random() * 2 - 1) * range * amount * focusFactor;
+      const variation = (random() * 2 - 1) * range * amount * focusFactor;
       return value * (1 + variation);
     };
     
@@ -238,23 +286,25 @@ export class MLProcessor {
     modified.releaseTime = randomize(features.releaseTime, 0.9, releaseFocus);
     
     // Modify spectral centroid (brightness/tone) with focus factor
+    // Noisy material (hats, snares) tolerates bigger tone moves than tonal material (kicks, 808s)
     const toneFocus = focus === 'tone' ? 2.0 : 1.0;
-    modified.spectralCentroid = randomize(features.spectralCentroid, 0.6, toneFocus);
+    const toneRange = 0.4 + 0.4 * (features.spectralFlatness || 0);
+    modified.spectralCentroid = randomize(features.spectralCentroid, toneRange, toneFocus);
+    
+    // Keep the new brightness inside the range the sample actually has energy in
+    if (features.spectralRolloff > 0) {
+      modified.spectralCentroid = Math.max(
+        features.spectralCentroid * 0.5,
+        Math.min(modified.spectralCentroid, features.spectralRolloff)
+      );
+    }
     
     // Modify energy (volume) with less variation for loops
     const energyRange = isLoop ? 0.2 : 0.4;
     modified.energy = randomize(features.energy, energyRange);
     
-    // For loops, modify the timing of peaks slightly
-    if (isLoop && features.significantPeaks.length > 0) {
-      modified.significantPeaks = features.significantPeaks.map(peak => {
-        return {
-          ...peak,
-          index: Math.floor(randomize(peak.index, 0.02)),
-          value: randomize(peak.value, 0.1)
-        };
-      });
-    }
+    // Peaks are left alone: they only mark segment boundaries for processLoopAudio.
+    // Moving hits in time is done by GrooveEngine (AudioProcessor.processGroove).
     
     return modified;
   }
@@ -264,9 +314,10 @@ export class MLProcessor {
    * @param {AudioBuffer} originalBuffer - Original audio buffer
    * @param {Object} features - Modified features
    * @param {boolean} isLoop - Whether the audio is a loop
+   * @param {Object} originalFeatures - Unmodified features of the original buffer
    * @returns {AudioBuffer} - Synthesized audio buffer
    */
-  async synthesizeAudio(originalBuffer, features, isLoop = false) {
+  async synthesizeAudio(originalBuffer, features, isLoop = false, originalFeatures = features) {
     // Create a new buffer with the same length
     const newBuffer = this.audioContext.createBuffer(
       originalBuffer.numberOfChannels,
@@ -287,15 +338,17 @@ export class MLProcessor {
         this.processOneShot(inputData, outputData, features);
       }
       
-      // Apply energy adjustment (volume)
-      const energyRatio = Math.sqrt(features.energy / (features.energy > 0 ? features.energy : 0.0001));
+      // Apply energy adjustment (volume): modified energy relative to the original's
+      const originalEnergy = originalFeatures.energy;
+      const energyRatio = Math.sqrt(features.energy / (originalEnergy > 0 ? originalEnergy : 0.0001));
       for (let i = 0; i < outputData.length; i++) {
         outputData[i] *= energyRatio;
       }
       
       // Apply spectral adjustment (simplified)
       // Higher spectral centroid = more high frequencies
-      const spectralRatio = features.spectralCentroid / (features.spectralCentroid > 0 ? features.spectralCentroid : 0.0001);
+      const originalCentroid = originalFeatures.spectralCentroid;
+      const spectralRatio = features.spectralCentroid / (originalCentroid > 0 ? originalCentroid : 0.0001);
       this.applySpectralAdjustment(outputData, spectralRatio);
     }
     
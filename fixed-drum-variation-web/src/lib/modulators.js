@@ -0,0 +1,79 @@
+// src/lib/modulators.js
+// Modulation sources (envelope follower and LFO) for modulated effects
+
+// LFO waveform shapes
+export const LFO_SHAPES = ['sine', 'triangle', 'square', 'saw'];
+
+/**
+ * EnvelopeFollower tracks the amplitude of a signal with separate attack
+ * and release times. Output is normalized to 0-1 against a reference peak.
+ */
+export class EnvelopeFollower {
+  /**
+   * Create a new envelope follower
+   * @param {number} sampleRate - Sample rate of the audio to follow
+   * @param {number} attackTime - Attack time in ms
+   * @param {number} releaseTime - Release time in ms
+   * @param {number} referencePeak - Level that maps to an output of 1
+   */
+  constructor(sampleRate, attackTime = 5, releaseTime = 100, referencePeak = 1) {
+    this.attackCoef = Math.exp(-1 / Math.max(1, (attackTime / 1000) * sampleRate));
+    this.releaseCoef = Math.exp(-1 / Math.max(1, (releaseTime / 1000) * sampleRate));
+    this.referencePeak = referencePeak > 0 ? referencePeak : 1;
+    this.envelope = 0;
+  }
+
+  /**
+   * Advance the follower by one sample
+   * @param {number} input - Input sample
+   * @returns {number} - Normalized envelope (0-1)
+   */
+  next(input) {
+    const level = Math.abs(input);
+    const coef = level > this.envelope ? this.attackCoef : this.releaseCoef;
+    this.envelope = coef * this.envelope + (1 - coef) * level;
+    return Math.min(1, this.envelope / this.referencePeak);
+  }
+}
+
+/**
+ * LFO generates a periodic modulation signal in the range -1 to 1
+ */
+export class LFO {
+  /**
+   * Create a new LFO
+   * @param {number} sampleRate - Sample rate
+   * @param {number} rate - Rate in Hz
+   * @param {string} shape - One of LFO_SHAPES
+   * @param {number} phase - Start phase (0-1)
+   */
+  constructor(sampleRate, rate = 1, shape = 'sine', phase = 0) {
+    if (!LFO_SHAPES.includes(shape)) {
+      throw new Error(`Unknown LFO shape: ${shape}`);
+    }
+
+    this.increment = rate / sampleRate;
+    this.shape = shape;
+    this.phase = phase % 1;
+  }
+
+  /**
+   * Advance the LFO by one sample
+   * @returns {number} - LFO value (-1 to 1)
+   */
+  next() {
+    const phase = this.phase;
+    this.phase = (this.phase + this.increment) % 1;
+
+    switch (this.shape) {
+      case 'triangle':
+        return 1 - 4 * Math.abs(phase - 0.5);
+      case 'square':
+        return phase < 0.5 ? 1 : -1;
+      case 'saw':
+        return 2 * phase - 1;
+      default:
+        return Math.sin(2 * Math.PI * phase);
+    }
+  }
+}
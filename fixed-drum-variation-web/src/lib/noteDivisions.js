@@ -0,0 +1,38 @@
+// src/lib/noteDivisions.js
+// Musical note divisions for tempo-synced effects
+
+// Length of each division in beats (quarter notes); "d" = dotted, "t" = triplet
+export const NOTE_DIVISIONS = {
+  '1/1': 4,
+  '1/2': 2,
+  '1/2d': 3,
+  '1/2t': 4 / 3,
+  '1/4': 1,
+  '1/4d': 1.5,
+  '1/4t': 2 / 3,
+  '1/8': 0.5,
+  '1/8d': 0.75,
+  '1/8t': 1 / 3,
+  '1/16': 0.25,
+  '1/16d': 0.375,
+  '1/16t': 1 / 6,
+  '1/32': 0.125
+};
+
+/**
+ * Convert a note division to seconds at a given tempo
+ * @param {string} division - Division name, e.g. '1/8d' (see NOTE_DIVISIONS)
+ * @param {number} bpm - Tempo in beats per minute
+ * @returns {number} - Length of the division in seconds
+ */
+export function divisionToSeconds(division, bpm) {
+  const beats = NOTE_DIVISIONS[division];
+  if (beats === undefined) {
+    throw new Error(`Unknown note division: ${division}`);
+  }
+  if (!(bpm > 0)) {
+    throw new Error('A tempo is needed for tempo-synced timing');
+  }
+
+  return (beats * 60) / bpm;
+}
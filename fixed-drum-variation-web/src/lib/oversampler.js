@@ -0,0 +1,98 @@
+// src/lib/oversampler.js
+// Polyphase FIR up/downsampling for alias-free nonlinear processing
+
+// Filter taps per polyphase branch (more = steeper filter, more CPU)
+const TAPS_PER_PHASE = 24;
+
+/**
+ * Oversampler raises the sample rate by an integer factor before a
+ * nonlinearity and brings it back down afterwards. Both directions use the
+ * same windowed-sinc lowpass (Blackman window, cutoff just below the base
+ * Nyquist frequency), run as a polyphase filter so only the non-zero taps are
+ * computed. The combined filter delay is compensated, so the output lines
+ * up with the input sample for sample.
+ */
+export class Oversampler {
+  /**
+   * Create a new oversampler
+   * @param {number} factor - Oversampling factor (1 = bypass, 2, 4, 8...)
+   */
+  constructor(factor = 4) {
+    this.factor = Math.max(1, Math.round(factor));
+
+    // Odd, symmetric kernel so each filter delays by a whole number of samples
+    const length = this.factor * TAPS_PER_PHASE + 1;
+    const center = (length - 1) / 2;
+    const cutoff = 0.45 / this.factor; // cycles per oversampled sample
+
+    this.kernel = new Float64Array(length);
+    let sum = 0;
+    for (let k = 0; k < length; k++) {
+      const t = k - center;
+      const sinc = t === 0 ? 2 * cutoff : Math.sin(2 * Math.PI * cutoff * t) / (Math.PI * t);
+      const window = 0.42 - 0.5 * Math.cos((2 * Math.PI * k) / (length - 1)) +
+        0.08 * Math.cos((4 * Math.PI * k) / (length - 1));
+      this.kernel[k] = sinc * window;
+      sum += this.kernel[k];
+    }
+    for (let k = 0; k < length; k++) {
+      this.kernel[k] /= sum;
+    }
+
+    this.delay = center;
+  }
+
+  /**
+   * Upsample (zero-stuff and interpolate)
+   * @param {Float32Array} input - Input data at the base rate
+   * @returns {Float32Array} - Data at the oversampled rate (length x factor, plus room
+   *   for the filter delays so the end of the input is not lost)
+   */
+  upsample(input) {
+    const { factor, kernel } = this;
+    if (factor === 1) return Float32Array.from(input);
+
+    const output = new Float32Array(input.length * factor + this.delay * 2);
+    for (let m = 0; m < output.length; m++) {
+      // Only every factor-th kernel tap lands on a real (non-stuffed) input sample
+      const phase = m % factor;
+      const base = (m - phase) / factor;
+      let acc = 0;
+      for (let k = phase, j = base; k < kernel.length && j >= 0; k += factor, j--) {
+        if (j < input.length) acc += kernel[k] * input[j];
+      }
+      // Zero-stuffing divides the level by the factor; make it up here
+      output[m] = acc * factor;
+    }
+    return output;
+  }
+
+  /**
+   * Downsample (filter and decimate) back to the base rate
+   * @param {Float32Array} input - Data at the oversampled rate
+   * @param {number} outputLength - Length at the base rate
+   * @returns {Float32Array} - Data at the base rate, aligned with the original input
+   */
+  downsample(input, outputLength) {
+    const { factor, kernel } = this;
+    if (factor === 1) return Float32Array.from(input.subarray(0, outputLength));
+
+    // Skip the delay of both filters (up and down) so nothing is shifted
+    const latency = this.delay * 2;
+    const output = new Float32Array(outputLength);
+    for (let n = 0; n < outputLength; n++) {
+      const end = n * factor + latency;
+      let acc = 0;
+      for (let k = 0; k < kernel.length; k++) {
+        const index = end - k;
+        if (index >= 0 && index < input.length) {
+          acc += kernel[k] * input[index];
+        }
+      }
+      output[n] = acc;
+    }
+    return output;
+  }
+}
+
+export default Oversampler;
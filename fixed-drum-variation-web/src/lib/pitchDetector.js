@@ -0,0 +1,90 @@
+// src/lib/pitchDetector.js
+// Fundamental frequency detection (YIN) for tuned drums like kicks, toms and 808s
+
+// Lowest and highest fundamental (Hz) considered
+const MIN_FREQUENCY = 30;
+const MAX_FREQUENCY = 1000;
+
+// YIN threshold: the first dip of the normalized difference below this is taken as the period
+const YIN_THRESHOLD = 0.2;
+
+/**
+ * PitchDetector finds the fundamental frequency of a short stretch of audio
+ * with the YIN algorithm (de Cheveigné & Kawahara): the difference between
+ * the signal and a delayed copy of itself, normalized by its running mean,
+ * dips close to zero at the period. The dip is refined with a parabola for
+ * sub-sample accuracy. Noisy sounds (snares, hats) have no clear dip and
+ * get no pitch.
+ */
+export class PitchDetector {
+  /**
+   * Create a new pitch detector
+   * @param {number} sampleRate - Sample rate of the audio to analyze
+   */
+  constructor(sampleRate) {
+    this.sampleRate = sampleRate;
+    this.minLag = Math.max(2, Math.floor(sampleRate / MAX_FREQUENCY));
+    this.maxLag = Math.ceil(sampleRate / MIN_FREQUENCY);
+  }
+
+  /**
+   * Detect the pitch of the audio starting at a given sample
+   * @param {Float32Array} data - Audio data
+   * @param {number} start - First sample to analyze (e.g. just after the attack)
+   * @returns {Object} - { frequency (Hz, null when unpitched), confidence (0-1) }
+   */
+  detect(data, start = 0) {
+    // The window has to hold at least two periods of the lowest pitch searched
+    const available = data.length - start;
+    const maxLag = Math.min(this.maxLag, Math.floor(available / 2));
+    const windowSize = maxLag;
+    if (maxLag <= this.minLag) {
+      return { frequency: null, confidence: 0 };
+    }
+
+    // Difference function d(lag) and its cumulative mean normalized form d'(lag)
+    const normalized = new Float32Array(maxLag + 1);
+    normalized[0] = 1;
+    let runningSum = 0;
+    for (let lag = 1; lag <= maxLag; lag++) {
+      let difference = 0;
+      for (let i = start; i < start + windowSize; i++) {
+        const delta = data[i] - data[i + lag];
+        difference += delta * delta;
+      }
+      runningSum += difference;
+      normalized[lag] = runningSum > 0 ? (difference * lag) / runningSum : 1;
+    }
+
+    // First dip below the threshold (or the deepest dip if none gets there)
+    let best = -1;
+    for (let lag = this.minLag; lag < maxLag; lag++) {
+      if (normalized[lag] < YIN_THRESHOLD) {
+        while (lag + 1 < maxLag && normalized[lag + 1] < normalized[lag]) lag++;
+        best = lag;
+        break;
+      }
+    }
+    if (best < 0) {
+      best = this.minLag;
+      for (let lag = this.minLag; lag < maxLag; lag++) {
+        if (normalized[lag] < normalized[best]) best = lag;
+      }
+    }
+
+    const confidence = Math.max(0, Math.min(1, 1 - normalized[best]));
+    if (normalized[best] >= YIN_THRESHOLD * 2) {
+      return { frequency: null, confidence };
+    }
+
+    // Parabolic interpolation around the dip
+    const previous = normalized[best - 1];
+    const next = normalized[best + 1];
+    const curvature = previous - 2 * normalized[best] + next;
+    const shift = curvature > 0 ? (0.5 * (previous - next)) / curvature : 0;
+
+    return { frequency: this.sampleRate / (best + shift), confidence };
+  }
+}
+
+export default PitchDetector;
@@ -0,0 +1,171 @@
+// src/lib/pitchShifter.js
+// Time-preserving pitch shifting for drum samples and loops
+
+/**
+ * PitchShifter changes the pitch of audio without changing its duration.
+ * The signal is first time-stretched with WSOLA (waveform similarity overlap-add)
+ * and then resampled back to its original length, so hits stay on the grid.
+ */
+export class PitchShifter {
+  /**
+   * Create a new pitch shifter
+   * @param {number} sampleRate - Sample rate of the audio to process
+   * @param {Object} options - Analysis options
+   * @param {number} options.frameTime - WSOLA frame length in seconds
+   * @param {number} options.toleranceTime - Max search offset in seconds
+   */
+  constructor(sampleRate, options = {}) {
+    this.sampleRate = sampleRate;
+
+    // Short frames keep drum transients tight (about 20ms at any sample rate)
+    const frameTime = options.frameTime || 0.02;
+    const toleranceTime = options.toleranceTime || 0.005;
+
+    // Use an even frame size so the synthesis hop is exactly half a frame
+    this.frameSize = Math.max(64, Math.floor(sampleRate * frameTime / 2) * 2);
+    this.synthesisHop = this.frameSize / 2;
+    this.tolerance = Math.max(1, Math.floor(sampleRate * toleranceTime));
+
+    // Hann window for overlap-add (sums to 1 at 50% overlap)
+    this.window = new Float32Array(this.frameSize);
+    for (let i = 0; i < this.frameSize; i++) {
+      this.window[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / this.frameSize);
+    }
+  }
+
+  /**
+   * Shift the pitch of a channel while keeping its length
+   * @param {Float32Array} input - Input audio data
+   * @param {number} semitones - Number of semitones to shift
+   * @returns {Float32Array} - Pitch-shifted audio data with the same length
+   */
+  shift(input, semitones) {
+    const pitchRatio = Math.pow(2, semitones / 12);
+
+    if (semitones === 0 || input.length < this.frameSize * 2) {
+      // Too short to stretch (or nothing to do), fall back to a plain copy/resample
+      return semitones === 0
+        ? new Float32Array(input)
+        : this.resample(input, pitchRatio, input.length);
+    }
+
+    // Stretch by the pitch ratio, then read it back faster/slower to restore the length
+    const stretched = this.timeStretch(input, pitchRatio);
+    return this.resample(stretched, pitchRatio, input.length);
+  }
+
+  /**
+   * Time-stretch a channel with WSOLA
+   * @param {Float32Array} input - Input audio data
+   * @param {number} stretch - Stretch factor (>1 = longer, <1 = shorter)
+   * @returns {Float32Array} - Stretched audio data
+   */
+  timeStretch(input, stretch) {
+    const { frameSize, synthesisHop, tolerance, window } = this;
+    const analysisHop = synthesisHop / stretch;
+    const outputLength = Math.round(input.length * stretch);
+
+    const output = new Float32Array(outputLength + frameSize);
+    const norm = new Float32Array(outputLength + frameSize);
+
+    // Position in the input that would naturally follow the previous frame
+    let previousPosition = 0;
+
+    for (let outPos = 0, frame = 0; outPos < outputLength; outPos += synthesisHop, frame++) {
+      const nominal = Math.round(frame * analysisHop);
+      let position = nominal;
+
+      if (frame > 0) {
+        // Search around the nominal position for the segment most similar
+        // to the natural continuation of the previously copied frame
+        const target = previousPosition + synthesisHop;
+        position = this.findBestOffset(input, target, nominal, tolerance);
+      }
+
+      // Overlap-add the windowed frame
+      for (let i = 0; i < frameSize; i++) {
+        const readIndex = position + i;
+        if (readIndex < 0 || readIndex >= input.length) continue;
+        output[outPos + i] += input[readIndex] * window[i];
+        norm[outPos + i] += window[i];
+      }
+
+      previousPosition = position;
+    }
+
+    // Normalize by the summed window so edges keep their level
+    const result = new Float32Array(outputLength);
+    for (let i = 0; i < outputLength; i++) {
+      result[i] = norm[i] > 1e-3 ? output[i] / norm[i] : output[i];
+    }
+
+    return result;
+  }
+
+  /**
+   * Find the input position near `nominal` that best matches the segment at `target`
+   * @param {Float32Array} input - Input audio data
+   * @param {number} target - Start of the natural continuation segment
+   * @param {number} nominal - Nominal analysis position
+   * @param {number} tolerance - Max offset to search in either direction
+   * @returns {number} - Best matching input position
+   */
+  findBestOffset(input, target, nominal, tolerance) {
+    const overlap = this.synthesisHop;
+    const maxStart = input.length - overlap;
+
+    if (target < 0 || target >= maxStart) {
+      return Math.max(0, Math.min(nominal, input.length - 1));
+    }
+
+    let bestPosition = nominal;
+    let bestScore = -Infinity;
+
+    for (let offset = -tolerance; offset <= tolerance; offset++) {
+      const candidate = nominal + offset;
+      if (candidate < 0 || candidate >= maxStart) continue;
+
+      // Cross-correlation over the overlap region (every 2nd sample is plenty)
+      let score = 0;
+      for (let i = 0; i < overlap; i += 2) {
+        score += input[target + i] * input[candidate + i];
+      }
+
+      if (score > bestScore) {
+        bestScore = score;
+        bestPosition = candidate;
+      }
+    }
+
+    return bestPosition;
+  }
+
+  /**
+   * Resample a channel with linear interpolation ("tape" style)
+   * @param {Float32Array} input - Input audio data
+   * @param {number} ratio - Read speed (>1 = faster/higher)
+   * @param {number} outputLength - Length of the output
+   * @returns {Float32Array} - Resampled audio data (silence past the end of input)
+   */
+  resample(input, ratio, outputLength) {
+    const output = new Float32Array(outputLength);
+
+    for (let i = 0; i < outputLength; i++) {
+      const readIndex = i * ratio;
+      const readIndex1 = Math.floor(readIndex);
+      const readIndex2 = readIndex1 + 1;
+      const fraction = readIndex - readIndex1;
+
+      // Linear interpolation
+      if (readIndex2 < input.length) {
+        output[i] = input[readIndex1] * (1 - fraction) + input[readIndex2] * fraction;
+      } else if (readIndex1 < input.length) {
+        output[i] = input[readIndex1];
+      }
+    }
+
+    return output;
+  }
+}
+
+export default PitchShifter;
@@ -0,0 +1,27 @@
+// src/lib/random.js
+// Seeded random numbers so generated variations can be reproduced
+
+/**
+ * Create a seeded random number generator (mulberry32)
+ * @param {number} seed - 32-bit integer seed
+ * @returns {Function} - Function returning numbers in [0, 1) like Math.random
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Pick a new random seed
+ * @returns {number} - 32-bit integer seed
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * 4294967296) >>> 0;
+}
@@ -0,0 +1,243 @@
+// src/lib/samplePack.js
+// Sample pack export: the original and its variations named by a template, zipped with a manifest
+
+import ZipWriter from './zipWriter';
+
+// Default folder and file name templates
+export const DEFAULT_PACK_OPTIONS = {
+  folder: '{source} variations',
+  filename: '{source} {number} {recipe}'
+};
+
+// Tokens the templates can use
+export const PACK_NAME_TOKENS = ['source', 'type', 'number', 'recipe', 'bpm', 'date'];
+
+// Name of the manifest written next to the audio files
+export const MANIFEST_NAME = 'manifest.json';
+
+// Characters no file system accepts in a name
+const ILLEGAL_CHARACTERS = /[<>:"/\\|?*\x00-\x1F]/g;
+
+// Features left out of the manifest (per frame and per peak arrays, large and only useful internally)
+const BULKY_FEATURES = ['spectralFrames', 'significantPeaks'];
+
+/**
+ * Make pack options valid: missing templates fall back to the defaults (an
+ * empty folder puts the files at the top of the archive, an empty file name
+ * template uses the default one)
+ * @param {Object} options - Pack options (possibly partial or stale, e.g. from storage)
+ * @returns {Object} - Complete pack options
+ */
+export function resolvePackOptions(options = {}) {
+  return {
+    folder: typeof options.folder === 'string' ? options.folder : DEFAULT_PACK_OPTIONS.folder,
+    filename: typeof options.filename === 'string' ? options.filename : DEFAULT_PACK_OPTIONS.filename
+  };
+}
+
+/**
+ * Make a string safe to use as a file or folder name
+ * @param {string} name - Name to clean up
+ * @returns {string} - Name without illegal characters, runs of spaces or trailing dots
+ */
+function sanitizeName(name) {
+  return name
+    .replace(ILLEGAL_CHARACTERS, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/[. ]+$/, '');
+}
+
+/**
+ * Make a '/' separated path safe to use inside an archive
+ * @param {string} path - Path to clean up
+ * @returns {string} - Path with every part sanitized and empty parts (and '..') left out
+ */
+export function sanitizePath(path) {
+  return path
+    .split('/')
+    .map(sanitizeName)
+    .filter(part => part && part !== '..')
+    .join('/');
+}
+
+/**
+ * Fill in a folder or file name template
+ * @param {string} template - Template with {token} placeholders (see PACK_NAME_TOKENS)
+ * @param {Object} fields - { source, type, number, recipe, bpm, date }
+ * @returns {string} - Name; a '/' in the template (not in a value) starts a subfolder, every
+ *   part is sanitized
+ */
+export function formatPackName(template, fields) {
+  const values = {
+    source: fields.source || 'sample',
+    type: fields.type || '',
+    number: String(fields.number ?? 0).padStart(2, '0'),
+    recipe: fields.recipe || '',
+    bpm: fields.bpm ? `${Math.round(fields.bpm)} BPM` : '',
+    date: fields.date ? fields.date.toISOString().slice(0, 10) : ''
+  };
+  // Values are sanitized first, so a '/' in e.g. the source name cannot start a folder
+  const fill = (match, token) => (token in values ? sanitizeName(values[token].replace(/[/\\]/g, '-')) : match);
+  return sanitizePath(template.replace(/\{(\w+)\}/g, fill));
+}
+
+/**
+ * Reduce MLProcessor features to the values worth listing in a manifest
+ * @param {Object} features - Features from MLProcessor.extractFeatures
+ * @returns {Object} - Scalar features, band energies and MFCCs, rounded to 6 significant digits
+ */
+export function summarizeFeatures(features) {
+  const round = value => (Number.isFinite(value) ? Number(value.toPrecision(6)) : null);
+  const summary = {};
+
+  for (const [name, value] of Object.entries(features)) {
+    if (BULKY_FEATURES.includes(name)) continue;
+    if (Array.isArray(value)) {
+      summary[name] = value.map(round);
+    } else if (value && typeof value === 'object') {
+      summary[name] = Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, round(entry)]));
+    } else {
+      summary[name] = typeof value === 'number' ? round(value) : value;
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * SamplePack names the files of an "Export all" by the folder and file name
+ * templates, keeps the names unique and packs the files into a ZIP archive
+ * with a manifest.json describing how each one was made.
+ * A pack holds one sample (the manifest sits in its folder), or a batch of
+ * samples that each keep the folder they were loaded from (one manifest at
+ * the top of the archive).
+ */
+export class SamplePack {
+  /**
+   * Create a new, empty pack
+   * @param {Object} options - { folder, filename } templates (see DEFAULT_PACK_OPTIONS)
+   * @param {Object|null} fields - Template fields of the only sample: { source, type, bpm };
+   *   null for a batch (see addSample)
+   */
+  constructor(options, fields = null) {
+    this.options = resolvePackOptions(options);
+    this.date = new Date();
+    this.zip = new ZipWriter();
+    this.samples = [];
+    this.usedPaths = new Set();
+    this.isBatch = !fields;
+
+    if (fields) this.addSample(fields);
+  }
+
+  /**
+   * Start the files of another sample; the files added next belong to it
+   * @param {Object} fields - Template fields: { source, type, bpm }, plus path (where the
+   *   sample was loaded from, e.g. 'Kit/Kicks/Kick 1.wav'; its folder is kept in a batch)
+   */
+  addSample(fields) {
+    const sourceFolder = fields.path ? sanitizePath(fields.path.split('/').slice(0, -1).join('/')) : '';
+    const sample = { fields: { ...fields, date: this.date }, files: [] };
+    sample.folder = [sourceFolder, formatPackName(this.options.folder, sample.fields)]
+      .filter(part => part)
+      .join('/');
+    this.samples.push(sample);
+  }
+
+  /**
+   * Folder the manifest is written to (file paths in the manifest are relative to it)
+   * @returns {string} - Folder path ('' for the top of the archive)
+   */
+  get manifestFolder() {
+    return this.isBatch ? '' : this.samples[0].folder;
+  }
+
+  /**
+   * Name of the ZIP file to download
+   * @returns {string} - Last part of the folder name (or the source name) with .zip; for a
+   *   batch, the top folder all samples share
+   */
+  get archiveName() {
+    if (this.isBatch) {
+      const tops = new Set(this.samples.map(sample => sample.folder.split('/')[0]));
+      const top = tops.size === 1 && this.samples.every(sample => sample.folder.includes('/'))
+        ? [...tops][0]
+        : 'Drum variations batch';
+      return `${top}.zip`;
+    }
+    const sample = this.samples[0];
+    const base = sample.folder.split('/').pop() || formatPackName('{source}', sample.fields);
+    return `${base}.zip`;
+  }
+
+  /**
+   * Pick the name of the next file of the current sample; a number is added when
+   * the template gives two files in a folder the same name
+   * @param {Object} fields - Per file template fields: { number, recipe }
+   * @returns {string} - Unique file name without extension
+   */
+  nameFile(fields) {
+    const sample = this.samples[this.samples.length - 1];
+    const template = this.options.filename.trim() || DEFAULT_PACK_OPTIONS.filename;
+    const base = formatPackName(template, { ...sample.fields, ...fields }) || 'sample';
+    const taken = name => this.usedPaths.has(`${sample.folder}/${name}`.toLowerCase());
+    let name = base;
+    for (let count = 2; taken(name); count++) {
+      name = `${base} ${count}`;
+    }
+    this.usedPaths.add(`${sample.folder}/${name}`.toLowerCase());
+    return name;
+  }
+
+  /**
+   * Add an encoded file to the current sample
+   * @param {string} name - File name from nameFile, with its extension
+   * @param {ArrayBuffer|Uint8Array} data - Encoded file
+   * @param {Object} details - Manifest entry: kind, index, recipe, parameters, seed, features, loudness
+   */
+  addFile(name, data, details) {
+    const sample = this.samples[this.samples.length - 1];
+    const path = sample.folder ? `${sample.folder}/${name}` : name;
+    this.zip.addFile(path, data, this.date);
+
+    const manifestFolder = this.manifestFolder;
+    const file = manifestFolder ? path.slice(manifestFolder.length + 1) : path;
+    sample.files.push({ file, ...details });
+  }
+
+  /**
+   * Write the manifest and the archive
+   * @param {Object} info - Pack level manifest fields (e.g. export and loudness settings)
+   * @returns {Uint8Array} - ZIP file
+   */
+  finish(info = {}) {
+    const describe = sample => ({
+      source: sample.fields.source || null,
+      drumType: sample.fields.type || null,
+      bpm: sample.fields.bpm || null
+    });
+    const manifest = {
+      generator: 'Drum Variation Generator',
+      created: this.date.toISOString(),
+      ...(this.isBatch ? {} : describe(this.samples[0])),
+      ...info
+    };
+    if (this.isBatch) {
+      manifest.samples = this.samples.map(sample => ({
+        ...describe(sample),
+        path: sample.fields.path || null,
+        files: sample.files
+      }));
+    } else {
+      manifest.files = this.samples[0].files;
+    }
+    // Non-finite numbers (the loudness of silence) are written as null
+    const json = JSON.stringify(manifest, null, 2);
+    const manifestFolder = this.manifestFolder;
+    this.zip.addFile(manifestFolder ? `${manifestFolder}/${MANIFEST_NAME}` : MANIFEST_NAME, json, this.date);
+    return this.zip.finish();
+  }
+}
+
+export default SamplePack;
@@ -0,0 +1,158 @@
+// src/lib/saturator.js
+// Oversampled waveshaping distortion with several saturation curves
+
+import Oversampler from './oversampler';
+import BiquadFilter from './biquadFilter';
+
+// Waveshaping curves supported by Saturator
+export const SATURATION_CURVES = ['soft', 'hard', 'tube', 'fold', 'tape'];
+
+// Bias of the tube curve (shifts the curve so positive and negative halves clip differently)
+const TUBE_BIAS = 0.3;
+
+// Corner frequency (Hz) of the lag between tape magnetization and input;
+// lower = wider hysteresis loop and darker highs
+const TAPE_LAG_FREQUENCY = 10000;
+
+// DC blocker cutoff (Hz) for the asymmetric tube curve
+const DC_BLOCK_FREQUENCY = 10;
+
+/**
+ * Saturator drives audio into a waveshaping curve at an oversampled rate, so
+ * the harmonics the curve creates above the base Nyquist frequency are
+ * filtered out instead of folding back as aliasing.
+ * Curves:
+ * - soft: tanh, smooth symmetric clipping
+ * - hard: straight clipping at +-1
+ * - tube: biased tanh, asymmetric (even harmonics)
+ * - fold: triangle wavefolder, peaks above 1 fold back down
+ * - tape: tanh whose magnetization lags the input, so the rising and
+ *   falling halves of a wave follow different paths (hysteresis)
+ */
+export class Saturator {
+  /**
+   * Create a new saturator
+   * @param {number} sampleRate - Sample rate of the audio to process
+   * @param {Object} options - Saturator options
+   * @param {string} options.curve - One of SATURATION_CURVES
+   * @param {number} options.drive - Input gain into the curve (1 = unity)
+   * @param {number} options.oversample - Oversampling factor (1, 2, 4 or 8)
+   * @param {Object|null} options.preFilter - Tone filter before the curve as { type, cutoff, resonance, gain }
+   * @param {Object|null} options.postFilter - Tone filter after the curve as { type, cutoff, resonance, gain }
+   * @param {number} options.mix - Wet/dry mix (0-1)
+   */
+  constructor(sampleRate, options = {}) {
+    const curve = options.curve || 'soft';
+    if (!SATURATION_CURVES.includes(curve)) {
+      throw new Error(`Unknown saturation curve: ${curve}`);
+    }
+
+    this.sampleRate = sampleRate;
+    this.curve = curve;
+    this.drive = options.drive ?? 5;
+    this.oversampler = new Oversampler(options.oversample ?? 4);
+    this.preFilter = options.preFilter || null;
+    this.postFilter = options.postFilter || null;
+    this.mix = Math.max(0, Math.min(1, options.mix ?? 1));
+
+    // Per-sample tape lag at the oversampled rate, so it sounds the same at any factor
+    const oversampledRate = sampleRate * this.oversampler.factor;
+    this.tapeLag = 1 - Math.exp((-2 * Math.PI * TAPE_LAG_FREQUENCY) / oversampledRate);
+  }
+
+  /**
+   * Create a tone filter from a { type, cutoff, resonance, gain } description
+   * @param {Object|null} settings - Filter settings
+   * @returns {BiquadFilter|null} - Filter, or null when there is none
+   */
+  createFilter(settings) {
+    if (!settings) return null;
+    return new BiquadFilter(
+      this.sampleRate,
+      settings.type || 'lowpass',
+      settings.cutoff || 1000,
+      settings.resonance || 0.707,
+      settings.gain || 0
+    );
+  }
+
+  /**
+   * Apply the waveshaping curve to one (driven) sample
+   * @param {number} x - Driven input sample
+   * @param {Object} state - Per-channel curve state ({ magnetization } for tape)
+   * @returns {number} - Shaped sample
+   */
+  shape(x, state) {
+    switch (this.curve) {
+      case 'hard':
+        return Math.max(-1, Math.min(1, x));
+      case 'tube':
+        return Math.tanh(x + TUBE_BIAS) - Math.tanh(TUBE_BIAS);
+      case 'fold':
+        // Triangle fold: identity between -1 and 1, mirrored back beyond that
+        return Math.abs((((x - 1) % 4) + 4) % 4 - 2) - 1;
+      case 'tape': {
+        state.magnetization += (Math.tanh(x) - state.magnetization) * this.tapeLag;
+        return state.magnetization;
+      }
+      default:
+        return Math.tanh(x);
+    }
+  }
+
+  /**
+   * Distort one channel
+   * @param {Float32Array} inputData - Input audio data
+   * @returns {Float32Array} - Distorted audio data
+   */
+  processChannel(inputData) {
+    const preFilter = this.createFilter(this.preFilter);
+    const postFilter = this.createFilter(this.postFilter);
+
+    // Pre-filter and drive at the base rate
+    const driven = new Float32Array(inputData.length);
+    for (let i = 0; i < inputData.length; i++) {
+      const sample = preFilter ? preFilter.processSample(inputData[i]) : inputData[i];
+      driven[i] = sample * this.drive;
+    }
+
+    // Shape at the oversampled rate
+    const upsampled = this.oversampler.upsample(driven);
+    const state = { magnetization: 0 };
+    for (let i = 0; i < upsampled.length; i++) {
+      upsampled[i] = this.shape(upsampled[i], state);
+    }
+    const shaped = this.oversampler.downsample(upsampled, inputData.length);
+
+    // DC blocker (the asymmetric tube curve shifts the average level), post-filter and mix
+    const blockDc = this.curve === 'tube';
+    const dcCoefficient = Math.exp((-2 * Math.PI * DC_BLOCK_FREQUENCY) / this.sampleRate);
+    let previousInput = 0;
+    let previousOutput = 0;
+    const outputData = new Float32Array(inputData.length);
+    for (let i = 0; i < inputData.length; i++) {
+      let blocked = shaped[i];
+      if (blockDc) {
+        blocked = shaped[i] - previousInput + dcCoefficient * previousOutput;
+        previousInput = shaped[i];
+        previousOutput = blocked;
+      }
+
+      const wet = postFilter ? postFilter.processSample(blocked) : blocked;
+      outputData[i] = inputData[i] * (1 - this.mix) + wet * this.mix;
+    }
+
+    return outputData;
+  }
+
+  /**
+   * Distort channel data
+   * @param {Float32Array[]} channels - Channel data
+   * @returns {Float32Array[]} - Distorted channel data
+   */
+  process(channels) {
+    return channels.map(data => this.processChannel(data));
+  }
+}
+
+export default Saturator;
@@ -0,0 +1,49 @@
+// src/lib/seamlessLoop.js
+// Helpers for effects that keep a loop at its exact length (tails wrap around)
+
+// Length (seconds) of the blend that closes the loop boundary
+const BOUNDARY_BLEND_TIME = 0.005;
+
+/**
+ * Fold a rendered signal (loop plus effect tail) back onto the loop length.
+ * Everything past the end is added to the start again, as if the loop had
+ * been playing over and over, so reverb and delay tails carry into the next
+ * pass instead of making the loop longer.
+ * @param {Float32Array} data - Rendered data (loop length or longer)
+ * @param {number} length - Loop length in samples
+ * @returns {Float32Array} - Data of exactly the loop length
+ */
+export function foldTail(data, length) {
+  const folded = new Float32Array(length);
+  for (let i = 0; i < data.length; i++) {
+    folded[i % length] += data[i];
+  }
+  return folded;
+}
+
+/**
+ * Blend the last few ms of a folded effect signal into its first sample so
+ * it loops without a click, even when the end and the start do not quite
+ * meet (for example when a very long tail had to be cut short before
+ * folding). Meant for the wet signal only: a dry loop that starts right on
+ * a hit must keep its hard start.
+ * @param {Float32Array} data - Loop data (changed in place)
+ * @param {number} sampleRate - Sample rate of the data
+ * @returns {Float32Array} - The same data
+ */
+export function smoothLoopBoundary(data, sampleRate) {
+  const blendLength = Math.min(Math.round(BOUNDARY_BLEND_TIME * sampleRate), data.length >> 2);
+  if (blendLength < 2) return data;
+
+  // Where the end would have to land to continue straight into the start
+  const jump = (2 * data[0] - data[1]) - data[data.length - 1];
+
+  const start = data.length - blendLength;
+  for (let i = 0; i < blendLength; i++) {
+    const position = (i + 1) / blendLength;
+    // Raised-cosine ramp so the correction itself adds no corner
+    data[start + i] += jump * 0.5 * (1 - Math.cos(Math.PI * position));
+  }
+
+  return data;
+}
@@ -0,0 +1,313 @@
+// src/lib/spectralAnalyzer.js
+// STFT-based spectral feature extraction for drum samples and loops
+
+import FFT from './fft';
+
+// Frequency bands used for band energy features (Hz)
+export const SPECTRAL_BANDS = [
+  { name: 'sub', low: 20, high: 60 },
+  { name: 'low', low: 60, high: 250 },
+  { name: 'lowMid', low: 250, high: 500 },
+  { name: 'mid', low: 500, high: 2000 },
+  { name: 'highMid', low: 2000, high: 6000 },
+  { name: 'high', low: 6000, high: 20000 }
+];
+
+/**
+ * SpectralAnalyzer runs a short-time Fourier transform over audio data and
+ * computes per-frame timbre features (centroid, rolloff, flatness, band
+ * energies, MFCCs, flux) plus energy-weighted summaries of each feature
+ */
+export class SpectralAnalyzer {
+  /**
+   * Create a new spectral analyzer
+   * @param {number} sampleRate - Sample rate of the audio to analyze
+   * @param {Object} options - Analysis options
+   * @param {number} options.fftSize - FFT frame size (power of two)
+   * @param {number} options.hopSize - Hop between frames in samples
+   * @param {number} options.rolloffPercent - Energy fraction for spectral rolloff
+   * @param {number} options.melBands - Number of mel filters
+   * @param {number} options.mfccCount - Number of MFCC coefficients
+   */
+  constructor(sampleRate, options = {}) {
+    this.sampleRate = sampleRate;
+    this.fftSize = options.fftSize || 2048;
+    this.hopSize = options.hopSize || this.fftSize / 4;
+    this.rolloffPercent = options.rolloffPercent || 0.85;
+    this.melBands = options.melBands || 26;
+    this.mfccCount = options.mfccCount || 13;
+
+    this.fft = new FFT(this.fftSize);
+    this.binCount = this.fftSize / 2 + 1;
+    this.binWidth = sampleRate / this.fftSize;
+
+    // Hann analysis window
+    this.window = new Float64Array(this.fftSize);
+    for (let i = 0; i < this.fftSize; i++) {
+      this.window[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / this.fftSize);
+    }
+
+    // Bin ranges for each band energy
+    this.bandBins = SPECTRAL_BANDS.map(band => ({
+      name: band.name,
+      start: Math.max(1, Math.floor(band.low / this.binWidth)),
+      end: Math.min(this.binCount - 1, Math.ceil(band.high / this.binWidth))
+    }));
+
+    this.melFilters = this.createMelFilterbank();
+  }
+
+  /**
+   * Analyze audio data frame by frame
+   * @param {Float32Array} data - Audio data to analyze
+   * @returns {Object} - { frames, summary }
+   */
+  analyze(data) {
+    const { fftSize, hopSize, binCount } = this;
+    const real = new Float64Array(fftSize);
+    const imag = new Float64Array(fftSize);
+    const magnitudes = new Float64Array(binCount);
+    let previousMagnitudes = null;
+
+    const frames = [];
+    const frameCount = Math.max(1, Math.ceil((data.length - fftSize) / hopSize) + 1);
+
+    for (let frame = 0; frame < frameCount; frame++) {
+      const start = frame * hopSize;
+
+      // Window the frame (zero-pad past the end of the data)
+      for (let i = 0; i < fftSize; i++) {
+        const index = start + i;
+        real[i] = index < data.length ? data[index] * this.window[i] : 0;
+        imag[i] = 0;
+      }
+
+      this.fft.forward(real, imag);
+
+      for (let k = 0; k < binCount; k++) {
+        magnitudes[k] = Math.sqrt(real[k] * real[k] + imag[k] * imag[k]);
+      }
+
+      const features = this.computeFrameFeatures(magnitudes, previousMagnitudes);
+      features.time = start / this.sampleRate;
+      frames.push(features);
+
+      previousMagnitudes = Float64Array.from(magnitudes);
+    }
+
+    return {
+      frames,
+      summary: this.summarize(frames)
+    };
+  }
+
+  /**
+   * Compute features for a single magnitude spectrum
+   * @param {Float64Array} magnitudes - Magnitude spectrum (binCount values)
+   * @param {Float64Array|null} previousMagnitudes - Previous frame spectrum for flux
+   * @returns {Object} - Frame features
+   */
+  computeFrameFeatures(magnitudes, previousMagnitudes) {
+    const { binCount, binWidth } = this;
+
+    let energy = 0;
+    let weightedSum = 0;
+    let magnitudeSum = 0;
+    let logSum = 0;
+    let flux = 0;
+
+    for (let k = 1; k < binCount; k++) {
+      const magnitude = magnitudes[k];
+      const power = magnitude * magnitude;
+      energy += power;
+      weightedSum += k * binWidth * magnitude;
+      magnitudeSum += magnitude;
+      logSum += Math.log(power + 1e-12);
+
+      // Half-wave rectified spectral flux (only increases count as onsets)
+      if (previousMagnitudes) {
+        const difference = magnitude - previousMagnitudes[k];
+        if (difference > 0) flux += difference;
+      }
+    }
+
+    const centroid = magnitudeSum > 0 ? weightedSum / magnitudeSum : 0;
+
+    // Rolloff: frequency below which rolloffPercent of the energy lies
+    let rolloff = 0;
+    const rolloffTarget = energy * this.rolloffPercent;
+    let cumulative = 0;
+    for (let k = 1; k < binCount; k++) {
+      cumulative += magnitudes[k] * magnitudes[k];
+      if (cumulative >= rolloffTarget) {
+        rolloff = k * binWidth;
+        break;
+      }
+    }
+
+    // Flatness: geometric mean / arithmetic mean of the power spectrum (0 = tonal, 1 = noise)
+    const bins = binCount - 1;
+    const arithmeticMean = energy / bins;
+    const flatness = arithmeticMean > 1e-12 ? Math.exp(logSum / bins) / arithmeticMean : 0;
+
+    // Band energies as fractions of the frame energy
+    const bandEnergies = {};
+    for (const band of this.bandBins) {
+      let bandEnergy = 0;
+      for (let k = band.start; k <= band.end; k++) {
+        bandEnergy += magnitudes[k] * magnitudes[k];
+      }
+      bandEnergies[band.name] = energy > 0 ? bandEnergy / energy : 0;
+    }
+
+    return {
+      energy,
+      centroid,
+      rolloff,
+      flatness: Math.min(1, flatness),
+      flux,
+      bandEnergies,
+      mfcc: this.computeMfcc(magnitudes)
+    };
+  }
+
+  /**
+   * Compute MFCCs from a magnitude spectrum
+   * @param {Float64Array} magnitudes - Magnitude spectrum
+   * @returns {number[]} - MFCC coefficients
+   */
+  computeMfcc(magnitudes) {
+    const logEnergies = new Float64Array(this.melBands);
+
+    for (let m = 0; m < this.melBands; m++) {
+      const filter = this.melFilters[m];
+      let sum = 0;
+      for (let k = filter.start; k < filter.start + filter.weights.length; k++) {
+        sum += magnitudes[k] * magnitudes[k] * filter.weights[k - filter.start];
+      }
+      logEnergies[m] = Math.log(sum + 1e-10);
+    }
+
+    // DCT-II of the log mel energies
+    const mfcc = [];
+    for (let c = 0; c < this.mfccCount; c++) {
+      let sum = 0;
+      for (let m = 0; m < this.melBands; m++) {
+        sum += logEnergies[m] * Math.cos((Math.PI * c * (m + 0.5)) / this.melBands);
+      }
+      mfcc.push(sum);
+    }
+
+    return mfcc;
+  }
+
+  /**
+   * Build triangular mel filters between 20 Hz and Nyquist
+   * @returns {Array} - Filters as { start, weights }
+   */
+  createMelFilterbank() {
+    const toMel = (hz) => 2595 * Math.log10(1 + hz / 700);
+    const fromMel = (mel) => 700 * (Math.pow(10, mel / 2595) - 1);
+
+    const minMel = toMel(20);
+    const maxMel = toMel(this.sampleRate / 2);
+    const points = [];
+    for (let i = 0; i < this.melBands + 2; i++) {
+      const hz = fromMel(minMel + ((maxMel - minMel) * i) / (this.melBands + 1));
+      points.push(hz / this.binWidth);
+    }
+
+    const filters = [];
+    for (let m = 1; m <= this.melBands; m++) {
+      const left = points[m - 1];
+      const center = points[m];
+      const right = points[m + 1];
+      const start = Math.max(0, Math.floor(left));
+      const end = Math.min(this.binCount - 1, Math.ceil(right));
+      const weights = new Float64Array(end - start + 1);
+
+      for (let k = start; k <= end; k++) {
+        if (k > left && k <= center) {
+          weights[k - start] = (k - left) / (center - left || 1);
+        } else if (k > center && k < right) {
+          weights[k - start] = (right - k) / (right - center || 1);
+        }
+      }
+
+      filters.push({ start, weights });
+    }
+
+    return filters;
+  }
+
+  /**
+   * Summarize per-frame features, weighting each frame by its energy so
+   * silent frames don't drag the averages around
+   * @param {Array} frames - Per-frame features
+   * @returns {Object} - Summary features
+   */
+  summarize(frames) {
+    let totalEnergy = 0;
+    for (const frame of frames) totalEnergy += frame.energy;
+
+    const weightOf = (frame) => (totalEnergy > 0 ? frame.energy / totalEnergy : 1 / frames.length);
+
+    const summary = {
+      centroid: 0,
+      rolloff: 0,
+      flatness: 0,
+      flux: 0,
+      bandEnergies: {},
+      mfcc: new Array(this.mfccCount).fill(0)
+    };
+    for (const band of SPECTRAL_BANDS) summary.bandEnergies[band.name] = 0;
+
+    for (const frame of frames) {
+      const weight = weightOf(frame);
+      summary.centroid += frame.centroid * weight;
+      summary.rolloff += frame.rolloff * weight;
+      summary.flatness += frame.flatness * weight;
+      summary.flux += frame.flux / frames.length;
+      for (const band of SPECTRAL_BANDS) {
+        summary.bandEnergies[band.name] += frame.bandEnergies[band.name] * weight;
+      }
+      for (let c = 0; c < this.mfccCount; c++) {
+        summary.mfcc[c] += frame.mfcc[c] * weight;
+      }
+    }
+
+    // Count spectral flux peaks as a rough onset count
+    summary.onsetCount = this.countFluxPeaks(frames);
+
+    return summary;
+  }
+
+  /**
+   * Count local maxima in the spectral flux above an adaptive threshold
+   * @param {Array} frames - Per-frame features
+   * @returns {number} - Number of flux peaks
+   */
+  countFluxPeaks(frames) {
+    let maxFlux = 0;
+    for (const frame of frames) maxFlux = Math.max(maxFlux, frame.flux);
+    if (maxFlux === 0) return 0;
+
+    const threshold = maxFlux * 0.3;
+    // Ignore peaks closer than 50ms to the previous one (same hit)
+    const minSpacing = Math.max(1, Math.round((0.05 * this.sampleRate) / this.hopSize));
+    let count = 0;
+    let lastPeak = -Infinity;
+    for (let i = 1; i < frames.length - 1; i++) {
+      const flux = frames[i].flux;
+      if (flux > threshold && flux >= frames[i - 1].flux && flux > frames[i + 1].flux &&
+          i - lastPeak >= minSpacing) {
+        count++;
+        lastPeak = i;
+      }
+    }
+
+    return count;
+  }
+}
+
+export default SpectralAnalyzer;
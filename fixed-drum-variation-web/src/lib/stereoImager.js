@@ -0,0 +1,206 @@
+// src/lib/stereoImager.js
+// Stereo imaging: mid/side width, Haas widening, auto-pan, decorrelation and correlation metering
+
+import { LFO } from './modulators';
+
+// Schroeder all-pass delays (ms) for each side of the decorrelator; different,
+// non-related lengths so the two sides come out uncorrelated
+const DECORRELATION_DELAYS = {
+  left: [3.1, 4.7, 7.3],
+  right: [3.7, 5.9, 8.9]
+};
+
+// All-pass feedback gain of the decorrelator
+const DECORRELATION_GAIN = 0.5;
+
+// Window (seconds) used for the worst-case correlation reading
+const CORRELATION_WINDOW = 0.05;
+
+/**
+ * StereoImager changes the stereo image of a left/right pair.
+ * All methods take and return [left, right] channel data, so a mono source
+ * is passed in as the same data twice.
+ */
+export class StereoImager {
+  /**
+   * Create a new stereo imager
+   * @param {number} sampleRate - Sample rate of the audio to process
+   */
+  constructor(sampleRate) {
+    this.sampleRate = sampleRate;
+  }
+
+  /**
+   * Scale the side (L-R) signal against the mid (L+R) signal
+   * @param {Float32Array} left - Left channel data
+   * @param {Float32Array} right - Right channel data
+   * @param {number} width - Side gain (0 = mono, 1 = unchanged, 2 = twice as wide)
+   * @returns {Float32Array[]} - [left, right]
+   */
+  width(left, right, width = 1) {
+    const outLeft = new Float32Array(left.length);
+    const outRight = new Float32Array(right.length);
+
+    for (let i = 0; i < left.length; i++) {
+      const mid = (left[i] + right[i]) * 0.5;
+      const side = (left[i] - right[i]) * 0.5 * width;
+      outLeft[i] = mid + side;
+      outRight[i] = mid - side;
+    }
+
+    return [outLeft, outRight];
+  }
+
+  /**
+   * Haas widening: delay one side by a few ms so the sound seems to come from the other
+   * @param {Float32Array} left - Left channel data
+   * @param {Float32Array} right - Right channel data
+   * @param {number} delayTime - Delay in ms (roughly 5-30)
+   * @param {string} delayedSide - 'left' or 'right'
+   * @returns {Float32Array[]} - [left, right]
+   */
+  haas(left, right, delayTime = 15, delayedSide = 'right') {
+    const delaySamples = Math.round((delayTime / 1000) * this.sampleRate);
+    const delay = (data) => {
+      const output = new Float32Array(data.length);
+      output.set(data.subarray(0, Math.max(0, data.length - delaySamples)), delaySamples);
+      return output;
+    };
+
+    return delayedSide === 'left'
+      ? [delay(left), Float32Array.from(right)]
+      : [Float32Array.from(left), delay(right)];
+  }
+
+  /**
+   * Pan the signal back and forth with an LFO (equal-power, unity in the center)
+   * @param {Float32Array} left - Left channel data
+   * @param {Float32Array} right - Right channel data
+   * @param {number} rate - LFO rate in Hz
+   * @param {number} depth - Pan depth (0-1, 1 = hard left to hard right)
+   * @param {string} shape - LFO shape (see LFO_SHAPES)
+   * @returns {Float32Array[]} - [left, right]
+   */
+  autoPan(left, right, rate = 1, depth = 0.8, shape = 'sine') {
+    const lfo = new LFO(this.sampleRate, rate, shape);
+    const outLeft = new Float32Array(left.length);
+    const outRight = new Float32Array(right.length);
+
+    for (let i = 0; i < left.length; i++) {
+      const pan = lfo.next() * depth; // -1 (left) to 1 (right)
+      const angle = ((pan + 1) * Math.PI) / 4;
+      outLeft[i] = left[i] * Math.cos(angle) * Math.SQRT2;
+      outRight[i] = right[i] * Math.sin(angle) * Math.SQRT2;
+    }
+
+    return [outLeft, outRight];
+  }
+
+  /**
+   * Run data through a cascade of Schroeder all-pass filters
+   * @param {Float32Array} data - Input data
+   * @param {number[]} delayTimes - All-pass delays in ms
+   * @returns {Float32Array} - Filtered data (same spectrum, scrambled phase)
+   */
+  allPassCascade(data, delayTimes) {
+    let signal = data;
+
+    for (const delayTime of delayTimes) {
+      const delaySamples = Math.max(1, Math.round((delayTime / 1000) * this.sampleRate));
+      const buffer = new Float32Array(delaySamples);
+      const output = new Float32Array(signal.length);
+      let position = 0;
+
+      for (let i = 0; i < signal.length; i++) {
+        const delayed = buffer[position];
+        const input = signal[i] + DECORRELATION_GAIN * delayed;
+        output[i] = delayed - DECORRELATION_GAIN * input;
+        buffer[position] = input;
+        position = (position + 1) % delaySamples;
+      }
+
+      signal = output;
+    }
+
+    return signal;
+  }
+
+  /**
+   * Create stereo from mono (or widen the center of a stereo signal) by adding
+   * a decorrelated side signal built from the mid. The side cancels in the
+   * mono sum, so L+R stays exactly what it was.
+   * @param {Float32Array} left - Left channel data
+   * @param {Float32Array} right - Right channel data
+   * @param {number} amount - Amount of decorrelated side signal (0-1)
+   * @returns {Float32Array[]} - [left, right]
+   */
+  decorrelate(left, right, amount = 0.5) {
+    const mid = new Float32Array(left.length);
+    for (let i = 0; i < left.length; i++) {
+      mid[i] = (left[i] + right[i]) * 0.5;
+    }
+
+    const diffusedLeft = this.allPassCascade(mid, DECORRELATION_DELAYS.left);
+    const diffusedRight = this.allPassCascade(mid, DECORRELATION_DELAYS.right);
+
+    const outLeft = new Float32Array(left.length);
+    const outRight = new Float32Array(right.length);
+    for (let i = 0; i < left.length; i++) {
+      const side = (diffusedLeft[i] - diffusedRight[i]) * 0.5 * amount;
+      outLeft[i] = left[i] + side;
+      outRight[i] = right[i] - side;
+    }
+
+    return [outLeft, outRight];
+  }
+
+  /**
+   * Measure the phase correlation of a left/right pair (mono compatibility).
+   * +1 = mono, 0 = unrelated sides, below 0 = parts cancel when summed to mono.
+   * @param {Float32Array} left - Left channel data
+   * @param {Float32Array} right - Right channel data
+   * @returns {Object} - { correlation, minCorrelation } (overall and worst 50ms window)
+   */
+  correlation(left, right) {
+    const windowSize = Math.max(1, Math.round(CORRELATION_WINDOW * this.sampleRate));
+    const correlate = (lr, ll, rr) => (ll > 0 && rr > 0 ? lr / Math.sqrt(ll * rr) : 1);
+
+    let totalLR = 0;
+    let totalLL = 0;
+    let totalRR = 0;
+    let peakEnergy = 0;
+    const windows = [];
+
+    for (let start = 0; start < left.length; start += windowSize) {
+      let lr = 0;
+      let ll = 0;
+      let rr = 0;
+      const end = Math.min(left.length, start + windowSize);
+      for (let i = start; i < end; i++) {
+        lr += left[i] * right[i];
+        ll += left[i] * left[i];
+        rr += right[i] * right[i];
+      }
+      totalLR += lr;
+      totalLL += ll;
+      totalRR += rr;
+      peakEnergy = Math.max(peakEnergy, ll + rr);
+      windows.push({ lr, ll, rr });
+    }
+
+    // Only windows within 30dB of the loudest count, so near-silent tails don't decide
+    let minCorrelation = 1;
+    for (const { lr, ll, rr } of windows) {
+      if (ll + rr >= peakEnergy * 1e-3) {
+        minCorrelation = Math.min(minCorrelation, correlate(lr, ll, rr));
+      }
+    }
+
+    return {
+      correlation: correlate(totalLR, totalLL, totalRR),
+      minCorrelation
+    };
+  }
+}
+
+export default StereoImager;
@@ -0,0 +1,265 @@
+// src/lib/tempoDetector.js
+// Tempo estimation for drum loops (onset autocorrelation + filename BPM tags)
+
+// Matches tags like "[78bpm]", "78 BPM", "_120bpm_", "bpm 92" or "BPM-140"
+const FILENAME_BPM_PATTERNS = [
+  /(\d{2,3}(?:\.\d+)?)\s*[-_]?\s*bpm/i,
+  /bpm\s*[-_:]?\s*(\d{2,3}(?:\.\d+)?)/i
+];
+
+// Width (standard deviation) of the tempo prior in octaves
+const PRIOR_WIDTH_OCTAVES = 0.8;
+
+/**
+ * TempoDetector estimates the tempo of a loop from its onsets.
+ * An onset strength envelope (spectral flux plus the detected peaks) is
+ * autocorrelated over the candidate beat periods; candidates are weighted
+ * toward common drum tempos and toward tempos where the loop length is a
+ * whole number of bars. A BPM tag in the filename can override the
+ * estimate or steer it toward the right octave.
+ */
+export class TempoDetector {
+  /**
+   * Create a new tempo detector
+   * @param {Object} options - Detection options
+   * @param {number} options.minBpm - Lowest tempo to consider
+   * @param {number} options.maxBpm - Highest tempo to consider
+   * @param {number} options.preferredBpm - Center of the tempo prior
+   */
+  constructor(options = {}) {
+    this.minBpm = options.minBpm || 60;
+    this.maxBpm = options.maxBpm || 180;
+    this.preferredBpm = options.preferredBpm || 110;
+  }
+
+  /**
+   * Read a BPM tag from a filename
+   * @param {string} fileName - File name, e.g. "Sweeps Feb drum loop 6 [78bpm].wav"
+   * @returns {number|null} - Tagged BPM or null if there is none
+   */
+  static parseBpmFromFilename(fileName) {
+    if (!fileName) return null;
+
+    for (const pattern of FILENAME_BPM_PATTERNS) {
+      const match = fileName.match(pattern);
+      if (match) {
+        const bpm = parseFloat(match[1]);
+        if (bpm >= 40 && bpm <= 300) {
+          return bpm;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Guess a tempo from the loop length alone, assuming the loop is a whole
+   * number of 4/4 bars and the tempo is somewhere around 100 BPM
+   * @param {number} duration - Loop duration in seconds
+   * @returns {number} - Tempo in BPM
+   */
+  static bpmFromLoopLength(duration) {
+    const bars = Math.max(1, Math.round((duration * 100) / 60 / 4));
+    return (bars * 4 * 60) / duration;
+  }
+
+  /**
+   * Detect the tempo of a sample
+   * @param {Object} features - Features from MLProcessor.extractFeatures
+   * @param {number} sampleRate - Sample rate of the analyzed audio
+   * @param {Object} options - Detection options
+   * @param {string} options.fileName - Source file name (for BPM tags)
+   * @param {string} options.filenameMode - 'override' uses the tag as-is, 'hint' only
+   *   uses it to pick between the detected candidates (e.g. 78 vs 156)
+   * @returns {Object} - { bpm, source, confidence, detectedBpm, filenameBpm }
+   */
+  detect(features, sampleRate, options = {}) {
+    const filenameBpm = TempoDetector.parseBpmFromFilename(options.fileName);
+    const filenameMode = options.filenameMode || 'override';
+
+    if (filenameBpm && filenameMode === 'override') {
+      return {
+        bpm: filenameBpm,
+        source: 'filename',
+        confidence: 1,
+        detectedBpm: null,
+        filenameBpm
+      };
+    }
+
+    const estimate = this.estimate(features, sampleRate, filenameBpm);
+
+    return {
+      bpm: estimate.bpm,
+      source: 'detected',
+      confidence: estimate.confidence,
+      detectedBpm: estimate.bpm,
+      filenameBpm
+    };
+  }
+
+  /**
+   * Estimate the tempo from onset autocorrelation
+   * @param {Object} features - Features with spectralFrames, significantPeaks and duration
+   * @param {number} sampleRate - Sample rate of the analyzed audio
+   * @param {number|null} hintBpm - Optional tempo hint
+   * @returns {Object} - { bpm, confidence }
+   */
+  estimate(features, sampleRate, hintBpm = null) {
+    const { envelope, frameRate } = this.buildOnsetEnvelope(features, sampleRate);
+
+    if (envelope.length < 4) {
+      return { bpm: null, confidence: 0 };
+    }
+
+    const candidates = [];
+    for (let bpm = this.minBpm; bpm <= this.maxBpm; bpm += 0.5) {
+      const lag = (60 / bpm) * frameRate;
+
+      // Reward periodicity at the beat and at two beats (kick/snare alternation)
+      const periodicity = this.autocorrelate(envelope, lag) + 0.5 * this.autocorrelate(envelope, lag * 2);
+
+      // Log-normal prior around common drum tempos
+      const octaves = Math.log2(bpm / this.preferredBpm) / PRIOR_WIDTH_OCTAVES;
+      const prior = Math.exp(-0.5 * octaves * octaves);
+
+      const score = Math.max(0, periodicity) * prior *
+        (1 + this.loopLengthFit(features.duration, bpm)) *
+        this.hintWeight(bpm, hintBpm);
+
+      candidates.push({ bpm, score });
+    }
+
+    let bestIndex = 0;
+    for (let i = 1; i < candidates.length; i++) {
+      if (candidates[i].score > candidates[bestIndex].score) bestIndex = i;
+    }
+
+    const best = candidates[bestIndex];
+    if (best.score <= 0) {
+      return { bpm: null, confidence: 0 };
+    }
+
+    // Parabolic interpolation between neighbouring candidates
+    let bpm = best.bpm;
+    const previous = candidates[bestIndex - 1];
+    const next = candidates[bestIndex + 1];
+    if (previous && next) {
+      const denominator = previous.score - 2 * best.score + next.score;
+      if (denominator < 0) {
+        bpm += (0.5 * 0.5 * (previous.score - next.score)) / denominator;
+      }
+    }
+
+    // Confidence: how far the winner stands out from the average candidate
+    const mean = candidates.reduce((sum, c) => sum + c.score, 0) / candidates.length;
+    const confidence = Math.max(0, Math.min(1, 1 - mean / best.score));
+
+    return { bpm: Math.round(bpm * 10) / 10, confidence };
+  }
+
+  /**
+   * Build an onset strength envelope from spectral flux and detected peaks
+   * @param {Object} features - Features with spectralFrames and significantPeaks
+   * @param {number} sampleRate - Sample rate of the analyzed audio
+   * @returns {Object} - { envelope, frameRate }
+   */
+  buildOnsetEnvelope(features, sampleRate) {
+    const frames = features.spectralFrames || [];
+    const frameRate = frames.length > 1
+      ? 1 / (frames[1].time - frames[0].time)
+      : sampleRate / 512;
+    const length = frames.length || Math.ceil(features.duration * frameRate);
+    const envelope = new Float32Array(length);
+
+    // Spectral flux, normalized
+    let maxFlux = 0;
+    for (const frame of frames) maxFlux = Math.max(maxFlux, frame.flux);
+    if (maxFlux > 0) {
+      for (let i = 0; i < frames.length; i++) {
+        envelope[i] = frames[i].flux / maxFlux;
+      }
+    }
+
+    // Add the detected peaks as impulses (the hits we are most sure about)
+    let maxPeak = 0;
+    for (const peak of features.significantPeaks || []) maxPeak = Math.max(maxPeak, peak.value);
+    for (const peak of features.significantPeaks || []) {
+      const index = Math.round(peak.time * frameRate);
+      if (index >= 0 && index < length && maxPeak > 0) {
+        envelope[index] += peak.value / maxPeak;
+      }
+    }
+
+    // Remove the mean so sustained energy doesn't favour every lag equally
+    let mean = 0;
+    for (let i = 0; i < length; i++) mean += envelope[i];
+    mean /= length || 1;
+    for (let i = 0; i < length; i++) {
+      envelope[i] = Math.max(0, envelope[i] - mean);
+    }
+
+    return { envelope, frameRate };
+  }
+
+  /**
+   * Normalized autocorrelation of the envelope at a fractional lag
+   * @param {Float32Array} envelope - Onset envelope
+   * @param {number} lag - Lag in frames
+   * @returns {number} - Autocorrelation value
+   */
+  autocorrelate(envelope, lag) {
+    const lagFloor = Math.floor(lag);
+    const fraction = lag - lagFloor;
+    const count = envelope.length - lagFloor - 1;
+    if (count <= 0) return 0;
+
+    let sum = 0;
+    let energy = 0;
+    for (let i = 0; i < count; i++) {
+      const delayed = envelope[i + lagFloor] * (1 - fraction) + envelope[i + lagFloor + 1] * fraction;
+      sum += envelope[i] * delayed;
+      energy += envelope[i] * envelope[i];
+    }
+
+    return energy > 0 ? sum / energy : 0;
+  }
+
+  /**
+   * Score how well a tempo makes the loop a whole number of bars (4/4) or beats
+   * @param {number} duration - Loop duration in seconds
+   * @param {number} bpm - Candidate tempo
+   * @returns {number} - Fit bonus (0-1)
+   */
+  loopLengthFit(duration, bpm) {
+    const beats = (duration * bpm) / 60;
+    if (beats < 2) return 0;
+
+    const barError = Math.abs(beats / 4 - Math.round(beats / 4)) * 4;
+    const beatError = Math.abs(beats - Math.round(beats));
+
+    if (barError < 0.1) return 1;
+    if (beatError < 0.1) return 0.3;
+    return 0;
+  }
+
+  /**
+   * Weight a candidate by its closeness to a tempo hint (octave-equivalent)
+   * @param {number} bpm - Candidate tempo
+   * @param {number|null} hintBpm - Tempo hint
+   * @returns {number} - Weight (1 when there is no hint)
+   */
+  hintWeight(bpm, hintBpm) {
+    if (!hintBpm) return 1;
+
+    // Distance in octaves to the hint, half/double time counts as a near miss
+    const octaves = Math.log2(bpm / hintBpm);
+    const distance = Math.abs(octaves - Math.round(octaves));
+    const octavePenalty = Math.round(octaves) === 0 ? 1 : 0.5;
+
+    return octavePenalty * Math.exp(-0.5 * Math.pow(distance / 0.03, 2)) + 0.05;
+  }
+}
+
+export default TempoDetector;
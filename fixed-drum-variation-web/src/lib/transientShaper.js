@@ -0,0 +1,129 @@
+// src/lib/transientShaper.js
+// Transient designer with independent attack and sustain detectors
+
+// Difference (in dB) between the followers that counts as a full-strength transient/tail
+const DETECTION_RANGE_DB = 12;
+
+// Fast follower times (seconds)
+const FAST_ATTACK = 0.0005;
+const FAST_RELEASE = 0.02;
+
+// Release of both attack detector followers (seconds). Short enough to reset
+// between hits in a busy loop, long enough not to retrigger on low-frequency cycles
+const ATTACK_DETECTOR_RELEASE = 0.05;
+
+// Gain smoothing time (seconds) to keep the gain curve free of zipper noise
+const GAIN_SMOOTHING = 0.002;
+
+/**
+ * TransientShaper boosts or cuts the attack and sustain portions of each hit.
+ * Level-independent: it compares envelope followers with different time
+ * constants instead of using a threshold, so it reacts to every hit in a loop
+ * the same way it reacts to a single one-shot.
+ *
+ * - Attack detector: fast-attack follower vs. slow-attack follower. The
+ *   difference is large right at the start of a hit and zero once both settle.
+ * - Sustain detector: slow-release follower vs. fast-release follower. The
+ *   difference grows while a hit is ringing out.
+ */
+export class TransientShaper {
+  /**
+   * Create a new transient shaper
+   * @param {number} sampleRate - Sample rate of the audio to process
+   * @param {Object} options - Shaper options
+   * @param {number} options.attack - Attack gain in dB (positive = punchier)
+   * @param {number} options.sustain - Sustain gain in dB (negative = tighter)
+   * @param {number} options.attackTime - Slow attack follower time in ms (how long a transient lasts)
+   * @param {number} options.releaseTime - Slow release follower time in ms (how long the tail is tracked)
+   */
+  constructor(sampleRate, options = {}) {
+    this.sampleRate = sampleRate;
+    this.attack = options.attack ?? 4;
+    this.sustain = options.sustain ?? -2;
+    this.attackTime = options.attackTime ?? 10;
+    this.releaseTime = options.releaseTime ?? 150;
+  }
+
+  /**
+   * Get a one-pole smoothing coefficient for a time constant
+   * @param {number} seconds - Time constant in seconds
+   * @returns {number} - Coefficient (0-1)
+   */
+  coefficient(seconds) {
+    return Math.exp(-1 / Math.max(1, seconds * this.sampleRate));
+  }
+
+  /**
+   * Compute the gain curve for a set of channels. Detection runs on the
+   * channels' peak so every channel gets the same gain and the stereo image holds.
+   * @param {Float32Array[]} channels - Input channel data
+   * @returns {Float32Array} - Linear gain per sample
+   */
+  computeGainCurve(channels) {
+    const length = channels[0].length;
+    const gain = new Float32Array(length);
+
+    const fastAttack = this.coefficient(FAST_ATTACK);
+    const fastRelease = this.coefficient(FAST_RELEASE);
+    const slowAttack = this.coefficient(this.attackTime / 1000);
+    const slowRelease = this.coefficient(this.releaseTime / 1000);
+    const detectorRelease = this.coefficient(ATTACK_DETECTOR_RELEASE);
+    const smoothing = this.coefficient(GAIN_SMOOTHING);
+
+    // Attack detector followers (same release, different attack)
+    let attackFast = 0;
+    let attackSlow = 0;
+    // Sustain detector followers (both attack fast)
+    let sustainFast = 0;
+    let sustainSlow = 0;
+    let smoothedGainDb = 0;
+
+    const follow = (envelope, input, attackCoef, releaseCoef) => {
+      const coef = input > envelope ? attackCoef : releaseCoef;
+      return coef * envelope + (1 - coef) * input;
+    };
+    const toDb = (value) => 20 * Math.log10(value + 1e-9);
+
+    for (let i = 0; i < length; i++) {
+      let level = 0;
+      for (let channel = 0; channel < channels.length; channel++) {
+        level = Math.max(level, Math.abs(channels[channel][i]));
+      }
+
+      attackFast = follow(attackFast, level, fastAttack, detectorRelease);
+      attackSlow = follow(attackSlow, level, slowAttack, detectorRelease);
+      sustainFast = follow(sustainFast, level, fastAttack, fastRelease);
+      sustainSlow = follow(sustainSlow, level, fastAttack, slowRelease);
+
+      // How far into "transient" and "tail" territory we are (0-1)
+      const attackAmount = Math.min(1, Math.max(0, toDb(attackFast) - toDb(attackSlow)) / DETECTION_RANGE_DB);
+      const sustainAmount = Math.min(1, Math.max(0, toDb(sustainSlow) - toDb(sustainFast)) / DETECTION_RANGE_DB);
+
+      const targetGainDb = this.attack * attackAmount + this.sustain * sustainAmount;
+      smoothedGainDb = smoothing * smoothedGainDb + (1 - smoothing) * targetGainDb;
+
+      gain[i] = Math.pow(10, smoothedGainDb / 20);
+    }
+
+    return gain;
+  }
+
+  /**
+   * Shape the transients of a set of channels
+   * @param {Float32Array[]} channels - Input channel data
+   * @returns {Float32Array[]} - Processed channel data
+   */
+  process(channels) {
+    const gain = this.computeGainCurve(channels);
+
+    return channels.map(inputData => {
+      const outputData = new Float32Array(inputData.length);
+      for (let i = 0; i < inputData.length; i++) {
+        outputData[i] = inputData[i] * gain[i];
+      }
+      return outputData;
+    });
+  }
+}
+
+export default TransientShaper;
@@ -0,0 +1,477 @@
+// src/lib/variationRecipes.js
+// Per drum type variation recipes: which processing each kind of sample gets
+
+import { createRandom, randomSeed } from './random';
+
+// A recipe is a list of steps, each { name, render(context) } returning one
+// variation. The context carries the processors, the sample and the user's settings:
+//   audio (AudioProcessor), ml (MLProcessor), sample (AudioBuffer), mlBalance,
+//   reverbType, bpm, loFi { preset, filters, dither }, distortionCurve,
+//   stereo { width, decorrelation, haasTime, autoPanDivision },
+//   shuffle { drift, region }, grooveOptions, granularOptions, synthLayers,
+//   isLoop (whether the sample itself is a loop, which can differ from the recipe's
+//   type when the user overrides it; renderRecipe falls back to the type),
+//   seed (each step gets its own, so every variation can be reproduced)
+
+/**
+ * Run the ML processor over a buffer, scaled by the ML balance
+ * @param {Object} context - Recipe context
+ * @param {AudioBuffer} buffer - Buffer to vary
+ * @param {number} amount - Variation amount at full ML balance (0-1)
+ * @param {string} focus - Variation focus (attack, decay, sustain, release, tone, balanced)
+ * @returns {Promise<AudioBuffer>} - Varied buffer
+ */
+function vary(context, buffer, amount, focus) {
+  return context.ml.generateVariation(buffer, amount * context.mlBalance, {
+    focus,
+    seed: context.seed,
+    isLoop: context.isLoop
+  });
+}
+
+/**
+ * ML variation of the original with one focus
+ * @param {string} focus - Variation focus
+ * @param {number} amount - Variation amount at full ML balance
+ * @returns {Object} - Recipe step
+ */
+const envelope = (focus, amount) => ({
+  name: `${focus.charAt(0).toUpperCase() + focus.slice(1)} variation`,
+  render: (context) => vary(context, context.sample, amount, focus)
+});
+
+/**
+ * Brighter ML tone variation, with a resonant filter (gentler on loops) and the vintage
+ * sampler at low ML balance
+ * @returns {Object} - Recipe step
+ */
+const tone = () => ({
+  name: 'Tone',
+  render: async (context) => {
+    const toneVariation = await vary(context, context.sample, 0.8, 'tone');
+    if (context.mlBalance >= 0.7) return toneVariation;
+
+    const filtered = await context.audio.processRandomFilter(toneVariation, context.isLoop, context.seed);
+    return context.audio.processLoFi(filtered, {
+      preset: context.loFi.preset,
+      antiAlias: context.loFi.filters,
+      reconstruction: context.loFi.filters,
+      dither: context.loFi.dither,
+      noiseShaping: context.loFi.dither,
+      seed: context.seed
+    });
+  }
+});
+
+/**
+ * Transient designer: more or less attack against the body of each hit
+ * @param {number} attackDb - Attack gain in dB (positive = punchier)
+ * @param {number} sustainDb - Sustain gain in dB (negative = tighter)
+ * @returns {Object} - Recipe step
+ */
+const transient = (attackDb, sustainDb) => ({
+  name: attackDb > 0 ? 'Punch' : 'Soft attack',
+  render: (context) => context.audio.processTransientEnhancement(context.sample, attackDb, sustainDb, {
+    isLoop: context.isLoop
+  })
+});
+
+/**
+ * Envelope filter: a resonant lowpass each hit opens, closing again with the tail
+ * @param {number} cutoff - Closed cutoff in Hz
+ * @param {number} depth - Sweep range in octaves at full level
+ * @returns {Object} - Recipe step
+ */
+const envelopeFilter = (cutoff, depth) => ({
+  name: 'Envelope filter',
+  render: (context) => context.audio.processEnvelopeFilter(context.sample, 'lowpass', cutoff, 4, {
+    depth,
+    releaseTime: context.isLoop ? 80 : 200
+  })
+});
+
+/**
+ * Bandpass swept by an LFO over whole cycles of the sample, so a loop stays seamless
+ * @param {number} cycles - Sweeps over the length of the sample
+ * @returns {Object} - Recipe step
+ */
+const filterSweep = (cycles) => ({
+  name: 'Filter sweep',
+  render: (context) => context.audio.processLfoFilter(context.sample, 'bandpass', 1200, 2, {
+    depth: 1.5,
+    rate: cycles / context.sample.duration,
+    shape: 'triangle'
+  })
+});
+
+/**
+ * Vintage sampler with the selected converter settings
+ * @param {string} preset - Sampler preset (the selected one if not given)
+ * @returns {Object} - Recipe step
+ */
+const loFi = (preset) => ({
+  name: 'Vintage sampler',
+  render: (context) => context.audio.processLoFi(context.sample, {
+    preset: preset || context.loFi.preset,
+    antiAlias: context.loFi.filters,
+    reconstruction: context.loFi.filters,
+    dither: context.loFi.dither,
+    noiseShaping: context.loFi.dither,
+    seed: context.seed
+  })
+});
+
+/**
+ * Pitch shift, optionally warmed with a touch of tube saturation and an ML pass
+ * @param {number} semitones - Pitch change
+ * @param {boolean} warm - Add the tube warmth and ML pass
+ * @returns {Object} - Recipe step
+ */
+const pitch = (semitones, warm = false) => ({
+  name: `Pitch ${semitones > 0 ? '+' : ''}${semitones}`,
+  render: async (context) => {
+    const shifted = await context.audio.processPitchShift(context.sample, semitones);
+    if (!warm) return shifted;
+
+    const warmed = await context.audio.processDistortion(shifted, 2, {
+      curve: 'tube',
+      preFilter: { type: 'highpass', cutoff: 40 },
+      mix: 0.35
+    });
+    return vary(context, warmed, 0.5, 'balanced');
+  }
+});
+
+/**
+ * Reverb (loops keep their length, the tail wraps around) followed by an ML pass
+ * @param {number} roomSize - Room size (0-1)
+ * @param {number} wetDry - Wet/dry mix (0-1)
+ * @returns {Object} - Recipe step
+ */
+const reverb = (roomSize, wetDry) => ({
+  name: 'Reverb',
+  render: async (context) => {
+    const reverbed = await context.audio.processReverb(context.sample, roomSize, wetDry, {
+      reverbType: context.reverbType,
+      seamless: context.isLoop,
+      seed: context.seed
+    });
+    return vary(context, reverbed, 0.4, context.isLoop ? 'sustain' : 'release');
+  }
+});
+
+/**
+ * Reverse reverb: the reverb swells up into the hit
+ * @param {number} roomSize - Room size (0-1)
+ * @param {number} wetDry - Wet/dry mix (0-1)
+ * @returns {Object} - Recipe step
+ */
+const reverseReverb = (roomSize, wetDry) => ({
+  name: 'Reverse reverb',
+  render: (context) => context.audio.processReverseReverb(context.sample, roomSize, wetDry, {
+    reverbType: context.reverbType,
+    seamless: false,
+    seed: context.seed
+  })
+});
+
+/**
+ * Saturation with its own curve (or the selected one)
+ * @param {string|null} curve - Saturation curve (null = the selected curve)
+ * @param {number} drive - Drive
+ * @param {Object} options - Other processDistortion options
+ * @param {string} name - Step name (recipes with two saturation steps tell them apart)
+ * @returns {Object} - Recipe step
+ */
+const saturate = (curve, drive, options = {}, name = 'Saturation') => ({
+  name,
+  render: (context) => context.audio.processDistortion(context.sample, drive, {
+    ...options,
+    curve: curve || context.distortionCurve
+  })
+});
+
+/**
+ * Extreme variation: heavy oversampled distortion with bit crushing, then an ML pass
+ * @returns {Object} - Recipe step
+ */
+const crushed = () => ({
+  name: 'Extreme',
+  render: async (context) => {
+    const distorted = await context.audio.processDistortion(context.sample, 8, {
+      curve: context.distortionCurve,
+      oversample: 8
+    });
+    const crushedBuffer = await context.audio.processBitCrush(distorted, 6);
+    return vary(context, crushedBuffer, 0.9, 'balanced');
+  }
+});
+
+/**
+ * Stereo image from the stereo settings
+ * @returns {Object} - Recipe step
+ */
+const stereo = () => ({
+  name: 'Stereo',
+  render: (context) => {
+    const { width, decorrelation, haasTime, autoPanDivision } = context.stereo;
+    return context.audio.processStereo(context.sample, {
+      decorrelate: decorrelation,
+      haasTime,
+      width,
+      autoPan: autoPanDivision !== 'off' && context.bpm
+        ? { division: autoPanDivision, bpm: context.bpm, depth: 0.6 }
+        : null
+    });
+  }
+});
+
+/**
+ * Granular texture from the granular settings
+ * @param {Object} overrides - Granular options that suit the drum type
+ * @returns {Object} - Recipe step
+ */
+const granular = (overrides = {}) => ({
+  name: 'Granular',
+  render: (context) => context.audio.processGranular(context.sample, {
+    ...context.granularOptions,
+    ...overrides,
+    seed: context.seed
+  })
+});
+
+/**
+ * Synth layers mixed under the sample (only the named layers are turned on)
+ * @param {string[]} names - Layers to use ('sub', 'noise', 'click')
+ * @param {Object} overrides - Per layer settings that suit the drum type
+ * @returns {Object} - Recipe step
+ */
+const synthLayers = (names, overrides = {}) => ({
+  name: `Synth ${names.join(' + ')}`,
+  render: (context) => {
+    const layers = {};
+    for (const [name, settings] of Object.entries(context.synthLayers)) {
+      layers[name] = { ...settings, ...overrides[name], enabled: names.includes(name) };
+    }
+    return context.audio.processSynthLayers(context.sample, layers, context.seed);
+  }
+});
+
+/**
+ * Gated retrigger roll at the sample's tempo
+ * @param {string} division - Step length
+ * @param {number} hold - Steps per retrigger
+ * @returns {Object} - Recipe step
+ */
+const retrigger = (division, hold) => ({
+  name: 'Retrigger',
+  render: (context) => context.audio.processGatedRetrigger(context.sample, {
+    bpm: context.bpm,
+    division,
+    duty: 0.6,
+    hold
+  })
+});
+
+// Recipe for a full loop: gentle, time-keeping processing plus rhythm rework
+const LOOP_RECIPE = [
+  envelope('attack', 0.6),
+  envelope('decay', 0.7),
+  envelope('sustain', 0.65),
+  envelope('release', 0.7),
+  transient(3, -1.5),
+  tone(),
+  filterSweep(2),
+  pitch(1, true),
+  reverb(0.1, 0.3),
+  {
+    name: 'Extreme',
+    render: async (context) => {
+      // Tempo-synced ping-pong delay with moderate distortion
+      const delayed = await context.audio.processDelay(context.sample, 0.125, 0.3, {
+        bpm: context.bpm,
+        division: '1/8d',
+        pingPong: true,
+        seamless: true
+      });
+      const distorted = await context.audio.processDistortion(delayed, 3, {
+        curve: context.distortionCurve,
+        postFilter: { type: 'lowpass', cutoff: 9000 },
+        mix: 0.7
+      });
+      return vary(context, distorted, 0.9, 'balanced');
+    }
+  },
+  stereo(),
+  {
+    name: 'Glitch',
+    render: async (context) => {
+      // Stutter fill winding down in a tape stop
+      const stuttered = await context.audio.processStutter(context.sample, { bpm: context.bpm, division: '1/32' });
+      return context.audio.processTapeStop(stuttered, { bpm: context.bpm, division: '1/4' });
+    }
+  },
+  granular(),
+  {
+    name: 'Beat shuffle',
+    render: (context) => context.audio.processBeatShuffle(context.sample, {
+      bpm: context.bpm,
+      drift: context.shuffle.drift,
+      region: context.shuffle.region,
+      seed: context.seed
+    })
+  },
+  {
+    name: 'Groove',
+    render: (context) => context.audio.processGroove(context.sample, { ...context.grooveOptions, seed: context.seed })
+  }
+];
+
+// Variation recipes per drum type (see DRUM_TYPES)
+export const VARIATION_RECIPES = {
+  // Kicks: keep the low end solid; small tuning moves, sub and saturation instead of crushing
+  kick: [
+    envelope('attack', 0.6),
+    envelope('decay', 0.7),
+    pitch(-2, true),
+    pitch(2),
+    transient(6, -4),
+    synthLayers(['sub', 'click']),
+    saturate('tube', 4, { postFilter: { type: 'lowpass', cutoff: 6000 }, mix: 0.6 }),
+    loFi('mpc60'),
+    reverb(0.1, 0.15),
+    granular({ grainSize: 40, positionJitter: 5, pitchJitter: 0.5, transientTime: 20 })
+  ],
+  // 808s: musical retuning, drive and the trap tape stop
+  '808': [
+    envelope('decay', 0.7),
+    envelope('release', 0.7),
+    pitch(-5),
+    pitch(7),
+    saturate('tape', 4, { mix: 0.7 }, 'Tape saturation'),
+    saturate(null, 8, { oversample: 8, postFilter: { type: 'lowpass', cutoff: 4000 } }, 'Drive'),
+    synthLayers(['sub'], { sub: { waveform: 'triangle', sweep: 0 } }),
+    {
+      name: 'Tape stop',
+      render: (context) => context.audio.processTapeStop(context.sample)
+    },
+    loFi('sp1200')
+  ],
+  // Snares: body and wires, room and rolls
+  snare: [
+    envelope('attack', 0.6),
+    envelope('decay', 0.7),
+    pitch(2, true),
+    pitch(-2),
+    transient(5, -3),
+    synthLayers(['noise']),
+    reverb(0.4, 0.4),
+    reverseReverb(0.4, 0.6),
+    retrigger('1/32', 4),
+    loFi('sp1200'),
+    saturate('tube', 3, { mix: 0.5 }),
+    stereo()
+  ],
+  // Claps: space and width suit them best
+  clap: [
+    envelope('attack', 0.6),
+    envelope('release', 0.7),
+    pitch(2),
+    pitch(-2),
+    reverb(0.5, 0.5),
+    reverseReverb(0.5, 0.6),
+    envelopeFilter(600, 3),
+    stereo(),
+    granular({ grainSize: 30, transientTime: 30 }),
+    loFi(),
+    saturate('soft', 3, { mix: 0.5 })
+  ],
+  // Closed hats: small tuning, tone and width, rolls
+  closedHat: [
+    envelope('attack', 0.5),
+    envelope('decay', 0.6),
+    pitch(1),
+    pitch(-1),
+    tone(),
+    loFi('s950'),
+    stereo(),
+    retrigger('1/32', 4),
+    granular({ grainSize: 20, positionJitter: 5, transientTime: 5 }),
+    saturate('soft', 2, { mix: 0.4 })
+  ],
+  // Open hats: the tail is the sound, so shape and move it
+  openHat: [
+    envelope('decay', 0.6),
+    envelope('release', 0.7),
+    pitch(1),
+    pitch(-1),
+    reverb(0.2, 0.3),
+    {
+      name: 'Reverse',
+      render: (context) => context.audio.processReverse(context.sample)
+    },
+    stereo(),
+    retrigger('1/16', 4),
+    granular({ transientTime: 10 }),
+    loFi()
+  ],
+  // Toms: tuned, so retune them up and down and reinforce the fundamental
+  tom: [
+    envelope('attack', 0.6),
+    envelope('decay', 0.7),
+    pitch(3, true),
+    pitch(-3, true),
+    transient(4, -2),
+    synthLayers(['sub'], { sub: { sweep: 5 } }),
+    reverb(0.3, 0.4),
+    reverseReverb(0.3, 0.5),
+    loFi(),
+    stereo()
+  ],
+  // Other percussion (and anything unrecognized): the general one-shot set
+  perc: [
+    envelope('attack', 0.6),
+    envelope('decay', 0.7),
+    envelope('sustain', 0.65),
+    envelope('release', 0.7),
+    tone(),
+    pitch(3, true),
+    reverb(0.3, 0.6),
+    envelopeFilter(400, 4),
+    crushed(),
+    stereo(),
+    reverseReverb(0.3, 0.5),
+    granular()
+  ],
+  loop: LOOP_RECIPE
+};
+
+/**
+ * Render every variation of a drum type's recipe
+ * @param {string} type - Drum type id (unknown types get the 'perc' recipe)
+ * @param {Object} context - Recipe context (see the top of this file); context.seed
+ *   seeds the whole run, a new one is picked if missing
+ * @param {Function} onProgress - Called after each step with (stepsDone, stepCount); may
+ *   return a promise, which is waited for (e.g. to let the page repaint)
+ * @returns {Promise<Array>} - One { buffer, name, seed } per recipe step; rendering the
+ *   step again with the same seed gives the same variation
+ */
+export async function renderRecipe(type, context, onProgress = null) {
+  const recipe = VARIATION_RECIPES[type] || VARIATION_RECIPES.perc;
+  const isLoop = context.isLoop ?? type === 'loop';
+  const random = createRandom(context.seed ?? randomSeed());
+  const variations = [];
+
+  for (const step of recipe) {
+    const seed = Math.floor(random() * 4294967296) >>> 0;
+    try {
+      const buffer = await step.render({ ...context, isLoop, seed });
+      variations.push({ buffer, name: step.name, seed });
+    } catch (error) {
+      throw new Error(`${step.name}: ${error.message}`);
+    }
+    if (onProgress) await onProgress(variations.length, recipe.length);
+  }
+
+  return variations;
+}
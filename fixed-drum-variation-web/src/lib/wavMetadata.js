@@ -0,0 +1,162 @@
+// src/lib/wavMetadata.js
+// Sampler and DAW metadata chunks for WAV files: smpl, cue, acid and LIST/INFO
+
+// MIDI note samplers map a sample to when no pitch is known (C3/C4 depending on the vendor)
+export const DEFAULT_ROOT_NOTE = 60;
+
+// Software name written to LIST/INFO
+const SOFTWARE_NAME = 'Drum Variation Generator';
+
+// acid chunk flags
+const ACID_ONE_SHOT = 0x01;
+const ACID_ROOT_NOTE = 0x02;
+const ACID_STRETCH = 0x04;
+
+/**
+ * Convert a frequency to a MIDI note and the fraction of a semitone above it
+ * @param {number} frequency - Frequency in Hz
+ * @returns {Object} - { note (0-127), fraction (0-1 of a semitone up) }
+ */
+export function frequencyToMidi(frequency) {
+  const exact = 69 + 12 * Math.log2(frequency / 440);
+  const note = Math.max(0, Math.min(127, Math.floor(exact)));
+  return { note, fraction: Math.max(0, Math.min(0.999, exact - note)) };
+}
+
+/**
+ * Build the smpl chunk: root note and loop points, as read by samplers
+ * @param {Object} metadata - Export metadata (see buildMetadataChunks)
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Uint8Array} - Chunk data
+ */
+function smplChunk(metadata, sampleRate) {
+  const loops = metadata.loop ? [metadata.loop] : [];
+  const data = new Uint8Array(36 + loops.length * 24);
+  const view = new DataView(data.buffer);
+
+  view.setUint32(8, Math.round(1e9 / sampleRate), true); // Sample period in ns
+  view.setUint32(12, metadata.rootNote ?? DEFAULT_ROOT_NOTE, true);
+  view.setUint32(16, Math.round((metadata.rootFraction || 0) * 0x100000000) >>> 0, true);
+  view.setUint32(28, loops.length, true);
+
+  loops.forEach((loop, index) => {
+    const offset = 36 + index * 24;
+    view.setUint32(offset, index, true); // Cue point id
+    view.setUint32(offset + 4, 0, true); // Forward loop
+    view.setUint32(offset + 8, loop.start, true);
+    view.setUint32(offset + 12, loop.end - 1, true); // Last sample played, not one past it
+  });
+
+  return data;
+}
+
+/**
+ * Build the cue chunk: a marker at each position
+ * @param {number[]} cues - Marker positions in samples
+ * @returns {Uint8Array} - Chunk data
+ */
+function cueChunk(cues) {
+  const data = new Uint8Array(4 + cues.length * 24);
+  const view = new DataView(data.buffer);
+
+  view.setUint32(0, cues.length, true);
+  cues.forEach((position, index) => {
+    const offset = 4 + index * 24;
+    view.setUint32(offset, index + 1, true); // Cue point id
+    view.setUint32(offset + 4, position, true);
+    for (let i = 0; i < 4; i++) view.setUint8(offset + 8 + i, 'data'.charCodeAt(i));
+    view.setUint32(offset + 20, position, true); // Sample offset in the data chunk
+  });
+
+  return data;
+}
+
+/**
+ * Build the acid chunk: tempo, beats and root note for ACID-style time stretching
+ * @param {Object} metadata - Export metadata (see buildMetadataChunks)
+ * @returns {Uint8Array} - Chunk data
+ */
+function acidChunk(metadata) {
+  const data = new Uint8Array(24);
+  const view = new DataView(data.buffer);
+
+  // The root note flag tells the host the note is real, so it is left out for the default
+  const rootNoteFlag = metadata.rootNote != null ? ACID_ROOT_NOTE : 0;
+  view.setUint32(0, rootNoteFlag | (metadata.loop ? ACID_STRETCH : ACID_ONE_SHOT), true);
+  view.setUint16(4, metadata.rootNote ?? DEFAULT_ROOT_NOTE, true);
+  view.setUint16(6, 0x8000, true); // Unknown, always this value
+  view.setUint32(12, metadata.beats || 0, true);
+  view.setUint16(16, 4, true); // Meter denominator
+  view.setUint16(18, 4, true); // Meter numerator
+  view.setFloat32(20, metadata.bpm, true);
+
+  return data;
+}
+
+/**
+ * Build the LIST/INFO chunk: text tags
+ * @param {Object} info - { name, source, comment }
+ * @returns {Uint8Array} - Chunk data
+ */
+function infoChunk(info) {
+  const tags = [
+    ['INAM', info.name],
+    ['ISRC', info.source],
+    ['ICMT', info.comment],
+    ['ISFT', SOFTWARE_NAME]
+  ].filter(([, text]) => text);
+
+  // Each tag: id, size, null-terminated ASCII text, pad byte when odd
+  const encoded = tags.map(([id, text]) => {
+    const ascii = String(text).replace(/[^\x20-\x7E]/g, '?');
+    const size = ascii.length + 1;
+    const bytes = new Uint8Array(8 + size + (size % 2));
+    const view = new DataView(bytes.buffer);
+    for (let i = 0; i < 4; i++) view.setUint8(i, id.charCodeAt(i));
+    view.setUint32(4, size, true);
+    for (let i = 0; i < ascii.length; i++) view.setUint8(8 + i, ascii.charCodeAt(i));
+    return bytes;
+  });
+
+  const data = new Uint8Array(4 + encoded.reduce((sum, bytes) => sum + bytes.length, 0));
+  for (let i = 0; i < 4; i++) data[i] = 'INFO'.charCodeAt(i);
+  let offset = 4;
+  for (const bytes of encoded) {
+    data.set(bytes, offset);
+    offset += bytes.length;
+  }
+  return data;
+}
+
+/**
+ * Build the metadata chunks DAWs and samplers read from a WAV file. The smpl
+ * chunk is always written (root note, plus a loop over the whole file for
+ * loops); cue markers, acid tempo and INFO text only when there is something
+ * to put in them.
+ * @param {Object} metadata - Export metadata
+ * @param {number|null} metadata.rootNote - MIDI root note (null when not detected: DEFAULT_ROOT_NOTE
+ *   is written, without the acid chunk's root note flag)
+ * @param {number} metadata.rootFraction - Fraction of a semitone above the root note (0-1)
+ * @param {Object} metadata.loop - Loop as { start, end } in samples (null for one-shots)
+ * @param {number[]} metadata.cues - Marker positions in samples (e.g. the transients)
+ * @param {number} metadata.bpm - Tempo (null when unknown; no acid chunk then)
+ * @param {number} metadata.beats - Length in beats
+ * @param {Object} metadata.info - { name, source, comment } text tags
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Array} - Chunks as { id, data }
+ */
+export function buildMetadataChunks(metadata, sampleRate) {
+  const chunks = [{ id: 'smpl', data: smplChunk(metadata, sampleRate) }];
+
+  if (metadata.cues && metadata.cues.length > 0) {
+    chunks.push({ id: 'cue ', data: cueChunk(metadata.cues) });
+  }
+  if (metadata.bpm) {
+    chunks.push({ id: 'acid', data: acidChunk(metadata) });
+  }
+  if (metadata.info) {
+    chunks.push({ id: 'LIST', data: infoChunk(metadata.info) });
+  }
+
+  return chunks;
+}
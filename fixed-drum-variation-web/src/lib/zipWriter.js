@@ -0,0 +1,147 @@
+// src/lib/zipWriter.js
+// Minimal ZIP archive writer (stored entries) for exporting sample packs in the browser
+
+// Audio files barely compress with deflate, so entries are stored as they are
+const METHOD_STORE = 0;
+
+// General purpose flag: file names are UTF-8
+const FLAG_UTF8 = 0x0800;
+
+// Version needed to extract (2.0)
+const VERSION = 20;
+
+// ZIP record signatures
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+// CRC-32 (IEEE) lookup table
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * Compute the CRC-32 of some bytes
+ * @param {Uint8Array} data - Bytes to check
+ * @returns {number} - Unsigned CRC-32
+ */
+function crc32(data) {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < data.length; i++) {
+    crc = CRC_TABLE[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Convert a date to MS-DOS time and date fields (2 second resolution, 1980 at the earliest)
+ * @param {Date} date - Date to convert
+ * @returns {Object} - { time, date } as 16-bit values
+ */
+function toDosDateTime(date) {
+  const year = Math.max(1980, date.getFullYear());
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * ZipWriter collects files and writes them as a ZIP archive that every
+ * operating system can open, without a compression library. Entries are
+ * stored uncompressed (WAV, AIFF and FLAC data gains little or nothing from
+ * deflate) and the archive is limited to 4GB and 65535 files (no ZIP64).
+ */
+export class ZipWriter {
+  /**
+   * Create a new, empty archive
+   */
+  constructor() {
+    this.entries = [];
+  }
+
+  /**
+   * Add a file to the archive
+   * @param {string} path - Path inside the archive, folders separated by '/'
+   * @param {Uint8Array|ArrayBuffer|string} data - File contents (strings are written as UTF-8)
+   * @param {Date} date - Modification date of the file
+   */
+  addFile(path, data, date = new Date()) {
+    const bytes = typeof data === 'string'
+      ? new TextEncoder().encode(data)
+      : data instanceof Uint8Array ? data : new Uint8Array(data);
+
+    this.entries.push({
+      name: new TextEncoder().encode(path),
+      data: bytes,
+      crc: crc32(bytes),
+      ...toDosDateTime(date)
+    });
+  }
+
+  /**
+   * Write the archive: each file with its local header, then the central directory
+   * @returns {Uint8Array} - ZIP file
+   */
+  finish() {
+    const localSize = this.entries.reduce((sum, entry) => sum + 30 + entry.name.length + entry.data.length, 0);
+    const centralSize = this.entries.reduce((sum, entry) => sum + 46 + entry.name.length, 0);
+    const output = new Uint8Array(localSize + centralSize + 22);
+    const view = new DataView(output.buffer);
+
+    // Fields shared by the local and central headers, from the version needed on
+    const writeCommon = (offset, entry) => {
+      view.setUint16(offset, VERSION, true);
+      view.setUint16(offset + 2, FLAG_UTF8, true);
+      view.setUint16(offset + 4, METHOD_STORE, true);
+      view.setUint16(offset + 6, entry.time, true);
+      view.setUint16(offset + 8, entry.date, true);
+      view.setUint32(offset + 10, entry.crc, true);
+      view.setUint32(offset + 14, entry.data.length, true); // Compressed size
+      view.setUint32(offset + 18, entry.data.length, true); // Uncompressed size
+      view.setUint16(offset + 22, entry.name.length, true);
+    };
+
+    // Local headers and file data
+    let offset = 0;
+    const localOffsets = [];
+    for (const entry of this.entries) {
+      localOffsets.push(offset);
+      view.setUint32(offset, LOCAL_HEADER, true);
+      writeCommon(offset + 4, entry);
+      output.set(entry.name, offset + 30);
+      output.set(entry.data, offset + 30 + entry.name.length);
+      offset += 30 + entry.name.length + entry.data.length;
+    }
+
+    // Central directory
+    const centralStart = offset;
+    this.entries.forEach((entry, index) => {
+      view.setUint32(offset, CENTRAL_HEADER, true);
+      view.setUint16(offset + 4, VERSION, true); // Version made by
+      writeCommon(offset + 6, entry);
+      view.setUint32(offset + 42, localOffsets[index], true);
+      output.set(entry.name, offset + 46);
+      offset += 46 + entry.name.length;
+    });
+
+    // End of central directory record
+    view.setUint32(offset, END_OF_CENTRAL_DIRECTORY, true);
+    view.setUint16(offset + 8, this.entries.length, true); // Entries on this disk
+    view.setUint16(offset + 10, this.entries.length, true); // Entries in total
+    view.setUint32(offset + 12, centralSize, true);
+    view.setUint32(offset + 16, centralStart, true);
+
+    return output;
+  }
+}
+
+export default ZipWriter;